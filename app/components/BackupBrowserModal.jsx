@@ -0,0 +1,275 @@
+import { useState, useEffect, useCallback } from 'react';
+import { ChevronDown, ChevronRight, File, Folder, FolderOpen, History, X } from 'lucide-react';
+
+const formatBytes = (bytes) => {
+  if (!bytes) return '0 B';
+  const k = 1024;
+  const sizes = ['B', 'KB', 'MB', 'GB', 'TB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return `${Math.round((bytes / Math.pow(k, i)) * 100) / 100} ${sizes[i]}`;
+};
+
+const formatDate = (seconds) => new Date(seconds * 1000).toLocaleString();
+
+/**
+ * One row of the backup tree; folders expand in place
+ */
+function TreeNode({ node, depth, expanded, selected, onToggleExpand, onToggleSelect, onShowVersions }) {
+  const isDirectory = node.type === 'directory';
+  const isExpanded = expanded.has(node.path);
+
+  return (
+    <>
+      <div
+        className={`flex items-center gap-2 py-1 pr-2 hover:bg-[#001D3D] rounded ${node.deleted ? 'opacity-60' : ''}`}
+        style={{ paddingLeft: `${depth * 16 + 8}px` }}
+      >
+        {isDirectory ? (
+          <button onClick={() => onToggleExpand(node.path)} className="text-gray-400">
+            {isExpanded ? <ChevronDown className="w-4 h-4" /> : <ChevronRight className="w-4 h-4" />}
+          </button>
+        ) : (
+          <span className="w-4" />
+        )}
+        <input
+          type="checkbox"
+          checked={selected.has(node.path)}
+          onChange={() => onToggleSelect(node.path)}
+          disabled={node.deleted}
+          className="w-4 h-4"
+        />
+        {isDirectory ? <Folder className="w-4 h-4 text-[#FFC300]" /> : <File className="w-4 h-4 text-blue-300" />}
+        <span className={`flex-1 truncate ${node.deleted ? 'line-through' : ''}`}>{node.name}</span>
+        <span className="text-xs text-gray-400">
+          {isDirectory ? `${node.fileCount} files · ${formatBytes(node.size)}` : formatBytes(node.size)}
+        </span>
+        {!isDirectory && (
+          <button
+            onClick={() => onShowVersions(node)}
+            className="flex items-center gap-1 text-xs text-blue-300 hover:text-white"
+            title="Show versions"
+          >
+            <History className="w-3 h-3" />
+            {node.versions.length}
+          </button>
+        )}
+      </div>
+      {isDirectory && isExpanded && node.children.map((child) => (
+        <TreeNode
+          key={child.path}
+          node={child}
+          depth={depth + 1}
+          expanded={expanded}
+          selected={selected}
+          onToggleExpand={onToggleExpand}
+          onToggleSelect={onToggleSelect}
+          onShowVersions={onShowVersions}
+        />
+      ))}
+    </>
+  );
+}
+
+/**
+ * BackupBrowserModal - Browse a backup and restore selected files or older versions
+ * Features:
+ * - Folder tree of the backup's point-in-time state
+ * - Per-file version history across the backup chain
+ * - Restore selected files/folders, or one version of a file, with a conflict mode
+ */
+export default function BackupBrowserModal({ backup, onClose }) {
+  const [listing, setListing] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [includeDeleted, setIncludeDeleted] = useState(false);
+  const [expanded, setExpanded] = useState(new Set(['']));
+  const [selected, setSelected] = useState(new Set());
+  const [versionsFor, setVersionsFor] = useState(null);
+  const [restorePath, setRestorePath] = useState('');
+  const [conflictMode, setConflictMode] = useState('rename');
+  const [restoring, setRestoring] = useState(false);
+
+  const loadListing = useCallback(async () => {
+    setLoading(true);
+    try {
+      const result = await window.backupAPI.browse(backup.id, { includeDeleted });
+      if (result.success) {
+        setListing(result);
+      } else {
+        alert('Failed to browse backup: ' + result.error);
+      }
+    } finally {
+      setLoading(false);
+    }
+  }, [backup.id, includeDeleted]);
+
+  useEffect(() => {
+    loadListing();
+  }, [loadListing]);
+
+  const handleToggleExpand = useCallback((nodePath) => {
+    setExpanded((prev) => {
+      const next = new Set(prev);
+      if (next.has(nodePath)) next.delete(nodePath); else next.add(nodePath);
+      return next;
+    });
+  }, []);
+
+  const handleToggleSelect = useCallback((nodePath) => {
+    setSelected((prev) => {
+      const next = new Set(prev);
+      if (next.has(nodePath)) next.delete(nodePath); else next.add(nodePath);
+      return next;
+    });
+  }, []);
+
+  const handleSelectRestorePath = useCallback(async () => {
+    try {
+      const result = await window.electron.invoke('dialog:openDirectory');
+      if (result && !result.canceled && result.filePaths.length > 0) {
+        setRestorePath(result.filePaths[0]);
+      }
+    } catch (error) {
+      console.error('Failed to select directory:', error);
+    }
+  }, []);
+
+  const runRestore = useCallback(async (backupId, paths) => {
+    setRestoring(true);
+    try {
+      const result = await window.backupAPI.restore({
+        backupId,
+        targetPath: restorePath,
+        options: { verify: true, conflictMode, paths }
+      });
+      if (result.success) {
+        const skipped = result.verificationResults?.filter((v) => v.skipped).length || 0;
+        const failed = result.verificationResults?.filter((v) => v.failed).length || 0;
+        let message = `✅ Restored ${result.filesRestored} of ${result.filesSelected} file(s) to:\n${restorePath}`;
+        if (skipped > 0) message += `\n\n⏭️ Skipped: ${skipped} (already exist)`;
+        if (failed > 0) message += `\n\n❌ Failed: ${failed}`;
+        alert(message);
+      } else {
+        alert(`❌ Restore failed: ${result.error}`);
+      }
+    } finally {
+      setRestoring(false);
+    }
+  }, [restorePath, conflictMode]);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-[#003566] border-2 border-[#0077B6] rounded-lg p-6 max-w-4xl w-full mx-4 max-h-[90vh] flex flex-col">
+        <div className="flex items-start justify-between mb-4">
+          <div>
+            <h2 className="text-2xl font-bold text-white">Browse Backup</h2>
+            <p className="text-gray-400 text-sm mt-1">
+              {backup.name} · {formatDate(backup.created_at)}
+              {listing && listing.chain.length > 1 && ` · ${listing.chain.length} backups in chain`}
+            </p>
+            {listing?.broken && (
+              <p className="text-sm text-red-300 mt-1">Part of this backup chain is missing - some files may not be listed</p>
+            )}
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-white">
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <label className="flex items-center gap-2 text-sm text-gray-300 mb-2">
+          <input
+            type="checkbox"
+            checked={includeDeleted}
+            onChange={(e) => setIncludeDeleted(e.target.checked)}
+            className="w-4 h-4"
+          />
+          Show files deleted earlier in the chain
+        </label>
+
+        <div className="flex-1 overflow-y-auto bg-[#001D3D] bg-opacity-40 rounded-lg p-2 min-h-[200px] text-white text-sm">
+          {loading && !listing && <div className="p-4 text-gray-400">Loading...</div>}
+          {listing && listing.tree.children.map((node) => (
+            <TreeNode
+              key={node.path}
+              node={node}
+              depth={0}
+              expanded={expanded}
+              selected={selected}
+              onToggleExpand={handleToggleExpand}
+              onToggleSelect={handleToggleSelect}
+              onShowVersions={setVersionsFor}
+            />
+          ))}
+        </div>
+
+        {versionsFor && (
+          <div className="mt-4 p-4 bg-gray-700 rounded-lg">
+            <div className="flex items-center justify-between mb-2">
+              <h3 className="font-medium text-white">Versions of {versionsFor.path}</h3>
+              <button onClick={() => setVersionsFor(null)} className="text-gray-400 hover:text-white">
+                <X className="w-4 h-4" />
+              </button>
+            </div>
+            <div className="space-y-1 max-h-40 overflow-y-auto">
+              {versionsFor.versions.map((version) => (
+                <div key={version.backupId} className="flex items-center gap-3 text-sm text-gray-300">
+                  <span className="flex-1">{formatDate(version.createdAt)} · {version.backupName}</span>
+                  <span className="text-xs text-gray-400">{formatBytes(version.size)} · {version.reason}</span>
+                  <button
+                    onClick={() => runRestore(version.backupId, [versionsFor.path])}
+                    disabled={restoring || !restorePath}
+                    className="px-3 py-1 bg-green-600 hover:bg-green-500 rounded transition text-xs disabled:opacity-50"
+                  >
+                    Restore
+                  </button>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        <div className="grid grid-cols-2 gap-3 mt-4">
+          <div className="flex gap-2">
+            <input
+              type="text"
+              value={restorePath}
+              readOnly
+              placeholder="Restore location"
+              className="flex-1 px-4 py-2 bg-[#001D3D] border-2 border-[#0077B6] text-white rounded-lg cursor-not-allowed"
+            />
+            <button
+              onClick={handleSelectRestorePath}
+              className="px-4 py-2 bg-[#003566] hover:bg-[#0077B6] text-white rounded-lg transition flex items-center gap-2"
+            >
+              <FolderOpen className="w-4 h-4" />
+            </button>
+          </div>
+          <select
+            value={conflictMode}
+            onChange={(e) => setConflictMode(e.target.value)}
+            className="px-4 py-2 bg-[#001D3D] border-2 border-[#0077B6] text-white rounded-lg focus:border-[#FFC300] focus:outline-none transition"
+          >
+            <option value="rename">If file exists: keep both</option>
+            <option value="overwrite">If file exists: overwrite</option>
+            <option value="skip">If file exists: skip</option>
+          </select>
+        </div>
+
+        <div className="flex gap-3 mt-4">
+          <button
+            onClick={onClose}
+            className="flex-1 px-4 py-2 bg-gray-700 hover:bg-gray-600 rounded-lg transition text-white"
+          >
+            Close
+          </button>
+          <button
+            onClick={() => runRestore(backup.id, [...selected])}
+            disabled={restoring || selected.size === 0 || !restorePath}
+            className="flex-1 px-4 py-2 bg-green-600 hover:bg-green-500 rounded-lg transition text-white disabled:opacity-50"
+          >
+            {restoring ? 'Restoring...' : `Restore ${selected.size} selected`}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,398 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Cloud, FolderOpen, HardDrive, Plus, RefreshCw, Trash2, AlertCircle, CheckCircle, Usb } from 'lucide-react';
+
+const DESTINATION_TYPES = [
+  { value: 'local', label: 'Folder (another disk or network share)' },
+  { value: 'removable', label: 'Removable drive' },
+  { value: 'webdav', label: 'WebDAV server' }
+];
+
+const TYPE_ICONS = {
+  local: HardDrive,
+  removable: Usb,
+  webdav: Cloud
+};
+
+/**
+ * BackupDestinationsPanel - UI component for backup destinations
+ * Features:
+ * - Add folder, removable drive and WebDAV destinations
+ * - Test that a destination is reachable
+ * - Enable, disable and remove destinations
+ */
+export default function BackupDestinationsPanel() {
+  const [destinations, setDestinations] = useState([]);
+  const [drives, setDrives] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [showAddDialog, setShowAddDialog] = useState(false);
+  const [testingId, setTestingId] = useState(null);
+
+  // Form states
+  const [name, setName] = useState('');
+  const [type, setType] = useState('local');
+  const [folder, setFolder] = useState('');
+  const [volumeId, setVolumeId] = useState('');
+  const [url, setUrl] = useState('');
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+
+  const loadDestinations = useCallback(async () => {
+    setLoading(true);
+    try {
+      const result = await window.backupAPI.listDestinations();
+      setDestinations(result || []);
+    } catch (error) {
+      console.error('Failed to load backup destinations:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadDestinations();
+  }, [loadDestinations]);
+
+  const loadDrives = useCallback(async () => {
+    try {
+      const result = await window.backupAPI.listRemovableDrives();
+      setDrives(result || []);
+      if (result && result.length > 0) {
+        setVolumeId((current) => current || result[0].volumeId);
+      }
+    } catch (error) {
+      console.error('Failed to list removable drives:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (showAddDialog && type === 'removable') {
+      loadDrives();
+    }
+  }, [showAddDialog, type, loadDrives]);
+
+  const handleSelectFolder = useCallback(async () => {
+    try {
+      const result = await window.electron.invoke('dialog:openDirectory');
+      if (result && !result.canceled && result.filePaths.length > 0) {
+        setFolder(result.filePaths[0]);
+      }
+    } catch (error) {
+      console.error('Failed to select directory:', error);
+    }
+  }, []);
+
+  const resetForm = () => {
+    setName('');
+    setFolder('');
+    setVolumeId('');
+    setUrl('');
+    setUsername('');
+    setPassword('');
+  };
+
+  const handleAddDestination = useCallback(async () => {
+    let config;
+    if (type === 'local') {
+      config = { folder };
+    } else if (type === 'removable') {
+      const drive = drives.find((candidate) => candidate.volumeId === volumeId);
+      config = { volumeId, label: drive ? drive.label : volumeId, folder: folder || undefined };
+    } else {
+      config = { url, folder: folder || undefined, username: username || undefined, password: password || undefined };
+    }
+
+    const result = await window.backupAPI.addDestination({ name, type, config });
+    if (!result.success) {
+      alert('Failed to add destination: ' + result.error);
+      return;
+    }
+
+    setShowAddDialog(false);
+    resetForm();
+    loadDestinations();
+  }, [name, type, folder, volumeId, url, username, password, drives, loadDestinations]);
+
+  const handleTestDestination = useCallback(async (destination) => {
+    setTestingId(destination.id);
+    try {
+      const result = await window.backupAPI.testDestination(destination.id);
+      if (result.success) {
+        alert(`✅ "${destination.name}" is reachable.\n\nLocation: ${result.root}`);
+      } else {
+        alert(`❌ "${destination.name}" is not reachable: ${result.error}`);
+      }
+    } finally {
+      setTestingId(null);
+    }
+  }, []);
+
+  const handleToggleDestination = useCallback(async (destination) => {
+    const result = await window.backupAPI.updateDestination(destination.id, { enabled: !destination.enabled });
+    if (!result.success) {
+      alert('Failed to update destination: ' + result.error);
+    }
+    loadDestinations();
+  }, [loadDestinations]);
+
+  const handleRemoveDestination = useCallback(async (destination) => {
+    const confirmed = window.confirm(
+      `Remove destination "${destination.name}"?\n\nBackups already copied there are left in place.`
+    );
+    if (!confirmed) return;
+
+    const result = await window.backupAPI.removeDestination(destination.id);
+    if (!result.success) {
+      alert('Failed to remove destination: ' + result.error);
+    }
+    loadDestinations();
+  }, [loadDestinations]);
+
+  const describeDestination = (destination) => {
+    const { config } = destination;
+    if (destination.type === 'local') return config.folder;
+    if (destination.type === 'removable') return `${config.label || config.volumeId} / ${config.folder || 'FortiMorph Backups'}`;
+    return [config.url, config.folder].filter(Boolean).join('/');
+  };
+
+  const canAdd = name && (
+    (type === 'local' && folder) ||
+    (type === 'removable' && volumeId) ||
+    (type === 'webdav' && url)
+  );
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h2 className="text-2xl font-bold text-white">Backup Destinations</h2>
+          <p className="text-gray-400 mt-1">Keep a copy of your backups off the disk that holds your data</p>
+        </div>
+        <div className="flex gap-3">
+          <button
+            onClick={loadDestinations}
+            disabled={loading}
+            className="px-4 py-2 bg-[#003566] hover:bg-[#0077B6] text-white rounded-lg transition flex items-center gap-2 disabled:opacity-50"
+          >
+            <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+            Refresh
+          </button>
+          <button
+            onClick={() => setShowAddDialog(true)}
+            className="px-6 py-2 bg-[#FFC300] hover:bg-[#FFD60A] text-[#001D3D] font-semibold rounded-lg transition flex items-center gap-2"
+          >
+            <Plus className="w-4 h-4" />
+            Add Destination
+          </button>
+        </div>
+      </div>
+
+      {destinations.length === 0 ? (
+        <div className="p-12 text-center text-gray-400 bg-[#003566] rounded-lg">
+          <Cloud className="w-12 h-12 mx-auto mb-3 opacity-50" />
+          No backup destinations yet - backups are only stored in the app folder
+        </div>
+      ) : (
+        <div className="bg-[#003566] rounded-lg divide-y divide-[#0077B6]">
+          {destinations.map((destination) => {
+            const Icon = TYPE_ICONS[destination.type] || HardDrive;
+            return (
+              <div key={destination.id} className="p-6">
+                <div className="flex items-start justify-between">
+                  <div className="flex-1">
+                    <div className="flex items-center gap-3 mb-2">
+                      <Icon className="w-5 h-5 text-blue-300" />
+                      <h3 className="text-xl font-semibold text-white">{destination.name}</h3>
+                      {destination.lastUsedAt && !destination.lastError && <CheckCircle className="w-4 h-4 text-green-400" title="Last copy succeeded" />}
+                      {destination.lastError && <AlertCircle className="w-4 h-4 text-red-400" title={destination.lastError} />}
+                      {!destination.enabled && <span className="text-xs px-2 py-0.5 bg-gray-700 text-gray-300 rounded">Disabled</span>}
+                    </div>
+                    <div className="text-sm text-gray-400 mt-2 break-all">{describeDestination(destination)}</div>
+                    {destination.lastError && (
+                      <div className="text-sm text-red-300 mt-2">{destination.lastError}</div>
+                    )}
+                  </div>
+
+                  <div className="flex gap-2 ml-4">
+                    <button
+                      onClick={() => handleTestDestination(destination)}
+                      disabled={testingId !== null}
+                      className="px-4 py-2 bg-green-600 hover:bg-green-500 rounded-lg transition disabled:opacity-50"
+                    >
+                      {testingId === destination.id ? 'Testing...' : 'Test'}
+                    </button>
+                    <button
+                      onClick={() => handleToggleDestination(destination)}
+                      className="px-4 py-2 bg-blue-600 hover:bg-blue-500 rounded-lg transition"
+                    >
+                      {destination.enabled ? 'Disable' : 'Enable'}
+                    </button>
+                    <button
+                      onClick={() => handleRemoveDestination(destination)}
+                      className="px-4 py-2 bg-red-600 hover:bg-red-500 rounded-lg transition flex items-center gap-2"
+                      title="Remove destination"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {/* Add Destination Dialog */}
+      {showAddDialog && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-[#003566] border-2 border-[#0077B6] rounded-lg p-6 max-w-2xl w-full mx-4 max-h-[90vh] overflow-y-auto">
+            <h2 className="text-2xl font-bold mb-4 text-white">Add Destination</h2>
+
+            <div className="space-y-4">
+              <div>
+                <label className="block text-sm font-medium mb-2 text-white">Name</label>
+                <input
+                  type="text"
+                  value={name}
+                  onChange={(e) => setName(e.target.value)}
+                  placeholder="Office NAS"
+                  className="w-full px-4 py-2 bg-[#001D3D] border-2 border-[#0077B6] text-white rounded-lg focus:border-[#FFC300] focus:outline-none transition"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium mb-2 text-white">Type</label>
+                <select
+                  value={type}
+                  onChange={(e) => setType(e.target.value)}
+                  className="w-full px-4 py-2 bg-[#001D3D] border-2 border-[#0077B6] text-white rounded-lg focus:border-[#FFC300] focus:outline-none transition"
+                >
+                  {DESTINATION_TYPES.map((option) => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+              </div>
+
+              {type === 'local' && (
+                <div>
+                  <label className="block text-sm font-medium mb-2 text-white">Folder</label>
+                  <div className="flex gap-2">
+                    <input
+                      type="text"
+                      value={folder}
+                      readOnly
+                      placeholder="Select destination folder"
+                      className="flex-1 px-4 py-2 bg-[#001D3D] border-2 border-[#0077B6] text-white rounded-lg cursor-not-allowed"
+                    />
+                    <button
+                      onClick={handleSelectFolder}
+                      className="px-4 py-2 bg-[#003566] hover:bg-[#0077B6] text-white rounded-lg transition flex items-center gap-2"
+                    >
+                      <FolderOpen className="w-4 h-4" />
+                      Browse
+                    </button>
+                  </div>
+                </div>
+              )}
+
+              {type === 'removable' && (
+                <>
+                  <div>
+                    <label className="block text-sm font-medium mb-2 text-white">Drive</label>
+                    {drives.length === 0 ? (
+                      <p className="text-sm text-gray-400">No removable drives found. Plug one in and reopen this dialog.</p>
+                    ) : (
+                      <select
+                        value={volumeId}
+                        onChange={(e) => setVolumeId(e.target.value)}
+                        className="w-full px-4 py-2 bg-[#001D3D] border-2 border-[#0077B6] text-white rounded-lg focus:border-[#FFC300] focus:outline-none transition"
+                      >
+                        {drives.map((drive) => (
+                          <option key={drive.volumeId} value={drive.volumeId}>{drive.label} ({drive.mount})</option>
+                        ))}
+                      </select>
+                    )}
+                    <p className="text-xs text-gray-400 mt-1">The drive is recognised by its volume ID, even if its drive letter changes.</p>
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium mb-2 text-white">Folder on drive</label>
+                    <input
+                      type="text"
+                      value={folder}
+                      onChange={(e) => setFolder(e.target.value)}
+                      placeholder="FortiMorph Backups"
+                      className="w-full px-4 py-2 bg-[#001D3D] border-2 border-[#0077B6] text-white rounded-lg focus:border-[#FFC300] focus:outline-none transition"
+                    />
+                  </div>
+                </>
+              )}
+
+              {type === 'webdav' && (
+                <>
+                  <div>
+                    <label className="block text-sm font-medium mb-2 text-white">Server URL</label>
+                    <input
+                      type="text"
+                      value={url}
+                      onChange={(e) => setUrl(e.target.value)}
+                      placeholder="https://nas.local/remote.php/dav/files/me"
+                      className="w-full px-4 py-2 bg-[#001D3D] border-2 border-[#0077B6] text-white rounded-lg focus:border-[#FFC300] focus:outline-none transition"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium mb-2 text-white">Folder</label>
+                    <input
+                      type="text"
+                      value={folder}
+                      onChange={(e) => setFolder(e.target.value)}
+                      placeholder="FortiMorph Backups"
+                      className="w-full px-4 py-2 bg-[#001D3D] border-2 border-[#0077B6] text-white rounded-lg focus:border-[#FFC300] focus:outline-none transition"
+                    />
+                  </div>
+                  <div className="grid grid-cols-2 gap-3">
+                    <div>
+                      <label className="block text-sm font-medium mb-2 text-white">Username</label>
+                      <input
+                        type="text"
+                        value={username}
+                        onChange={(e) => setUsername(e.target.value)}
+                        className="w-full px-4 py-2 bg-[#001D3D] border-2 border-[#0077B6] text-white rounded-lg focus:border-[#FFC300] focus:outline-none transition"
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium mb-2 text-white">Password</label>
+                      <input
+                        type="password"
+                        value={password}
+                        onChange={(e) => setPassword(e.target.value)}
+                        className="w-full px-4 py-2 bg-[#001D3D] border-2 border-[#0077B6] text-white rounded-lg focus:border-[#FFC300] focus:outline-none transition"
+                      />
+                    </div>
+                  </div>
+                </>
+              )}
+            </div>
+
+            <div className="flex gap-3 mt-6">
+              <button
+                onClick={() => {
+                  setShowAddDialog(false);
+                  resetForm();
+                }}
+                className="flex-1 px-4 py-2 bg-gray-700 hover:bg-gray-600 rounded-lg transition"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleAddDestination}
+                disabled={!canAdd}
+                className="flex-1 px-4 py-2 bg-blue-600 hover:bg-blue-500 rounded-lg transition disabled:opacity-50"
+              >
+                Add Destination
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
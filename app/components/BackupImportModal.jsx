@@ -0,0 +1,132 @@
+import { useState, useCallback } from 'react';
+import { FileArchive, FolderOpen, X } from 'lucide-react';
+
+const inputClassName = 'w-full px-4 py-2 bg-[#001D3D] border-2 border-[#0077B6] text-white rounded-lg focus:border-[#FFC300] focus:outline-none transition';
+
+/**
+ * BackupImportModal - Add backups exported on another machine (or copied folders) to the backup list
+ * Features:
+ * - Import a .fortibackup archive or a backup folder from a copied backup store
+ * - Unlock backups made with another key using its recovery key or passphrase
+ * - Every imported file is verified against its manifest hash
+ */
+export default function BackupImportModal({ onClose, onImported }) {
+  const [sourcePath, setSourcePath] = useState('');
+  const [unlockWith, setUnlockWith] = useState('none');
+  const [secret, setSecret] = useState('');
+  const [importing, setImporting] = useState(false);
+
+  const handleSelectArchive = useCallback(async () => {
+    const result = await window.electronAPI.showOpenDialog({
+      properties: ['openFile'],
+      filters: [{ name: 'FortiMorph Backup', extensions: ['fortibackup', 'zip'] }]
+    });
+    if (result && !result.canceled && result.filePaths.length > 0) {
+      setSourcePath(result.filePaths[0]);
+    }
+  }, []);
+
+  const handleSelectFolder = useCallback(async () => {
+    const result = await window.electron.invoke('dialog:openDirectory');
+    if (result && !result.canceled && result.filePaths.length > 0) {
+      setSourcePath(result.filePaths[0]);
+    }
+  }, []);
+
+  const handleImport = useCallback(async () => {
+    setImporting(true);
+    try {
+      const result = await window.backupAPI.importBackup({
+        sourcePath,
+        recoveryKey: unlockWith === 'recoveryKey' ? secret : undefined,
+        passphrase: unlockWith === 'passphrase' ? secret : undefined
+      });
+
+      if (result.success) {
+        let message = `✅ Imported ${result.imported.length} backup(s)`;
+        if (result.skipped.length > 0) message += `\n\n⏭️ Already in your list: ${result.skipped.length}`;
+        alert(message);
+        onImported();
+        onClose();
+      } else {
+        alert(`❌ Import failed: ${result.error}`);
+      }
+    } finally {
+      setImporting(false);
+    }
+  }, [sourcePath, unlockWith, secret, onImported, onClose]);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-[#003566] border-2 border-[#0077B6] rounded-lg p-6 max-w-xl w-full mx-4">
+        <div className="flex items-start justify-between mb-4">
+          <div>
+            <h2 className="text-2xl font-bold text-white">Import Backup</h2>
+            <p className="text-gray-400 text-sm mt-1">Files are verified while they are copied into your backup store</p>
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-white">
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <div className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium mb-2 text-white">Archive or backup folder</label>
+            <div className="flex gap-2">
+              <input type="text" value={sourcePath} readOnly placeholder="Choose a source" className={`${inputClassName} cursor-not-allowed`} />
+              <button
+                onClick={handleSelectArchive}
+                className="px-4 py-2 bg-[#001D3D] hover:bg-[#0077B6] text-white rounded-lg transition"
+                title="Choose a .fortibackup archive"
+              >
+                <FileArchive className="w-4 h-4" />
+              </button>
+              <button
+                onClick={handleSelectFolder}
+                className="px-4 py-2 bg-[#001D3D] hover:bg-[#0077B6] text-white rounded-lg transition"
+                title="Choose a backup folder"
+              >
+                <FolderOpen className="w-4 h-4" />
+              </button>
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium mb-2 text-white">Backups made on another device or account</label>
+            <select value={unlockWith} onChange={(e) => setUnlockWith(e.target.value)} className={inputClassName}>
+              <option value="none">Not needed (made with my key)</option>
+              <option value="recoveryKey">Unlock with recovery key</option>
+              <option value="passphrase">Unlock with passphrase</option>
+            </select>
+          </div>
+
+          {unlockWith !== 'none' && (
+            <input
+              type={unlockWith === 'passphrase' ? 'password' : 'text'}
+              value={secret}
+              onChange={(e) => setSecret(e.target.value)}
+              placeholder={unlockWith === 'passphrase' ? 'Backup passphrase' : 'XXXXXXXX-XXXXXXXX-...'}
+              className={inputClassName}
+            />
+          )}
+        </div>
+
+        <div className="flex gap-3 mt-6">
+          <button
+            onClick={onClose}
+            className="flex-1 px-4 py-2 bg-gray-700 hover:bg-gray-600 rounded-lg transition text-white"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleImport}
+            disabled={importing || !sourcePath || (unlockWith !== 'none' && !secret)}
+            className="flex-1 px-4 py-2 bg-green-600 hover:bg-green-500 rounded-lg transition text-white disabled:opacity-50"
+          >
+            {importing ? 'Importing...' : 'Import'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
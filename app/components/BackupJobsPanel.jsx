@@ -0,0 +1,353 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Calendar, Clock, FolderOpen, Play, Plus, RefreshCw, Trash2, AlertCircle, AlertTriangle, CheckCircle } from 'lucide-react';
+
+const SCHEDULE_OPTIONS = [
+  { value: 'hourly', label: 'Every hour' },
+  { value: 'daily', label: 'Every day (midnight)' },
+  { value: 'weekly', label: 'Every week (Sunday)' },
+  { value: 'custom', label: 'Custom (cron expression)' }
+];
+
+const DEFAULT_RETENTION = { hourly: 24, daily: 7, weekly: 4, monthly: 0 };
+
+/**
+ * BackupJobsPanel - UI component for scheduled backup jobs
+ * Features:
+ * - Create named jobs with a source path, schedule and retention policy
+ * - Enable, disable, run now and delete jobs
+ * - Show last run status and next scheduled run
+ */
+export default function BackupJobsPanel() {
+  const [jobs, setJobs] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [showCreateDialog, setShowCreateDialog] = useState(false);
+  const [runningJobId, setRunningJobId] = useState(null);
+
+  // Form states
+  const [jobName, setJobName] = useState('');
+  const [sourcePath, setSourcePath] = useState('');
+  const [scheduleType, setScheduleType] = useState('daily');
+  const [cronExpression, setCronExpression] = useState('0 2 * * *');
+  const [retention, setRetention] = useState(DEFAULT_RETENTION);
+  const [fullBackupEvery, setFullBackupEvery] = useState(7);
+
+  const loadJobs = useCallback(async () => {
+    setLoading(true);
+    try {
+      const result = await window.backupAPI.listJobs();
+      setJobs(result || []);
+    } catch (error) {
+      console.error('Failed to load backup jobs:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadJobs();
+  }, [loadJobs]);
+
+  const handleSelectSourcePath = useCallback(async () => {
+    try {
+      const result = await window.electron.invoke('dialog:openDirectory');
+      if (result && !result.canceled && result.filePaths.length > 0) {
+        setSourcePath(result.filePaths[0]);
+      }
+    } catch (error) {
+      console.error('Failed to select directory:', error);
+    }
+  }, []);
+
+  const handleCreateJob = useCallback(async () => {
+    const result = await window.backupAPI.createJob({
+      name: jobName,
+      sourcePath,
+      schedule: scheduleType === 'custom' ? cronExpression : scheduleType,
+      options: {
+        encrypt: true,
+        compress: true,
+        incremental: true,
+        fullBackupEvery
+      },
+      retention
+    });
+
+    if (!result.success) {
+      alert('Failed to create backup job: ' + result.error);
+      return;
+    }
+
+    setShowCreateDialog(false);
+    setJobName('');
+    setSourcePath('');
+    loadJobs();
+  }, [jobName, sourcePath, scheduleType, cronExpression, fullBackupEvery, retention, loadJobs]);
+
+  const handleToggleJob = useCallback(async (job) => {
+    const result = await window.backupAPI.updateJob(job.id, { enabled: !job.enabled });
+    if (!result.success) {
+      alert('Failed to update backup job: ' + result.error);
+    }
+    loadJobs();
+  }, [loadJobs]);
+
+  const handleRunJob = useCallback(async (job) => {
+    setRunningJobId(job.id);
+    try {
+      const result = await window.backupAPI.runJob(job.id);
+      if (result.success) {
+        const removed = result.retention?.deleted?.length || 0;
+        const incomplete = result.partial ? `\n\n⚠️ ${result.failedFiles.length} file(s) could not be backed up.` : '';
+        alert(`Backup job "${job.name}" completed.\nFiles backed up: ${result.filesBackedUp}\nOld backups removed: ${removed}${incomplete}`);
+      } else {
+        alert(`Backup job "${job.name}" failed: ${result.error}`);
+      }
+    } finally {
+      setRunningJobId(null);
+      loadJobs();
+    }
+  }, [loadJobs]);
+
+  const handleDeleteJob = useCallback(async (job) => {
+    const confirmed = window.confirm(
+      `Delete backup job "${job.name}"?\n\nBackups it already created are kept.`
+    );
+    if (!confirmed) return;
+
+    const result = await window.backupAPI.deleteJob(job.id);
+    if (!result.success) {
+      alert('Failed to delete backup job: ' + result.error);
+    }
+    loadJobs();
+  }, [loadJobs]);
+
+  const formatTime = (timestamp) => (timestamp ? new Date(timestamp).toLocaleString() : '—');
+
+  const formatRetention = (rules) => {
+    const parts = Object.entries(rules || {})
+      .filter(([, count]) => count > 0)
+      .map(([bucket, count]) => `${count} ${bucket}`);
+    return parts.length > 0 ? parts.join(', ') : 'Keep all';
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h2 className="text-2xl font-bold text-white">Scheduled Backups</h2>
+          <p className="text-gray-400 mt-1">Jobs run in the background and catch up on runs missed while FortiMorph was closed</p>
+        </div>
+        <div className="flex gap-3">
+          <button
+            onClick={loadJobs}
+            disabled={loading}
+            className="px-4 py-2 bg-[#003566] hover:bg-[#0077B6] text-white rounded-lg transition flex items-center gap-2 disabled:opacity-50"
+          >
+            <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+            Refresh
+          </button>
+          <button
+            onClick={() => setShowCreateDialog(true)}
+            className="px-6 py-2 bg-[#FFC300] hover:bg-[#FFD60A] text-[#001D3D] font-semibold rounded-lg transition flex items-center gap-2"
+          >
+            <Plus className="w-4 h-4" />
+            New Job
+          </button>
+        </div>
+      </div>
+
+      {jobs.length === 0 ? (
+        <div className="p-12 text-center text-gray-400 bg-[#003566] rounded-lg">
+          <Calendar className="w-12 h-12 mx-auto mb-3 opacity-50" />
+          No scheduled backup jobs yet
+        </div>
+      ) : (
+        <div className="bg-[#003566] rounded-lg divide-y divide-[#0077B6]">
+          {jobs.map((job) => (
+            <div key={job.id} className="p-6">
+              <div className="flex items-start justify-between">
+                <div className="flex-1">
+                  <div className="flex items-center gap-3 mb-2">
+                    <h3 className="text-xl font-semibold text-white">{job.name}</h3>
+                    {job.lastStatus === 'success' && <CheckCircle className="w-4 h-4 text-green-400" title="Last run succeeded" />}
+                    {job.lastStatus === 'partial' && <AlertTriangle className="w-4 h-4 text-yellow-400" title={job.lastError} />}
+                    {job.lastStatus === 'failed' && <AlertCircle className="w-4 h-4 text-red-400" title={job.lastError} />}
+                    {!job.enabled && <span className="text-xs px-2 py-0.5 bg-gray-700 text-gray-300 rounded">Paused</span>}
+                  </div>
+                  <div className="grid grid-cols-2 gap-4 text-sm text-gray-400 mt-3">
+                    <div>
+                      <span className="font-medium">Source:</span>{' '}
+                      <span className="text-gray-300">{job.sourcePath}</span>
+                    </div>
+                    <div>
+                      <span className="font-medium">Schedule:</span>{' '}
+                      <span className="text-gray-300">{job.schedule}</span>
+                    </div>
+                    <div>
+                      <span className="font-medium">Last run:</span>{' '}
+                      <span className="text-gray-300">{formatTime(job.lastRunAt)}</span>
+                    </div>
+                    <div>
+                      <span className="font-medium">Next run:</span>{' '}
+                      <span className="text-gray-300">{job.enabled ? formatTime(job.nextRunAt) : '—'}</span>
+                    </div>
+                    <div className="col-span-2">
+                      <span className="font-medium">Retention:</span>{' '}
+                      <span className="text-gray-300">{formatRetention(job.retention)}</span>
+                    </div>
+                    {job.lastStatus === 'failed' && job.lastError && (
+                      <div className="col-span-2 text-red-300">{job.lastError}</div>
+                    )}
+                    {job.lastStatus === 'partial' && job.lastError && (
+                      <div className="col-span-2 text-yellow-300">{job.lastError}</div>
+                    )}
+                  </div>
+                </div>
+
+                <div className="flex gap-2 ml-4">
+                  <button
+                    onClick={() => handleRunJob(job)}
+                    disabled={runningJobId !== null || job.running}
+                    className="px-4 py-2 bg-green-600 hover:bg-green-500 rounded-lg transition flex items-center gap-2 disabled:opacity-50"
+                    title="Run now"
+                  >
+                    <Play className="w-4 h-4" />
+                    {runningJobId === job.id ? 'Running...' : 'Run'}
+                  </button>
+                  <button
+                    onClick={() => handleToggleJob(job)}
+                    className="px-4 py-2 bg-blue-600 hover:bg-blue-500 rounded-lg transition flex items-center gap-2"
+                    title={job.enabled ? 'Pause schedule' : 'Resume schedule'}
+                  >
+                    <Clock className="w-4 h-4" />
+                    {job.enabled ? 'Pause' : 'Resume'}
+                  </button>
+                  <button
+                    onClick={() => handleDeleteJob(job)}
+                    className="px-4 py-2 bg-red-600 hover:bg-red-500 rounded-lg transition flex items-center gap-2"
+                    title="Delete job"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Create Job Dialog */}
+      {showCreateDialog && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-[#003566] border-2 border-[#0077B6] rounded-lg p-6 max-w-2xl w-full mx-4 max-h-[90vh] overflow-y-auto">
+            <h2 className="text-2xl font-bold mb-4 text-white">New Backup Job</h2>
+
+            <div className="space-y-4">
+              <div>
+                <label className="block text-sm font-medium mb-2 text-white">Job Name</label>
+                <input
+                  type="text"
+                  value={jobName}
+                  onChange={(e) => setJobName(e.target.value)}
+                  placeholder="Nightly Documents"
+                  className="w-full px-4 py-2 bg-[#001D3D] border-2 border-[#0077B6] text-white rounded-lg focus:border-[#FFC300] focus:outline-none transition"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium mb-2 text-white">Source Folder</label>
+                <div className="flex gap-2">
+                  <input
+                    type="text"
+                    value={sourcePath}
+                    readOnly
+                    placeholder="Select folder to back up"
+                    className="flex-1 px-4 py-2 bg-[#001D3D] border-2 border-[#0077B6] text-white rounded-lg cursor-not-allowed"
+                  />
+                  <button
+                    onClick={handleSelectSourcePath}
+                    className="px-4 py-2 bg-[#003566] hover:bg-[#0077B6] text-white rounded-lg transition flex items-center gap-2"
+                  >
+                    <FolderOpen className="w-4 h-4" />
+                    Browse
+                  </button>
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium mb-2 text-white">Schedule</label>
+                <select
+                  value={scheduleType}
+                  onChange={(e) => setScheduleType(e.target.value)}
+                  className="w-full px-4 py-2 bg-[#001D3D] border-2 border-[#0077B6] text-white rounded-lg focus:border-[#FFC300] focus:outline-none transition"
+                >
+                  {SCHEDULE_OPTIONS.map((option) => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+                {scheduleType === 'custom' && (
+                  <>
+                    <input
+                      type="text"
+                      value={cronExpression}
+                      onChange={(e) => setCronExpression(e.target.value)}
+                      placeholder="minute hour day month weekday"
+                      className="w-full mt-2 px-4 py-2 bg-[#001D3D] border-2 border-[#0077B6] text-white rounded-lg font-mono focus:border-[#FFC300] focus:outline-none transition"
+                    />
+                    <p className="text-xs text-gray-400 mt-1">Example: 0 2 * * 1-5 runs at 02:00 on weekdays</p>
+                  </>
+                )}
+              </div>
+
+              <div className="p-4 bg-gray-700 rounded-lg">
+                <h3 className="font-medium mb-2">Retention</h3>
+                <p className="text-xs text-gray-400 mb-3">Keep the newest backup of each of the last N hours, days, weeks and months. 0 disables a rule.</p>
+                <div className="grid grid-cols-4 gap-3">
+                  {Object.keys(DEFAULT_RETENTION).map((bucket) => (
+                    <label key={bucket} className="text-sm">
+                      <span className="block capitalize mb-1">{bucket}</span>
+                      <input
+                        type="number"
+                        min="0"
+                        value={retention[bucket]}
+                        onChange={(e) => setRetention({ ...retention, [bucket]: Math.max(0, parseInt(e.target.value, 10) || 0) })}
+                        className="w-full px-2 py-1 bg-[#001D3D] border border-[#0077B6] text-white rounded"
+                      />
+                    </label>
+                  ))}
+                </div>
+                <label className="block text-sm mt-3">
+                  <span className="block mb-1">Start a new full backup every N runs</span>
+                  <input
+                    type="number"
+                    min="0"
+                    value={fullBackupEvery}
+                    onChange={(e) => setFullBackupEvery(Math.max(0, parseInt(e.target.value, 10) || 0))}
+                    className="w-32 px-2 py-1 bg-[#001D3D] border border-[#0077B6] text-white rounded"
+                  />
+                  <span className="block text-xs text-gray-400 mt-1">Old incremental chains can only be removed once a newer full backup exists.</span>
+                </label>
+              </div>
+            </div>
+
+            <div className="flex gap-3 mt-6">
+              <button
+                onClick={() => setShowCreateDialog(false)}
+                className="flex-1 px-4 py-2 bg-gray-700 hover:bg-gray-600 rounded-lg transition"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleCreateJob}
+                disabled={!jobName || !sourcePath}
+                className="flex-1 px-4 py-2 bg-blue-600 hover:bg-blue-500 rounded-lg transition disabled:opacity-50"
+              >
+                Create Job
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
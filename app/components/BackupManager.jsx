@@ -1,14 +1,23 @@
 import { useState, useEffect, useMemo, useCallback, memo } from 'react';
-import { FolderOpen, Save, RefreshCw, Trash2, CheckCircle, AlertCircle, Download, HardDrive, Lock, Unlock, QrCode, Copy } from 'lucide-react';
+import { FolderOpen, Save, RefreshCw, Trash2, CheckCircle, AlertCircle, Download, HardDrive, Lock, Unlock, QrCode, Copy, Calendar, Cloud, FileSearch, History, KeyRound, PackageOpen, Upload, ShieldCheck, Wrench, Pause, Play, XCircle } from 'lucide-react';
 import TokenConfigModal from './TokenConfigModal';
 import BackupRecoveryKeyModal from './BackupRecoveryKeyModal'; // OPTION B: Simplified modal
 import DeletedFilesManager from './DeletedFilesManager';
 import DuplicateFilesManager from './DuplicateFilesManager';
+import BackupJobsPanel from './BackupJobsPanel';
+import BackupDestinationsPanel from './BackupDestinationsPanel';
+import FileHistoryPanel from './FileHistoryPanel';
+import BackupRecoveryPanel from './BackupRecoveryPanel';
+import BackupBrowserModal from './BackupBrowserModal';
+import BackupImportModal from './BackupImportModal';
 
 /**
  * Memoized BackupItem component to prevent unnecessary re-renders
  */
-const BackupItem = memo(({ backup, onRestore, onVerify, onDelete, onGenerateToken, formatBytes, formatDate, verifyInProgress }) => {
+const BackupItem = memo(({ backup, onRestore, onBrowse, onExport, onVerify, onRepair, onDelete, onGenerateToken, formatBytes, formatDate, verifyInProgress }) => {
+  const verifyResult = backup.verify_result ? JSON.parse(backup.verify_result) : null;
+  const lastVerified = backup.verified_at ? new Date(backup.verified_at).toLocaleString() : null;
+
   return (
     <div className="p-6 hover:bg-gray-750 transition">
       <div className="flex items-start justify-between">
@@ -18,6 +27,30 @@ const BackupItem = memo(({ backup, onRestore, onVerify, onDelete, onGenerateToke
             {backup.encrypted === 1 && (
               <Lock className="w-4 h-4 text-green-400" title="Encrypted" />
             )}
+            {backup.verify_status === 'ok' && (
+              <span className="flex items-center gap-1 text-xs text-green-400" title={`Last verified ${lastVerified}`}>
+                <ShieldCheck className="w-4 h-4" />
+                Verified
+              </span>
+            )}
+            {backup.verify_status === 'corrupt' && (
+              <span className="flex items-center gap-1 text-xs text-red-400" title={`Found on ${lastVerified}`}>
+                <AlertCircle className="w-4 h-4" />
+                {verifyResult.damaged.length} damaged file(s)
+              </span>
+            )}
+            {backup.verify_status === 'incomplete' && (
+              <span className="flex items-center gap-1 text-xs text-yellow-400" title={`Last verified ${lastVerified}`}>
+                <AlertCircle className="w-4 h-4" />
+                {verifyResult.filesSkipped} file(s) not backed up
+              </span>
+            )}
+            {backup.verify_status === 'error' && (
+              <span className="flex items-center gap-1 text-xs text-yellow-400" title={verifyResult?.error}>
+                <AlertCircle className="w-4 h-4" />
+                Could not verify
+              </span>
+            )}
           </div>
           
           <div className="grid grid-cols-2 gap-4 text-sm text-gray-400 mt-3">
@@ -49,6 +82,22 @@ const BackupItem = memo(({ backup, onRestore, onVerify, onDelete, onGenerateToke
             <Download className="w-4 h-4" />
             Restore
           </button>
+          <button
+            onClick={() => onBrowse(backup)}
+            className="px-4 py-2 bg-[#0077B6] hover:bg-[#0096C7] rounded-lg transition flex items-center gap-2"
+            title="Browse files and restore selected ones or older versions"
+          >
+            <FileSearch className="w-4 h-4" />
+            Browse
+          </button>
+          <button
+            onClick={() => onExport(backup)}
+            className="px-4 py-2 bg-[#003566] hover:bg-[#0077B6] rounded-lg transition flex items-center gap-2"
+            title="Export as a .fortibackup archive to restore or import on another machine"
+          >
+            <Upload className="w-4 h-4" />
+            Export
+          </button>
           <button
             onClick={() => onVerify(backup)}
             disabled={verifyInProgress}
@@ -58,6 +107,17 @@ const BackupItem = memo(({ backup, onRestore, onVerify, onDelete, onGenerateToke
             <CheckCircle className="w-4 h-4" />
             Verify
           </button>
+          {backup.verify_status === 'corrupt' && verifyResult.repairable > 0 && (
+            <button
+              onClick={() => onRepair(backup)}
+              disabled={verifyInProgress}
+              className="px-4 py-2 bg-[#FFC300] hover:bg-[#FFD60A] text-[#001D3D] font-semibold rounded-lg transition flex items-center gap-2 disabled:opacity-50"
+              title="Repair damaged files from copies held by other backups"
+            >
+              <Wrench className="w-4 h-4" />
+              Repair
+            </button>
+          )}
           {/* 
             OPTION A (Current): Uses TokenConfigModal - Full featured but complex
             OPTION B (Alternative): Uses BackupRecoveryKeyModal - Simpler, more user-friendly
@@ -104,7 +164,7 @@ BackupItem.displayName = 'BackupItem';
  */
 export default function BackupManager() {
   // Tab state
-  const [activeTab, setActiveTab] = useState('backups'); // 'backups', 'deleted', 'duplicates'
+  const [activeTab, setActiveTab] = useState('backups'); // 'backups', 'jobs', 'destinations', 'history', 'recovery', 'deleted', 'duplicates'
   
   const [backups, setBackups] = useState([]);
   const [loading, setLoading] = useState(false);
@@ -112,6 +172,8 @@ export default function BackupManager() {
   const [restoreInProgress, setRestoreInProgress] = useState(false);
   const [verifyInProgress, setVerifyInProgress] = useState(false);
   const [progress, setProgress] = useState(null);
+  const [backupRunId, setBackupRunId] = useState(null);
+  const [backupRuns, setBackupRuns] = useState([]);
   const [selectedBackup, setSelectedBackup] = useState(null);
   const [showCreateDialog, setShowCreateDialog] = useState(false);
   const [showRestoreDialog, setShowRestoreDialog] = useState(false);
@@ -131,19 +193,90 @@ export default function BackupManager() {
 
   // Form states
   const [backupName, setBackupName] = useState('');
-  const [sourcePath, setSourcePath] = useState('');
+  const [sourcePaths, setSourcePaths] = useState([]);
   const [restorePath, setRestorePath] = useState('');
+  const [rootTargets, setRootTargets] = useState({});
+  const [browsedBackup, setBrowsedBackup] = useState(null);
+  const [showImportDialog, setShowImportDialog] = useState(false);
   const [encryptBackup, setEncryptBackup] = useState(true);
   const [compressBackup, setCompressBackup] = useState(true);
   const [incrementalBackup, setIncrementalBackup] = useState(true);
+  const [changeDetection, setChangeDetection] = useState('metadata');
+  const [includePatterns, setIncludePatterns] = useState('');
+  const [excludePatterns, setExcludePatterns] = useState('');
+  const [useIgnoreFile, setUseIgnoreFile] = useState(true);
+  const [destinations, setDestinations] = useState([]);
+  const [destinationIds, setDestinationIds] = useState([]);
   const [conflictStrategy, setConflictStrategy] = useState('rename');
 
   // Load backups on mount
   useEffect(() => {
     loadBackups();
+    loadBackupRuns();
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []); // Only run once on mount
 
+  // Backups run in the background and report progress and their result as events
+  useEffect(() => {
+    window.backupAPI.onProgress((update) => {
+      if (update.phase === 'complete') {
+        const failedCopies = (update.destinations || []).filter((copy) => !copy.success);
+        const failedFiles = update.failedFiles || [];
+        let message = failedFiles.length > 0
+          ? `⚠️ Backup created, but ${failedFiles.length} file(s) could not be backed up.\nFiles backed up: ${update.filesBackedUp}\nTotal size: ${formatBytes(update.totalSize)}`
+          : `Backup created successfully!\nFiles backed up: ${update.filesBackedUp}\nTotal size: ${formatBytes(update.totalSize)}`;
+        if (failedFiles.length > 0) {
+          message += `\n\n${failedFiles.slice(0, 5).map((file) => `${file.relativePath}: ${file.error}`).join('\n')}`;
+          if (failedFiles.length > 5) {
+            message += `\n...and ${failedFiles.length - 5} more`;
+          }
+        }
+        if (update.destinations && update.destinations.length > 0) {
+          message += `\nCopied to ${update.destinations.length - failedCopies.length} of ${update.destinations.length} destination(s)`;
+        }
+        if (failedCopies.length > 0) {
+          message += `\n\n⚠️ Some copies failed and will be retried next time FortiMorph starts:\n${failedCopies.map((copy) => copy.error).join('\n')}`;
+        }
+        alert(message);
+        loadBackups();
+      } else if (update.phase === 'error') {
+        alert('Backup failed: ' + update.error + (update.resumable ? '\n\nYou can resume it once the problem is fixed.' : ''));
+      }
+
+      if (['complete', 'error', 'cancelled'].includes(update.phase)) {
+        setBackupInProgress(false);
+        setBackupRunId(null);
+        setProgress(null);
+        loadBackupRuns();
+      } else {
+        setBackupRunId(update.runId);
+        setProgress(update);
+      }
+    });
+
+    return () => window.backupAPI.removeProgressListener();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  const loadBackupRuns = useCallback(async () => {
+    const result = await window.backupAPI.runs();
+    if (result.success) {
+      setBackupRuns(result.runs);
+    }
+  }, []);
+
+  const handleBackupRunAction = useCallback(async (action, runId) => {
+    if (action === 'cancel' && !window.confirm('Cancel this backup? Files backed up so far are discarded.')) {
+      return;
+    }
+
+    const result = await window.backupAPI[action](runId);
+    if (!result.success) {
+      alert(`Failed to ${action} backup: ${result.error}`);
+    }
+    loadBackupRuns();
+  }, [loadBackupRuns]);
+
   const loadBackups = useCallback(async () => {
     setLoading(true);
     try {
@@ -157,14 +290,27 @@ export default function BackupManager() {
     }
   }, []);
 
+  // Destinations offered in the create dialog
+  useEffect(() => {
+    if (!showCreateDialog) return;
+    window.backupAPI.listDestinations()
+      .then((result) => setDestinations((result || []).filter((destination) => destination.enabled)))
+      .catch((error) => console.error('Failed to load backup destinations:', error));
+  }, [showCreateDialog]);
+
+  const handleToggleDestination = useCallback((destinationId) => {
+    setDestinationIds((prev) => (
+      prev.includes(destinationId) ? prev.filter((id) => id !== destinationId) : [...prev, destinationId]
+    ));
+  }, []);
+
   const handleSelectSourcePath = useCallback(async () => {
     try {
       // Use new API that supports both files and folders
       const result = await window.electron.selectFileOrFolder();
       if (result && !result.canceled && result.filePaths.length > 0) {
-        // Support multiple selections: join paths with semicolon
-        const selectedPaths = result.filePaths.join(';');
-        setSourcePath(selectedPaths);
+        // Several selections become the roots of one backup set
+        setSourcePaths(result.filePaths);
       }
     } catch (error) {
       console.error('Failed to select files/folders:', error);
@@ -182,8 +328,33 @@ export default function BackupManager() {
     }
   }, []);
 
+  // One glob per line; blank lines are ignored
+  const parsePatterns = (text) => text.split('\n').map((line) => line.trim()).filter(Boolean);
+
+  // Roots of a multi-root backup set; single-folder backups have none to map
+  const getBackupRoots = (backup) => {
+    try {
+      const roots = JSON.parse(backup.manifest || '{}').roots || [];
+      return roots.length > 1 ? roots : [];
+    } catch (error) {
+      console.warn('Could not read backup manifest:', error);
+      return [];
+    }
+  };
+
+  const handleSelectRootTarget = useCallback(async (label) => {
+    try {
+      const result = await window.electron.invoke('dialog:openDirectory');
+      if (result && !result.canceled && result.filePaths.length > 0) {
+        setRootTargets((prev) => ({ ...prev, [label]: result.filePaths[0] }));
+      }
+    } catch (error) {
+      console.error('Failed to select directory:', error);
+    }
+  }, []);
+
   const handleCreateBackup = useCallback(async () => {
-    if (!backupName || !sourcePath) {
+    if (!backupName || sourcePaths.length === 0) {
       alert('Please provide a backup name and select a source directory');
       return;
     }
@@ -194,38 +365,49 @@ export default function BackupManager() {
     try {
       const result = await window.backupAPI.create({
         name: backupName,
-        sourcePath,
+        sourcePath: sourcePaths,
         options: {
           encrypt: encryptBackup,
           compress: compressBackup,
-          incremental: incrementalBackup
+          incremental: incrementalBackup,
+          changeDetection,
+          include: parsePatterns(includePatterns),
+          exclude: parsePatterns(excludePatterns),
+          useIgnoreFile,
+          destinationIds
         }
       });
 
+      // The backup keeps running in the background - the progress listener reports the result
       if (result.success) {
-        alert(`Backup created successfully!\nFiles backed up: ${result.filesBackedUp}\nTotal size: ${formatBytes(result.totalSize)}`);
+        setBackupRunId(result.runId);
         setShowCreateDialog(false);
         setBackupName('');
-        setSourcePath('');
-        loadBackups();
+        setSourcePaths([]);
+      } else {
+        throw new Error(result.error);
       }
     } catch (error) {
       console.error('Backup failed:', error);
       alert('Backup failed: ' + error.message);
-    } finally {
       setBackupInProgress(false);
       setProgress(null);
     }
-  }, [backupName, sourcePath, encryptBackup, compressBackup, incrementalBackup, loadBackups]);
+  }, [backupName, sourcePaths, encryptBackup, compressBackup, incrementalBackup, changeDetection, includePatterns, excludePatterns, useIgnoreFile, destinationIds]);
 
   const handleRestoreBackup = useCallback(async () => {
-    if (!selectedBackup || !restorePath) {
+    const roots = selectedBackup ? getBackupRoots(selectedBackup) : [];
+    const allRootsMapped = roots.length > 0 && roots.every((root) => rootTargets[root.label]);
+    if (!selectedBackup || (!restorePath && !allRootsMapped)) {
       alert('Please select a backup and a restore location');
       return;
     }
 
+    const destinations = roots.length > 0
+      ? roots.map((root) => `${root.label}: ${rootTargets[root.label] || `${restorePath}/${root.label}`}`).join('\n')
+      : restorePath;
     const confirmed = window.confirm(
-      `Are you sure you want to restore this backup to:\n${restorePath}\n\nConflict strategy: ${conflictStrategy}`
+      `Are you sure you want to restore this backup to:\n${destinations}\n\nConflict strategy: ${conflictStrategy}`
     );
 
     if (!confirmed) return;
@@ -236,10 +418,11 @@ export default function BackupManager() {
     try {
       const result = await window.backupAPI.restore({
         backupId: selectedBackup.id,
-        targetPath: restorePath,
+        targetPath: restorePath || null,
         options: {
           verify: true,
-          conflictStrategy
+          conflictStrategy,
+          rootTargets
         }
       });
 
@@ -268,7 +451,7 @@ export default function BackupManager() {
           alert(errorMessage);
         } else {
           // Success case
-          let message = `✅ Restore completed successfully!\n\nFiles restored: ${result.filesRestored}\nRestore location: ${restorePath}`;
+          let message = `✅ Restore completed successfully!\n\nFiles restored: ${result.filesRestored}\nRestore location: ${destinations}`;
           
           if (skipped > 0) {
             message += `\n\n⏭️ Skipped: ${skipped} files (already exist)`;
@@ -293,6 +476,7 @@ export default function BackupManager() {
       setShowRestoreDialog(false);
       setSelectedBackup(null);
       setRestorePath('');
+      setRootTargets({});
       loadBackups(); // Refresh the backup list
     } catch (error) {
       console.error('Restore failed:', error);
@@ -301,11 +485,12 @@ export default function BackupManager() {
       setShowRestoreDialog(false);
       setSelectedBackup(null);
       setRestorePath('');
+      setRootTargets({});
     } finally {
       setRestoreInProgress(false);
       setProgress(null);
     }
-  }, [selectedBackup, restorePath, conflictStrategy, loadBackups]);
+  }, [selectedBackup, restorePath, rootTargets, conflictStrategy, loadBackups]);
 
   const handleVerifyBackup = useCallback(async (backup) => {
     setBackupToVerify(backup);
@@ -338,6 +523,7 @@ export default function BackupManager() {
         `Valid: ${result.filesValid}\n` +
         `Invalid: ${result.filesInvalid}\n` +
         `Missing: ${result.filesMissing}` +
+        (result.filesSkipped > 0 ? `\nNot backed up: ${result.filesSkipped} (failed when the backup was created)` : '') +
         virusScanSummary
       );
     } catch (error) {
@@ -346,8 +532,38 @@ export default function BackupManager() {
     } finally {
       setVerifyInProgress(false);
       setBackupToVerify(null);
+      loadBackups();
     }
-  }, [backupToVerify]);
+  }, [backupToVerify, loadBackups]);
+
+  const handleRepairBackup = useCallback(async (backup) => {
+    const { damaged } = JSON.parse(backup.verify_result);
+    const sources = damaged
+      .filter((detail) => detail.repairable)
+      .map((detail) => `${detail.file} ← ${detail.repairFrom.backupName}`);
+    const confirmed = window.confirm(
+      `Repair ${sources.length} damaged file(s) in "${backup.name}" from other backups?\n\n${sources.slice(0, 10).join('\n')}`
+    );
+    if (!confirmed) return;
+
+    setVerifyInProgress(true);
+    try {
+      const result = await window.backupAPI.repair(backup.id);
+      let message = result.success ? '✅ Backup repaired' : '⚠️ Backup is still damaged';
+      if (result.repaired) message += `\n\nRepaired: ${result.repaired.length}`;
+      if (result.failed && result.failed.length > 0) {
+        message += `\nFailed: ${result.failed.map((entry) => `${entry.file} (${entry.error})`).join(', ')}`;
+      }
+      if (result.error) message += `\n\n${result.error}`;
+      alert(message);
+    } catch (error) {
+      console.error('Repair failed:', error);
+      alert('Repair failed: ' + error.message);
+    } finally {
+      setVerifyInProgress(false);
+      loadBackups();
+    }
+  }, [loadBackups]);
 
   const handleOpenFolder = useCallback(async () => {
     try {
@@ -361,6 +577,22 @@ export default function BackupManager() {
     }
   }, []);
 
+  const handleExportBackup = useCallback(async (backup) => {
+    try {
+      const result = await window.backupAPI.exportBackup(backup.id);
+      if (result.success) {
+        let message = `✅ Exported ${result.backups} backup(s) to:\n${result.archivePath}`;
+        if (result.warning) message += `\n\n⚠️ ${result.warning}`;
+        alert(message);
+      } else if (!result.canceled) {
+        alert(`❌ Export failed: ${result.error}`);
+      }
+    } catch (error) {
+      console.error('Export failed:', error);
+      alert('Export failed: ' + error.message);
+    }
+  }, []);
+
   const handleDeleteBackup = useCallback(async (backup) => {
     const confirmed = window.confirm(
       `Are you sure you want to delete this backup?\n\nName: ${backup.name}\nThis action cannot be undone.`
@@ -369,7 +601,27 @@ export default function BackupManager() {
     if (!confirmed) return;
 
     try {
-      await window.backupAPI.delete(backup.id);
+      const result = await window.backupAPI.delete(backup.id);
+      if (result && result.success === false) {
+        if (result.dependents && result.dependents.length > 0) {
+          const merge = window.confirm(
+            `${result.error}\n\nMerge the newest backup of this chain into a standalone full backup and remove the old links?`
+          );
+          if (merge) {
+            const synthResult = await window.backupAPI.synthesize({
+              backupId: result.chainTip,
+              options: { prune: true }
+            });
+            if (!synthResult.success) {
+              throw new Error(synthResult.error);
+            }
+            alert(`Synthetic full backup created.\nLinks pruned: ${synthResult.pruned.length}`);
+            loadBackups();
+          }
+          return;
+        }
+        throw new Error(result.error);
+      }
       alert('Backup deleted successfully');
       loadBackups();
     } catch (error) {
@@ -429,6 +681,10 @@ export default function BackupManager() {
     setShowRestoreDialog(true);
   }, []);
 
+  const restoreRoots = selectedBackup ? getBackupRoots(selectedBackup) : [];
+  const restoreTargetReady = Boolean(restorePath) ||
+    (restoreRoots.length > 0 && restoreRoots.every((root) => rootTargets[root.label]));
+
   return (
     <div className="space-y-6">
       <div className="max-w-7xl mx-auto">
@@ -454,6 +710,50 @@ export default function BackupManager() {
             <HardDrive className="w-5 h-5" />
             Backups
           </button>
+          <button
+            onClick={() => setActiveTab('jobs')}
+            className={`px-6 py-3 font-medium transition flex items-center gap-2 ${
+              activeTab === 'jobs'
+                ? 'text-[#FFC300] border-b-2 border-[#FFC300]'
+                : 'text-gray-400 hover:text-white'
+            }`}
+          >
+            <Calendar className="w-5 h-5" />
+            Scheduled
+          </button>
+          <button
+            onClick={() => setActiveTab('destinations')}
+            className={`px-6 py-3 font-medium transition flex items-center gap-2 ${
+              activeTab === 'destinations'
+                ? 'text-[#FFC300] border-b-2 border-[#FFC300]'
+                : 'text-gray-400 hover:text-white'
+            }`}
+          >
+            <Cloud className="w-5 h-5" />
+            Destinations
+          </button>
+          <button
+            onClick={() => setActiveTab('history')}
+            className={`px-6 py-3 font-medium transition flex items-center gap-2 ${
+              activeTab === 'history'
+                ? 'text-[#FFC300] border-b-2 border-[#FFC300]'
+                : 'text-gray-400 hover:text-white'
+            }`}
+          >
+            <History className="w-5 h-5" />
+            File History
+          </button>
+          <button
+            onClick={() => setActiveTab('recovery')}
+            className={`px-6 py-3 font-medium transition flex items-center gap-2 ${
+              activeTab === 'recovery'
+                ? 'text-[#FFC300] border-b-2 border-[#FFC300]'
+                : 'text-gray-400 hover:text-white'
+            }`}
+          >
+            <KeyRound className="w-5 h-5" />
+            Recovery
+          </button>
           <button
             onClick={() => setActiveTab('deleted')}
             className={`px-6 py-3 font-medium transition flex items-center gap-2 ${
@@ -496,6 +796,14 @@ export default function BackupManager() {
                   <FolderOpen className="w-4 h-4" />
                   Open Folder
                 </button>
+                <button
+                  onClick={() => setShowImportDialog(true)}
+                  className="px-4 py-2 bg-[#003566] hover:bg-[#0077B6] text-white rounded-lg transition flex items-center gap-2"
+                  title="Import a backup exported on another machine"
+                >
+                  <PackageOpen className="w-4 h-4" />
+                  Import
+                </button>
                 <button
                   onClick={loadBackups}
                   disabled={loading}
@@ -515,12 +823,73 @@ export default function BackupManager() {
               </div>
             </div>
 
+        {/* Interrupted and background backups */}
+        {backupRuns.filter((run) => run.runId !== backupRunId).map((run) => (
+          <div key={run.runId} className="mb-4 p-4 bg-[#003566] border-2 border-[#FFC300] rounded-lg flex items-center justify-between">
+            <div className="text-sm text-gray-300">
+              <span className="font-medium text-white">{run.name}</span>
+              {' '}is {run.state} · {run.processed} file(s) done
+              {run.total ? ` of ${run.total}` : ''}
+            </div>
+            <div className="flex gap-2">
+              {run.state !== 'running' && (
+                <button
+                  onClick={() => handleBackupRunAction('resume', run.runId)}
+                  className="px-3 py-1 bg-green-600 hover:bg-green-500 rounded transition text-sm flex items-center gap-1"
+                >
+                  <Play className="w-4 h-4" />
+                  Resume
+                </button>
+              )}
+              <button
+                onClick={() => handleBackupRunAction('cancel', run.runId)}
+                className="px-3 py-1 bg-red-600 hover:bg-red-500 rounded transition text-sm flex items-center gap-1"
+              >
+                <XCircle className="w-4 h-4" />
+                {run.state === 'interrupted' ? 'Discard' : 'Cancel'}
+              </button>
+            </div>
+          </div>
+        ))}
+
         {/* Progress Display */}
         {progress && (
           <div className="mb-6 p-4 bg-[#003566] border-2 border-[#0077B6] rounded-lg">
             <div className="flex items-center gap-3 mb-2">
-              <RefreshCw className="w-5 h-5 animate-spin text-[#FFC300]" />
-              <span className="font-medium text-white">{progress.phase}</span>
+              {progress.phase === 'paused' ? (
+                <Pause className="w-5 h-5 text-[#FFC300]" />
+              ) : (
+                <RefreshCw className="w-5 h-5 animate-spin text-[#FFC300]" />
+              )}
+              <span className="font-medium text-white flex-1">{progress.phase}</span>
+              {backupRunId && progress.runId === backupRunId && (
+                <div className="flex gap-2">
+                  {progress.phase === 'paused' ? (
+                    <button
+                      onClick={() => handleBackupRunAction('resume', backupRunId)}
+                      className="px-3 py-1 bg-green-600 hover:bg-green-500 rounded transition text-sm flex items-center gap-1"
+                    >
+                      <Play className="w-4 h-4" />
+                      Resume
+                    </button>
+                  ) : (
+                    <button
+                      onClick={() => handleBackupRunAction('pause', backupRunId)}
+                      className="px-3 py-1 bg-[#0077B6] hover:bg-[#0096C7] rounded transition text-sm flex items-center gap-1"
+                    >
+                      <Pause className="w-4 h-4" />
+                      Pause
+                    </button>
+                  )}
+                  <button
+                    onClick={() => handleBackupRunAction('cancel', backupRunId)}
+                    className="px-3 py-1 bg-red-600 hover:bg-red-500 rounded transition text-sm flex items-center gap-1"
+                  >
+                    <XCircle className="w-4 h-4" />
+                    Cancel
+                  </button>
+                </div>
+              )}
             </div>
             {progress.currentFile && (
               <div className="text-sm text-slate-400">
@@ -564,7 +933,7 @@ export default function BackupManager() {
                   <div className="flex gap-2">
                     <input
                       type="text"
-                      value={sourcePath}
+                      value={sourcePaths.join('; ')}
                       readOnly
                       placeholder="Select files or folders to backup"
                       className="flex-1 px-4 py-2 bg-[#001D3D] border-2 border-[#0077B6] text-white rounded-lg cursor-not-allowed"
@@ -630,7 +999,77 @@ export default function BackupManager() {
                       <p className="text-xs text-gray-400 mt-1">Much faster backups after the first one. Only backs up new or modified files.</p>
                     </div>
                   </label>
+
+                  {incrementalBackup && (
+                    <div className="pl-8">
+                      <label className="block text-sm font-medium mb-2">Change detection</label>
+                      <select
+                        value={changeDetection}
+                        onChange={(e) => setChangeDetection(e.target.value)}
+                        className="w-full px-4 py-2 bg-[#001D3D] border-2 border-[#0077B6] text-white rounded-lg focus:border-[#FFC300] focus:outline-none transition"
+                      >
+                        <option value="metadata">Size and modified time (fastest)</option>
+                        <option value="hash">Content hash when size matches</option>
+                        <option value="paranoid">Hash every file (slowest, safest)</option>
+                      </select>
+                      <p className="text-xs text-gray-400 mt-1">Hash modes catch files rewritten with the same size or with preserved timestamps.</p>
+                    </div>
+                  )}
+                </div>
+
+                {/* Filters */}
+                <div className="space-y-3 p-4 bg-gray-700 rounded-lg">
+                  <h3 className="font-medium mb-2">Filters</h3>
+                  <div>
+                    <label className="block text-sm font-medium mb-2">Include patterns</label>
+                    <textarea
+                      value={includePatterns}
+                      onChange={(e) => setIncludePatterns(e.target.value)}
+                      placeholder={'Everything when empty, e.g.\nDocuments/**\n**/*.docx'}
+                      rows={2}
+                      className="w-full px-4 py-2 bg-[#001D3D] border-2 border-[#0077B6] text-white rounded-lg focus:border-[#FFC300] focus:outline-none transition font-mono text-sm"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium mb-2">Exclude patterns</label>
+                    <textarea
+                      value={excludePatterns}
+                      onChange={(e) => setExcludePatterns(e.target.value)}
+                      placeholder={'**/node_modules/**\n**/*.tmp'}
+                      rows={2}
+                      className="w-full px-4 py-2 bg-[#001D3D] border-2 border-[#0077B6] text-white rounded-lg focus:border-[#FFC300] focus:outline-none transition font-mono text-sm"
+                    />
+                    <p className="text-xs text-gray-400 mt-1">One glob per line, relative to the source folder.</p>
+                  </div>
+                  <label className="flex items-center gap-3 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={useIgnoreFile}
+                      onChange={(e) => setUseIgnoreFile(e.target.checked)}
+                      className="w-5 h-5"
+                    />
+                    <span className="text-sm">Apply .fortiignore from the source folder</span>
+                  </label>
                 </div>
+
+                {/* Destinations */}
+                {destinations.length > 0 && (
+                  <div className="space-y-2 p-4 bg-gray-700 rounded-lg">
+                    <h3 className="font-medium mb-2">Also copy to</h3>
+                    {destinations.map((destination) => (
+                      <label key={destination.id} className="flex items-center gap-3 cursor-pointer">
+                        <input
+                          type="checkbox"
+                          checked={destinationIds.includes(destination.id)}
+                          onChange={() => handleToggleDestination(destination.id)}
+                          className="w-5 h-5"
+                        />
+                        <Cloud className="w-4 h-4" />
+                        <span className="text-sm">{destination.name}</span>
+                      </label>
+                    ))}
+                  </div>
+                )}
               </div>
 
               <div className="flex gap-3 mt-6">
@@ -643,7 +1082,7 @@ export default function BackupManager() {
                 </button>
                 <button
                   onClick={handleCreateBackup}
-                  disabled={backupInProgress || !backupName || !sourcePath}
+                  disabled={backupInProgress || !backupName || sourcePaths.length === 0}
                   className="flex-1 px-4 py-2 bg-blue-600 hover:bg-blue-500 rounded-lg transition disabled:opacity-50"
                 >
                   {backupInProgress ? 'Creating...' : 'Create Backup'}
@@ -688,6 +1127,34 @@ export default function BackupManager() {
                   </div>
                 </div>
 
+                {/* Per-root targets for multi-root backup sets */}
+                {restoreRoots.length > 0 && (
+                  <div>
+                    <label className="block text-sm font-medium mb-2">Root Locations</label>
+                    <p className="text-xs text-gray-400 mb-2">Roots without their own location are restored into a subfolder of the restore location</p>
+                    <div className="space-y-2">
+                      {restoreRoots.map((root) => (
+                        <div key={root.label} className="flex gap-2 items-center">
+                          <div className="w-32 text-sm font-medium truncate" title={root.path}>{root.label}</div>
+                          <input
+                            type="text"
+                            value={rootTargets[root.label] || ''}
+                            readOnly
+                            placeholder={root.path}
+                            className="flex-1 px-4 py-2 bg-gray-700 border border-gray-600 rounded-lg text-sm"
+                          />
+                          <button
+                            onClick={() => handleSelectRootTarget(root.label)}
+                            className="px-3 py-2 bg-gray-700 hover:bg-gray-600 rounded-lg transition"
+                          >
+                            <FolderOpen className="w-4 h-4" />
+                          </button>
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                )}
+
                 {/* Conflict Strategy */}
                 <div>
                   <label className="block text-sm font-medium mb-2">If file exists</label>
@@ -723,6 +1190,7 @@ export default function BackupManager() {
                   onClick={() => {
                     setShowRestoreDialog(false);
                     setSelectedBackup(null);
+                    setRootTargets({});
                   }}
                   disabled={restoreInProgress}
                   className="flex-1 px-4 py-2 bg-gray-700 hover:bg-gray-600 rounded-lg transition disabled:opacity-50"
@@ -731,7 +1199,7 @@ export default function BackupManager() {
                 </button>
                 <button
                   onClick={handleRestoreBackup}
-                  disabled={restoreInProgress || !restorePath}
+                  disabled={restoreInProgress || !restoreTargetReady}
                   className="flex-1 px-4 py-2 bg-green-600 hover:bg-green-500 rounded-lg transition disabled:opacity-50"
                 >
                   {restoreInProgress ? 'Restoring...' : 'Restore Backup'}
@@ -761,7 +1229,10 @@ export default function BackupManager() {
                   key={backup.id}
                   backup={backup}
                   onRestore={handleRestoreClick}
+                  onBrowse={setBrowsedBackup}
+                  onExport={handleExportBackup}
                   onVerify={handleVerifyBackup}
+                  onRepair={handleRepairBackup}
                   onDelete={handleDeleteBackup}
                   onGenerateToken={handleGenerateToken}
                   formatBytes={formatBytes}
@@ -863,6 +1334,25 @@ export default function BackupManager() {
           </>
         )}
 
+        {/* Scheduled Jobs Tab */}
+        {activeTab === 'jobs' && (
+          <BackupJobsPanel />
+        )}
+
+        {activeTab === 'destinations' && (
+          <BackupDestinationsPanel />
+        )}
+
+        {/* File History Tab */}
+        {activeTab === 'history' && (
+          <FileHistoryPanel />
+        )}
+
+        {/* Recovery Tab */}
+        {activeTab === 'recovery' && (
+          <BackupRecoveryPanel />
+        )}
+
         {/* Deleted Files Tab */}
         {activeTab === 'deleted' && (
           <DeletedFilesManager />
@@ -951,6 +1441,21 @@ export default function BackupManager() {
         />
       )}
       
+      {/* Browse / selective restore */}
+      {browsedBackup && (
+        <BackupBrowserModal
+          backup={browsedBackup}
+          onClose={() => setBrowsedBackup(null)}
+        />
+      )}
+
+      {showImportDialog && (
+        <BackupImportModal
+          onClose={() => setShowImportDialog(false)}
+          onImported={loadBackups}
+        />
+      )}
+
       {/* Token Configuration Modal */}
       <TokenConfigModal
         isOpen={showTokenModal}
@@ -0,0 +1,278 @@
+import { useState, useEffect, useCallback } from 'react';
+import { KeyRound, FolderOpen, Copy, ShieldCheck, AlertCircle, RotateCcw } from 'lucide-react';
+
+const inputClassName = 'w-full px-4 py-2 bg-[#001D3D] border-2 border-[#0077B6] text-white rounded-lg focus:border-[#FFC300] focus:outline-none transition';
+
+const formatDate = (milliseconds) => new Date(milliseconds).toLocaleString();
+
+/**
+ * BackupRecoveryPanel - UI component for backup key protection and database-free restores
+ * Features:
+ * - Protect the backup key with a passphrase and/or a recovery key
+ * - Restore a backup folder (another disk, new machine) with either of them
+ */
+export default function BackupRecoveryPanel() {
+  const [status, setStatus] = useState(null);
+  const [passphrase, setPassphrase] = useState('');
+  const [confirmPassphrase, setConfirmPassphrase] = useState('');
+  const [recoveryKey, setRecoveryKey] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  // Restore form
+  const [backupFolder, setBackupFolder] = useState('');
+  const [folderInfo, setFolderInfo] = useState(null);
+  const [targetPath, setTargetPath] = useState('');
+  const [unlockWith, setUnlockWith] = useState('recoveryKey');
+  const [secret, setSecret] = useState('');
+  const [restoring, setRestoring] = useState(false);
+
+  const loadStatus = useCallback(async () => {
+    const result = await window.backupAPI.keyStatus();
+    if (result.success) {
+      setStatus(result);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadStatus();
+  }, [loadStatus]);
+
+  const handleSetPassphrase = useCallback(async () => {
+    if (passphrase !== confirmPassphrase) {
+      alert('Passphrases do not match');
+      return;
+    }
+
+    setBusy(true);
+    try {
+      const result = await window.backupAPI.setPassphrase(passphrase);
+      if (result.success) {
+        setPassphrase('');
+        setConfirmPassphrase('');
+        alert(`✅ Passphrase set. ${result.backupsUpdated} backup(s) updated.`);
+        loadStatus();
+      } else {
+        alert('Failed to set passphrase: ' + result.error);
+      }
+    } finally {
+      setBusy(false);
+    }
+  }, [passphrase, confirmPassphrase, loadStatus]);
+
+  const handleGenerateRecoveryKey = useCallback(async () => {
+    if (status?.hasRecoveryKey && !confirm('Generate a new recovery key? The current one will stop working for backups on this device.')) {
+      return;
+    }
+
+    setBusy(true);
+    try {
+      const result = await window.backupAPI.generateRecoveryKey();
+      if (result.success) {
+        setRecoveryKey(result.recoveryKey);
+        loadStatus();
+      } else {
+        alert('Failed to generate recovery key: ' + result.error);
+      }
+    } finally {
+      setBusy(false);
+    }
+  }, [status, loadStatus]);
+
+  const selectDirectory = useCallback(async () => {
+    try {
+      const result = await window.electron.invoke('dialog:openDirectory');
+      if (result && !result.canceled && result.filePaths.length > 0) {
+        return result.filePaths[0];
+      }
+    } catch (error) {
+      console.error('Failed to select directory:', error);
+    }
+    return null;
+  }, []);
+
+  const handleSelectBackupFolder = useCallback(async () => {
+    const selected = await selectDirectory();
+    if (!selected) return;
+
+    setBackupFolder(selected);
+    const result = await window.backupAPI.inspectFolder(selected);
+    if (result.success) {
+      setFolderInfo(result);
+      if (!result.canUseRecoveryKey && result.canUsePassphrase) {
+        setUnlockWith('passphrase');
+      }
+    } else {
+      setFolderInfo(null);
+      alert(result.error);
+    }
+  }, [selectDirectory]);
+
+  const handleSelectTarget = useCallback(async () => {
+    const selected = await selectDirectory();
+    if (selected) setTargetPath(selected);
+  }, [selectDirectory]);
+
+  const handleRestore = useCallback(async () => {
+    setRestoring(true);
+    try {
+      const options = folderInfo?.encrypted ? { [unlockWith]: secret } : {};
+      const result = await window.backupAPI.restoreFromFolder(backupFolder, targetPath, options);
+      if (result.success) {
+        const failed = result.verificationResults?.filter((v) => v.failed).length || 0;
+        let message = `✅ Restored ${result.filesRestored} of ${result.filesSelected} file(s) to:\n${targetPath}`;
+        if (result.chainIncomplete) message += '\n\n⚠️ Part of the backup chain was missing';
+        if (failed > 0) message += `\n\n❌ Failed: ${failed}`;
+        alert(message);
+        setSecret('');
+      } else {
+        alert(`❌ Restore failed: ${result.error}`);
+      }
+    } finally {
+      setRestoring(false);
+    }
+  }, [folderInfo, unlockWith, secret, backupFolder, targetPath]);
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h2 className="text-2xl font-bold text-white">Recovery</h2>
+        <p className="text-gray-400 mt-1">Keep access to encrypted backups if this device or its database is lost</p>
+      </div>
+
+      <div className="grid grid-cols-2 gap-4">
+        <div className="bg-[#003566] rounded-lg p-4 space-y-3">
+          <h3 className="font-semibold text-white flex items-center gap-2">
+            <ShieldCheck className="w-5 h-5" />
+            Backup passphrase
+          </h3>
+          <p className="text-sm text-gray-300">
+            {status?.hasPassphrase
+              ? `Set on ${formatDate(status.passphraseSetAt)}. Setting a new one replaces it.`
+              : 'Not set. A passphrase lets you restore your backups on another machine.'}
+          </p>
+          <input
+            type="password"
+            value={passphrase}
+            onChange={(e) => setPassphrase(e.target.value)}
+            placeholder="At least 8 characters"
+            className={inputClassName}
+          />
+          <input
+            type="password"
+            value={confirmPassphrase}
+            onChange={(e) => setConfirmPassphrase(e.target.value)}
+            placeholder="Repeat passphrase"
+            className={inputClassName}
+          />
+          <button
+            onClick={handleSetPassphrase}
+            disabled={busy || passphrase.length < 8}
+            className="px-4 py-2 bg-[#FFC300] hover:bg-[#FFD60A] text-[#001D3D] font-semibold rounded-lg transition disabled:opacity-50"
+          >
+            Save passphrase
+          </button>
+        </div>
+
+        <div className="bg-[#003566] rounded-lg p-4 space-y-3">
+          <h3 className="font-semibold text-white flex items-center gap-2">
+            <KeyRound className="w-5 h-5" />
+            Recovery key
+          </h3>
+          <p className="text-sm text-gray-300">
+            {status?.hasRecoveryKey
+              ? `Generated on ${formatDate(status.recoveryKeyCreatedAt)}.`
+              : 'Not generated. Keep a recovery key somewhere safe in case you forget your passphrase.'}
+          </p>
+          {recoveryKey && (
+            <div className="p-3 bg-[#001D3D] rounded-lg border-2 border-[#FFC300]">
+              <p className="text-xs text-[#FFC300] mb-2">Write this down now - it will not be shown again.</p>
+              <div className="flex items-center gap-2">
+                <code className="flex-1 text-sm text-white break-all">{recoveryKey}</code>
+                <button
+                  onClick={() => navigator.clipboard.writeText(recoveryKey)}
+                  className="text-gray-400 hover:text-white"
+                  title="Copy"
+                >
+                  <Copy className="w-4 h-4" />
+                </button>
+              </div>
+            </div>
+          )}
+          <button
+            onClick={handleGenerateRecoveryKey}
+            disabled={busy}
+            className="px-4 py-2 bg-blue-600 hover:bg-blue-500 rounded-lg transition text-white disabled:opacity-50"
+          >
+            {status?.hasRecoveryKey ? 'Generate new recovery key' : 'Generate recovery key'}
+          </button>
+        </div>
+      </div>
+
+      <div className="bg-[#003566] rounded-lg p-4 space-y-3">
+        <h3 className="font-semibold text-white flex items-center gap-2">
+          <RotateCcw className="w-5 h-5" />
+          Restore from a backup folder
+        </h3>
+        <p className="text-sm text-gray-300">
+          Pick a backup folder from a copy of the backup store (for example on a destination drive). No backup history is needed.
+        </p>
+
+        <div className="grid grid-cols-2 gap-3">
+          <div className="flex gap-2">
+            <input type="text" value={backupFolder} readOnly placeholder="Backup folder" className={`${inputClassName} cursor-not-allowed`} />
+            <button onClick={handleSelectBackupFolder} className="px-4 py-2 bg-[#001D3D] hover:bg-[#0077B6] text-white rounded-lg transition">
+              <FolderOpen className="w-4 h-4" />
+            </button>
+          </div>
+          <div className="flex gap-2">
+            <input type="text" value={targetPath} readOnly placeholder="Restore location" className={`${inputClassName} cursor-not-allowed`} />
+            <button onClick={handleSelectTarget} className="px-4 py-2 bg-[#001D3D] hover:bg-[#0077B6] text-white rounded-lg transition">
+              <FolderOpen className="w-4 h-4" />
+            </button>
+          </div>
+        </div>
+
+        {folderInfo && (
+          <div className="text-sm text-gray-300">
+            <strong className="text-white">{folderInfo.name}</strong> · {formatDate(folderInfo.timestamp)} · {folderInfo.fileCount} files
+            {folderInfo.chainLength > 1 && ` · ${folderInfo.chainLength} backups in chain`}
+            {folderInfo.broken && (
+              <p className="text-red-300 mt-1 flex items-center gap-1">
+                <AlertCircle className="w-4 h-4" />
+                Part of this backup chain is missing - some files may not be restored
+              </p>
+            )}
+          </div>
+        )}
+
+        {folderInfo?.encrypted && (
+          <div className="grid grid-cols-3 gap-3">
+            <select
+              value={unlockWith}
+              onChange={(e) => setUnlockWith(e.target.value)}
+              className={inputClassName}
+            >
+              <option value="recoveryKey" disabled={!folderInfo.canUseRecoveryKey}>Recovery key</option>
+              <option value="passphrase" disabled={!folderInfo.canUsePassphrase}>Passphrase</option>
+            </select>
+            <input
+              type={unlockWith === 'passphrase' ? 'password' : 'text'}
+              value={secret}
+              onChange={(e) => setSecret(e.target.value)}
+              placeholder={unlockWith === 'passphrase' ? 'Backup passphrase' : 'XXXXXXXX-XXXXXXXX-...'}
+              className={`${inputClassName} col-span-2`}
+            />
+          </div>
+        )}
+
+        <button
+          onClick={handleRestore}
+          disabled={restoring || !folderInfo || !targetPath || (folderInfo.encrypted && !secret)}
+          className="px-4 py-2 bg-green-600 hover:bg-green-500 rounded-lg transition text-white disabled:opacity-50"
+        >
+          {restoring ? 'Restoring...' : 'Restore'}
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,246 @@
+import { useState, useCallback } from 'react';
+import { Download, FileText, GitCompare, History, Search } from 'lucide-react';
+
+const formatBytes = (bytes) => {
+  if (!bytes) return '0 B';
+  const k = 1024;
+  const sizes = ['B', 'KB', 'MB', 'GB', 'TB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return `${Math.round((bytes / Math.pow(k, i)) * 100) / 100} ${sizes[i]}`;
+};
+
+const formatDate = (seconds) => new Date(seconds * 1000).toLocaleString();
+
+const LINE_STYLES = {
+  add: 'bg-green-900 bg-opacity-40 text-green-200',
+  remove: 'bg-red-900 bg-opacity-40 text-red-200',
+  equal: 'text-gray-300'
+};
+
+const LINE_PREFIX = { add: '+', remove: '-', equal: ' ' };
+
+/**
+ * FileHistoryPanel - UI component for per-file version history
+ * Features:
+ * - Search backed-up files by path
+ * - List every version with its timestamp, size, hash and backup
+ * - Diff two text versions and restore any version
+ */
+export default function FileHistoryPanel() {
+  const [search, setSearch] = useState('');
+  const [results, setResults] = useState([]);
+  const [selectedPath, setSelectedPath] = useState(null);
+  const [versions, setVersions] = useState([]);
+  const [compare, setCompare] = useState([]);
+  const [diff, setDiff] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const handleSearch = useCallback(async () => {
+    const found = await window.backupAPI.searchFileHistory(search.trim());
+    setResults(found || []);
+  }, [search]);
+
+  const handleSelectPath = useCallback(async (originalPath) => {
+    setSelectedPath(originalPath);
+    setCompare([]);
+    setDiff(null);
+    const result = await window.backupAPI.fileVersions(originalPath);
+    if (result.success) {
+      setVersions(result.versions);
+    } else {
+      alert('Failed to load versions: ' + result.error);
+    }
+  }, []);
+
+  const handleToggleCompare = useCallback((versionId) => {
+    setDiff(null);
+    setCompare((prev) => {
+      if (prev.includes(versionId)) return prev.filter((id) => id !== versionId);
+      return [...prev, versionId].slice(-2);
+    });
+  }, []);
+
+  const handleDiff = useCallback(async () => {
+    // Older version first so additions read as changes made since then
+    const [versionA, versionB] = versions
+      .filter((version) => compare.includes(version.versionId))
+      .reverse()
+      .map((version) => version.versionId);
+
+    setBusy(true);
+    try {
+      const result = await window.backupAPI.diffVersions(versionA, versionB);
+      if (result.success) {
+        setDiff(result);
+      } else {
+        alert('Failed to diff versions: ' + result.error);
+      }
+    } finally {
+      setBusy(false);
+    }
+  }, [versions, compare]);
+
+  const handleRestore = useCallback(async (version) => {
+    let targetPath = null;
+    const toOriginal = window.confirm(
+      `Restore the version from ${formatDate(version.createdAt)} to its original location?\n\n` +
+      'An existing file is kept and the restored copy gets a new name. Choose Cancel to pick a folder instead.'
+    );
+    if (!toOriginal) {
+      const result = await window.electron.invoke('dialog:openDirectory');
+      if (!result || result.canceled || result.filePaths.length === 0) return;
+      const name = version.originalPath.split(/[\\/]/).pop();
+      targetPath = `${result.filePaths[0]}/${name}`;
+    }
+
+    setBusy(true);
+    try {
+      const result = await window.backupAPI.restoreVersion({
+        versionId: version.versionId,
+        targetPath,
+        conflictMode: 'rename'
+      });
+      if (result.success) {
+        alert(`✅ Version restored to:\n${result.restoredPath}`);
+      } else {
+        alert(`❌ Restore failed: ${result.error || result.message}`);
+      }
+    } finally {
+      setBusy(false);
+    }
+  }, []);
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h2 className="text-2xl font-bold text-white">File History</h2>
+        <p className="text-gray-400 mt-1">Find a file and go back to any version kept in your backups</p>
+      </div>
+
+      <div className="flex gap-2">
+        <input
+          type="text"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && handleSearch()}
+          placeholder="Part of a file name or path"
+          className="flex-1 px-4 py-2 bg-[#001D3D] border-2 border-[#0077B6] text-white rounded-lg focus:border-[#FFC300] focus:outline-none transition"
+        />
+        <button
+          onClick={handleSearch}
+          className="px-6 py-2 bg-[#FFC300] hover:bg-[#FFD60A] text-[#001D3D] font-semibold rounded-lg transition flex items-center gap-2"
+        >
+          <Search className="w-4 h-4" />
+          Search
+        </button>
+      </div>
+
+      {results.length > 0 && (
+        <div className="bg-[#003566] rounded-lg divide-y divide-[#0077B6] max-h-64 overflow-y-auto">
+          {results.map((result) => (
+            <button
+              key={result.originalPath}
+              onClick={() => handleSelectPath(result.originalPath)}
+              className={`w-full text-left px-4 py-2 flex items-center gap-3 hover:bg-[#0077B6] transition ${
+                selectedPath === result.originalPath ? 'bg-[#0077B6]' : ''
+              }`}
+            >
+              <FileText className="w-4 h-4 text-blue-300 flex-shrink-0" />
+              <span className="flex-1 truncate text-white text-sm">{result.originalPath}</span>
+              <span className="text-xs text-gray-300">{result.versionCount} versions</span>
+            </button>
+          ))}
+        </div>
+      )}
+
+      {selectedPath && (
+        <div className="bg-[#003566] rounded-lg p-4">
+          <div className="flex items-center justify-between mb-3">
+            <h3 className="font-semibold text-white flex items-center gap-2 truncate">
+              <History className="w-4 h-4" />
+              {selectedPath}
+            </h3>
+            <button
+              onClick={handleDiff}
+              disabled={busy || compare.length !== 2}
+              className="px-4 py-2 bg-blue-600 hover:bg-blue-500 rounded-lg transition flex items-center gap-2 disabled:opacity-50"
+            >
+              <GitCompare className="w-4 h-4" />
+              Compare selected
+            </button>
+          </div>
+
+          <table className="w-full text-sm text-gray-300">
+            <thead>
+              <tr className="text-left text-gray-400">
+                <th className="py-1 w-8"></th>
+                <th className="py-1">Backed up</th>
+                <th className="py-1">Backup</th>
+                <th className="py-1">Size</th>
+                <th className="py-1">Hash</th>
+                <th className="py-1"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {versions.map((version) => (
+                <tr key={version.versionId} className="border-t border-[#0077B6]">
+                  <td className="py-2">
+                    <input
+                      type="checkbox"
+                      checked={compare.includes(version.versionId)}
+                      onChange={() => handleToggleCompare(version.versionId)}
+                      className="w-4 h-4"
+                    />
+                  </td>
+                  <td className="py-2">{formatDate(version.createdAt)}</td>
+                  <td className="py-2">{version.backupName} <span className="text-xs text-gray-400">({version.reason})</span></td>
+                  <td className="py-2">{formatBytes(version.size)}</td>
+                  <td className="py-2 font-mono text-xs" title={version.hash}>{version.hash ? version.hash.slice(0, 12) : '—'}</td>
+                  <td className="py-2 text-right">
+                    <button
+                      onClick={() => handleRestore(version)}
+                      disabled={busy}
+                      className="px-3 py-1 bg-green-600 hover:bg-green-500 rounded transition text-xs flex items-center gap-1 ml-auto disabled:opacity-50"
+                    >
+                      <Download className="w-3 h-3" />
+                      Restore
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {diff && (
+        <div className="bg-[#003566] rounded-lg p-4">
+          {diff.identical ? (
+            <p className="text-gray-300">These versions have identical content.</p>
+          ) : (
+            <>
+              <p className="text-sm text-gray-300 mb-3">
+                <span className="text-green-300">+{diff.added}</span>{' '}
+                <span className="text-red-300">-{diff.removed}</span> lines
+              </p>
+              <div className="font-mono text-xs overflow-x-auto max-h-[60vh] overflow-y-auto bg-[#001D3D] rounded">
+                {diff.hunks.map((hunk) => (
+                  <div key={`${hunk.oldStart}-${hunk.newStart}`}>
+                    <div className="px-3 py-1 text-blue-300 bg-[#0077B6] bg-opacity-30">
+                      @@ -{hunk.oldStart},{hunk.oldLines} +{hunk.newStart},{hunk.newLines} @@
+                    </div>
+                    {hunk.lines.map((line, index) => (
+                      <div key={index} className={`px-3 whitespace-pre ${LINE_STYLES[line.type]}`}>
+                        {LINE_PREFIX[line.type]} {line.text}
+                      </div>
+                    ))}
+                  </div>
+                ))}
+              </div>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
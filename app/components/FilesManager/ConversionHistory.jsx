@@ -66,7 +66,9 @@ const ConversionHistory = () => {
     try {
       const result = await window.conversionAPI.verify(conversionId);
       
-      if (result.isValid) {
+      if (result.isValid && result.checked !== undefined) {
+        alert(`✅ Verification Successful!\n\nAll ${result.checked} converted files verified. None has been modified since conversion.`);
+      } else if (result.isValid) {
         alert(`✅ Verification Successful!\n\nFile integrity verified. The file has not been modified since conversion.\n\nHash: ${result.actualHash?.substring(0, 16)}...`);
       } else {
         alert(`❌ Verification Failed\n\n${result.error || 'Hash mismatch detected. File may have been modified.'}`);
@@ -115,9 +117,22 @@ const ConversionHistory = () => {
     if (status === 'completed') {
       return <CheckCircle className="w-5 h-5 text-green-400" />;
     }
+    if (status === 'partial') {
+      return <AlertTriangle className="w-5 h-5 text-yellow-400" />;
+    }
     return <XCircle className="w-5 h-5 text-red-400" />;
   };
 
+  // Batch conversions are one record listing every file (items, JSON)
+  const getBatchSize = (conv) => {
+    if (!conv.items) return null;
+    try {
+      return JSON.parse(conv.items).length;
+    } catch (error) {
+      return null;
+    }
+  };
+
   const getCompressionRatio = (conv) => {
     if (!conv.input_size || !conv.output_size) return null;
     const ratio = ((conv.output_size / conv.input_size) * 100).toFixed(1);
@@ -213,7 +228,9 @@ const ConversionHistory = () => {
                       <div className="flex-1 min-w-0">
                         <div className="flex items-center gap-2 mb-1">
                           <p className="text-white font-medium truncate">
-                            {conv.input_path?.split('\\').pop() || 'Unknown file'}
+                            {getBatchSize(conv) !== null
+                              ? `Batch · ${getBatchSize(conv)} files`
+                              : conv.input_path?.split('\\').pop() || 'Unknown file'}
                           </p>
                           <ArrowRight className="w-4 h-4 text-gray-500 flex-shrink-0" />
                           <p className="text-cyan-400 font-medium truncate">
@@ -270,6 +287,10 @@ const ConversionHistory = () => {
                       <span className="px-2 py-1 bg-green-500/20 text-green-300 text-xs rounded border border-green-500/30">
                         ✓ Success
                       </span>
+                    ) : conv.status === 'partial' ? (
+                      <span className="px-2 py-1 bg-yellow-500/20 text-yellow-300 text-xs rounded border border-yellow-500/30">
+                        ⚠ Partial
+                      </span>
                     ) : (
                       <span className="px-2 py-1 bg-red-500/20 text-red-300 text-xs rounded border border-red-500/30">
                         ✗ Failed
@@ -278,7 +299,7 @@ const ConversionHistory = () => {
                   </div>
 
                   {/* Action Buttons */}
-                  {conv.status === 'completed' && conv.output_path && (
+                  {(conv.status === 'completed' || conv.status === 'partial') && conv.output_path && (
                     <div className="flex items-center gap-2">
                       <button
                         onClick={() => handleOpenFile(conv.output_path)}
@@ -2,7 +2,7 @@ import React, { useState, useEffect, useRef } from 'react';
 import {
   Upload, Download, FileText, Image, Archive, FileCode, 
   Settings, Shield, Loader, CheckCircle, XCircle,
-  ArrowRight, Package, Zap, AlertTriangle, Info, X
+  ArrowRight, Package, Zap, AlertTriangle, Info, X, RefreshCw, Clock
 } from 'lucide-react';
 
 const ConversionPanel = () => {
@@ -11,7 +11,9 @@ const ConversionPanel = () => {
   const [availableFormats, setAvailableFormats] = useState([]);
   const [isLoadingFormats, setIsLoadingFormats] = useState(false);
   const [isConverting, setIsConverting] = useState(false);
-  const [conversionProgress, setConversionProgress] = useState(null);
+  const [batch, setBatch] = useState(null); // status of the running or last finished batch
+  const [packagePassword, setPackagePassword] = useState(''); // encrypts .fortipkg outputs, opens encrypted inputs
+  const [verifyingPackage, setVerifyingPackage] = useState(null);
   const [dragActive, setDragActive] = useState(false);
   const fileInputRef = useRef(null);
 
@@ -23,70 +25,56 @@ const ConversionPanel = () => {
     packageMultiple: false
   });
 
-  // Format categories for organized display (inspired by FreeConvert)
+  // Output format categories for organized display (inspired by FreeConvert)
+  // Covers every output the main-process converter registry can produce
   const formatCategories = {
     'Documents': {
       icon: FileText,
       color: 'blue',
-      formats: ['.pdf', '.docx', '.doc', '.txt', '.md', '.html', '.rtf', '.odt']
+      formats: ['.pdf', '.docx', '.txt', '.md', '.html', '.htm', '.rtf']
     },
     'Images': {
       icon: Image,
       color: 'purple',
-      formats: ['.png', '.jpg', '.jpeg', '.webp', '.bmp', '.gif', '.svg', '.tiff', '.ico', '.heic']
+      formats: ['.png', '.jpg', '.jpeg', '.webp', '.gif', '.tiff', '.svg']
     },
     'Archives': {
       icon: Archive,
       color: 'yellow',
-      formats: ['.zip', '.7z', '.tar', '.gz', '.rar', '.fortipkg']
+      formats: ['.zip', '.tar', '.gz', '.fortipkg']
     },
-    'Data & Config': {
+    'Data': {
       icon: FileCode,
       color: 'green',
-      formats: ['.json', '.csv', '.xml', '.yaml', '.yml', '.ini', '.cfg', '.sql']
-    },
-    'Spreadsheets': {
-      icon: FileText,
-      color: 'emerald',
-      formats: ['.xlsx', '.xls', '.csv', '.ods']
-    },
-    'Presentations': {
-      icon: FileText,
-      color: 'orange',
-      formats: ['.pptx', '.ppt', '.odp']
-    },
-    'Code & Scripts': {
-      icon: FileCode,
-      color: 'cyan',
-      formats: ['.js', '.jsx', '.ts', '.tsx', '.py', '.java', '.cpp', '.cs', '.php', '.rb', '.go', '.html', '.css', '.sh', '.bat', '.ps1']
-    },
-    'Audio': {
-      icon: FileCode,
-      color: 'pink',
-      formats: ['.mp3', '.wav', '.ogg', '.flac', '.aac', '.m4a', '.wma']
-    },
-    'Video': {
-      icon: FileCode,
-      color: 'red',
-      formats: ['.mp4', '.mov', '.avi', '.mkv', '.flv', '.webm', '.wmv']
-    },
-    'E-Books': {
-      icon: FileText,
-      color: 'amber',
-      formats: ['.epub', '.mobi', '.azw3', '.fb2']
-    },
-    'Executables': {
-      icon: Package,
-      color: 'slate',
-      formats: ['.exe', '.msi', '.dll', '.app', '.apk', '.deb', '.rpm']
-    },
-    'Fonts': {
-      icon: FileCode,
-      color: 'violet',
-      formats: ['.ttf', '.otf', '.woff', '.woff2', '.eot']
+      formats: ['.json', '.csv', '.xml']
     }
   };
 
+  // Batches run in the main process and report each item and their result as events
+  useEffect(() => {
+    window.conversionAPI.onBatchProgress((update) => {
+      if (update.phase === 'item') {
+        setBatch(prev => (prev && prev.batchId === update.batchId ? {
+          ...prev,
+          counts: update.counts,
+          items: prev.items.map(item => (item.index === update.item.index ? update.item : item))
+        } : prev));
+        return;
+      }
+
+      setBatch(update);
+      if (update.phase === 'complete' || update.phase === 'cancelled') {
+        setIsConverting(false);
+        if (update.counts.completed === update.total) {
+          setSelectedFiles([]);
+          setOutputFormat('');
+        }
+      }
+    });
+
+    return () => window.conversionAPI.removeBatchProgressListener();
+  }, []);
+
   // Update available formats when files are selected
   useEffect(() => {
     if (selectedFiles.length > 0) {
@@ -109,14 +97,14 @@ const ConversionPanel = () => {
         setAvailableFormats(formats);
         setOutputFormat(formats[0]); // Auto-select first format
       } else {
-        // Fallback formats
-        setAvailableFormats(['.txt', '.pdf', '.zip', '.fortipkg']);
-        setOutputFormat('.txt');
+        // Nothing can be done with this file type (e.g. 7z/RAR archives FortiMorph cannot open)
+        setAvailableFormats([]);
+        setOutputFormat('');
       }
     } catch (error) {
       console.error('Error getting formats:', error);
-      setAvailableFormats(['.txt', '.pdf', '.zip', '.fortipkg']);
-      setOutputFormat('.txt');
+      setAvailableFormats([]);
+      setOutputFormat('');
     } finally {
       setIsLoadingFormats(false);
     }
@@ -168,64 +156,113 @@ const ConversionPanel = () => {
       return;
     }
 
-    setIsConverting(true);
-    setConversionProgress({
-      current: 0,
-      total: selectedFiles.length,
-      phase: 'Starting conversion...'
-    });
-
     try {
+      // Version 1 packages have no signature or file hashes - only extract them once the user agrees
+      let allowUnverified = false;
+      const unverified = [];
+      for (const file of selectedFiles.filter(file => file.extension === '.fortipkg')) {
+        const info = await window.conversionAPI.inspectPackage(file.path);
+        if (info.success && info.version < 2) {
+          unverified.push(file.name);
+        }
+      }
+      if (unverified.length > 0) {
+        const confirmed = window.confirm(
+          `⚠️ ${unverified.length} package(s) cannot be verified:\n\n${unverified.join('\n')}\n\n` +
+          'These are version 1 packages with no signature or file hashes, so their contents may have been changed. Extract them anyway?'
+        );
+        if (!confirmed) {
+          return;
+        }
+        allowUnverified = true;
+      }
+
       // Select output directory
       const outputDir = await window.conversionAPI.selectOutputDirectory();
       if (!outputDir) {
-        throw new Error('Output directory not selected');
+        return;
       }
 
-      // Convert each file
-      const results = [];
-      for (let i = 0; i < selectedFiles.length; i++) {
-        const file = selectedFiles[i];
-        setConversionProgress({
-          current: i + 1,
-          total: selectedFiles.length,
-          phase: `Converting ${file.name}...`
-        });
-
-        const outputName = getOutputFileName(file.name, outputFormat);
-        const outputPath = `${outputDir}\\${outputName}`;
-
-        const result = await window.conversionAPI.execute({
-          inputPath: file.path,
-          outputPath,
-          outputFormat,
-          encrypt: options.encrypt,
-          compress: options.compress,
-          compressionLevel: options.compressionLevel
-        });
-
-        results.push({ file: file.name, result });
+      setIsConverting(true);
+      setBatch(null);
+      const result = await window.conversionAPI.startBatch({
+        inputs: selectedFiles.map(file => file.path),
+        formatRules: { '*': outputFormat },
+        outputDirTemplate: outputDir,
+        concurrency: 2,
+        encrypt: options.encrypt,
+        compress: options.compress,
+        compressionLevel: options.compressionLevel,
+        packagePassword: packagePassword || null,
+        allowUnverified
+      });
+
+      if (!result.success) {
+        throw new Error(result.error);
       }
-
-      // Show success message
-      alert(`✅ Conversion Complete!\n\nSuccessfully converted ${results.length} file(s).\n\nLocation: ${outputDir}`);
-      
-      // Clear selected files
-      setSelectedFiles([]);
-      setOutputFormat('');
-      
     } catch (error) {
       console.error('Conversion failed:', error);
       alert(`❌ Conversion Failed\n\n${error.message}`);
-    } finally {
       setIsConverting(false);
-      setConversionProgress(null);
     }
   };
 
-  const getOutputFileName = (inputName, format) => {
-    const nameWithoutExt = inputName.substring(0, inputName.lastIndexOf('.')) || inputName;
-    return `${nameWithoutExt}${format}`;
+  const handleCancelBatch = async () => {
+    const result = await window.conversionAPI.cancelBatch(batch.batchId);
+    if (!result.success) {
+      alert(`Failed to cancel conversion: ${result.error}`);
+    }
+  };
+
+  const handleRetryBatch = async () => {
+    setIsConverting(true);
+    const result = await window.conversionAPI.retryBatch(batch.batchId);
+    if (!result.success) {
+      alert(`Failed to retry conversion: ${result.error}`);
+      setIsConverting(false);
+    }
+  };
+
+  // Check a package's signature and file hashes without extracting it
+  const handleVerifyPackage = async (file) => {
+    setVerifyingPackage(file.path);
+    try {
+      const result = await window.conversionAPI.verifyPackage({ packagePath: file.path, password: packagePassword || null });
+      if (!result.success) {
+        alert(`❌ Package Check Failed\n\n${result.error}`);
+        return;
+      }
+
+      const { signature } = result;
+      const signer = signature.trusted
+        ? `Signed by ${signature.signerName} (${signature.issuerId})`
+        : `Signed by an untrusted install (${signature.issuerId}) - add its key under trusted issuers to trust it`;
+      const content = result.contentChecked
+        ? `${result.files.length} file(s) match their signed hashes.`
+        : `${result.files.length} encrypted file(s) are intact. Enter the package password to also check their content.`;
+
+      if (result.valid) {
+        alert(`✅ Package Verified\n\n${signer}\n${content}`);
+      } else if (result.intact) {
+        // Matches its signature, but anyone can sign - only a trusted signer makes it verified
+        alert(`⚠️ Package Not Verified\n\n${signer}\n${content}\n\nIt will not extract until its signer is trusted.`);
+      } else {
+        alert(`❌ Package Verification Failed\n\n${result.error}`);
+      }
+    } catch (error) {
+      console.error('Package verification failed:', error);
+      alert(`❌ Package Check Failed\n\n${error.message}`);
+    } finally {
+      setVerifyingPackage(null);
+    }
+  };
+
+  const getItemStatusIcon = (status) => {
+    if (status === 'completed') return <CheckCircle className="w-4 h-4 text-green-400 flex-shrink-0" />;
+    if (status === 'failed') return <XCircle className="w-4 h-4 text-red-400 flex-shrink-0" />;
+    if (status === 'running') return <Loader className="w-4 h-4 text-cyan-400 animate-spin flex-shrink-0" />;
+    if (status === 'cancelled') return <X className="w-4 h-4 text-gray-500 flex-shrink-0" />;
+    return <Clock className="w-4 h-4 text-gray-500 flex-shrink-0" />;
   };
 
   const formatBytes = (bytes) => {
@@ -322,6 +359,17 @@ const ConversionPanel = () => {
                     <p className="text-gray-400 text-xs">{formatBytes(file.size)} • {file.extension}</p>
                   </div>
                 </div>
+                {file.extension === '.fortipkg' && (
+                  <button
+                    onClick={() => handleVerifyPackage(file)}
+                    disabled={verifyingPackage === file.path}
+                    className="ml-3 flex items-center gap-1 px-2 py-1 text-xs text-purple-300 hover:text-purple-200 border border-purple-500/30 rounded transition-colors flex-shrink-0 disabled:opacity-50"
+                    title="Check the package signature and file hashes"
+                  >
+                    {verifyingPackage === file.path ? <Loader className="w-3 h-3 animate-spin" /> : <Shield className="w-3 h-3" />}
+                    Verify
+                  </button>
+                )}
                 <button
                   onClick={() => removeFile(index)}
                   className="ml-3 p-1 hover:bg-red-500/20 rounded transition-colors flex-shrink-0"
@@ -347,6 +395,14 @@ const ConversionPanel = () => {
               <Loader className="w-6 h-6 text-cyan-400 animate-spin" />
               <span className="ml-3 text-gray-400">Loading formats...</span>
             </div>
+          ) : availableFormats.length === 0 ? (
+            <div className="flex items-center gap-3 p-4 bg-yellow-500/10 border border-yellow-500/30 rounded-lg">
+              <AlertTriangle className="w-5 h-5 text-yellow-400 flex-shrink-0" />
+              <span className="text-sm text-yellow-200">
+                {selectedFiles[0].extension.toUpperCase().replace('.', '')} files are not supported for conversion.
+                Archives in this format must be extracted with another tool first.
+              </span>
+            </div>
           ) : (
             <div className="space-y-4">
               {Object.entries(formatCategories).map(([category, { icon: Icon, color, formats }]) => {
@@ -358,15 +414,7 @@ const ConversionPanel = () => {
                   blue: 'bg-blue-500/20 text-blue-300 border-blue-500/30',
                   purple: 'bg-purple-500/20 text-purple-300 border-purple-500/30',
                   yellow: 'bg-yellow-500/20 text-yellow-300 border-yellow-500/30',
-                  green: 'bg-green-500/20 text-green-300 border-green-500/30',
-                  emerald: 'bg-emerald-500/20 text-emerald-300 border-emerald-500/30',
-                  orange: 'bg-orange-500/20 text-orange-300 border-orange-500/30',
-                  cyan: 'bg-cyan-500/20 text-cyan-300 border-cyan-500/30',
-                  pink: 'bg-pink-500/20 text-pink-300 border-pink-500/30',
-                  red: 'bg-red-500/20 text-red-300 border-red-500/30',
-                  amber: 'bg-amber-500/20 text-amber-300 border-amber-500/30',
-                  slate: 'bg-slate-500/20 text-slate-300 border-slate-500/30',
-                  violet: 'bg-violet-500/20 text-violet-300 border-violet-500/30'
+                  green: 'bg-green-500/20 text-green-300 border-green-500/30'
                 };
 
                 return (
@@ -455,6 +503,28 @@ const ConversionPanel = () => {
               </button>
             </div>
 
+            {/* Package Password - encrypts FortiPkg outputs and opens encrypted packages */}
+            {(outputFormat === '.fortipkg' || selectedFiles.some(file => file.extension === '.fortipkg')) && (
+              <div className="p-4 bg-black/30 rounded-lg border border-white/5">
+                <div className="flex items-center gap-3 mb-3">
+                  <Shield className="w-5 h-5 text-purple-400" />
+                  <div>
+                    <p className="text-white font-medium">Package Password</p>
+                    <p className="text-xs text-gray-400">
+                      Optional - FortiPkg files are always signed; a password also encrypts them (AES-256-GCM)
+                    </p>
+                  </div>
+                </div>
+                <input
+                  type="password"
+                  value={packagePassword}
+                  onChange={(e) => setPackagePassword(e.target.value)}
+                  placeholder="Leave empty for an unencrypted package"
+                  className="w-full px-3 py-2 bg-black/40 border border-gray-700 rounded-lg text-white text-sm focus:outline-none focus:border-purple-500"
+                />
+              </div>
+            )}
+
             {/* Compression Level Slider */}
             {options.compress && (
               <div className="p-4 bg-black/30 rounded-lg border border-white/5">
@@ -494,7 +564,7 @@ const ConversionPanel = () => {
           {isConverting ? (
             <>
               <Loader className="w-5 h-5 animate-spin" />
-              <span>Converting... {conversionProgress?.current}/{conversionProgress?.total}</span>
+              <span>Converting... {batch ? `${batch.total - batch.counts.pending - batch.counts.running}/${batch.total}` : ''}</span>
             </>
           ) : (
             <>
@@ -505,22 +575,84 @@ const ConversionPanel = () => {
         </button>
       )}
 
-      {/* Progress Indicator */}
-      {isConverting && conversionProgress && (
+      {/* Batch Progress */}
+      {batch && (
         <div className="bg-gradient-to-br from-slate-800/50 to-slate-900/50 rounded-xl p-6 border border-cyan-500/30">
-          <div className="flex items-center gap-3 mb-3">
-            <Loader className="w-5 h-5 text-cyan-400 animate-spin" />
-            <span className="text-white font-medium">{conversionProgress.phase}</span>
+          <div className="flex items-center justify-between mb-3">
+            <div className="flex items-center gap-3">
+              {isConverting ? (
+                <Loader className="w-5 h-5 text-cyan-400 animate-spin" />
+              ) : batch.counts.completed === batch.total ? (
+                <CheckCircle className="w-5 h-5 text-green-400" />
+              ) : (
+                <AlertTriangle className="w-5 h-5 text-yellow-400" />
+              )}
+              <span className="text-white font-medium">
+                {isConverting
+                  ? `Converting ${batch.total} file${batch.total > 1 ? 's' : ''}...`
+                  : `Conversion ${batch.state === 'cancelled' ? 'cancelled' : 'finished'}`}
+              </span>
+            </div>
+            <div className="flex items-center gap-2">
+              {isConverting && batch.state === 'running' && (
+                <button
+                  onClick={handleCancelBatch}
+                  className="px-3 py-1 text-sm text-red-300 hover:text-red-200 border border-red-500/30 rounded-lg transition-colors"
+                >
+                  Cancel
+                </button>
+              )}
+              {!isConverting && batch.counts.failed + batch.counts.cancelled > 0 && (
+                <button
+                  onClick={handleRetryBatch}
+                  className="flex items-center gap-1 px-3 py-1 text-sm text-cyan-300 hover:text-cyan-200 border border-cyan-500/30 rounded-lg transition-colors"
+                >
+                  <RefreshCw className="w-4 h-4" />
+                  Retry {batch.counts.failed + batch.counts.cancelled} failed
+                </button>
+              )}
+              {!isConverting && (
+                <button
+                  onClick={() => setBatch(null)}
+                  className="p-1 hover:bg-white/10 rounded transition-colors"
+                >
+                  <X className="w-4 h-4 text-gray-400" />
+                </button>
+              )}
+            </div>
           </div>
           <div className="w-full bg-gray-700 rounded-full h-3 overflow-hidden">
             <div
               className="h-full bg-gradient-to-r from-blue-500 to-cyan-500 transition-all duration-300 rounded-full"
-              style={{ width: `${(conversionProgress.current / conversionProgress.total) * 100}%` }}
+              style={{ width: `${((batch.total - batch.counts.pending - batch.counts.running) / batch.total) * 100}%` }}
             />
           </div>
           <p className="text-sm text-gray-400 mt-2">
-            {conversionProgress.current} of {conversionProgress.total} complete
+            {batch.counts.completed} converted • {batch.counts.failed} failed
+            {batch.counts.cancelled > 0 && ` • ${batch.counts.cancelled} cancelled`} • {batch.total} total
           </p>
+
+          <div className="space-y-1 max-h-60 overflow-y-auto mt-4">
+            {batch.items.map(item => (
+              <div key={item.index} className="flex items-center gap-2 text-sm bg-black/30 rounded-lg px-3 py-2 border border-white/5">
+                {getItemStatusIcon(item.status)}
+                <span className="text-white truncate flex-1" title={item.inputPath}>
+                  {item.inputPath.split(/[\\/]/).pop()}
+                </span>
+                {item.error ? (
+                  <span className="text-red-300 text-xs truncate max-w-[50%]" title={item.error}>{item.error}</span>
+                ) : item.result && item.result.warning ? (
+                  <span className="text-yellow-300 text-xs truncate max-w-[50%]" title={item.result.warning}>
+                    ⚠️ {item.result.warning}
+                  </span>
+                ) : item.outputPath && item.status === 'completed' ? (
+                  <span className="text-cyan-400 text-xs truncate max-w-[50%]" title={item.outputPath}>
+                    {item.outputPath.split(/[\\/]/).pop()}
+                  </span>
+                ) : null}
+              </div>
+            ))}
+          </div>
         </div>
       )}
 
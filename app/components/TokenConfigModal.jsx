@@ -48,6 +48,9 @@ const TokenConfigModal = ({ isOpen, onClose, initialData = {}, onSuccess }) => {
     resourceName: initialData.resourceName || '',
     ttl: initialData.ttl !== undefined ? initialData.ttl : 3600,
     oneTimeUse: initialData.oneTimeUse || false,
+    maxUses: initialData.maxUses || '', // empty for unlimited
+    signingMode: initialData.signingMode || 'hmac',
+    truncateTag: initialData.truncateTag || false,
     customTypeName: initialData.customTypeName || ''
   });
 
@@ -96,6 +99,9 @@ const TokenConfigModal = ({ isOpen, onClose, initialData = {}, onSuccess }) => {
           resourceName: initialData.resourceName || '',
           ttl: initialData.ttl !== undefined ? initialData.ttl : 3600,
           oneTimeUse: initialData.oneTimeUse || false,
+          maxUses: initialData.maxUses || '',
+          signingMode: initialData.signingMode || 'hmac',
+          truncateTag: initialData.truncateTag || false,
           customTypeName: initialData.customTypeName || ''
         });
       }
@@ -158,7 +164,7 @@ const TokenConfigModal = ({ isOpen, onClose, initialData = {}, onSuccess }) => {
       if (result && !result.canceled && result.filePaths && result.filePaths.length > 0) {
         const folderPath = result.filePaths[0];
         
-        // Calculate folder hash (hash of all files)
+        // Canonical folder digest - the value the token signs and verification re-checks
         setLoading(true);
         const folderInfo = await window.verificationAPI.calculateFolderHash(folderPath);
         setLoading(false);
@@ -225,6 +231,12 @@ const TokenConfigModal = ({ isOpen, onClose, initialData = {}, onSuccess }) => {
       return;
     }
 
+    const maxUses = form.oneTimeUse || form.maxUses === '' ? null : Number(form.maxUses);
+    if (maxUses !== null && (!Number.isInteger(maxUses) || maxUses < 1)) {
+      setError('❌ Maximum uses must be a whole number of 1 or more (leave it empty for unlimited).');
+      return;
+    }
+
     // Confirm permanent token - show modal (only if not already confirmed)
     if (form.ttl === null && !skipWarning) {
       setShowPermanentWarning(true);
@@ -242,6 +254,7 @@ const TokenConfigModal = ({ isOpen, onClose, initialData = {}, onSuccess }) => {
         ttl: form.ttl,
         isPermanent: form.ttl === null,
         oneTimeUse: form.oneTimeUse,
+        maxUses,
         selectedFile: selectedFile ? { name: selectedFile.name, hash: selectedFile.hash } : null
       });
 
@@ -251,12 +264,16 @@ const TokenConfigModal = ({ isOpen, onClose, initialData = {}, onSuccess }) => {
         resourceName: form.resourceName || form.resourceId,
         ttl: form.ttl, // Can be null for permanent tokens
         oneTimeUse: form.oneTimeUse,
+        maxUses,
+        signingMode: form.signingMode,
+        truncateTag: form.signingMode === 'hmac' && form.truncateTag,
         metadata: {
           mode: form.resourceSelectionMode,
+          // Metadata is signed into the token and readable from the QR code, so it carries the
+          // file name rather than its local path; the content is covered by the file digest
           ...(selectedFile && {
-            filePath: selectedFile.path,
-            fileSize: selectedFile.size,
-            fileHash: selectedFile.hash
+            fileName: selectedFile.name,
+            fileSize: selectedFile.size
           })
         }
       };
@@ -264,7 +281,6 @@ const TokenConfigModal = ({ isOpen, onClose, initialData = {}, onSuccess }) => {
       // If browsing file/folder, include file info
       if (form.resourceSelectionMode === 'browse' && selectedFile) {
         tokenData.filePath = selectedFile.path;
-        tokenData.fileHash = selectedFile.hash;
       }
 
       console.log('[TokenConfigModal] Sending token data to IPC:', tokenData);
@@ -537,9 +553,15 @@ const TokenConfigModal = ({ isOpen, onClose, initialData = {}, onSuccess }) => {
                     </p>
                   </div>
                   <div>
-                    <span className="text-sm text-gray-400">One-time use:</span>
+                    <span className="text-sm text-gray-400">Uses allowed:</span>
+                    <p className="text-gray-200 font-medium">
+                      {form.oneTimeUse ? '1 (one-time use)' : form.maxUses || 'Unlimited'}
+                    </p>
+                  </div>
+                  <div>
+                    <span className="text-sm text-gray-400">Verifiable on:</span>
                     <p className="text-gray-200 font-medium">
-                      {form.oneTimeUse ? 'Yes' : 'No'}
+                      {form.signingMode === 'ed25519' ? 'Installs that trust this one' : 'This install only'}
                     </p>
                   </div>
                 </div>
@@ -921,6 +943,58 @@ const TokenConfigModal = ({ isOpen, onClose, initialData = {}, onSuccess }) => {
                 </label>
               </div>
 
+              {/* Use Limit (one-time use is a limit of 1) */}
+              {!form.oneTimeUse && (
+                <div>
+                  <label htmlFor="maxUses" className="block text-sm font-medium text-gray-300 mb-2">
+                    Maximum uses
+                  </label>
+                  <input
+                    type="number"
+                    id="maxUses"
+                    min="1"
+                    step="1"
+                    value={form.maxUses}
+                    onChange={(e) => setForm({ ...form, maxUses: e.target.value })}
+                    placeholder="Unlimited"
+                    className="w-full bg-gray-700 border border-gray-600 rounded-lg px-3 py-2 text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-green-500"
+                  />
+                  <p className="text-xs text-gray-400 mt-1">
+                    Each successful verification counts as one use. Every check is kept in the token&apos;s history.
+                  </p>
+                </div>
+              )}
+
+              {/* Signing Mode Toggle */}
+              <div className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  id="signingMode"
+                  checked={form.signingMode === 'ed25519'}
+                  onChange={(e) => setForm({ ...form, signingMode: e.target.checked ? 'ed25519' : 'hmac', truncateTag: false })}
+                  className="w-4 h-4 text-green-500 bg-gray-700 border-gray-600 rounded focus:ring-green-500"
+                />
+                <label htmlFor="signingMode" className="text-sm text-gray-300">
+                  Verifiable on other FortiMorph installs that trust this one (Ed25519 signature)
+                </label>
+              </div>
+
+              {/* Short Tag Toggle (HMAC only - Ed25519 signatures cannot be shortened) */}
+              {form.signingMode === 'hmac' && (
+                <div className="flex items-center gap-2">
+                  <input
+                    type="checkbox"
+                    id="truncateTag"
+                    checked={form.truncateTag}
+                    onChange={(e) => setForm({ ...form, truncateTag: e.target.checked })}
+                    className="w-4 h-4 text-green-500 bg-gray-700 border-gray-600 rounded focus:ring-green-500"
+                  />
+                  <label htmlFor="truncateTag" className="text-sm text-gray-300">
+                    Smaller QR code (128-bit signature tag, easier to scan from a screen)
+                  </label>
+                </div>
+              )}
+
               {/* Action Buttons */}
               <div className="flex gap-3 pt-4">
                 <button
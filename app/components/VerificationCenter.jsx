@@ -39,7 +39,10 @@ import {
   Infinity,
   Activity,
   Info,
-  Bluetooth
+  Bluetooth,
+  Users,
+  Ban,
+  History
 } from 'lucide-react';
 import TokenConfigModal from './TokenConfigModal';
 
@@ -59,6 +62,20 @@ const VerificationCenter = () => {
   const [verificationResult, setVerificationResult] = useState(null);
   const [scanning, setScanning] = useState(false);
   const [verifying, setVerifying] = useState(false);
+  const [verifyFilePath, setVerifyFilePath] = useState('');
+
+  // Trusted issuers (Ed25519 tokens from other installs)
+  const [publicKeyInfo, setPublicKeyInfo] = useState(null);
+  const [trustedIssuers, setTrustedIssuers] = useState([]);
+  const [issuerKeyInput, setIssuerKeyInput] = useState('');
+  const [issuerNameInput, setIssuerNameInput] = useState('');
+
+  // Revocation
+  const [revokingTokenId, setRevokingTokenId] = useState(null);
+  const [revokeReason, setRevokeReason] = useState('');
+  const [historyTokenId, setHistoryTokenId] = useState(null);
+  const [tokenHistory, setTokenHistory] = useState([]);
+  const [loadingHistory, setLoadingHistory] = useState(false);
 
   // Camera scanning
   const videoRef = useRef(null);
@@ -142,6 +159,62 @@ const VerificationCenter = () => {
     }
   }, [loadTokens]);
 
+  const loadIssuers = useCallback(async () => {
+    try {
+      if (!window.verificationAPI || !window.verificationAPI.listTrustedIssuers) {
+        console.warn('Trusted issuers API not available');
+        return;
+      }
+      const [keyResult, issuersResult] = await Promise.all([
+        window.verificationAPI.exportPublicKey(),
+        window.verificationAPI.listTrustedIssuers()
+      ]);
+      if (keyResult.success) setPublicKeyInfo(keyResult.data);
+      setTrustedIssuers(issuersResult.success ? issuersResult.data : []);
+    } catch (err) {
+      console.error('Failed to load trusted issuers:', err);
+      setTrustedIssuers([]);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (activeTab === 'issuers') {
+      loadIssuers();
+    }
+  }, [activeTab, loadIssuers]);
+
+  const handleAddIssuer = async () => {
+    try {
+      const result = await window.verificationAPI.addTrustedIssuer(issuerKeyInput.trim(), issuerNameInput.trim());
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      setSuccess(`Now trusting tokens from ${result.data.name}`);
+      setIssuerKeyInput('');
+      setIssuerNameInput('');
+      await loadIssuers();
+    } catch (err) {
+      setError('Failed to add trusted issuer: ' + err.message);
+    }
+  };
+
+  const handleRemoveIssuer = async (issuer) => {
+    if (!confirm(`Stop trusting tokens from ${issuer.name}?`)) {
+      return;
+    }
+
+    try {
+      const result = await window.verificationAPI.removeTrustedIssuer(issuer.issuerId);
+      if (!result.success) {
+        throw new Error(result.error || 'Issuer not found');
+      }
+      setSuccess('Trusted issuer removed');
+      await loadIssuers();
+    } catch (err) {
+      setError('Failed to remove trusted issuer: ' + err.message);
+    }
+  };
+
   const handleOpenTokenModal = () => {
     setTokenModalData({});
     setShowTokenModal(true);
@@ -181,7 +254,9 @@ const VerificationCenter = () => {
         throw new Error('Verification API not available. Please restart the application.');
       }
 
-      const result = await window.verificationAPI.verify(inputValue.trim());
+      const result = await window.verificationAPI.verify(inputValue.trim(), {
+        filePath: verifyFilePath || undefined
+      });
 
       if (!result) {
         throw new Error('No response from verification service');
@@ -205,7 +280,20 @@ const VerificationCenter = () => {
     } finally {
       setVerifying(false);
     }
-  }, [verificationInput, verifying]);
+  }, [verificationInput, verifying, verifyFilePath]);
+
+  const handleSelectVerifyPath = async (folder) => {
+    try {
+      const result = folder
+        ? await window.verificationAPI.openFolderDialog()
+        : await window.verificationAPI.openFileDialog();
+      if (result && !result.canceled && result.filePaths.length > 0) {
+        setVerifyFilePath(result.filePaths[0]);
+      }
+    } catch (err) {
+      setError('Failed to select file: ' + err.message);
+    }
+  };
 
   const handleDeleteToken = async (tokenId) => {
     if (!confirm('Are you sure you want to delete this token?')) {
@@ -225,6 +313,78 @@ const VerificationCenter = () => {
     }
   };
 
+  const handleRevokeToken = async (tokenId) => {
+    try {
+      if (!window.verificationAPI || !window.verificationAPI.revokeToken) {
+        throw new Error('Revoke API not available');
+      }
+
+      const result = await window.verificationAPI.revokeToken(tokenId, revokeReason.trim());
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      setSuccess('Token revoked. Export the revocation list to revoke it on other installs too.');
+      setRevokingTokenId(null);
+      setRevokeReason('');
+      await loadTokens();
+    } catch (err) {
+      setError('Failed to revoke token: ' + err.message);
+    }
+  };
+
+  const handleToggleHistory = async (tokenId) => {
+    if (historyTokenId === tokenId) {
+      setHistoryTokenId(null);
+      return;
+    }
+
+    setHistoryTokenId(tokenId);
+    setTokenHistory([]);
+    setLoadingHistory(true);
+    try {
+      if (!window.verificationAPI || !window.verificationAPI.getTokenInfo) {
+        throw new Error('Token info API not available');
+      }
+
+      const result = await window.verificationAPI.getTokenInfo(tokenId);
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      setTokenHistory(result.data ? result.data.uses : []);
+    } catch (err) {
+      setError('Failed to load token history: ' + err.message);
+      setHistoryTokenId(null);
+    } finally {
+      setLoadingHistory(false);
+    }
+  };
+
+  const handleExportRevocationList = async () => {
+    try {
+      const result = await window.verificationAPI.exportRevocationList();
+      if (result.canceled) return;
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      setSuccess(`Revocation list exported (${result.data.count} revoked token(s))`);
+    } catch (err) {
+      setError('Failed to export revocation list: ' + err.message);
+    }
+  };
+
+  const handleImportRevocationList = async () => {
+    try {
+      const result = await window.verificationAPI.importRevocationList();
+      if (result.canceled) return;
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      setSuccess(`Imported revocations from ${result.data.issuerName}: ${result.data.added} new of ${result.data.count}`);
+    } catch (err) {
+      setError('Failed to import revocation list: ' + err.message);
+    }
+  };
+
   const copyToClipboard = (text) => {
     navigator.clipboard.writeText(text);
     setSuccess('Copied to clipboard!');
@@ -424,6 +584,19 @@ const VerificationCenter = () => {
                 My Recovery Keys ({tokens.length})
               </div>
             </button>
+            <button
+              onClick={() => setActiveTab('issuers')}
+              className={`px-4 py-2 rounded-lg font-medium transition-all ${
+                activeTab === 'issuers'
+                  ? 'bg-green-500 text-white'
+                  : 'bg-gray-700/50 text-gray-300 hover:bg-gray-700'
+              }`}
+            >
+              <div className="flex items-center gap-2">
+                <Users className="w-4 h-4" />
+                Trusted Issuers
+              </div>
+            </button>
           </div>
         </div>
       </div>
@@ -545,6 +718,44 @@ const VerificationCenter = () => {
                     </p>
                   </div>
 
+                  <div>
+                    <label className="block text-sm font-medium text-gray-300 mb-2">
+                      File to Check (optional)
+                    </label>
+                    <div className="flex gap-2">
+                      <input
+                        type="text"
+                        value={verifyFilePath}
+                        readOnly
+                        placeholder="Checks the signed file digest against this file"
+                        className="flex-1 bg-gray-700/50 border border-gray-600 rounded-lg px-3 py-2 text-white placeholder-gray-500 text-sm cursor-not-allowed"
+                      />
+                      <button
+                        onClick={() => handleSelectVerifyPath(false)}
+                        className="px-3 py-2 bg-gray-700 hover:bg-gray-600 text-white rounded-lg transition"
+                        title="Choose a file"
+                      >
+                        <FileCheck className="w-4 h-4" />
+                      </button>
+                      <button
+                        onClick={() => handleSelectVerifyPath(true)}
+                        className="px-3 py-2 bg-gray-700 hover:bg-gray-600 text-white rounded-lg transition"
+                        title="Choose a folder"
+                      >
+                        <Package className="w-4 h-4" />
+                      </button>
+                      {verifyFilePath && (
+                        <button
+                          onClick={() => setVerifyFilePath('')}
+                          className="px-3 py-2 bg-gray-700 hover:bg-gray-600 text-white rounded-lg transition"
+                          title="Clear"
+                        >
+                          <XCircle className="w-4 h-4" />
+                        </button>
+                      )}
+                    </div>
+                  </div>
+
                   <div className="flex gap-2">
                     <button
                       onClick={() => handleVerifyToken()}
@@ -675,6 +886,25 @@ const VerificationCenter = () => {
                         <code className="text-gray-300 text-xs">{verificationResult.token.resourceId}</code>
                       </div>
 
+                      <div className="flex items-center justify-between">
+                        <span className="text-gray-400">Issued by:</span>
+                        <span className="text-gray-300">
+                          {verificationResult.token.issuer
+                            ? (verificationResult.token.issuer.self ? 'This install' : verificationResult.token.issuer.name)
+                            : 'This install'}
+                        </span>
+                      </div>
+
+                      {verificationResult.usage && verificationResult.usage.maxUses !== null && (
+                        <div className="flex items-center justify-between">
+                          <span className="text-gray-400">Uses:</span>
+                          <span className="text-gray-300">
+                            {verificationResult.usage.useCount} of {verificationResult.usage.maxUses}
+                            {' '}({verificationResult.usage.remainingUses} left)
+                          </span>
+                        </div>
+                      )}
+
                       <div className="flex items-center justify-between pt-2 border-t border-gray-700">
                         <span className="text-gray-400">Issued:</span>
                         <span className="text-gray-300 text-xs">{formatDate(verificationResult.token.issuedAt)}</span>
@@ -702,12 +932,37 @@ const VerificationCenter = () => {
                           </div>
 
                           <div className="space-y-2">
-                            <div className="flex items-center justify-between">
-                              <span className="text-gray-400">Resource Exists:</span>
-                              <span className={verificationResult.resourceVerification.exists ? 'text-green-400' : 'text-red-400'}>
-                                {verificationResult.resourceVerification.exists ? '✅ Yes' : '❌ No'}
-                              </span>
-                            </div>
+                            {!verificationResult.resourceVerification.fileRequired && (
+                              <div className="flex items-center justify-between">
+                                <span className="text-gray-400">Resource Exists:</span>
+                                <span className={verificationResult.resourceVerification.exists ? 'text-green-400' : 'text-red-400'}>
+                                  {verificationResult.resourceVerification.exists ? '✅ Yes' : '❌ No'}
+                                </span>
+                              </div>
+                            )}
+
+                            {verificationResult.resourceVerification.checkedPath && (
+                              <div className="flex items-center justify-between gap-2">
+                                <span className="text-gray-400">Checked:</span>
+                                <span className="text-gray-300 text-xs truncate" title={verificationResult.resourceVerification.checkedPath}>
+                                  {verificationResult.resourceVerification.checkedPath}
+                                </span>
+                              </div>
+                            )}
+
+                            {verificationResult.resourceVerification.expectedDigest && (
+                              <div>
+                                <span className="text-gray-400 block mb-1">Signed digest:</span>
+                                <code className="text-gray-300 text-xs break-all">{verificationResult.resourceVerification.expectedDigest}</code>
+                              </div>
+                            )}
+
+                            {verificationResult.resourceVerification.hashMatch === false && (
+                              <div>
+                                <span className="text-gray-400 block mb-1">File digest:</span>
+                                <code className="text-red-300 text-xs break-all">{verificationResult.resourceVerification.actualDigest}</code>
+                              </div>
+                            )}
 
                             {verificationResult.resourceVerification.hashMatch !== undefined && (
                               <div className="flex items-center justify-between">
@@ -744,6 +999,12 @@ const VerificationCenter = () => {
                       <p>Expired: {formatDate(verificationResult.expiredAt)}</p>
                     </div>
                   )}
+                  {!verificationResult.valid && verificationResult.revokedAt && (
+                    <div className="text-sm text-gray-400">
+                      <p>Revoked: {formatDate(verificationResult.revokedAt)}</p>
+                      {verificationResult.reason && <p>Reason: {verificationResult.reason}</p>}
+                    </div>
+                  )}
                 </div>
               )}
             </div>
@@ -803,6 +1064,16 @@ const VerificationCenter = () => {
                                 One-time
                               </span>
                             )}
+                            {token.maxUses > 1 && (
+                              <span className="px-2 py-0.5 bg-purple-500/20 text-purple-300 text-xs rounded">
+                                {token.useCount}/{token.maxUses} uses
+                              </span>
+                            )}
+                            {token.signingMode === 'ed25519' && (
+                              <span className="px-2 py-0.5 bg-yellow-500/20 text-yellow-300 text-xs rounded">
+                                Shareable
+                              </span>
+                            )}
                             {token.used && (
                               <span className="px-2 py-0.5 bg-gray-600 text-gray-300 text-xs rounded">
                                 Used
@@ -813,6 +1084,11 @@ const VerificationCenter = () => {
                                 Expired
                               </span>
                             )}
+                            {token.revoked && (
+                              <span className="px-2 py-0.5 bg-red-500/20 text-red-300 text-xs rounded">
+                                Revoked
+                              </span>
+                            )}
                             {token.isValid && (
                               <span className="px-2 py-0.5 bg-green-500/20 text-green-300 text-xs rounded">
                                 Valid
@@ -842,23 +1118,228 @@ const VerificationCenter = () => {
                             </div>
                           </div>
 
-                          {token.used && token.usedAt && (
+                          {token.usedAt && (
                             <div className="flex items-center gap-1 text-xs text-gray-500 mt-1">
                               <CheckCircle2 className="w-3 h-3" />
-                              Used: {formatDate(token.usedAt)}
+                              {token.used ? 'Used' : 'Last used'}: {formatDate(token.usedAt)}
+                              {token.maxUses === null && ` (${token.useCount} ${token.useCount === 1 ? 'use' : 'uses'})`}
+                            </div>
+                          )}
+
+                          {token.revoked && (
+                            <div className="flex items-center gap-1 text-xs text-red-300/80 mt-1">
+                              <Ban className="w-3 h-3" />
+                              Revoked: {formatDate(token.revokedAt)}{token.revokeReason && ` - ${token.revokeReason}`}
                             </div>
                           )}
                         </div>
                       </div>
 
-                      <button
-                        onClick={() => handleDeleteToken(token.tokenId)}
-                        className="p-2 hover:bg-red-500/20 text-gray-400 hover:text-red-400 rounded-lg transition-colors"
-                        title="Delete token"
-                      >
-                        <Trash2 className="w-4 h-4" />
-                      </button>
+                      <div className="flex items-center gap-1">
+                        <button
+                          onClick={() => handleToggleHistory(token.tokenId)}
+                          className={`p-2 hover:bg-blue-500/20 hover:text-blue-400 rounded-lg transition-colors ${
+                            historyTokenId === token.tokenId ? 'text-blue-400' : 'text-gray-400'
+                          }`}
+                          title="Use history"
+                        >
+                          <History className="w-4 h-4" />
+                        </button>
+                        {!token.revoked && (
+                          <button
+                            onClick={() => {
+                              setRevokingTokenId(revokingTokenId === token.tokenId ? null : token.tokenId);
+                              setRevokeReason('');
+                            }}
+                            className="p-2 hover:bg-yellow-500/20 text-gray-400 hover:text-yellow-400 rounded-lg transition-colors"
+                            title="Revoke token"
+                          >
+                            <Ban className="w-4 h-4" />
+                          </button>
+                        )}
+                        <button
+                          onClick={() => handleDeleteToken(token.tokenId)}
+                          className="p-2 hover:bg-red-500/20 text-gray-400 hover:text-red-400 rounded-lg transition-colors"
+                          title="Delete token"
+                        >
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      </div>
                     </div>
+
+                    {revokingTokenId === token.tokenId && (
+                      <div className="flex gap-2 mt-3 pt-3 border-t border-gray-700">
+                        <input
+                          type="text"
+                          value={revokeReason}
+                          onChange={(e) => setRevokeReason(e.target.value)}
+                          placeholder="Reason (optional, shown when the token is verified)"
+                          className="flex-1 bg-gray-700/50 border border-gray-600 rounded-lg px-3 py-2 text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-yellow-500 text-sm"
+                        />
+                        <button
+                          onClick={() => handleRevokeToken(token.tokenId)}
+                          className="bg-yellow-500 hover:bg-yellow-600 text-gray-900 py-2 px-4 rounded-lg font-medium transition-colors"
+                        >
+                          Revoke
+                        </button>
+                      </div>
+                    )}
+
+                    {historyTokenId === token.tokenId && (
+                      <div className="mt-3 pt-3 border-t border-gray-700">
+                        <h5 className="text-sm font-medium text-gray-300 mb-2">Use History</h5>
+                        {loadingHistory ? (
+                          <p className="text-xs text-gray-400">Loading...</p>
+                        ) : tokenHistory.length === 0 ? (
+                          <p className="text-xs text-gray-400">This token has not been verified yet</p>
+                        ) : (
+                          <div className="overflow-x-auto">
+                            <table className="w-full text-xs">
+                              <thead>
+                                <tr className="text-left text-gray-400">
+                                  <th className="py-1 pr-3 font-medium">Time</th>
+                                  <th className="py-1 pr-3 font-medium">System</th>
+                                  <th className="py-1 pr-3 font-medium">Result</th>
+                                  <th className="py-1 pr-3 font-medium">File hash</th>
+                                </tr>
+                              </thead>
+                              <tbody>
+                                {tokenHistory.map((use, index) => (
+                                  <tr key={`${use.usedAt}-${index}`} className="border-t border-gray-700/50 text-gray-300">
+                                    <td className="py-1 pr-3 whitespace-nowrap">{formatDate(use.usedAt)}</td>
+                                    <td className="py-1 pr-3"><code className="text-gray-400">{use.systemId}</code></td>
+                                    <td className="py-1 pr-3">
+                                      <span className={use.result === 'valid' ? 'text-green-400' : 'text-red-400'}>
+                                        {use.result === 'valid' ? (use.counted ? 'Valid (counted)' : 'Valid') : use.result}
+                                      </span>
+                                    </td>
+                                    <td className="py-1 pr-3">
+                                      {use.fileHash ? (
+                                        <span className={use.hashMatch ? 'text-green-400' : 'text-red-400'} title={use.fileHash}>
+                                          {use.hashMatch ? '✅' : '❌'} <code>{use.fileHash.slice(-12)}</code>
+                                        </span>
+                                      ) : (
+                                        <span className="text-gray-500">-</span>
+                                      )}
+                                    </td>
+                                  </tr>
+                                ))}
+                              </tbody>
+                            </table>
+                          </div>
+                        )}
+                      </div>
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* Trusted Issuers Tab */}
+        {activeTab === 'issuers' && (
+          <div className="max-w-4xl mx-auto space-y-6">
+            <div className="bg-gray-800/50 rounded-lg border border-gray-700/50 p-6">
+              <h3 className="text-lg font-semibold text-white mb-2">Public Key of This Install</h3>
+              <p className="text-sm text-gray-400 mb-4">
+                Share this key with the FortiMorph installs that should accept your shareable tokens.
+              </p>
+              {publicKeyInfo ? (
+                <div className="space-y-2">
+                  <div className="flex items-center justify-between text-sm">
+                    <span className="text-gray-400">Issuer:</span>
+                    <span className="text-gray-300">{publicKeyInfo.name} <code className="text-xs text-gray-400">({publicKeyInfo.issuerId})</code></span>
+                  </div>
+                  <div className="flex gap-2">
+                    <code className="flex-1 bg-gray-700/50 p-2 rounded text-xs text-gray-300 break-all">{publicKeyInfo.issuerKey}</code>
+                    <button
+                      onClick={() => copyToClipboard(publicKeyInfo.issuerKey)}
+                      className="px-4 py-2 bg-blue-500 hover:bg-blue-600 text-white rounded-lg transition"
+                      title="Copy public key"
+                    >
+                      <Copy className="w-4 h-4" />
+                    </button>
+                  </div>
+                </div>
+              ) : (
+                <p className="text-gray-500 text-sm">Loading...</p>
+              )}
+            </div>
+
+            <div className="bg-gray-800/50 rounded-lg border border-gray-700/50 p-6">
+              <h3 className="text-lg font-semibold text-white mb-4">Trust Another Install</h3>
+              <div className="space-y-3">
+                <textarea
+                  value={issuerKeyInput}
+                  onChange={(e) => setIssuerKeyInput(e.target.value)}
+                  placeholder="Paste the public key exported on the other install..."
+                  rows={3}
+                  className="w-full bg-gray-700/50 border border-gray-600 rounded-lg px-3 py-2 text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-green-500 font-mono text-sm"
+                />
+                <div className="flex gap-2">
+                  <input
+                    type="text"
+                    value={issuerNameInput}
+                    onChange={(e) => setIssuerNameInput(e.target.value)}
+                    placeholder="Name (optional)"
+                    className="flex-1 bg-gray-700/50 border border-gray-600 rounded-lg px-3 py-2 text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-green-500 text-sm"
+                  />
+                  <button
+                    onClick={handleAddIssuer}
+                    disabled={!issuerKeyInput.trim()}
+                    className="bg-green-500 hover:bg-green-600 disabled:bg-gray-600 text-white py-2 px-4 rounded-lg font-medium transition-colors"
+                  >
+                    Trust
+                  </button>
+                </div>
+              </div>
+            </div>
+
+            <div className="bg-gray-800/50 rounded-lg border border-gray-700/50 p-6">
+              <h3 className="text-lg font-semibold text-white mb-2">Revocation Lists</h3>
+              <p className="text-sm text-gray-400 mb-4">
+                Export your revoked shareable tokens so trusted installs reject them too, or import a list from an install you trust.
+              </p>
+              <div className="flex gap-2">
+                <button
+                  onClick={handleExportRevocationList}
+                  className="bg-gray-700 hover:bg-gray-600 text-white py-2 px-4 rounded-lg font-medium transition-colors flex items-center gap-2"
+                >
+                  <Download className="w-4 h-4" />
+                  Export Revocation List
+                </button>
+                <button
+                  onClick={handleImportRevocationList}
+                  className="bg-gray-700 hover:bg-gray-600 text-white py-2 px-4 rounded-lg font-medium transition-colors flex items-center gap-2"
+                >
+                  <Upload className="w-4 h-4" />
+                  Import Revocation List
+                </button>
+              </div>
+            </div>
+
+            {trustedIssuers.length === 0 ? (
+              <div className="bg-gray-800/50 rounded-lg border border-gray-700/50 p-8 text-center">
+                <Users className="w-12 h-12 text-gray-600 mx-auto mb-3" />
+                <p className="text-gray-400">No trusted issuers yet</p>
+              </div>
+            ) : (
+              <div className="space-y-3">
+                {trustedIssuers.map((issuer) => (
+                  <div key={issuer.issuerId} className="bg-gray-800/50 rounded-lg border border-gray-700/50 p-4 flex items-center justify-between">
+                    <div>
+                      <h4 className="font-medium text-white">{issuer.name}</h4>
+                      <code className="text-xs text-gray-400">{issuer.issuerId}</code>
+                      <p className="text-xs text-gray-500 mt-1">Trusted since {formatDate(issuer.addedAt)}</p>
+                    </div>
+                    <button
+                      onClick={() => handleRemoveIssuer(issuer)}
+                      className="p-2 hover:bg-red-500/20 text-gray-400 hover:text-red-400 rounded-lg transition-colors"
+                      title="Stop trusting"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
                   </div>
                 ))}
               </div>
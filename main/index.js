@@ -13,6 +13,8 @@ const BatteryService = require('./services/batteryService');
 const SystemHealthService = require('./services/systemHealthService');
 const QuarantineService = require('./services/quarantineService');
 const BackupService = require('./services/backupService');
+const BackupScheduler = require('./services/backupScheduler');
+const BackupScrubber = require('./services/backupScrubber');
 const ConversionService = require('./services/conversionService');
 const { verificationService } = require('./services/verificationService');
 const antivirusService = require('./services/antivirusService');
@@ -26,6 +28,8 @@ let batteryService;
 let systemHealthService;
 let quarantineService;
 let backupService;
+let backupScheduler;
+let backupScrubber;
 let conversionService;
 let deletedFilesService;
 let duplicateFilesService;
@@ -128,6 +132,9 @@ function createWindow() {
     if (batteryService) {
       batteryService.setMainWindow(mainWindow);
     }
+    if (backupScrubber) {
+      backupScrubber.setMainWindow(mainWindow);
+    }
   });
 
   mainWindow.on('closed', () => {
@@ -198,11 +205,37 @@ app.whenReady().then(async () => {
     backupService = new BackupService(db);
     await backupService.initialize(backupBasePath);
     backupService.setUserIdProvider(() => getCurrentUserId());
+    // Backups run slower in battery saver mode and while on battery
+    backupService.setPowerStateProvider(() => {
+      if (!batteryService) return null;
+      const battery = batteryService.lastBatteryState;
+      return {
+        mode: batteryService.getOptimizationMode(),
+        onBattery: Boolean(battery && battery.hasBattery && !battery.isCharging && battery.acConnected !== true)
+      };
+    });
     console.log('Backup service initialized');
     
+    // Start backup scheduler (runs jobs for all users, catches up missed runs)
+    backupScheduler = new BackupScheduler(db, backupService);
+    backupScheduler.start().catch(err => {
+      console.error('Backup scheduler failed to start:', err.message);
+    });
+    console.log('Backup scheduler started');
+
+    // Re-verify stored backups in the background (one at a time, least recently verified first)
+    backupScrubber = new BackupScrubber(db, backupService, mainWindow);
+    backupScrubber.start();
+
+    // Finish destination uploads interrupted by the last shutdown
+    backupService.resumePendingUploads().catch(err => {
+      console.error('Failed to resume backup uploads:', err.message);
+    });
+    
     // Initialize conversion service
     conversionService = new ConversionService(db, logsService);
     conversionService.setUserIdProvider(() => getCurrentUserId());
+    conversionService.setPackageSigner(verificationService);
     console.log('Conversion service initialized');
     
     // Initialize antivirus service
@@ -271,6 +304,16 @@ app.on('before-quit', () => {
     batteryService.stop();
   }
   
+  // Stop backup scheduler
+  if (backupScheduler) {
+    backupScheduler.stop();
+  }
+  
+  // Stop backup scrubber
+  if (backupScrubber) {
+    backupScrubber.stop();
+  }
+  
   // Close database connection
   db.close();
 });
@@ -298,6 +341,15 @@ function getCurrentUserId() {
   return sessionData.isAuthenticated && sessionData.user ? sessionData.user.uid : null;
 }
 
+// Forward progress of a background run (backup, conversion batch) to the window that started it
+function createProgressSender(sender, channel) {
+  return (progress) => {
+    if (!sender.isDestroyed()) {
+      sender.send(channel, progress);
+    }
+  };
+}
+
 // IPC handlers for secure communication
 ipcMain.handle('get-store-value', async (event, key) => {
   return store.get(key);
@@ -1599,21 +1651,91 @@ ipcMain.handle('quarantine:openFolder', async () => {
 // ========================================
 
 // Create backup
-ipcMain.handle('backup:create', async (_event, { name, sourcePath, options }) => {
+// Backups run in the background; progress and the result arrive as 'backup:progress' events
+ipcMain.handle('backup:create', async (event, { name, sourcePath, options }) => {
   try {
     if (!backupService) {
       return { success: false, error: 'Backup service not initialized' };
     }
     
     const userId = getCurrentUserId();
-    const result = await backupService.createBackup(sourcePath, { name, ...options, userId });
-    return result;
+    const { runId, done } = backupService.startBackup(
+      sourcePath,
+      { name, ...options, userId },
+      createProgressSender(event.sender, 'backup:progress')
+    );
+    done.catch(() => {}); // Reported through the progress 'error' / 'cancelled' phases
+    return { success: true, runId };
   } catch (error) {
     console.error('Error creating backup:', error);
     return { success: false, error: error.message };
   }
 });
 
+// List running, paused and interrupted backups
+ipcMain.handle('backup:runs', async () => {
+  try {
+    if (!backupService) {
+      return { success: false, error: 'Backup service not initialized' };
+    }
+    
+    const userId = getCurrentUserId();
+    return { success: true, runs: backupService.listBackupRuns(userId) };
+  } catch (error) {
+    console.error('Error listing backup runs:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Pause a running backup
+ipcMain.handle('backup:pause', async (_event, runId) => {
+  try {
+    if (!backupService) {
+      return { success: false, error: 'Backup service not initialized' };
+    }
+    
+    const userId = getCurrentUserId();
+    return backupService.pauseBackup(runId, userId);
+  } catch (error) {
+    console.error('Error pausing backup:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Resume a paused backup or an interrupted one from its checkpoint
+ipcMain.handle('backup:resume', async (event, runId) => {
+  try {
+    if (!backupService) {
+      return { success: false, error: 'Backup service not initialized' };
+    }
+    
+    const userId = getCurrentUserId();
+    const { done, ...result } = backupService.resumeBackup(runId, userId, createProgressSender(event.sender, 'backup:progress'));
+    if (done) {
+      done.catch(() => {}); // Reported through the progress 'error' / 'cancelled' phases
+    }
+    return result;
+  } catch (error) {
+    console.error('Error resuming backup:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Cancel a running backup or discard an interrupted one
+ipcMain.handle('backup:cancel', async (_event, runId) => {
+  try {
+    if (!backupService) {
+      return { success: false, error: 'Backup service not initialized' };
+    }
+    
+    const userId = getCurrentUserId();
+    return backupService.cancelBackup(runId, userId);
+  } catch (error) {
+    console.error('Error cancelling backup:', error);
+    return { success: false, error: error.message };
+  }
+});
+
 // Restore backup
 ipcMain.handle('backup:restore', async (_event, params) => {
   try {
@@ -1624,7 +1746,8 @@ ipcMain.handle('backup:restore', async (_event, params) => {
     console.log('Restore backup params:', params);
     const { backupId, targetPath, options } = params;
     
-    if (!backupId || !targetPath) {
+    const rootTargets = options && options.rootTargets;
+    if (!backupId || (!targetPath && !(rootTargets && Object.keys(rootTargets).length > 0))) {
       throw new Error('Missing required parameters: backupId and targetPath');
     }
     
@@ -1652,6 +1775,22 @@ ipcMain.handle('backup:verify', async (_event, backupId) => {
   }
 });
 
+// Repair damaged files of a backup from copies in other backups
+ipcMain.handle('backup:repair', async (_event, backupId) => {
+  try {
+    if (!backupService) {
+      return { success: false, error: 'Backup service not initialized' };
+    }
+    
+    const userId = getCurrentUserId();
+    backupService.getOwnedBackup(backupId, userId);
+    return await backupService.repairBackup(backupId);
+  } catch (error) {
+    console.error('Error repairing backup:', error);
+    return { success: false, error: error.message };
+  }
+});
+
 // List backups
 ipcMain.handle('backup:list', async () => {
   try {
@@ -1669,16 +1808,364 @@ ipcMain.handle('backup:list', async () => {
 });
 
 // Delete backup
-ipcMain.handle('backup:delete', async (_event, backupId) => {
+ipcMain.handle('backup:delete', async (_event, backupId, options) => {
   try {
     if (!backupService) {
       return { success: false, error: 'Backup service not initialized' };
     }
     
-    const result = await backupService.deleteBackup(backupId);
+    const result = await backupService.deleteBackup(backupId, options || {});
     return result;
   } catch (error) {
     console.error('Error deleting backup:', error);
+    return {
+      success: false,
+      error: error.message,
+      dependents: error.dependents || [],
+      chainTip: error.chainTip || null
+    };
+  }
+});
+
+// Browse a backup's files and their versions across the chain
+ipcMain.handle('backup:browse', async (_event, { backupId, options }) => {
+  try {
+    if (!backupService) {
+      return { success: false, error: 'Backup service not initialized' };
+    }
+    
+    if (!backupId) {
+      throw new Error('Missing required parameter: backupId');
+    }
+    
+    const userId = getCurrentUserId();
+    backupService.getOwnedBackup(backupId, userId);
+    return { success: true, ...backupService.browseBackup(backupId, options || {}) };
+  } catch (error) {
+    console.error('Error browsing backup:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Search backed-up files by path
+ipcMain.handle('backup:searchFileHistory', async (_event, search) => {
+  try {
+    if (!backupService) {
+      return [];
+    }
+    
+    const userId = getCurrentUserId();
+    return backupService.searchFileHistory(search || '', userId);
+  } catch (error) {
+    console.error('Error searching file history:', error);
+    return [];
+  }
+});
+
+// List every backed-up version of a file
+ipcMain.handle('backup:fileVersions', async (_event, originalPath) => {
+  try {
+    if (!backupService) {
+      return { success: false, error: 'Backup service not initialized' };
+    }
+    
+    const userId = getCurrentUserId();
+    return { success: true, versions: backupService.getFileVersions(originalPath, userId) };
+  } catch (error) {
+    console.error('Error listing file versions:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Diff two text versions of a file
+ipcMain.handle('backup:diffVersions', async (_event, { versionA, versionB }) => {
+  try {
+    if (!backupService) {
+      return { success: false, error: 'Backup service not initialized' };
+    }
+    
+    const userId = getCurrentUserId();
+    const diff = await backupService.diffFileVersions(versionA, versionB, userId);
+    return { success: true, ...diff };
+  } catch (error) {
+    console.error('Error diffing file versions:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Restore one version of a file
+ipcMain.handle('backup:restoreVersion', async (_event, { versionId, targetPath, conflictMode }) => {
+  try {
+    if (!backupService) {
+      return { success: false, error: 'Backup service not initialized' };
+    }
+    
+    const userId = getCurrentUserId();
+    const options = { conflictMode };
+    if (targetPath) {
+      options.targetPath = targetPath;
+    }
+    return await backupService.restoreFileVersion(versionId, options, userId);
+  } catch (error) {
+    console.error('Error restoring file version:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Merge a backup chain into a standalone full backup
+ipcMain.handle('backup:synthesize', async (_event, { backupId, name, options }) => {
+  try {
+    if (!backupService) {
+      return { success: false, error: 'Backup service not initialized' };
+    }
+    
+    if (!backupId) {
+      throw new Error('Missing required parameter: backupId');
+    }
+    
+    const userId = getCurrentUserId();
+    backupService.getOwnedBackup(backupId, userId);
+    const result = await backupService.synthesizeBackup(backupId, { name, ...options });
+    return result;
+  } catch (error) {
+    console.error('Error synthesizing backup:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Export a backup (with the backups it depends on) as one archive
+ipcMain.handle('backup:export', async (_event, { backupId, targetPath }) => {
+  try {
+    if (!backupService) {
+      return { success: false, error: 'Backup service not initialized' };
+    }
+    
+    if (!backupId) {
+      throw new Error('Missing required parameter: backupId');
+    }
+    
+    const userId = getCurrentUserId();
+    const backup = backupService.getOwnedBackup(backupId, userId);
+    
+    let archivePath = targetPath;
+    if (!archivePath) {
+      const result = await dialog.showSaveDialog(mainWindow, {
+        defaultPath: `${backup.name}.fortibackup`,
+        filters: [{ name: 'FortiMorph Backup', extensions: ['fortibackup'] }]
+      });
+      if (result.canceled || !result.filePath) {
+        return { success: false, canceled: true };
+      }
+      archivePath = result.filePath;
+    }
+    
+    return await backupService.exportBackup(backupId, archivePath);
+  } catch (error) {
+    console.error('Error exporting backup:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Import a backup folder or export archive for the current user
+ipcMain.handle('backup:import', async (_event, { sourcePath, recoveryKey, passphrase }) => {
+  try {
+    if (!backupService) {
+      return { success: false, error: 'Backup service not initialized' };
+    }
+    
+    if (!sourcePath) {
+      throw new Error('Missing required parameter: sourcePath');
+    }
+    
+    const userId = getCurrentUserId();
+    return await backupService.importBackup(sourcePath, { recoveryKey, passphrase }, userId);
+  } catch (error) {
+    console.error('Error importing backup:', error);
+    return { success: false, error: error.message, failures: error.failures };
+  }
+});
+
+// List scheduled backup jobs
+ipcMain.handle('backup:listJobs', async () => {
+  try {
+    if (!backupScheduler) {
+      return [];
+    }
+    
+    const userId = getCurrentUserId();
+    return backupScheduler.listJobs(userId);
+  } catch (error) {
+    console.error('Error listing backup jobs:', error);
+    return [];
+  }
+});
+
+// Create scheduled backup job
+ipcMain.handle('backup:createJob', async (_event, job) => {
+  try {
+    if (!backupScheduler) {
+      return { success: false, error: 'Backup scheduler not initialized' };
+    }
+    
+    const userId = getCurrentUserId();
+    const created = backupScheduler.createJob(job, userId);
+    return { success: true, job: created };
+  } catch (error) {
+    console.error('Error creating backup job:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Update scheduled backup job
+ipcMain.handle('backup:updateJob', async (_event, { jobId, updates }) => {
+  try {
+    if (!backupScheduler) {
+      return { success: false, error: 'Backup scheduler not initialized' };
+    }
+    
+    const userId = getCurrentUserId();
+    const updated = backupScheduler.updateJob(jobId, updates || {}, userId);
+    return { success: true, job: updated };
+  } catch (error) {
+    console.error('Error updating backup job:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Delete scheduled backup job (its backups are kept)
+ipcMain.handle('backup:deleteJob', async (_event, jobId) => {
+  try {
+    if (!backupScheduler) {
+      return { success: false, error: 'Backup scheduler not initialized' };
+    }
+    
+    const userId = getCurrentUserId();
+    return backupScheduler.deleteJob(jobId, userId);
+  } catch (error) {
+    console.error('Error deleting backup job:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Run scheduled backup job now
+ipcMain.handle('backup:runJob', async (_event, jobId) => {
+  try {
+    if (!backupScheduler) {
+      return { success: false, error: 'Backup scheduler not initialized' };
+    }
+    
+    const userId = getCurrentUserId();
+    backupScheduler.getOwnedJob(jobId, userId);
+    return await backupScheduler.runJob(jobId);
+  } catch (error) {
+    console.error('Error running backup job:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// List backup destinations
+ipcMain.handle('backup:listDestinations', async () => {
+  try {
+    if (!backupService) {
+      return [];
+    }
+    
+    const userId = getCurrentUserId();
+    return backupService.listDestinations(userId);
+  } catch (error) {
+    console.error('Error listing backup destinations:', error);
+    return [];
+  }
+});
+
+// Add backup destination
+ipcMain.handle('backup:addDestination', async (_event, destination) => {
+  try {
+    if (!backupService) {
+      return { success: false, error: 'Backup service not initialized' };
+    }
+    
+    const userId = getCurrentUserId();
+    const created = await backupService.addDestination(destination, userId);
+    return { success: true, destination: created };
+  } catch (error) {
+    console.error('Error adding backup destination:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Update backup destination
+ipcMain.handle('backup:updateDestination', async (_event, { destinationId, updates }) => {
+  try {
+    if (!backupService) {
+      return { success: false, error: 'Backup service not initialized' };
+    }
+    
+    const userId = getCurrentUserId();
+    const updated = await backupService.updateDestination(destinationId, updates || {}, userId);
+    return { success: true, destination: updated };
+  } catch (error) {
+    console.error('Error updating backup destination:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Remove backup destination
+ipcMain.handle('backup:removeDestination', async (_event, destinationId) => {
+  try {
+    if (!backupService) {
+      return { success: false, error: 'Backup service not initialized' };
+    }
+    
+    const userId = getCurrentUserId();
+    return await backupService.removeDestination(destinationId, userId);
+  } catch (error) {
+    console.error('Error removing backup destination:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Check a backup destination is reachable
+ipcMain.handle('backup:testDestination', async (_event, destinationId) => {
+  try {
+    if (!backupService) {
+      return { success: false, error: 'Backup service not initialized' };
+    }
+    
+    const userId = getCurrentUserId();
+    return await backupService.testDestination(destinationId, userId);
+  } catch (error) {
+    console.error('Error testing backup destination:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// List removable drives usable as destinations
+ipcMain.handle('backup:listRemovableDrives', async () => {
+  try {
+    if (!backupService) {
+      return [];
+    }
+    
+    return await backupService.listRemovableDrives();
+  } catch (error) {
+    console.error('Error listing removable drives:', error);
+    return [];
+  }
+});
+
+// Copy a backup to a destination (resumes an interrupted copy)
+ipcMain.handle('backup:upload', async (_event, { backupId, destinationId }) => {
+  try {
+    if (!backupService) {
+      return { success: false, error: 'Backup service not initialized' };
+    }
+    
+    const userId = getCurrentUserId();
+    backupService.getOwnedDestination(destinationId, userId);
+    return await backupService.uploadBackupToDestination(backupId, destinationId);
+  } catch (error) {
+    console.error('Error uploading backup:', error);
     return { success: false, error: error.message };
   }
 });
@@ -1691,14 +2178,78 @@ ipcMain.handle('backup:generateRecoveryKey', async () => {
     }
     
     const userId = getCurrentUserId();
-    const recoveryKey = backupService.generateRecoveryKey(userId);
-    return { success: true, recoveryKey };
+    const { recoveryKey, backupsUpdated } = await backupService.generateRecoveryKey(userId);
+    return { success: true, recoveryKey, backupsUpdated };
   } catch (error) {
     console.error('Error generating recovery key:', error);
     return { success: false, error: error.message };
   }
 });
 
+// Protect the backup key with a passphrase
+ipcMain.handle('backup:setPassphrase', async (_event, passphrase) => {
+  try {
+    if (!backupService) {
+      return { success: false, error: 'Backup service not initialized' };
+    }
+    
+    const userId = getCurrentUserId();
+    return await backupService.setBackupPassphrase(passphrase, userId);
+  } catch (error) {
+    console.error('Error setting backup passphrase:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Report whether a passphrase / recovery key protects the backup key
+ipcMain.handle('backup:keyStatus', async () => {
+  try {
+    if (!backupService) {
+      return { success: false, error: 'Backup service not initialized' };
+    }
+    
+    const userId = getCurrentUserId();
+    const status = await backupService.getKeyProtectionStatus(userId);
+    return { success: true, ...status };
+  } catch (error) {
+    console.error('Error getting backup key status:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Describe a backup folder before restoring it without the database
+ipcMain.handle('backup:inspectFolder', async (_event, backupFolder) => {
+  try {
+    if (!backupService) {
+      return { success: false, error: 'Backup service not initialized' };
+    }
+    
+    return { success: true, ...backupService.inspectBackupFolder(backupFolder) };
+  } catch (error) {
+    console.error('Error inspecting backup folder:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Restore a backup folder with a recovery key or passphrase
+ipcMain.handle('backup:restoreFromFolder', async (_event, { backupFolder, targetPath, options }) => {
+  try {
+    if (!backupService) {
+      return { success: false, error: 'Backup service not initialized' };
+    }
+    
+    if (!backupFolder || !targetPath) {
+      return { success: false, error: 'Backup folder and target path are required' };
+    }
+    
+    const userId = getCurrentUserId();
+    return await backupService.restoreFromBackupFolder(backupFolder, targetPath, options || {}, userId);
+  } catch (error) {
+    console.error('Error restoring backup folder:', error);
+    return { success: false, error: error.message };
+  }
+});
+
 // ========================================
 // Deleted Files IPC Handlers
 // ========================================
@@ -1898,9 +2449,9 @@ ipcMain.handle('verification:generate', async (_event, options) => {
 });
 
 // Verify token
-ipcMain.handle('verification:verify', async (_event, tokenString) => {
+ipcMain.handle('verification:verify', async (_event, tokenString, options) => {
   try {
-    const result = await verificationService.verifyToken(tokenString);
+    const result = await verificationService.verifyToken(tokenString, true, options || {});
     return result;
   } catch (error) {
     console.error('Error verifying token:', error);
@@ -1941,6 +2492,63 @@ ipcMain.handle('verification:deleteToken', async (_event, tokenId) => {
   }
 });
 
+// Revoke token
+ipcMain.handle('verification:revokeToken', async (_event, { tokenId, reason }) => {
+  try {
+    const result = await verificationService.revokeToken(tokenId, reason);
+    return { success: result, error: result ? undefined : 'Token is already revoked' };
+  } catch (error) {
+    console.error('Error revoking token:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Export the signed list of revoked tokens for other installs
+ipcMain.handle('verification:exportRevocationList', async (_event, { targetPath } = {}) => {
+  try {
+    let filePath = targetPath;
+    if (!filePath) {
+      const result = await dialog.showSaveDialog(mainWindow, {
+        defaultPath: 'revocations.fortirevoke',
+        filters: [{ name: 'FortiMorph Revocation List', extensions: ['fortirevoke'] }]
+      });
+      if (result.canceled || !result.filePath) {
+        return { success: false, canceled: true };
+      }
+      filePath = result.filePath;
+    }
+
+    const result = await verificationService.exportRevocationList(filePath);
+    return { success: true, data: result };
+  } catch (error) {
+    console.error('Error exporting revocation list:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Import another install's revocation list
+ipcMain.handle('verification:importRevocationList', async (_event, { sourcePath } = {}) => {
+  try {
+    let filePath = sourcePath;
+    if (!filePath) {
+      const result = await dialog.showOpenDialog(mainWindow, {
+        properties: ['openFile'],
+        filters: [{ name: 'FortiMorph Revocation List', extensions: ['fortirevoke'] }]
+      });
+      if (result.canceled || result.filePaths.length === 0) {
+        return { success: false, canceled: true };
+      }
+      filePath = result.filePaths[0];
+    }
+
+    const result = await verificationService.importRevocationList(filePath);
+    return { success: true, data: result };
+  } catch (error) {
+    console.error('Error importing revocation list:', error);
+    return { success: false, error: error.message };
+  }
+});
+
 // Cleanup expired tokens
 ipcMain.handle('verification:cleanup', async () => {
   try {
@@ -1952,6 +2560,50 @@ ipcMain.handle('verification:cleanup', async () => {
   }
 });
 
+// Export this install's public key for Ed25519 tokens
+ipcMain.handle('verification:exportPublicKey', async () => {
+  try {
+    const key = await verificationService.exportPublicKey();
+    return { success: true, data: key };
+  } catch (error) {
+    console.error('Error exporting public key:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// List trusted token issuers
+ipcMain.handle('verification:listTrustedIssuers', async () => {
+  try {
+    const issuers = await verificationService.listTrustedIssuers();
+    return { success: true, data: issuers };
+  } catch (error) {
+    console.error('Error listing trusted issuers:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Trust another install's public key
+ipcMain.handle('verification:addTrustedIssuer', async (_event, { issuerKey, name }) => {
+  try {
+    const issuer = await verificationService.addTrustedIssuer(issuerKey, name);
+    return { success: true, data: issuer };
+  } catch (error) {
+    console.error('Error adding trusted issuer:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Stop trusting an install's public key
+ipcMain.handle('verification:removeTrustedIssuer', async (_event, issuerId) => {
+  try {
+    const result = await verificationService.removeTrustedIssuer(issuerId);
+    return { success: result };
+  } catch (error) {
+    console.error('Error removing trusted issuer:', error);
+    return { success: false, error: error.message };
+  }
+});
+
 // Get backups for resource selection
 ipcMain.handle('verification:getBackups', async () => {
   try {
@@ -2048,11 +2700,10 @@ ipcMain.handle('verification:calculateFileHash', async (_event, filePath) => {
   }
 });
 
-// Calculate folder hash (hash of all files)
+// Calculate folder digest - the canonical sha256-dir digest a token for the folder signs
 ipcMain.handle('verification:calculateFolderHash', async (_event, folderPath) => {
   try {
     const fs = require('fs');
-    const crypto = require('crypto');
     const path = require('path');
     
     // Get all files in folder recursively
@@ -2072,21 +2723,14 @@ ipcMain.handle('verification:calculateFolderHash', async (_event, folderPath) =>
     };
     
     const files = getAllFiles(folderPath);
-    const hash = crypto.createHash('sha256');
-    
-    // Hash all file paths and contents
-    for (const file of files) {
-      hash.update(file);
-      const content = fs.readFileSync(file);
-      hash.update(content);
-    }
     
     return {
       name: path.basename(folderPath),
       path: folderPath,
       size: files.reduce((total, file) => total + fs.statSync(file).size, 0),
-      hash: hash.digest('hex'),
-      fileCount: files.length
+      hash: await verificationService.calculateCanonicalDigest(folderPath),
+      fileCount: files.length,
+      isDirectory: true
     };
   } catch (error) {
     console.error('Error calculating folder hash:', error);
@@ -2253,6 +2897,123 @@ ipcMain.handle('conversion:package', async (_event, options) => {
   }
 });
 
+// Start a batch conversion
+// Batches run in the background; per-item progress and the result arrive as 'conversion:progress' events
+ipcMain.handle('conversion:startBatch', async (event, options) => {
+  try {
+    if (!conversionService) {
+      return { success: false, error: 'Conversion service not initialized' };
+    }
+
+    const userId = getCurrentUserId();
+    const { batchId, done } = conversionService.startBatch(
+      { ...options, userId },
+      createProgressSender(event.sender, 'conversion:progress')
+    );
+    done.catch(() => {}); // Item failures are reported through the progress 'item' phase
+    return { success: true, batchId };
+  } catch (error) {
+    console.error('Error starting conversion batch:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Cancel a running batch conversion
+ipcMain.handle('conversion:cancelBatch', async (_event, batchId) => {
+  try {
+    if (!conversionService) {
+      return { success: false, error: 'Conversion service not initialized' };
+    }
+
+    const userId = getCurrentUserId();
+    return conversionService.cancelBatch(batchId, userId);
+  } catch (error) {
+    console.error('Error cancelling conversion batch:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Convert a finished batch's failed and cancelled items again
+ipcMain.handle('conversion:retryBatch', async (event, batchId) => {
+  try {
+    if (!conversionService) {
+      return { success: false, error: 'Conversion service not initialized' };
+    }
+
+    const userId = getCurrentUserId();
+    const { done, ...result } = conversionService.retryBatch(
+      batchId,
+      userId,
+      createProgressSender(event.sender, 'conversion:progress')
+    );
+    done.catch(() => {}); // Item failures are reported through the progress 'item' phase
+    return result;
+  } catch (error) {
+    console.error('Error retrying conversion batch:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Get a batch conversion's status and items
+ipcMain.handle('conversion:getBatch', async (_event, batchId) => {
+  try {
+    if (!conversionService) {
+      return { success: false, error: 'Conversion service not initialized' };
+    }
+
+    const userId = getCurrentUserId();
+    return { success: true, batch: conversionService.getBatch(batchId, userId) };
+  } catch (error) {
+    console.error('Error getting conversion batch:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// List running and recently finished batch conversions
+ipcMain.handle('conversion:listBatches', async () => {
+  try {
+    if (!conversionService) {
+      return { success: false, error: 'Conversion service not initialized' };
+    }
+
+    const userId = getCurrentUserId();
+    return { success: true, batches: conversionService.listBatches(userId) };
+  } catch (error) {
+    console.error('Error listing conversion batches:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Read a .fortipkg package's metadata and check its signature without extracting it
+ipcMain.handle('conversion:inspectPackage', async (_event, packagePath) => {
+  try {
+    if (!conversionService) {
+      return { success: false, error: 'Conversion service not initialized' };
+    }
+
+    const info = await conversionService.inspectPackage(packagePath);
+    return { success: true, ...info };
+  } catch (error) {
+    console.error('Error inspecting package:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Check a .fortipkg package's signature and file hashes without extracting it
+ipcMain.handle('conversion:verifyPackage', async (_event, { packagePath, password } = {}) => {
+  try {
+    if (!conversionService) {
+      return { success: false, error: 'Conversion service not initialized' };
+    }
+
+    const result = await conversionService.verifyPackage(packagePath, password || null);
+    return { success: true, ...result };
+  } catch (error) {
+    console.error('Error verifying package:', error);
+    return { success: false, error: error.message };
+  }
+});
+
 // Get supported output formats
 ipcMain.handle('conversion:getSupportedFormats', async (_event, inputPath) => {
   try {
@@ -110,16 +110,80 @@ contextBridge.exposeInMainWorld('quarantineAPI', {
 contextBridge.exposeInMainWorld('backupAPI', {
   create: (params) => 
     ipcRenderer.invoke('backup:create', params),
+  runs: () => 
+    ipcRenderer.invoke('backup:runs'),
+  pause: (runId) => 
+    ipcRenderer.invoke('backup:pause', runId),
+  resume: (runId) => 
+    ipcRenderer.invoke('backup:resume', runId),
+  cancel: (runId) => 
+    ipcRenderer.invoke('backup:cancel', runId),
+  onProgress: (callback) => {
+    ipcRenderer.on('backup:progress', (_event, progress) => callback(progress));
+  },
+  removeProgressListener: () => {
+    ipcRenderer.removeAllListeners('backup:progress');
+  },
   restore: (params) => 
     ipcRenderer.invoke('backup:restore', params),
   verify: (backupId) => 
     ipcRenderer.invoke('backup:verify', backupId),
+  repair: (backupId) => 
+    ipcRenderer.invoke('backup:repair', backupId),
   list: () => 
     ipcRenderer.invoke('backup:list'),
-  delete: (backupId) => 
-    ipcRenderer.invoke('backup:delete', backupId),
+  delete: (backupId, options) => 
+    ipcRenderer.invoke('backup:delete', backupId, options),
+  synthesize: (params) => 
+    ipcRenderer.invoke('backup:synthesize', params),
+  browse: (backupId, options) => 
+    ipcRenderer.invoke('backup:browse', { backupId, options }),
+  searchFileHistory: (search) => 
+    ipcRenderer.invoke('backup:searchFileHistory', search),
+  fileVersions: (originalPath) => 
+    ipcRenderer.invoke('backup:fileVersions', originalPath),
+  diffVersions: (versionA, versionB) => 
+    ipcRenderer.invoke('backup:diffVersions', { versionA, versionB }),
+  restoreVersion: (params) => 
+    ipcRenderer.invoke('backup:restoreVersion', params),
+  listJobs: () => 
+    ipcRenderer.invoke('backup:listJobs'),
+  createJob: (job) => 
+    ipcRenderer.invoke('backup:createJob', job),
+  updateJob: (jobId, updates) => 
+    ipcRenderer.invoke('backup:updateJob', { jobId, updates }),
+  deleteJob: (jobId) => 
+    ipcRenderer.invoke('backup:deleteJob', jobId),
+  runJob: (jobId) => 
+    ipcRenderer.invoke('backup:runJob', jobId),
+  listDestinations: () => 
+    ipcRenderer.invoke('backup:listDestinations'),
+  addDestination: (destination) => 
+    ipcRenderer.invoke('backup:addDestination', destination),
+  updateDestination: (destinationId, updates) => 
+    ipcRenderer.invoke('backup:updateDestination', { destinationId, updates }),
+  removeDestination: (destinationId) => 
+    ipcRenderer.invoke('backup:removeDestination', destinationId),
+  testDestination: (destinationId) => 
+    ipcRenderer.invoke('backup:testDestination', destinationId),
+  listRemovableDrives: () => 
+    ipcRenderer.invoke('backup:listRemovableDrives'),
+  upload: (backupId, destinationId) => 
+    ipcRenderer.invoke('backup:upload', { backupId, destinationId }),
   generateRecoveryKey: () => 
     ipcRenderer.invoke('backup:generateRecoveryKey'),
+  setPassphrase: (passphrase) => 
+    ipcRenderer.invoke('backup:setPassphrase', passphrase),
+  keyStatus: () => 
+    ipcRenderer.invoke('backup:keyStatus'),
+  inspectFolder: (backupFolder) => 
+    ipcRenderer.invoke('backup:inspectFolder', backupFolder),
+  restoreFromFolder: (backupFolder, targetPath, options) => 
+    ipcRenderer.invoke('backup:restoreFromFolder', { backupFolder, targetPath, options }),
+  exportBackup: (backupId, targetPath) => 
+    ipcRenderer.invoke('backup:export', { backupId, targetPath }),
+  importBackup: (params) => 
+    ipcRenderer.invoke('backup:import', params),
   openFolder: () => 
     ipcRenderer.invoke('backup:openFolder'),
 });
@@ -130,6 +194,26 @@ contextBridge.exposeInMainWorld('conversionAPI', {
     ipcRenderer.invoke('conversion:execute', options),
   package: (options) => 
     ipcRenderer.invoke('conversion:package', options),
+  startBatch: (options) => 
+    ipcRenderer.invoke('conversion:startBatch', options),
+  cancelBatch: (batchId) => 
+    ipcRenderer.invoke('conversion:cancelBatch', batchId),
+  retryBatch: (batchId) => 
+    ipcRenderer.invoke('conversion:retryBatch', batchId),
+  getBatch: (batchId) => 
+    ipcRenderer.invoke('conversion:getBatch', batchId),
+  listBatches: () => 
+    ipcRenderer.invoke('conversion:listBatches'),
+  inspectPackage: (packagePath) => 
+    ipcRenderer.invoke('conversion:inspectPackage', packagePath),
+  verifyPackage: (options) => 
+    ipcRenderer.invoke('conversion:verifyPackage', options),
+  onBatchProgress: (callback) => {
+    ipcRenderer.on('conversion:progress', (_event, progress) => callback(progress));
+  },
+  removeBatchProgressListener: () => {
+    ipcRenderer.removeAllListeners('conversion:progress');
+  },
   getSupportedFormats: (inputPath) => 
     ipcRenderer.invoke('conversion:getSupportedFormats', inputPath),
   list: (limit) => 
@@ -178,16 +262,31 @@ contextBridge.exposeInMainWorld('duplicateFilesAPI', {
 contextBridge.exposeInMainWorld('verificationAPI', {
   generate: (options) => 
     ipcRenderer.invoke('verification:generate', options),
-  verify: (tokenString) => 
-    ipcRenderer.invoke('verification:verify', tokenString),
+  verify: (tokenString, options) => 
+    ipcRenderer.invoke('verification:verify', tokenString, options),
   getTokenInfo: (tokenId) => 
     ipcRenderer.invoke('verification:getTokenInfo', tokenId),
   listTokens: (filters) => 
     ipcRenderer.invoke('verification:listTokens', filters),
   deleteToken: (tokenId) => 
     ipcRenderer.invoke('verification:deleteToken', tokenId),
+  revokeToken: (tokenId, reason) =>
+    ipcRenderer.invoke('verification:revokeToken', { tokenId, reason }),
+  exportRevocationList: (targetPath) =>
+    ipcRenderer.invoke('verification:exportRevocationList', { targetPath }),
+  importRevocationList: (sourcePath) =>
+    ipcRenderer.invoke('verification:importRevocationList', { sourcePath }),
   cleanup: () => 
     ipcRenderer.invoke('verification:cleanup'),
+  // Ed25519 tokens: this install's public key and the installs it trusts
+  exportPublicKey: () =>
+    ipcRenderer.invoke('verification:exportPublicKey'),
+  listTrustedIssuers: () =>
+    ipcRenderer.invoke('verification:listTrustedIssuers'),
+  addTrustedIssuer: (issuerKey, name) =>
+    ipcRenderer.invoke('verification:addTrustedIssuer', { issuerKey, name }),
+  removeTrustedIssuer: (issuerId) =>
+    ipcRenderer.invoke('verification:removeTrustedIssuer', issuerId),
   // NEW: Resource selection handlers
   getBackups: () => 
     ipcRenderer.invoke('verification:getBackups'),
@@ -273,15 +372,51 @@ contextBridge.exposeInMainWorld('electron', {
       'quarantine:openFolder',
       // Backup channels
       'backup:create',
+      'backup:runs',
+      'backup:pause',
+      'backup:resume',
+      'backup:cancel',
       'backup:restore',
       'backup:verify',
+      'backup:repair',
       'backup:list',
       'backup:delete',
+      'backup:synthesize',
+      'backup:browse',
+      'backup:searchFileHistory',
+      'backup:fileVersions',
+      'backup:diffVersions',
+      'backup:restoreVersion',
+      'backup:listJobs',
+      'backup:createJob',
+      'backup:updateJob',
+      'backup:deleteJob',
+      'backup:runJob',
+      'backup:listDestinations',
+      'backup:addDestination',
+      'backup:updateDestination',
+      'backup:removeDestination',
+      'backup:testDestination',
+      'backup:listRemovableDrives',
+      'backup:upload',
       'backup:generateRecoveryKey',
+      'backup:setPassphrase',
+      'backup:keyStatus',
+      'backup:inspectFolder',
+      'backup:restoreFromFolder',
+      'backup:export',
+      'backup:import',
       'backup:openFolder',
       // Conversion channels
       'conversion:execute',
       'conversion:package',
+      'conversion:startBatch',
+      'conversion:cancelBatch',
+      'conversion:retryBatch',
+      'conversion:getBatch',
+      'conversion:listBatches',
+      'conversion:inspectPackage',
+      'conversion:verifyPackage',
       'conversion:getSupportedFormats',
       'conversion:list',
       'conversion:verify',
@@ -294,7 +429,14 @@ contextBridge.exposeInMainWorld('electron', {
       'verification:getTokenInfo',
       'verification:listTokens',
       'verification:deleteToken',
+      'verification:revokeToken',
+      'verification:exportRevocationList',
+      'verification:importRevocationList',
       'verification:cleanup',
+      'verification:exportPublicKey',
+      'verification:listTrustedIssuers',
+      'verification:addTrustedIssuer',
+      'verification:removeTrustedIssuer',
       // Dialog channels
       'dialog:openDirectory',
       'dialog:openFileOrFolder',
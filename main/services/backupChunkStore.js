@@ -0,0 +1,411 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const backupContainer = require('./backupContainer');
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+const readFile = promisify(fs.readFile);
+const writeFile = promisify(fs.writeFile);
+const rename = promisify(fs.rename);
+const mkdir = promisify(fs.mkdir);
+
+/**
+ * Gear table for the rolling hash.
+ * Derived deterministically so chunk boundaries are stable across installs and releases.
+ */
+const GEAR = (() => {
+  const table = new Uint32Array(256);
+  for (let i = 0; i < 256; i++) {
+    const digest = crypto.createHash('sha256').update(`fortimorph-gear-${i}`).digest();
+    table[i] = digest.readUInt32BE(0);
+  }
+  return table;
+})();
+
+/**
+ * Run a buffer through a transform stream and collect its output
+ */
+function transformBuffer(transform, data) {
+  return new Promise((resolve, reject) => {
+    const pieces = [];
+    transform.on('data', (piece) => pieces.push(piece));
+    transform.on('end', () => resolve(Buffer.concat(pieces)));
+    transform.on('error', reject);
+    transform.end(data);
+  });
+}
+
+/**
+ * BackupChunkStore - Content-addressed chunk storage for backups
+ * Features:
+ * - Content-defined chunking (gear rolling hash) so edits only touch nearby chunks
+ * - Deduplication of identical chunks across files and backups
+ * - Per-chunk compression and authenticated encryption (the backupContainer.js format);
+ *   chunks written before it are raw IV + AES-256-CBC and are still read
+ * - Reference tracking and garbage collection through the chunk index tables
+ */
+class BackupChunkStore {
+  constructor(database, storePath) {
+    this.db = database;
+    this.storePath = storePath;
+    this.algorithm = 'aes-256-cbc'; // Legacy chunks only
+    this.minChunkSize = 256 * 1024; // 256KB
+    this.avgChunkSize = 1024 * 1024; // 1MB
+    this.maxChunkSize = 4 * 1024 * 1024; // 4MB
+    this.boundaryMask = this.avgChunkSize - 1;
+    this.pendingPuts = new Map(); // scope|hash -> promise of a chunk write in progress
+  }
+
+  /**
+   * Ensure the chunk directory exists
+   */
+  async initialize() {
+    if (!fs.existsSync(this.storePath)) {
+      await mkdir(this.storePath, { recursive: true });
+    }
+    return true;
+  }
+
+  /**
+   * Build the scope a chunk lives in.
+   * Chunks are only shared between backups of the same user with the same storage options,
+   * so an encrypted backup never references a plaintext chunk and users never share keys.
+   */
+  getScope(userId, { encrypt = true, compress = true } = {}) {
+    return `${userId || 'global'}|${encrypt ? 'enc' : 'plain'}|${compress ? 'gz' : 'raw'}`;
+  }
+
+  /**
+   * Parse the storage options encoded in a scope
+   */
+  parseScope(scope) {
+    const [, encryption, compression] = scope.split('|');
+    return {
+      encrypt: encryption === 'enc',
+      compress: compression === 'gz'
+    };
+  }
+
+  /**
+   * Get the on-disk path of a chunk
+   */
+  getChunkPath(hash, scope) {
+    const scopeDir = crypto.createHash('sha256').update(scope).digest('hex').slice(0, 16);
+    return path.join(this.storePath, scopeDir, hash.slice(0, 2), `${hash}.chunk`);
+  }
+
+  /**
+   * Split a file into content-defined chunks
+   * Yields Buffers whose boundaries depend on content, not offsets.
+   */
+  async *chunkFile(filePath) {
+    const input = fs.createReadStream(filePath, { highWaterMark: 1024 * 1024 });
+    let pieces = [];
+    let chunkLength = 0;
+    let rollingHash = 0;
+
+    for await (const data of input) {
+      let start = 0;
+
+      for (let i = 0; i < data.length; i++) {
+        chunkLength++;
+
+        // Skip hashing below the minimum size - no boundary can fall there
+        if (chunkLength <= this.minChunkSize) {
+          continue;
+        }
+
+        rollingHash = ((rollingHash << 1) + GEAR[data[i]]) >>> 0;
+
+        if ((rollingHash & this.boundaryMask) === 0 || chunkLength >= this.maxChunkSize) {
+          pieces.push(data.subarray(start, i + 1));
+          yield Buffer.concat(pieces);
+
+          pieces = [];
+          start = i + 1;
+          chunkLength = 0;
+          rollingHash = 0;
+        }
+      }
+
+      if (start < data.length) {
+        pieces.push(data.subarray(start));
+      }
+    }
+
+    if (chunkLength > 0) {
+      yield Buffer.concat(pieces);
+    }
+  }
+
+  /**
+   * Encode a chunk for storage (compress, then seal in a backup container)
+   */
+  async encodeChunk(data, key, { encrypt, compress }) {
+    let payload = compress ? await gzip(data) : data;
+
+    if (encrypt) {
+      if (!key) {
+        throw new Error('Encryption key required to store encrypted chunk');
+      }
+      payload = await transformBuffer(backupContainer.createEncryptStream(key, {
+        compression: compress ? 'gzip' : 'none',
+        frameSize: this.maxChunkSize
+      }), payload);
+    }
+
+    return payload;
+  }
+
+  /**
+   * Decode a stored chunk back into its plaintext content
+   * Reads both container chunks and legacy ones (raw IV + AES-256-CBC, no header).
+   */
+  async decodeChunk(payload, key, { encrypt, compress }) {
+    let data = payload;
+
+    if (encrypt) {
+      if (!key) {
+        throw new Error('Encryption key required to read encrypted chunk');
+      }
+
+      const container = backupContainer.parseHeader(data);
+      if (container) {
+        data = await transformBuffer(
+          backupContainer.createDecryptStream(key, container),
+          data.subarray(container.headerBytes.length)
+        );
+        // The header says how the chunk was written, whatever the scope assumed
+        compress = container.header.compression === 'gzip';
+      } else {
+        const iv = data.subarray(0, 16);
+        const decipher = crypto.createDecipheriv(this.algorithm, key, iv);
+        data = Buffer.concat([decipher.update(data.subarray(16)), decipher.final()]);
+      }
+    }
+
+    return compress ? gunzip(data) : data;
+  }
+
+  /**
+   * Check that a stored chunk is present and still decodes to its hash
+   */
+  async isChunkIntact(hash, scope, key) {
+    try {
+      await this.getChunk(hash, scope, key);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Write a chunk unless the store already holds it
+   * Files are stored concurrently, so two writers can meet on the same chunk: the second one
+   * waits for the first and counts the chunk as deduplicated.
+   * @param {Object} options - { replaceDamaged } - rewrite a held chunk that no longer decodes (repair)
+   * @returns {Promise<Object>} { hash, size, storedSize, deduplicated, replaced }
+   */
+  async putChunk(data, scope, key, options = {}) {
+    const hash = crypto.createHash('sha256').update(data).digest('hex');
+    const pendingKey = `${scope}|${hash}`;
+
+    const inFlight = this.pendingPuts.get(pendingKey);
+    if (inFlight) {
+      const stored = await inFlight;
+      return { hash, size: data.length, storedSize: stored.storedSize, deduplicated: true, replaced: false };
+    }
+
+    const put = this.writeChunk(data, hash, scope, key, options);
+    this.pendingPuts.set(pendingKey, put);
+    try {
+      return await put;
+    } finally {
+      this.pendingPuts.delete(pendingKey);
+    }
+  }
+
+  /**
+   * Write one chunk (see putChunk - only one writeChunk runs per chunk at a time)
+   */
+  async writeChunk(data, hash, scope, key, { replaceDamaged = false }) {
+    const chunkPath = this.getChunkPath(hash, scope);
+    const existing = this.db.getBackupChunk(hash, scope);
+    let replaced = false;
+
+    if (existing && fs.existsSync(chunkPath)) {
+      if (!replaceDamaged || await this.isChunkIntact(hash, scope, key)) {
+        return { hash, size: data.length, storedSize: existing.stored_size, deduplicated: true, replaced };
+      }
+      replaced = true;
+    }
+
+    const payload = await this.encodeChunk(data, key, this.parseScope(scope));
+
+    // Write to a temp file first so a crash never leaves a truncated chunk behind
+    await mkdir(path.dirname(chunkPath), { recursive: true });
+    const tempPath = `${chunkPath}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+    await writeFile(tempPath, payload);
+    await rename(tempPath, chunkPath);
+
+    this.db.addBackupChunk({
+      hash,
+      scope,
+      size: data.length,
+      stored_size: payload.length
+    });
+
+    return { hash, size: data.length, storedSize: payload.length, deduplicated: false, replaced };
+  }
+
+  /**
+   * Read a chunk and return its plaintext content
+   */
+  async getChunk(hash, scope, key) {
+    const chunkPath = this.getChunkPath(hash, scope);
+    if (!fs.existsSync(chunkPath)) {
+      throw new Error(`Chunk missing from store: ${hash}`);
+    }
+
+    const payload = await readFile(chunkPath);
+    const data = await this.decodeChunk(payload, key, this.parseScope(scope));
+
+    const actualHash = crypto.createHash('sha256').update(data).digest('hex');
+    if (actualHash !== hash) {
+      throw new Error(`Chunk content does not match its hash: ${hash}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Chunk a file into the store
+   * @param {Object} options - { replaceDamaged } - see putChunk
+   * @returns {Promise<Object>} { hash, chunks, storedSize, newChunks, dedupedChunks, replacedChunks }
+   */
+  async storeFile(filePath, scope, key, options = {}) {
+    const fileHash = crypto.createHash('sha256');
+    const chunks = [];
+    let storedSize = 0;
+    let newChunks = 0;
+    let dedupedChunks = 0;
+    let replacedChunks = 0;
+
+    for await (const data of this.chunkFile(filePath)) {
+      fileHash.update(data);
+      const result = await this.putChunk(data, scope, key, options);
+      chunks.push(result.hash);
+
+      if (result.replaced) {
+        replacedChunks++;
+      }
+      if (result.deduplicated) {
+        dedupedChunks++;
+      } else {
+        newChunks++;
+        storedSize += result.storedSize;
+      }
+    }
+
+    return {
+      hash: fileHash.digest('hex'),
+      chunks,
+      storedSize,
+      newChunks,
+      dedupedChunks,
+      replacedChunks
+    };
+  }
+
+  /**
+   * Rebuild a file from its chunk list
+   */
+  async restoreFile(chunks, scope, key, targetPath) {
+    const targetDir = path.dirname(targetPath);
+    if (!fs.existsSync(targetDir)) {
+      await mkdir(targetDir, { recursive: true });
+    }
+
+    const output = fs.createWriteStream(targetPath);
+    const finished = new Promise((resolve, reject) => {
+      output.on('finish', resolve);
+      output.on('error', reject);
+    });
+
+    try {
+      for (const hash of chunks) {
+        const data = await this.getChunk(hash, scope, key);
+        if (!output.write(data)) {
+          await new Promise((resolve) => output.once('drain', resolve));
+        }
+      }
+    } catch (error) {
+      output.destroy();
+      throw error;
+    }
+
+    output.end();
+    await finished;
+    return { success: true };
+  }
+
+  /**
+   * Hash the content a chunk list rebuilds to, without writing it anywhere
+   */
+  async hashChunks(chunks, scope, key) {
+    const hash = crypto.createHash('sha256');
+    for (const chunkHash of chunks) {
+      hash.update(await this.getChunk(chunkHash, scope, key));
+    }
+    return hash.digest('hex');
+  }
+
+  /**
+   * List chunks of a file that are missing on disk
+   */
+  findMissingChunks(chunks, scope) {
+    return chunks.filter((hash) => !fs.existsSync(this.getChunkPath(hash, scope)));
+  }
+
+  /**
+   * Record that a backup references a set of chunks
+   */
+  addReferences(backupId, scope, hashes) {
+    this.db.addBackupChunkRefs(backupId, scope, [...new Set(hashes)]);
+  }
+
+  /**
+   * Drop a backup's chunk references and delete chunks nothing references anymore
+   * @returns {Promise<Object>} { chunksDeleted, bytesFreed, deletedChunks }
+   */
+  async collectGarbage(backupId = null) {
+    if (backupId !== null) {
+      this.db.deleteBackupChunkRefs(backupId);
+    }
+
+    const orphans = this.db.getUnreferencedBackupChunks();
+    const deletedChunks = [];
+    let bytesFreed = 0;
+
+    for (const chunk of orphans) {
+      const chunkPath = this.getChunkPath(chunk.hash, chunk.scope);
+      try {
+        if (fs.existsSync(chunkPath)) {
+          fs.unlinkSync(chunkPath);
+        }
+        this.db.deleteBackupChunk(chunk.hash, chunk.scope);
+        deletedChunks.push({ hash: chunk.hash, scope: chunk.scope });
+        bytesFreed += chunk.stored_size || 0;
+      } catch (error) {
+        console.warn(`Failed to delete chunk ${chunk.hash}: ${error.message}`);
+      }
+    }
+
+    return { chunksDeleted: deletedChunks.length, bytesFreed, deletedChunks };
+  }
+}
+
+module.exports = BackupChunkStore;
@@ -0,0 +1,260 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { Transform } = require('stream');
+
+/**
+ * Backup container format (version 2)
+ * Self-describing file layout for encrypted whole-file (.bak) backups:
+ *
+ *   magic       4 bytes   "FMBK"
+ *   version     1 byte    0x02
+ *   headerSize  2 bytes   uint16 BE, size of the JSON header that follows
+ *   header      JSON      { cipher, kdf, salt, noncePrefix, frameSize, compression }
+ *   frames      repeated  flags (1) | length (uint32 BE) | ciphertext (length) | GCM tag (16)
+ *
+ * Each file gets its own key, derived from the backup data key with HKDF and a random salt.
+ * Frames are sealed with AES-256-GCM; the nonce is the header's nonce prefix plus the frame
+ * counter, and the AAD binds every frame to the header and marks the final frame, so
+ * reordered, dropped, appended or truncated frames fail authentication.
+ *
+ * Files written before this format are raw IV + AES-256-CBC ciphertext with no header;
+ * readContainerHeader returns null for them so callers can fall back to the legacy reader.
+ */
+
+const MAGIC = Buffer.from('FMBK');
+const FORMAT_VERSION = 2;
+const PREFIX_SIZE = MAGIC.length + 1 + 2;
+const FRAME_HEADER_SIZE = 5;
+const TAG_SIZE = 16;
+const FLAG_FINAL = 0x01;
+const DEFAULT_FRAME_SIZE = 64 * 1024; // 64KB
+const MAX_FRAME_SIZE = 16 * 1024 * 1024; // 16MB
+const CIPHER = 'aes-256-gcm';
+const KDF = 'hkdf-sha256';
+const KDF_INFO = 'fortimorph-backup-file:v2';
+
+/**
+ * Derive the per-file key from the backup data key
+ */
+function deriveFileKey(dataKey, salt) {
+  return Buffer.from(crypto.hkdfSync('sha256', dataKey, salt, KDF_INFO, 32));
+}
+
+function frameNonce(noncePrefix, counter) {
+  const nonce = Buffer.alloc(12);
+  noncePrefix.copy(nonce, 0);
+  nonce.writeUInt32BE(counter, 8);
+  return nonce;
+}
+
+function frameAad(headerDigest, flags) {
+  return Buffer.concat([headerDigest, Buffer.from([flags])]);
+}
+
+/**
+ * Build the container prefix (magic, version, JSON header)
+ * @returns {Object} { header, headerBytes } - headerBytes is everything before the first frame
+ */
+function buildHeader({ compression = 'none', frameSize = DEFAULT_FRAME_SIZE } = {}) {
+  const header = {
+    cipher: CIPHER,
+    kdf: KDF,
+    salt: crypto.randomBytes(16).toString('base64'),
+    noncePrefix: crypto.randomBytes(8).toString('base64'),
+    frameSize,
+    compression
+  };
+
+  const json = Buffer.from(JSON.stringify(header));
+  const prefix = Buffer.alloc(PREFIX_SIZE);
+  MAGIC.copy(prefix, 0);
+  prefix.writeUInt8(FORMAT_VERSION, MAGIC.length);
+  prefix.writeUInt16BE(json.length, MAGIC.length + 1);
+
+  return { header, headerBytes: Buffer.concat([prefix, json]) };
+}
+
+/**
+ * Parse and validate a container header
+ * @returns {Object|null} { header, headerBytes } or null when the buffer is not a container
+ */
+function parseHeader(buffer) {
+  if (buffer.length < PREFIX_SIZE || !buffer.subarray(0, MAGIC.length).equals(MAGIC)) {
+    return null;
+  }
+
+  const version = buffer.readUInt8(MAGIC.length);
+  if (version !== FORMAT_VERSION) {
+    throw new Error(`Unsupported backup container version: ${version}`);
+  }
+
+  const headerSize = buffer.readUInt16BE(MAGIC.length + 1);
+  if (buffer.length < PREFIX_SIZE + headerSize) {
+    throw new Error('Backup container header is truncated');
+  }
+
+  const headerBytes = buffer.subarray(0, PREFIX_SIZE + headerSize);
+  let header;
+  try {
+    header = JSON.parse(headerBytes.subarray(PREFIX_SIZE).toString('utf8'));
+  } catch (error) {
+    throw new Error('Backup container header is corrupt');
+  }
+
+  if (header.cipher !== CIPHER) {
+    throw new Error(`Unsupported backup container cipher: ${header.cipher}`);
+  }
+  if (header.kdf !== KDF) {
+    throw new Error(`Unsupported backup container key derivation: ${header.kdf}`);
+  }
+  if (!Number.isInteger(header.frameSize) || header.frameSize <= 0 || header.frameSize > MAX_FRAME_SIZE) {
+    throw new Error('Backup container frame size is invalid');
+  }
+
+  return { header, headerBytes: Buffer.from(headerBytes) };
+}
+
+/**
+ * Read the container header of a file
+ * @returns {Promise<Object|null>} { header, headerBytes } or null for legacy (headerless) files
+ */
+async function readContainerHeader(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const prefix = Buffer.alloc(PREFIX_SIZE);
+    const { bytesRead } = await handle.read(prefix, 0, PREFIX_SIZE, 0);
+    if (bytesRead < PREFIX_SIZE || !prefix.subarray(0, MAGIC.length).equals(MAGIC)) {
+      return null;
+    }
+
+    const headerSize = prefix.readUInt16BE(MAGIC.length + 1);
+    const buffer = Buffer.alloc(PREFIX_SIZE + headerSize);
+    await handle.read(buffer, 0, buffer.length, 0);
+    return parseHeader(buffer);
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Transform stream that seals plaintext into a container
+ * @param {Buffer} dataKey - Backup data key (the per-file key is derived from it)
+ * @param {Object} options - { compression, frameSize } - compression is recorded, not applied
+ */
+function createEncryptStream(dataKey, options = {}) {
+  const { header, headerBytes } = buildHeader(options);
+  const fileKey = deriveFileKey(dataKey, Buffer.from(header.salt, 'base64'));
+  const noncePrefix = Buffer.from(header.noncePrefix, 'base64');
+  const headerDigest = crypto.createHash('sha256').update(headerBytes).digest();
+  let pending = Buffer.alloc(0);
+  let counter = 0;
+  let headerWritten = false;
+
+  const sealFrame = (data, flags) => {
+    const cipher = crypto.createCipheriv(CIPHER, fileKey, frameNonce(noncePrefix, counter++));
+    cipher.setAAD(frameAad(headerDigest, flags));
+    const ciphertext = Buffer.concat([cipher.update(data), cipher.final()]);
+
+    const frameHeader = Buffer.alloc(FRAME_HEADER_SIZE);
+    frameHeader.writeUInt8(flags, 0);
+    frameHeader.writeUInt32BE(ciphertext.length, 1);
+    return Buffer.concat([frameHeader, ciphertext, cipher.getAuthTag()]);
+  };
+
+  const writeHeader = (stream) => {
+    if (!headerWritten) {
+      stream.push(headerBytes);
+      headerWritten = true;
+    }
+  };
+
+  return new Transform({
+    transform(data, _encoding, callback) {
+      writeHeader(this);
+      pending = Buffer.concat([pending, data]);
+      // Keep the last frame's worth buffered - only flush knows which frame is final
+      while (pending.length > header.frameSize) {
+        this.push(sealFrame(pending.subarray(0, header.frameSize), 0));
+        pending = pending.subarray(header.frameSize);
+      }
+      callback();
+    },
+    flush(callback) {
+      writeHeader(this);
+      this.push(sealFrame(pending, FLAG_FINAL));
+      callback();
+    }
+  });
+}
+
+/**
+ * Transform stream that opens the frames of a container
+ * Expects its input to start right after the header (see readContainerHeader).
+ */
+function createDecryptStream(dataKey, { header, headerBytes }) {
+  const fileKey = deriveFileKey(dataKey, Buffer.from(header.salt, 'base64'));
+  const noncePrefix = Buffer.from(header.noncePrefix, 'base64');
+  const headerDigest = crypto.createHash('sha256').update(headerBytes).digest();
+  let pending = Buffer.alloc(0);
+  let counter = 0;
+  let finished = false;
+
+  return new Transform({
+    transform(data, _encoding, callback) {
+      pending = Buffer.concat([pending, data]);
+
+      try {
+        while (pending.length >= FRAME_HEADER_SIZE) {
+          if (finished) {
+            throw new Error('Backup container has data after its final frame');
+          }
+
+          const flags = pending.readUInt8(0);
+          const length = pending.readUInt32BE(1);
+          if (length > header.frameSize) {
+            throw new Error('Backup container frame is larger than its declared frame size');
+          }
+          if (pending.length < FRAME_HEADER_SIZE + length + TAG_SIZE) {
+            break;
+          }
+
+          const ciphertext = pending.subarray(FRAME_HEADER_SIZE, FRAME_HEADER_SIZE + length);
+          const tag = pending.subarray(FRAME_HEADER_SIZE + length, FRAME_HEADER_SIZE + length + TAG_SIZE);
+          const decipher = crypto.createDecipheriv(CIPHER, fileKey, frameNonce(noncePrefix, counter));
+          decipher.setAAD(frameAad(headerDigest, flags));
+          decipher.setAuthTag(tag);
+
+          let plaintext;
+          try {
+            plaintext = Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+          } catch (error) {
+            throw new Error(`Backup container frame ${counter} failed authentication (wrong key or tampered data)`);
+          }
+
+          this.push(plaintext);
+          counter++;
+          finished = (flags & FLAG_FINAL) !== 0;
+          pending = pending.subarray(FRAME_HEADER_SIZE + length + TAG_SIZE);
+        }
+        callback();
+      } catch (error) {
+        callback(error);
+      }
+    },
+    flush(callback) {
+      if (pending.length > 0 || !finished) {
+        callback(new Error('Backup container is truncated'));
+        return;
+      }
+      callback();
+    }
+  });
+}
+
+module.exports = {
+  FORMAT_VERSION,
+  createDecryptStream,
+  createEncryptStream,
+  parseHeader,
+  readContainerHeader
+};
@@ -0,0 +1,345 @@
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+const stream = require('stream');
+const axios = require('axios');
+const si = require('systeminformation');
+
+const pipeline = promisify(stream.pipeline);
+const mkdir = promisify(fs.mkdir);
+const stat = promisify(fs.stat);
+const readFile = promisify(fs.readFile);
+const writeFile = promisify(fs.writeFile);
+const rename = promisify(fs.rename);
+
+/**
+ * Backup destinations
+ * A destination mirrors the local backup store layout below its root:
+ * - chunks/<scope>/<xx>/<hash>.chunk - chunk files shared between backups
+ * - <backupId>/...                   - whole-file (.bak) data and the manifest copy
+ * Remote paths are always "/"-separated and relative to the destination root.
+ */
+
+/**
+ * LocalFolderDestination - A folder on another disk or a mounted network share
+ * Interrupted uploads resume from the bytes already written to the .part file.
+ */
+class LocalFolderDestination {
+  constructor(config = {}) {
+    this.config = config;
+    this.root = config.folder || null;
+  }
+
+  static validate(config = {}) {
+    const errors = [];
+    if (!config.folder || typeof config.folder !== 'string') {
+      errors.push('Destination folder is required');
+    } else if (!path.isAbsolute(config.folder)) {
+      errors.push('Destination folder must be an absolute path');
+    }
+    return errors;
+  }
+
+  /**
+   * Make sure the destination is reachable and writable
+   */
+  async connect() {
+    await mkdir(this.root, { recursive: true });
+    const probe = path.join(this.root, '.fortimorph-write-check');
+    await writeFile(probe, 'ok');
+    fs.unlinkSync(probe);
+    return { root: this.root };
+  }
+
+  describe() {
+    return this.root;
+  }
+
+  resolve(remotePath) {
+    const root = path.resolve(this.root);
+    const target = path.resolve(root, ...remotePath.split('/'));
+    if (target !== root && !target.startsWith(root + path.sep)) {
+      throw new Error(`Path escapes destination: ${remotePath}`);
+    }
+    return target;
+  }
+
+  async stat(remotePath) {
+    try {
+      const stats = await stat(this.resolve(remotePath));
+      return { size: stats.size };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async upload(localPath, remotePath) {
+    const target = this.resolve(remotePath);
+    const partPath = `${target}.part`;
+    await mkdir(path.dirname(target), { recursive: true });
+
+    const { size } = await stat(localPath);
+    let offset = 0;
+    if (fs.existsSync(partPath)) {
+      offset = (await stat(partPath)).size;
+      if (offset > size) {
+        // Left over from a different file - start again
+        fs.unlinkSync(partPath);
+        offset = 0;
+      }
+    }
+
+    if (offset < size) {
+      await pipeline(
+        fs.createReadStream(localPath, { start: offset }),
+        fs.createWriteStream(partPath, { flags: offset > 0 ? 'a' : 'w' })
+      );
+    }
+
+    await rename(partPath, target);
+    return { bytesWritten: size - offset, resumedAt: offset };
+  }
+
+  async writeBuffer(remotePath, buffer) {
+    const target = this.resolve(remotePath);
+    await mkdir(path.dirname(target), { recursive: true });
+    await writeFile(`${target}.part`, buffer);
+    await rename(`${target}.part`, target);
+  }
+
+  async readBuffer(remotePath) {
+    return readFile(this.resolve(remotePath));
+  }
+
+  async remove(remotePath) {
+    fs.rmSync(this.resolve(remotePath), { recursive: true, force: true });
+  }
+}
+
+/**
+ * RemovableDriveDestination - A USB or external drive identified by its volume ID
+ * The drive letter or mount point can change between plug-ins; the volume ID does not.
+ */
+class RemovableDriveDestination extends LocalFolderDestination {
+  static validate(config = {}) {
+    const errors = [];
+    if (!config.volumeId) {
+      errors.push('Drive volume ID is required');
+    }
+    if (config.folder && (path.isAbsolute(config.folder) || config.folder.split(/[\\/]/).includes('..'))) {
+      errors.push('Drive folder must be relative to the drive root');
+    }
+    return errors;
+  }
+
+  /**
+   * List mounted removable drives with the volume ID used to find them again
+   */
+  static async listDrives() {
+    const devices = await si.blockDevices();
+    return devices
+      .filter((device) => device.removable && device.mount && (device.uuid || device.serial))
+      .map((device) => ({
+        volumeId: device.uuid || device.serial,
+        label: device.label || device.name,
+        mount: device.mount,
+        size: device.size,
+        fsType: device.fsType
+      }));
+  }
+
+  async connect() {
+    const drives = await RemovableDriveDestination.listDrives();
+    const drive = drives.find((candidate) => candidate.volumeId === this.config.volumeId);
+    if (!drive) {
+      throw new Error(`Drive ${this.config.label || this.config.volumeId} is not connected`);
+    }
+
+    this.root = path.join(drive.mount, this.config.folder || 'FortiMorph Backups');
+    return super.connect();
+  }
+
+  describe() {
+    return `${this.config.label || this.config.volumeId}:${this.config.folder || 'FortiMorph Backups'}`;
+  }
+}
+
+/**
+ * WebDavDestination - A WebDAV share (Nextcloud, NAS, or any server speaking PUT/MKCOL)
+ * Uploads resume per file only: files already on the server at the right size are skipped,
+ * but WebDAV has no standard partial PUT, so a file cut off mid-upload is sent again in full.
+ * Round trip test: node test-webdav-destination.js
+ */
+class WebDavDestination {
+  constructor(config = {}) {
+    this.config = config;
+    this.baseUrl = String(config.url || '').replace(/\/+$/, '');
+    this.folder = String(config.folder || '').replace(/^\/+|\/+$/g, '');
+    this.createdCollections = new Set();
+  }
+
+  static validate(config = {}) {
+    const errors = [];
+    if (!config.url || !/^https?:\/\//i.test(config.url)) {
+      errors.push('WebDAV URL must start with http:// or https://');
+    }
+    return errors;
+  }
+
+  requestOptions(extra = {}) {
+    const options = {
+      maxBodyLength: Infinity,
+      maxContentLength: Infinity,
+      validateStatus: () => true,
+      ...extra
+    };
+    if (this.config.username) {
+      options.auth = { username: this.config.username, password: this.config.password || '' };
+    }
+    return options;
+  }
+
+  url(remotePath = '') {
+    const segments = [this.folder, remotePath]
+      .filter(Boolean)
+      .join('/')
+      .split('/')
+      .filter(Boolean);
+    if (segments.includes('..')) {
+      throw new Error(`Path escapes destination: ${remotePath}`);
+    }
+    return [this.baseUrl, ...segments.map(encodeURIComponent)].join('/');
+  }
+
+  checkStatus(response, action) {
+    if (response.status === 401 || response.status === 403) {
+      throw new Error(`WebDAV ${action} was refused (${response.status}) - check the username and password`);
+    }
+    if (response.status >= 400) {
+      throw new Error(`WebDAV ${action} failed with status ${response.status}`);
+    }
+  }
+
+  /**
+   * Create every collection on the way to remotePath
+   */
+  async ensureCollection(remotePath) {
+    const segments = [this.folder, remotePath].filter(Boolean).join('/').split('/').filter(Boolean);
+    let current = '';
+
+    for (const segment of segments) {
+      current = current ? `${current}/${segment}` : segment;
+      if (this.createdCollections.has(current)) {
+        continue;
+      }
+
+      const response = await axios.request(this.requestOptions({
+        method: 'MKCOL',
+        url: [this.baseUrl, ...current.split('/').map(encodeURIComponent)].join('/')
+      }));
+      // 405 means the collection already exists
+      if (response.status !== 405) {
+        this.checkStatus(response, `MKCOL ${current}`);
+      }
+      this.createdCollections.add(current);
+    }
+  }
+
+  async connect() {
+    await this.ensureCollection('');
+    const response = await axios.request(this.requestOptions({
+      method: 'PROPFIND',
+      url: `${this.url()}/`,
+      headers: { Depth: '0' }
+    }));
+    this.checkStatus(response, 'connection check');
+    return { root: this.url() };
+  }
+
+  describe() {
+    return this.url();
+  }
+
+  async stat(remotePath) {
+    const response = await axios.head(this.url(remotePath), this.requestOptions());
+    if (response.status === 404) {
+      return null;
+    }
+    this.checkStatus(response, `HEAD ${remotePath}`);
+    const length = response.headers['content-length'];
+    return { size: length === undefined ? null : parseInt(length, 10) };
+  }
+
+  async upload(localPath, remotePath) {
+    const { size } = await stat(localPath);
+    await this.ensureCollection(path.posix.dirname(remotePath) === '.' ? '' : path.posix.dirname(remotePath));
+
+    const response = await axios.put(
+      this.url(remotePath),
+      fs.createReadStream(localPath),
+      this.requestOptions({ headers: { 'Content-Type': 'application/octet-stream', 'Content-Length': size } })
+    );
+    this.checkStatus(response, `PUT ${remotePath}`);
+    return { bytesWritten: size, resumedAt: 0 };
+  }
+
+  async writeBuffer(remotePath, buffer) {
+    await this.ensureCollection(path.posix.dirname(remotePath) === '.' ? '' : path.posix.dirname(remotePath));
+    const response = await axios.put(
+      this.url(remotePath),
+      buffer,
+      this.requestOptions({ headers: { 'Content-Type': 'application/octet-stream' } })
+    );
+    this.checkStatus(response, `PUT ${remotePath}`);
+  }
+
+  async readBuffer(remotePath) {
+    const response = await axios.get(this.url(remotePath), this.requestOptions({ responseType: 'arraybuffer' }));
+    this.checkStatus(response, `GET ${remotePath}`);
+    return Buffer.from(response.data);
+  }
+
+  async remove(remotePath) {
+    const response = await axios.delete(this.url(remotePath), this.requestOptions());
+    if (response.status !== 404) {
+      this.checkStatus(response, `DELETE ${remotePath}`);
+    }
+  }
+}
+
+const DESTINATION_TYPES = {
+  local: LocalFolderDestination,
+  removable: RemovableDriveDestination,
+  webdav: WebDavDestination
+};
+
+/**
+ * Build a destination from its stored type and config
+ */
+function createDestination(type, config = {}) {
+  const DestinationClass = DESTINATION_TYPES[type];
+  if (!DestinationClass) {
+    if (type === 'sftp') {
+      throw new Error('SFTP destinations are not supported yet - use a WebDAV share or a mounted folder');
+    }
+    throw new Error(`Unknown destination type: ${type}`);
+  }
+
+  const errors = DestinationClass.validate(config);
+  if (errors.length > 0) {
+    throw new Error(errors.join(', '));
+  }
+
+  return new DestinationClass(config);
+}
+
+module.exports = {
+  DESTINATION_TYPES,
+  LocalFolderDestination,
+  RemovableDriveDestination,
+  WebDavDestination,
+  createDestination
+};
@@ -0,0 +1,183 @@
+/**
+ * Backup pipeline
+ * Runs the per-file work of a backup with bounded concurrency, a byte-rate throttle and
+ * pause / resume / cancel control. The throttle follows the battery optimization mode and
+ * gets slower while the device runs on battery; it is re-read before every file, so a mode
+ * change takes effect in the middle of a run.
+ */
+
+// Files processed at once and byte-rate cap (0 = unlimited) per battery optimization mode
+const THROTTLE_PROFILES = {
+  performance: { concurrency: 4, bytesPerSecond: 0 },
+  balanced: { concurrency: 2, bytesPerSecond: 0 },
+  saver: { concurrency: 1, bytesPerSecond: 10 * 1024 * 1024 } // 10MB/s
+};
+const BATTERY_BYTES_PER_SECOND = 20 * 1024 * 1024; // 20MB/s cap on battery when the mode has none
+
+/**
+ * Pick the throttle for a power state
+ * @param {Object|null} power - { mode, onBattery } from the battery service, null when unknown
+ * @returns {Object} { concurrency, bytesPerSecond }
+ */
+function getThrottleProfile(power) {
+  const profile = THROTTLE_PROFILES[power && power.mode] || THROTTLE_PROFILES.balanced;
+  if (!power || !power.onBattery) {
+    return { ...profile };
+  }
+
+  return {
+    concurrency: Math.max(1, Math.floor(profile.concurrency / 2)),
+    bytesPerSecond: profile.bytesPerSecond ? profile.bytesPerSecond / 2 : BATTERY_BYTES_PER_SECOND
+  };
+}
+
+/**
+ * Error thrown into a run that was cancelled
+ */
+class BackupCancelledError extends Error {
+  constructor(message = 'Backup cancelled') {
+    super(message);
+    this.name = 'BackupCancelledError';
+    this.cancelled = true;
+  }
+}
+
+/**
+ * BackupRun - Control handle of one running backup
+ * Pausing lets files already in flight finish; nothing new starts until resume.
+ */
+class BackupRun {
+  constructor(runId, { name, userId = null, sourcePath } = {}) {
+    this.runId = runId;
+    this.name = name;
+    this.userId = userId;
+    this.sourcePath = sourcePath;
+    this.state = 'running';
+    this.startedAt = Date.now();
+    this.processed = 0;
+    this.total = 0;
+    this.bytesProcessed = 0;
+    this.nextSlotAt = 0;
+    this.resumeWaiters = [];
+    this.onStateChange = null;
+  }
+
+  pause() {
+    if (this.state !== 'running') {
+      return false;
+    }
+    this.setState('paused');
+    return true;
+  }
+
+  resume() {
+    if (this.state !== 'paused') {
+      return false;
+    }
+    this.setState('running');
+    this.releaseWaiters();
+    return true;
+  }
+
+  cancel() {
+    if (this.state === 'cancelled') {
+      return false;
+    }
+    this.setState('cancelled');
+    this.releaseWaiters();
+    return true;
+  }
+
+  setState(state) {
+    this.state = state;
+    if (this.onStateChange) {
+      this.onStateChange(state);
+    }
+  }
+
+  releaseWaiters() {
+    const waiters = this.resumeWaiters;
+    this.resumeWaiters = [];
+    waiters.forEach((resolve) => resolve());
+  }
+
+  /**
+   * Wait while paused; throws once the run is cancelled
+   */
+  async checkpoint() {
+    while (this.state === 'paused') {
+      await new Promise((resolve) => this.resumeWaiters.push(resolve));
+    }
+    if (this.state === 'cancelled') {
+      throw new BackupCancelledError();
+    }
+  }
+
+  /**
+   * Reserve throughput for the next file - waits until the rate cap allows it to start
+   */
+  async throttle(bytes, bytesPerSecond) {
+    if (!bytesPerSecond) {
+      this.nextSlotAt = 0;
+      return;
+    }
+
+    const now = Date.now();
+    const startAt = Math.max(now, this.nextSlotAt);
+    this.nextSlotAt = startAt + (bytes / bytesPerSecond) * 1000;
+    if (startAt > now) {
+      await new Promise((resolve) => setTimeout(resolve, startAt - now));
+    }
+  }
+
+  getStatus() {
+    return {
+      runId: this.runId,
+      name: this.name,
+      sourcePath: this.sourcePath,
+      state: this.state,
+      startedAt: this.startedAt,
+      processed: this.processed,
+      total: this.total,
+      bytesProcessed: this.bytesProcessed
+    };
+  }
+}
+
+/**
+ * Run a worker over items with the run's throttle
+ * The worker handles its own per-item errors; a cancel stops dispatching, waits for the items
+ * in flight and then throws BackupCancelledError.
+ * @param {Function} getProfile - Returns the current { concurrency, bytesPerSecond }
+ * @param {Function} getSize - Bytes an item will move (for the rate cap)
+ */
+async function runPipeline(run, items, worker, { getProfile, getSize = () => 0 }) {
+  const inFlight = new Set();
+
+  try {
+    for (let index = 0; index < items.length; index++) {
+      let profile = getProfile();
+      while (inFlight.size >= profile.concurrency) {
+        await Promise.race(inFlight);
+        profile = getProfile();
+      }
+
+      await run.checkpoint();
+      await run.throttle(getSize(items[index]), profile.bytesPerSecond);
+      await run.checkpoint();
+
+      const task = Promise.resolve(worker(items[index], index)).finally(() => inFlight.delete(task));
+      inFlight.add(task);
+    }
+  } finally {
+    await Promise.allSettled(inFlight);
+  }
+}
+
+module.exports = {
+  BackupCancelledError,
+  BackupRun,
+  THROTTLE_PROFILES,
+  getThrottleProfile,
+  runPipeline
+};
@@ -0,0 +1,466 @@
+/**
+ * Backup Scheduler Service
+ * Runs named backup jobs on a schedule and enforces their retention policies
+ * Job state (last run, next run) lives in the database, so schedules survive restarts
+ * and runs missed while the app was closed are caught up on the next start.
+ */
+
+const SCHEDULE_PRESETS = {
+  hourly: '0 * * * *',
+  daily: '0 0 * * *',
+  weekly: '0 0 * * 0'
+};
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 }
+];
+
+// Bucket keys for grandfather-father-son retention (local time)
+const RETENTION_BUCKETS = {
+  hourly: (date) => `${date.getFullYear()}-${date.getMonth()}-${date.getDate()}-${date.getHours()}`,
+  daily: (date) => `${date.getFullYear()}-${date.getMonth()}-${date.getDate()}`,
+  weekly: (date) => {
+    const weekStart = new Date(date.getFullYear(), date.getMonth(), date.getDate() - date.getDay());
+    return `${weekStart.getFullYear()}-${weekStart.getMonth()}-${weekStart.getDate()}`;
+  },
+  monthly: (date) => `${date.getFullYear()}-${date.getMonth()}`
+};
+
+class BackupScheduler {
+  constructor(dbService, backupService) {
+    this.db = dbService;
+    this.backupService = backupService;
+    this.isRunning = false;
+    this.tickInterval = null;
+    this.checkIntervalMs = 60 * 1000; // Check for due jobs every minute
+    this.runningJobs = new Set();
+  }
+
+  /**
+   * Start the scheduler and catch up on runs missed while the app was closed
+   */
+  async start() {
+    if (this.isRunning) {
+      console.log('[Backup Scheduler] Already running');
+      return;
+    }
+
+    console.log('[Backup Scheduler] Starting...');
+    this.isRunning = true;
+
+    // Jobs without a next run (new or upgraded) get one computed now
+    for (const job of this.db.getAllBackupJobs()) {
+      if (job.enabled && !job.next_run_at) {
+        this.db.updateBackupJob(job.id, { next_run_at: this.getNextRunTime(job.schedule, Date.now()) });
+      }
+    }
+
+    this.tickInterval = setInterval(() => {
+      this.runDueJobs().catch((error) => {
+        console.error('[Backup Scheduler] Error:', error.message);
+      });
+    }, this.checkIntervalMs);
+
+    await this.runDueJobs();
+    console.log('[Backup Scheduler] Started successfully');
+  }
+
+  /**
+   * Stop the scheduler (running jobs finish on their own)
+   */
+  stop() {
+    if (!this.isRunning) return;
+
+    if (this.tickInterval) {
+      clearInterval(this.tickInterval);
+      this.tickInterval = null;
+    }
+
+    this.isRunning = false;
+    console.log('[Backup Scheduler] Stopped');
+  }
+
+  /**
+   * Run every enabled job whose next run time has passed
+   * A job that missed several runs runs once, not once per missed slot.
+   */
+  async runDueJobs() {
+    const now = Date.now();
+    const dueJobs = this.db.getAllBackupJobs().filter(
+      (job) => job.enabled && job.next_run_at && job.next_run_at <= now && !this.runningJobs.has(job.id)
+    );
+
+    // Jobs run one after another to keep disk load predictable
+    for (const job of dueJobs) {
+      if (now - job.next_run_at > this.checkIntervalMs) {
+        console.log(`[Backup Scheduler] Catching up missed run of job "${job.name}"`);
+      }
+      await this.runJob(job.id);
+    }
+  }
+
+  /**
+   * Run a job now, record the result and apply its retention policy
+   */
+  async runJob(jobId) {
+    const job = this.db.getBackupJobById(jobId);
+    if (!job) {
+      throw new Error('Backup job not found');
+    }
+    if (this.runningJobs.has(job.id)) {
+      return { success: false, error: 'Job is already running' };
+    }
+
+    this.runningJobs.add(job.id);
+    const options = job.options ? JSON.parse(job.options) : {};
+    const { fullBackupEvery = 0, ...backupOptions } = options;
+
+    try {
+      // Start a fresh chain every N runs so retention can delete whole old chains
+      let incremental = backupOptions.incremental !== false;
+      if (incremental && fullBackupEvery > 0) {
+        const latest = this.db.getBackups({ job_id: job.id }, 1, job.user_id || null)[0];
+        if (latest && this.backupService.getBackupChain(latest.id).chain.length >= fullBackupEvery) {
+          incremental = false;
+        }
+      }
+
+      const result = await this.backupService.createBackup(job.source_path, {
+        ...backupOptions,
+        incremental,
+        name: `${job.name} ${new Date().toISOString().slice(0, 16).replace('T', ' ')}`,
+        jobId: job.id,
+        userId: job.user_id || null
+      });
+
+      const retention = await this.applyRetention(job);
+
+      // Files that could not be read leave the backup incomplete - the run is not a success
+      const failedFiles = result.failedFiles || [];
+      this.db.updateBackupJob(job.id, {
+        last_run_at: Date.now(),
+        last_status: result.partial ? 'partial' : 'success',
+        last_error: result.partial ? this.summarizeFailedFiles(failedFiles) : null,
+        next_run_at: this.getNextRunTime(job.schedule, Date.now())
+      });
+
+      return {
+        success: true,
+        partial: Boolean(result.partial),
+        backupId: result.recordId,
+        filesBackedUp: result.filesBackedUp,
+        failedFiles,
+        retention
+      };
+    } catch (error) {
+      console.error(`[Backup Scheduler] Job "${job.name}" failed:`, error.message);
+
+      this.db.updateBackupJob(job.id, {
+        last_run_at: Date.now(),
+        last_status: 'failed',
+        last_error: error.message,
+        next_run_at: this.getNextRunTime(job.schedule, Date.now())
+      });
+
+      return { success: false, error: error.message };
+    } finally {
+      this.runningJobs.delete(job.id);
+    }
+  }
+
+  /**
+   * Describe the files a run could not back up, for the job's last_error
+   */
+  summarizeFailedFiles(failedFiles) {
+    const listed = failedFiles.slice(0, 3).map((file) => `${file.relativePath} (${file.error})`);
+    const more = failedFiles.length > listed.length ? `, and ${failedFiles.length - listed.length} more` : '';
+    return `${failedFiles.length} file(s) not backed up: ${listed.join(', ')}${more}`;
+  }
+
+  /**
+   * Delete backups of a job that its retention policy no longer keeps
+   * Backups that newer backups still depend on are kept until a full backup replaces their chain.
+   * @returns {Promise<Object>} { kept, deleted, retainedForChain }
+   */
+  async applyRetention(job) {
+    const retention = job.retention ? JSON.parse(job.retention) : null;
+    if (!retention || Object.keys(retention).length === 0) {
+      return { kept: 0, deleted: [], retainedForChain: [] };
+    }
+
+    const backups = this.db.getBackups({ job_id: job.id }, 10000, job.user_id || null);
+    const keep = this.selectRetainedBackups(backups, retention);
+    const deleted = [];
+    const retainedForChain = [];
+
+    // Newest first, so a chain's links free up from the tip down
+    for (const backup of backups) {
+      if (keep.has(backup.id)) continue;
+
+      const current = this.db.getBackupById(backup.id);
+      if (!current) continue;
+
+      if (this.backupService.getDependentBackups(current).length > 0) {
+        retainedForChain.push(backup.id);
+        continue;
+      }
+
+      try {
+        await this.backupService.deleteBackup(backup.id);
+        deleted.push(backup.id);
+      } catch (error) {
+        console.warn(`[Backup Scheduler] Retention could not delete backup ${backup.id}: ${error.message}`);
+      }
+    }
+
+    if (deleted.length > 0) {
+      this.db.addLog(
+        'backup',
+        `Retention removed ${deleted.length} backup(s) for job: ${job.name}`,
+        JSON.stringify({ jobId: job.id, deleted, retainedForChain }),
+        'info',
+        job.user_id || null
+      );
+    }
+
+    return { kept: keep.size, deleted, retainedForChain };
+  }
+
+  /**
+   * Pick the backups a grandfather-father-son policy keeps
+   * For each bucket type the newest backup of each of the last N buckets is kept.
+   * The newest backup is always kept.
+   * @param {Array} backups - Backup rows, newest first
+   * @param {Object} retention - e.g. { hourly: 24, daily: 7, weekly: 4, monthly: 12 }
+   * @returns {Set<number>} Backup ids to keep
+   */
+  selectRetainedBackups(backups, retention) {
+    const keep = new Set();
+    if (backups.length > 0) {
+      keep.add(backups[0].id);
+    }
+
+    for (const [bucket, count] of Object.entries(retention)) {
+      const keyFn = RETENTION_BUCKETS[bucket];
+      if (!keyFn || !count) continue;
+
+      const seenBuckets = new Set();
+      for (const backup of backups) {
+        const key = keyFn(new Date(backup.created_at * 1000));
+        if (seenBuckets.has(key)) continue;
+
+        seenBuckets.add(key);
+        keep.add(backup.id);
+        if (seenBuckets.size >= count) break;
+      }
+    }
+
+    return keep;
+  }
+
+  /**
+   * Parse a cron-like expression (minute hour day-of-month month day-of-week)
+   * Supports *, lists (1,5), ranges (1-5) and steps (*\/15, 0-30/10).
+   * Presets: hourly, daily, weekly.
+   */
+  parseSchedule(schedule) {
+    const expression = SCHEDULE_PRESETS[schedule] || schedule;
+    const parts = String(expression).trim().split(/\s+/);
+    if (parts.length !== 5) {
+      throw new Error(`Invalid schedule "${schedule}": expected hourly, daily, weekly or 5 cron fields`);
+    }
+
+    const parsed = {};
+    parts.forEach((part, index) => {
+      const field = CRON_FIELDS[index];
+      const values = new Set();
+
+      for (const item of part.split(',')) {
+        const [range, stepText] = item.split('/');
+        const step = stepText ? parseInt(stepText, 10) : 1;
+        let start = field.min;
+        let end = field.max;
+
+        if (range !== '*') {
+          const [startText, endText] = range.split('-');
+          start = parseInt(startText, 10);
+          end = endText !== undefined ? parseInt(endText, 10) : (stepText ? field.max : start);
+        }
+
+        if ([start, end, step].some(Number.isNaN) || step < 1 || start < field.min || end > field.max || start > end) {
+          throw new Error(`Invalid ${field.name} field "${part}" in schedule "${schedule}"`);
+        }
+
+        for (let value = start; value <= end; value += step) {
+          // Day of week 7 is Sunday, same as 0
+          values.add(field.name === 'dayOfWeek' && value === 7 ? 0 : value);
+        }
+      }
+
+      parsed[field.name] = { values, restricted: part !== '*' };
+    });
+
+    return parsed;
+  }
+
+  /**
+   * Compute the next run time after a given time
+   * @returns {number} Timestamp in ms
+   */
+  getNextRunTime(schedule, from = Date.now()) {
+    const cron = this.parseSchedule(schedule);
+    const date = new Date(from);
+    date.setSeconds(0, 0);
+    date.setMinutes(date.getMinutes() + 1);
+
+    // Four years covers leap-day schedules
+    const limit = from + 4 * 366 * 24 * 60 * 60 * 1000;
+
+    // Standard cron: when both day fields are restricted, either may match
+    const dayMatches = (d) => {
+      const dom = cron.dayOfMonth.values.has(d.getDate());
+      const dow = cron.dayOfWeek.values.has(d.getDay());
+      if (cron.dayOfMonth.restricted && cron.dayOfWeek.restricted) return dom || dow;
+      return dom && dow;
+    };
+
+    while (date.getTime() <= limit) {
+      if (!cron.month.values.has(date.getMonth() + 1)) {
+        date.setMonth(date.getMonth() + 1, 1);
+        date.setHours(0, 0, 0, 0);
+        continue;
+      }
+      if (!dayMatches(date)) {
+        date.setDate(date.getDate() + 1);
+        date.setHours(0, 0, 0, 0);
+        continue;
+      }
+      if (!cron.hour.values.has(date.getHours())) {
+        date.setHours(date.getHours() + 1, 0, 0, 0);
+        continue;
+      }
+      if (!cron.minute.values.has(date.getMinutes())) {
+        date.setMinutes(date.getMinutes() + 1, 0, 0);
+        continue;
+      }
+      return date.getTime();
+    }
+
+    throw new Error(`Schedule "${schedule}" never runs`);
+  }
+
+  /**
+   * Validate and normalize job input from the renderer
+   */
+  normalizeJob(data) {
+    if (!data.name || !data.sourcePath || !data.schedule) {
+      throw new Error('Backup job requires a name, source path and schedule');
+    }
+
+    // Throws on invalid expressions
+    this.parseSchedule(data.schedule);
+
+    const retention = data.retention || {};
+    for (const [bucket, count] of Object.entries(retention)) {
+      if (!RETENTION_BUCKETS[bucket] || !Number.isInteger(count) || count < 0) {
+        throw new Error(`Invalid retention rule: ${bucket}=${count}`);
+      }
+    }
+
+    return {
+      name: data.name,
+      source_path: data.sourcePath,
+      schedule: data.schedule,
+      options: JSON.stringify(data.options || {}),
+      retention: JSON.stringify(retention)
+    };
+  }
+
+  /**
+   * Create a job
+   */
+  createJob(data, userId = null) {
+    const job = this.normalizeJob(data);
+    const enabled = data.enabled === false ? 0 : 1;
+    const result = this.db.addBackupJob({
+      ...job,
+      enabled,
+      next_run_at: enabled ? this.getNextRunTime(job.schedule) : null
+    }, userId);
+
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    return this.formatJob(this.db.getBackupJobById(result.id));
+  }
+
+  /**
+   * Update a job (USER ISOLATION: only the owner may change it)
+   */
+  updateJob(jobId, data, userId = null) {
+    const existing = this.getOwnedJob(jobId, userId);
+    const job = this.normalizeJob({
+      name: existing.name,
+      sourcePath: existing.source_path,
+      schedule: existing.schedule,
+      options: JSON.parse(existing.options || '{}'),
+      retention: JSON.parse(existing.retention || '{}'),
+      ...data
+    });
+    const enabled = data.enabled === undefined ? existing.enabled : (data.enabled ? 1 : 0);
+
+    this.db.updateBackupJob(jobId, {
+      ...job,
+      enabled,
+      next_run_at: enabled ? this.getNextRunTime(job.schedule) : null
+    });
+    return this.formatJob(this.db.getBackupJobById(jobId));
+  }
+
+  /**
+   * Delete a job; its backups stay and become ordinary backups
+   */
+  deleteJob(jobId, userId = null) {
+    this.getOwnedJob(jobId, userId);
+    this.db.deleteBackupJob(jobId);
+    return { success: true };
+  }
+
+  /**
+   * List a user's jobs
+   */
+  listJobs(userId = null) {
+    return this.db.getBackupJobs(userId).map((job) => this.formatJob(job));
+  }
+
+  getOwnedJob(jobId, userId) {
+    const job = this.db.getBackupJobById(jobId);
+    if (!job || (job.user_id || null) !== (userId || null)) {
+      throw new Error('Backup job not found');
+    }
+    return job;
+  }
+
+  formatJob(job) {
+    return {
+      id: job.id,
+      name: job.name,
+      sourcePath: job.source_path,
+      schedule: job.schedule,
+      options: JSON.parse(job.options || '{}'),
+      retention: JSON.parse(job.retention || '{}'),
+      enabled: job.enabled === 1,
+      lastRunAt: job.last_run_at,
+      lastStatus: job.last_status,
+      lastError: job.last_error,
+      nextRunAt: job.next_run_at,
+      running: this.runningJobs.has(job.id)
+    };
+  }
+}
+
+module.exports = BackupScheduler;
@@ -0,0 +1,167 @@
+/**
+ * Backup Scrubber Service
+ * Re-verifies backups in the background on a rolling schedule so silent corruption
+ * (bit rot, truncated or tampered files) is found before a restore needs the data.
+ * One backup is checked per tick, least recently verified first; the result is stored
+ * on the backup row by verifyBackup, so the rotation survives restarts.
+ */
+
+const { Notification } = require('electron');
+
+class BackupScrubber {
+  constructor(dbService, backupService, mainWindow = null) {
+    this.db = dbService;
+    this.backupService = backupService;
+    this.mainWindow = mainWindow;
+    this.isRunning = false;
+    this.isScrubbing = false;
+    this.tickInterval = null;
+    this.checkIntervalMs = 15 * 60 * 1000; // Verify one due backup every 15 minutes
+    this.verifyEveryMs = 30 * 24 * 60 * 60 * 1000; // Each backup is re-verified every 30 days
+    this.lastRun = null;
+  }
+
+  /**
+   * Start the scrubber
+   */
+  start() {
+    if (this.isRunning) {
+      console.log('[Backup Scrubber] Already running');
+      return;
+    }
+
+    console.log('[Backup Scrubber] Starting...');
+    this.isRunning = true;
+
+    this.tickInterval = setInterval(() => {
+      this.scrubNext().catch((error) => {
+        console.error('[Backup Scrubber] Error:', error.message);
+      });
+    }, this.checkIntervalMs);
+
+    console.log('[Backup Scrubber] Started successfully');
+  }
+
+  /**
+   * Stop the scrubber (a verification in progress finishes on its own)
+   */
+  stop() {
+    if (!this.isRunning) return;
+
+    if (this.tickInterval) {
+      clearInterval(this.tickInterval);
+      this.tickInterval = null;
+    }
+
+    this.isRunning = false;
+    console.log('[Backup Scrubber] Stopped');
+  }
+
+  /**
+   * Set main window reference (for notification click handling)
+   */
+  setMainWindow(mainWindow) {
+    this.mainWindow = mainWindow;
+  }
+
+  /**
+   * Verify the backup most overdue for verification
+   * Skipped while backups are being written so the scrubber never competes with them for disk.
+   * @returns {Promise<Object|null>} Verification results, or null when nothing ran
+   */
+  async scrubNext() {
+    if (this.isScrubbing || this.backupService.activeBackups > 0) {
+      return null;
+    }
+
+    const [backup] = this.db.getBackupsDueForVerification(Date.now() - this.verifyEveryMs, 1);
+    if (!backup) {
+      return null;
+    }
+
+    return this.scrubBackup(backup.id);
+  }
+
+  /**
+   * Verify one backup now and report corruption
+   */
+  async scrubBackup(backupId) {
+    if (this.isScrubbing) {
+      return null;
+    }
+
+    this.isScrubbing = true;
+    try {
+      const results = await this.backupService.verifyBackup(backupId, null, { scanViruses: false });
+      this.lastRun = { backupId, status: results.status, at: results.timestamp };
+
+      if (results.status === 'corrupt') {
+        const backup = this.db.getBackupById(backupId);
+        this.notifyCorruption(backup, results);
+      }
+
+      return results;
+    } catch (error) {
+      // verifyBackup records the failure on the backup, so the rotation moves on
+      this.lastRun = { backupId, status: 'error', at: Date.now(), error: error.message };
+      console.error(`[Backup Scrubber] Could not verify backup ${backupId}:`, error.message);
+      return null;
+    } finally {
+      this.isScrubbing = false;
+    }
+  }
+
+  /**
+   * Get scrubber state for the UI
+   */
+  getStatus() {
+    return {
+      running: this.isRunning,
+      scrubbing: this.isScrubbing,
+      verifyEveryMs: this.verifyEveryMs,
+      lastRun: this.lastRun
+    };
+  }
+
+  /**
+   * Show a system notification for a corrupted backup
+   * The matching logs entry is written by verifyBackup.
+   */
+  notifyCorruption(backup, results) {
+    const damaged = results.filesInvalid + results.filesMissing;
+    const message = results.repairable > 0
+      ? `${damaged} file(s) in "${backup.name}" are damaged. ${results.repairable} can be repaired from another backup.`
+      : `${damaged} file(s) in "${backup.name}" are damaged and no other backup holds a copy.`;
+
+    console.warn(`[Backup Scrubber] ${message}`);
+
+    try {
+      if (!Notification.isSupported()) {
+        console.log('[Backup Scrubber] System notifications not supported on this platform');
+        return;
+      }
+
+      const notification = new Notification({
+        title: 'FortiMorph Backup - Corruption Found',
+        body: message,
+        urgency: 'critical'
+      });
+
+      notification.on('click', () => {
+        if (this.mainWindow) {
+          if (this.mainWindow.isMinimized()) {
+            this.mainWindow.restore();
+          }
+          this.mainWindow.focus();
+          this.mainWindow.show();
+        }
+      });
+
+      notification.show();
+    } catch (error) {
+      console.error('[Backup Scrubber] Failed to show system notification:', error);
+    }
+  }
+}
+
+module.exports = BackupScrubber;
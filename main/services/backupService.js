@@ -4,21 +4,192 @@ const crypto = require('crypto');
 const zlib = require('zlib');
 const { promisify } = require('util');
 const stream = require('stream');
+const fg = require('fast-glob');
+const micromatch = require('micromatch');
+const archiver = require('archiver');
+const unzipper = require('unzipper');
 const antivirusService = require('./antivirusService');
+const BackupChunkStore = require('./backupChunkStore');
+const backupContainer = require('./backupContainer');
+const { RemovableDriveDestination, createDestination } = require('./backupDestinations');
+const { BackupRun, getThrottleProfile, runPipeline } = require('./backupPipeline');
+const { generateUniqueFilename } = require('./fileNames');
 
 const pipeline = promisify(stream.pipeline);
+
+const CHANGE_DETECTION_MODES = ['metadata', 'hash', 'paranoid'];
+const IGNORE_FILE_NAME = '.fortiignore';
+const CONFLICT_MODES = ['skip', 'overwrite', 'rename'];
 const readdir = promisify(fs.readdir);
 const stat = promisify(fs.stat);
 const readFile = promisify(fs.readFile);
 const writeFile = promisify(fs.writeFile);
 const mkdir = promisify(fs.mkdir);
 
+const KEY_ENVELOPE_FILE = 'keys.json';
+const KEY_WRAP_ALGORITHM = 'aes-256-gcm';
+const KEY_WRAP_CONTEXT = 'fortimorph-backup-key:v1';
+const DESTINATION_SECRET_CONTEXT = 'fortimorph-destination-password:v1';
+const MIN_PASSPHRASE_LENGTH = 8;
+const EXPORT_INDEX_FILE = 'fortibackup.json';
+const EXPORT_FORMAT = 'fortimorph-backup-export';
+const CHECKPOINT_FILE = 'checkpoint.json';
+const CHECKPOINT_INTERVAL_MS = 5000;
+const CHUNK_CLEANUP_SETTING = 'backup_pending_chunk_cleanup'; // Destination IDs - see removeDestinationCopies
+// scrypt cost for passphrase-derived keys (~32MB, a few hundred ms)
+const SCRYPT_PARAMS = { N: 32768, r: 8, p: 1 };
+
+const MAX_DIFF_FILE_SIZE = 5 * 1024 * 1024; // 5MB
+const MAX_DIFF_EDITS = 4000;
+const DIFF_CONTEXT_LINES = 3;
+
+/**
+ * Line diff (Myers' O(ND) algorithm)
+ * @returns {Array} [{ type: 'equal'|'add'|'remove', text }] in file order
+ */
+function diffLines(oldLines, newLines) {
+  const n = oldLines.length;
+  const m = newLines.length;
+  const max = Math.min(n + m, MAX_DIFF_EDITS);
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  for (let d = 0; d <= max; d++) {
+    // Only the diagonals reachable at this depth are needed to walk back
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && oldLines[x] === newLines[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+
+      if (x >= n && y >= m) {
+        return backtrackDiff(trace, d, oldLines, newLines);
+      }
+    }
+  }
+
+  throw new Error(`Versions differ in more than ${MAX_DIFF_EDITS} lines - too large to diff`);
+}
+
+function backtrackDiff(trace, depth, oldLines, newLines) {
+  const ops = [];
+  let x = oldLines.length;
+  let y = newLines.length;
+
+  for (let d = depth; d > 0; d--) {
+    const snapshot = trace[d];
+    const at = (k) => snapshot[k + d + 1];
+    const k = x - y;
+    const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      ops.push({ type: 'equal', text: oldLines[--x] });
+      y--;
+    }
+    if (x === prevX) {
+      ops.push({ type: 'add', text: newLines[--y] });
+    } else {
+      ops.push({ type: 'remove', text: oldLines[--x] });
+    }
+  }
+
+  while (x > 0 && y > 0) {
+    ops.push({ type: 'equal', text: oldLines[--x] });
+    y--;
+  }
+
+  return ops.reverse();
+}
+
+/**
+ * Group diff operations into hunks with surrounding context, like a unified diff
+ */
+function buildDiffHunks(ops) {
+  // Distance to the nearest change before and after each line decides whether it is context
+  const nextChange = new Array(ops.length + 1).fill(Infinity);
+  const prevChange = new Array(ops.length).fill(-Infinity);
+  for (let i = ops.length - 1; i >= 0; i--) {
+    nextChange[i] = ops[i].type !== 'equal' ? i : nextChange[i + 1];
+  }
+  for (let i = 0; i < ops.length; i++) {
+    prevChange[i] = ops[i].type !== 'equal' ? i : (i > 0 ? prevChange[i - 1] : -Infinity);
+  }
+
+  const hunks = [];
+  let oldLine = 1;
+  let newLine = 1;
+  let current = null;
+
+  ops.forEach((op, i) => {
+    const shown = nextChange[i] - i <= DIFF_CONTEXT_LINES || i - prevChange[i] <= DIFF_CONTEXT_LINES;
+
+    if (shown) {
+      if (!current) {
+        current = { oldStart: oldLine, newStart: newLine, oldLines: 0, newLines: 0, lines: [] };
+      }
+      current.lines.push({ type: op.type, text: op.text });
+      if (op.type !== 'add') current.oldLines++;
+      if (op.type !== 'remove') current.newLines++;
+    } else if (current) {
+      hunks.push(current);
+      current = null;
+    }
+
+    if (op.type !== 'add') oldLine++;
+    if (op.type !== 'remove') newLine++;
+  });
+
+  if (current) {
+    hunks.push(current);
+  }
+  return hunks;
+}
+
+/**
+ * Whether a path read from a manifest or export index stays inside the folder it is joined to:
+ * relative (on any platform) and without '..' segments
+ */
+function isSafeRelativePath(value) {
+  if (typeof value !== 'string' || value === '' || value.includes('\0')) {
+    return false;
+  }
+  if (path.posix.isAbsolute(value) || path.win32.isAbsolute(value) || /^[a-zA-Z]:/.test(value)) {
+    return false;
+  }
+  return !value.split(/[\\/]/).includes('..');
+}
+
+/**
+ * Whether a value is a single folder name (backup ids, parent folder links)
+ */
+function isSafeFolderName(value) {
+  return isSafeRelativePath(value) && !/[\\/]/.test(value) && value !== '.';
+}
+
+/**
+ * Whether a path resolves to somewhere below a folder
+ */
+function isPathInside(folder, target) {
+  const relative = path.relative(path.resolve(folder), path.resolve(target));
+  return relative !== '' && relative !== '..' && !relative.startsWith(`..${path.sep}`) && !path.isAbsolute(relative);
+}
+
 /**
  * BackupService - Handles encrypted incremental backups
  * Features:
  * - Incremental backup (only changed files)
- * - AES-256 encryption with optional recovery key
- * - Chunk-based streaming for large files
+ * - AES-256 encryption; the data key is wrapped by a passphrase and/or recovery key
+ * - Content-defined chunking with deduplication across files and backups
  * - Compression support
  * - Manifest-based integrity verification
  */
@@ -28,10 +199,13 @@ class BackupService {
     this.algorithm = 'aes-256-cbc';
     this.chunkSize = 64 * 1024; // 64KB chunks
     this.backupStorePath = null;
-    this.encryptionKey = null;
     this.recoveryKey = null;
     this.getUserId = null; // Function to get current user ID
     this.encryptionKeys = new Map(); // Per-user encryption keys cache
+    this.chunkStore = null;
+    this.activeBackups = 0; // Backups in progress (garbage collection waits for these)
+    this.runs = new Map(); // runId -> BackupRun for backups in progress
+    this.getPowerState = null; // Function returning { mode, onBattery } for the throttle
   }
   
   /**
@@ -41,6 +215,13 @@ class BackupService {
     this.getUserId = getUserIdFn;
   }
 
+  /**
+   * Set function to get the power state ({ mode, onBattery }) that throttles backups
+   */
+  setPowerStateProvider(getPowerStateFn) {
+    this.getPowerState = getPowerStateFn;
+  }
+
   /**
    * Initialize backup service and storage paths
    */
@@ -53,8 +234,18 @@ class BackupService {
         await mkdir(this.backupStorePath, { recursive: true });
       }
 
+      // Content-addressed chunk store shared by all backups
+      this.chunkStore = new BackupChunkStore(this.db, path.join(this.backupStorePath, 'chunks'));
+      await this.chunkStore.initialize();
+
       // Generate or load encryption key
-      await this.initializeEncryptionKey();
+      await this.getEncryptionKey();
+
+      // Backups made before the file version index existed
+      this.backfillVersionIndex();
+
+      // Destinations added before passwords were stored encrypted
+      await this.sealDestinationPasswords();
 
       console.log('Backup service initialized at:', this.backupStorePath);
       return true;
@@ -65,10 +256,11 @@ class BackupService {
   }
 
   /**
-   * Initialize encryption key from database or generate new one
-   * NOTE: This is now per-user. Called on demand when backup is created.
+   * Get a user's data key from the database, or generate and store a new one
+   * USER ISOLATION: Keys are per-user and never shared through instance state - operations
+   * hold the returned key, since work for another user can run while they are awaiting.
    */
-  async initializeEncryptionKey(userId = null) {
+  async getEncryptionKey(userId = null) {
     try {
       // USER ISOLATION: Each user has their own encryption key
       const settingKey = 'backup_encryption_key';
@@ -76,57 +268,480 @@ class BackupService {
       // Check cache first
       const cacheKey = userId || 'global';
       if (this.encryptionKeys.has(cacheKey)) {
-        this.encryptionKey = this.encryptionKeys.get(cacheKey);
-        return true;
+        return this.encryptionKeys.get(cacheKey);
       }
       
       // Try to get existing key from database (user-specific)
       const keyRecord = this.db.getSetting(settingKey, userId);
+      let key;
       
       if (keyRecord) {
-        this.encryptionKey = Buffer.from(keyRecord, 'hex');
-        this.encryptionKeys.set(cacheKey, this.encryptionKey);
+        key = Buffer.from(keyRecord, 'hex');
       } else {
         // Generate new encryption key for this user
-        this.encryptionKey = crypto.randomBytes(32);
+        key = crypto.randomBytes(32);
         
         // Save key to database (user-specific)
-        this.db.setSetting(settingKey, this.encryptionKey.toString('hex'), userId);
-        this.encryptionKeys.set(cacheKey, this.encryptionKey);
+        this.db.setSetting(settingKey, key.toString('hex'), userId);
         
         console.log(`Generated new backup encryption key for user: ${userId || 'global'}`);
       }
 
-      return true;
+      this.encryptionKeys.set(cacheKey, key);
+      return key;
     } catch (error) {
       console.error('Failed to initialize encryption key:', error);
       throw error;
     }
   }
 
+  /**
+   * Get the fingerprint stored alongside wrapped keys
+   * Lets a restore tell which data key an envelope protects without unwrapping it.
+   */
+  getKeyId(key) {
+    return crypto.createHash('sha256').update(key).digest('hex').slice(0, 16);
+  }
+
+  /**
+   * Wrap the data key with a key-encryption key (AES-256-GCM)
+   */
+  wrapDataKey(dataKey, wrappingKey) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(KEY_WRAP_ALGORITHM, wrappingKey, iv);
+    cipher.setAAD(Buffer.from(KEY_WRAP_CONTEXT));
+    const wrappedKey = Buffer.concat([cipher.update(dataKey), cipher.final()]);
+
+    return {
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      wrappedKey: wrappedKey.toString('base64')
+    };
+  }
+
+  /**
+   * Unwrap a data key; the GCM tag makes a wrong passphrase or recovery key fail here
+   */
+  unwrapDataKey(wrapped, wrappingKey) {
+    const decipher = crypto.createDecipheriv(KEY_WRAP_ALGORITHM, wrappingKey, Buffer.from(wrapped.iv, 'base64'));
+    decipher.setAAD(Buffer.from(KEY_WRAP_CONTEXT));
+    decipher.setAuthTag(Buffer.from(wrapped.tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(wrapped.wrappedKey, 'base64')), decipher.final()]);
+  }
+
+  /**
+   * Derive the key that wraps the data key from a passphrase
+   */
+  async derivePassphraseKey(passphrase, salt, params = SCRYPT_PARAMS) {
+    const { N, r, p } = params;
+    return new Promise((resolve, reject) => {
+      crypto.scrypt(passphrase.normalize('NFKC'), salt, 32, { N, r, p, maxmem: 256 * N * r }, (error, key) => {
+        if (error) reject(error); else resolve(key);
+      });
+    });
+  }
+
+  /**
+   * Derive the key that wraps the data key from a recovery key
+   * Recovery keys are already 256 random bits, so HKDF is enough - no slow KDF needed.
+   */
+  deriveRecoveryWrappingKey(recoveryKey, salt) {
+    return Buffer.from(crypto.hkdfSync('sha256', recoveryKey, salt, KEY_WRAP_CONTEXT, 32));
+  }
+
+  /**
+   * Format a recovery key for display: 8 groups of 8 hex digits
+   */
+  formatRecoveryKey(recoveryKey) {
+    return recoveryKey.toString('hex').toUpperCase().match(/.{8}/g).join('-');
+  }
+
+  /**
+   * Parse a recovery key as typed by the user (dashes, spaces and case are ignored)
+   */
+  parseRecoveryKey(text) {
+    const hex = String(text || '').replace(/[^0-9a-f]/gi, '');
+    if (hex.length !== 64) {
+      throw new Error('Recovery key must be 64 hexadecimal digits');
+    }
+    return Buffer.from(hex, 'hex');
+  }
+
+  /**
+   * Get the wrapped copies of a user's data key
+   * Ignores an envelope that wraps a different key (e.g. a global one the settings lookup fell back to).
+   * @returns {Promise<Object|null>} { version, keyId, passphrase, recovery } - no secret material in plain
+   */
+  async getKeyEnvelope(userId = null) {
+    const dataKey = await this.getEncryptionKey(userId);
+    const stored = this.db.getSetting('backup_key_envelope', userId);
+    const envelope = stored ? JSON.parse(stored) : null;
+    return envelope && envelope.keyId === this.getKeyId(dataKey) ? envelope : null;
+  }
+
+  /**
+   * Store a user's key envelope and copy it into every encrypted backup they own
+   * Copies already on destinations keep the envelope they were uploaded with; since the
+   * data key never changes, the passphrase or recovery key valid at upload time still opens them.
+   * @returns {Promise<number>} Number of backup folders updated
+   */
+  async saveKeyEnvelope(envelope, userId = null) {
+    this.db.setSetting('backup_key_envelope', JSON.stringify(envelope), userId);
+
+    let updated = 0;
+    for (const backup of this.db.getBackups({}, 100000, userId)) {
+      if (backup.encrypted && fs.existsSync(backup.backup_path)) {
+        await this.writeKeyEnvelope(backup.backup_path, envelope);
+        updated++;
+      }
+    }
+    return updated;
+  }
+
+  /**
+   * Write a key envelope into a backup folder
+   */
+  async writeKeyEnvelope(backupPath, envelope) {
+    await writeFile(path.join(backupPath, KEY_ENVELOPE_FILE), JSON.stringify(envelope, null, 2));
+  }
+
+  /**
+   * Start a new envelope for the user's current data key, or reuse the existing one
+   */
+  async getOrCreateKeyEnvelope(userId = null) {
+    const envelope = await this.getKeyEnvelope(userId);
+    const dataKey = await this.getEncryptionKey(userId);
+    return envelope || { version: 1, keyId: this.getKeyId(dataKey), passphrase: null, recovery: null };
+  }
+
+  /**
+   * Protect the user's backup key with a passphrase
+   * The passphrase alone can open the user's backups on a machine without this database.
+   */
+  async setBackupPassphrase(passphrase, userId = null) {
+    if (typeof passphrase !== 'string' || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+      throw new Error(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+    }
+
+    // USER ISOLATION: The owner's key is captured before the slow key derivation below
+    const dataKey = await this.getEncryptionKey(userId);
+    const envelope = await this.getOrCreateKeyEnvelope(userId);
+    const salt = crypto.randomBytes(16);
+    const wrappingKey = await this.derivePassphraseKey(passphrase, salt);
+
+    envelope.passphrase = {
+      kdf: 'scrypt',
+      ...SCRYPT_PARAMS,
+      salt: salt.toString('base64'),
+      ...this.wrapDataKey(dataKey, wrappingKey),
+      createdAt: Date.now()
+    };
+
+    const backupsUpdated = await this.saveKeyEnvelope(envelope, userId);
+    this.db.addLog('backup', 'Backup passphrase set', JSON.stringify({ keyId: envelope.keyId, backupsUpdated }), 'info', userId);
+    return { success: true, backupsUpdated };
+  }
+
   /**
    * Generate recovery key for backup encryption
    * USER ISOLATION: Recovery keys are per-user
+   * The recovery key wraps the user's data key, so it can decrypt their backups without the
+   * database. Generating a new one replaces the previous key in local backups.
    */
-  generateRecoveryKey(userId = null) {
+  async generateRecoveryKey(userId = null) {
+    const dataKey = await this.getEncryptionKey(userId);
+    const envelope = await this.getOrCreateKeyEnvelope(userId);
     const recoveryKey = crypto.randomBytes(32);
-    const recoveryKeyString = recoveryKey.toString('base64');
-    
+    const salt = crypto.randomBytes(16);
+
+    envelope.recovery = {
+      kdf: 'hkdf-sha256',
+      salt: salt.toString('base64'),
+      ...this.wrapDataKey(dataKey, this.deriveRecoveryWrappingKey(recoveryKey, salt)),
+      createdAt: Date.now()
+    };
+
+    const backupsUpdated = await this.saveKeyEnvelope(envelope, userId);
+
     // Store recovery key info in database (user-specific)
     this.db.setSetting('backup_recovery_key_generated', Date.now().toString(), userId);
-    
-    return recoveryKeyString;
+    this.db.addLog('backup', 'Backup recovery key generated', JSON.stringify({ keyId: envelope.keyId, backupsUpdated }), 'info', userId);
+
+    return { recoveryKey: this.formatRecoveryKey(recoveryKey), backupsUpdated };
+  }
+
+  /**
+   * Report how the user's backup key is protected
+   */
+  async getKeyProtectionStatus(userId = null) {
+    const envelope = await this.getKeyEnvelope(userId);
+    return {
+      hasPassphrase: !!(envelope && envelope.passphrase),
+      passphraseSetAt: envelope && envelope.passphrase ? envelope.passphrase.createdAt : null,
+      hasRecoveryKey: !!(envelope && envelope.recovery),
+      recoveryKeyCreatedAt: envelope && envelope.recovery ? envelope.recovery.createdAt : null
+    };
+  }
+
+  /**
+   * Recover a data key from an envelope with a recovery key or passphrase
+   * @param {Object} secret - { recoveryKey } or { passphrase }
+   */
+  async unlockKeyEnvelope(envelope, { recoveryKey, passphrase } = {}) {
+    let dataKey;
+
+    try {
+      if (recoveryKey) {
+        if (!envelope.recovery) {
+          throw new Error('No recovery key was set up for this backup');
+        }
+        const wrappingKey = this.deriveRecoveryWrappingKey(
+          this.parseRecoveryKey(recoveryKey),
+          Buffer.from(envelope.recovery.salt, 'base64')
+        );
+        dataKey = this.unwrapDataKey(envelope.recovery, wrappingKey);
+      } else if (passphrase) {
+        if (!envelope.passphrase) {
+          throw new Error('No passphrase was set up for this backup');
+        }
+        const { N, r, p, salt } = envelope.passphrase;
+        const wrappingKey = await this.derivePassphraseKey(passphrase, Buffer.from(salt, 'base64'), { N, r, p });
+        dataKey = this.unwrapDataKey(envelope.passphrase, wrappingKey);
+      } else {
+        throw new Error('A recovery key or passphrase is required to decrypt this backup');
+      }
+    } catch (error) {
+      if (/unable to authenticate|auth/i.test(error.message)) {
+        throw new Error(recoveryKey ? 'Recovery key is incorrect' : 'Passphrase is incorrect');
+      }
+      throw error;
+    }
+
+    if (this.getKeyId(dataKey) !== envelope.keyId) {
+      throw new Error('Unlocked key does not match this backup');
+    }
+    return dataKey;
+  }
+
+  /**
+   * Convert one .fortiignore line (gitignore subset) into fast-glob patterns
+   * - "name" matches at any depth, as a file or a directory
+   * - "/name" or "dir/name" is anchored at the source root
+   * - a trailing "/" only matches directories
+   */
+  convertIgnorePattern(line) {
+    let pattern = line.trim();
+    const directoryOnly = pattern.endsWith('/');
+    pattern = pattern.replace(/\/+$/, '');
+
+    const anchored = pattern.startsWith('/') || pattern.includes('/');
+    pattern = pattern.replace(/^\/+/, '');
+    if (!anchored) {
+      pattern = `**/${pattern}`;
+    }
+
+    return directoryOnly ? [`${pattern}/**`] : [pattern, `${pattern}/**`];
+  }
+
+  /**
+   * Load .fortiignore from the source root
+   * Lines starting with "!" re-include files an earlier pattern excluded.
+   * @returns {Object|null} { exclude, reinclude } or null when there is no ignore file
+   */
+  loadIgnoreFile(sourcePath) {
+    const ignorePath = path.join(sourcePath, IGNORE_FILE_NAME);
+    if (!fs.existsSync(ignorePath)) {
+      return null;
+    }
+
+    const exclude = [];
+    const reinclude = [];
+    const lines = fs.readFileSync(ignorePath, 'utf8').split(/\r?\n/);
+
+    for (const rawLine of lines) {
+      const line = rawLine.trim();
+      if (!line || line.startsWith('#')) {
+        continue;
+      }
+      if (line.startsWith('!')) {
+        reinclude.push(...this.convertIgnorePattern(line.slice(1)));
+      } else {
+        exclude.push(...this.convertIgnorePattern(line));
+      }
+    }
+
+    return { exclude, reinclude };
+  }
+
+  /**
+   * Check glob patterns are relative and stay inside the source
+   */
+  validateGlobPatterns(patterns, label) {
+    const errors = [];
+    if (!Array.isArray(patterns)) {
+      return [`${label} patterns must be a list`];
+    }
+    for (const pattern of patterns) {
+      if (typeof pattern !== 'string' || pattern.trim() === '') {
+        errors.push(`${label} pattern must be a non-empty string`);
+      } else if (path.isAbsolute(pattern) || /^[a-zA-Z]:/.test(pattern)) {
+        errors.push(`${label} pattern must be relative to the source: ${pattern}`);
+      } else if (pattern.split(/[\\/]/).includes('..')) {
+        errors.push(`${label} pattern may not leave the source: ${pattern}`);
+      }
+    }
+    return errors;
+  }
+
+  /**
+   * Combine include/exclude options with the source's .fortiignore
+   * @returns {Object|null} Filters to store in the manifest, or null when nothing filters the source
+   */
+  resolveFilters(sourcePath, { include = [], exclude = [], useIgnoreFile = true } = {}) {
+    const errors = [
+      ...this.validateGlobPatterns(include, 'Include'),
+      ...this.validateGlobPatterns(exclude, 'Exclude')
+    ];
+    if (errors.length > 0) {
+      throw new Error(errors.join(', '));
+    }
+
+    // A single-file source has nothing to filter
+    if (!fs.existsSync(sourcePath) || !fs.statSync(sourcePath).isDirectory()) {
+      return null;
+    }
+
+    const ignoreFile = useIgnoreFile ? this.loadIgnoreFile(sourcePath) : null;
+
+    if (include.length === 0 && exclude.length === 0 && !ignoreFile) {
+      return null;
+    }
+
+    return {
+      include: include.length > 0 ? include : ['**'],
+      exclude,
+      ignoreFile: ignoreFile ? IGNORE_FILE_NAME : null,
+      ignorePatterns: ignoreFile ? ignoreFile.exclude : [],
+      reincludePatterns: ignoreFile ? ignoreFile.reinclude : []
+    };
+  }
+
+  /**
+   * Split a backup source into labelled roots
+   * Accepts one path, an array of paths, or an array of { label, path }. A string is always a
+   * single root - ";" is a valid character in file names. Labels default to the folder name.
+   * @returns {Array} [{ label, path }]
+   */
+  normalizeSourceRoots(source) {
+    const entries = Array.isArray(source) ? source : [source];
+    const roots = [];
+    const labels = new Set();
+
+    for (const entry of entries) {
+      const rootPath = typeof entry === 'string' ? entry.trim() : entry && entry.path;
+      if (!rootPath) {
+        continue;
+      }
+
+      const explicitLabel = entry && typeof entry === 'object' && entry.label ? String(entry.label).trim() : null;
+      const baseLabel = explicitLabel || path.basename(rootPath.replace(/[\\/]+$/, '')) || 'root';
+      if (/[\\/]/.test(baseLabel) || baseLabel === '.' || baseLabel === '..') {
+        throw new Error(`Invalid root label: ${baseLabel}`);
+      }
+      if (explicitLabel && labels.has(explicitLabel)) {
+        throw new Error(`Duplicate root label: ${explicitLabel}`);
+      }
+
+      // Two folders with the same name become "config" and "config-2"
+      let label = baseLabel;
+      for (let n = 2; labels.has(label); n++) {
+        label = `${baseLabel}-${n}`;
+      }
+
+      labels.add(label);
+      roots.push({ label, path: rootPath });
+    }
+
+    return roots;
+  }
+
+  /**
+   * Map a manifest path back to its root
+   * Backups of several roots key files as "<label>/<path>"; single-root backups use the bare path.
+   * @returns {Object} { root, relativePath } - root is null when no root has the label
+   */
+  splitRootPath(roots, manifestPath) {
+    if (roots.length === 1) {
+      return { root: roots[0], relativePath: manifestPath };
+    }
+
+    const [label, ...rest] = manifestPath.split(/[\\/]/);
+    return {
+      root: roots.find((root) => root.label === label) || null,
+      relativePath: rest.join(path.sep)
+    };
+  }
+
+  /**
+   * Resolve where a manifest path lives on disk
+   */
+  getSourceFilePath(roots, manifestPath) {
+    const { root, relativePath } = this.splitRootPath(roots, manifestPath);
+    if (!root) {
+      return null;
+    }
+    return root.type === 'file' ? root.path : path.join(root.path, relativePath);
+  }
+
+  /**
+   * List the files of every root, keyed by their manifest path
+   */
+  async collectSourceFiles(roots) {
+    const multiRoot = roots.length > 1;
+    const files = [];
+
+    for (const root of roots) {
+      const stats = await stat(root.path);
+      let rootFiles;
+
+      if (stats.isDirectory()) {
+        const found = root.filters
+          ? await this.getFilteredFiles(root.path, root.filters)
+          : await this.getAllFiles(root.path);
+        rootFiles = found.map((file) => ({ ...file, relativePath: path.relative(root.path, file.path) }));
+      } else {
+        root.type = 'file';
+        rootFiles = [{
+          path: root.path,
+          size: stats.size,
+          modified: stats.mtime.getTime(),
+          relativePath: path.basename(root.path)
+        }];
+      }
+
+      for (const file of rootFiles) {
+        files.push({
+          ...file,
+          relativePath: multiRoot ? path.join(root.label, file.relativePath) : file.relativePath
+        });
+      }
+    }
+
+    return files;
   }
 
   /**
    * Pre-flight checks before starting backup
+   * @param {Object} filterOptions - { include, exclude, useIgnoreFile } glob filters to validate
    */
-  async preflightChecks(sourcePath, estimatedSize = 0) {
+  async preflightChecks(sourcePath, estimatedSize = 0, filterOptions = {}) {
     const checks = {
       sourceExists: false,
       sourceAccessible: false,
       sufficientSpace: false,
       targetWritable: false,
+      filtersValid: false,
+      filters: null,
       errors: []
     };
 
@@ -161,6 +776,14 @@ class BackupService {
         checks.errors.push(`Target location not writable: ${error.message}`);
       }
 
+      // Validate include/exclude patterns and load .fortiignore
+      try {
+        checks.filters = this.resolveFilters(sourcePath, filterOptions);
+        checks.filtersValid = true;
+      } catch (error) {
+        checks.errors.push(`Invalid filters: ${error.message}`);
+      }
+
     } catch (error) {
       checks.errors.push(`Preflight check failed: ${error.message}`);
     }
@@ -216,52 +839,328 @@ class BackupService {
     }
   }
 
+  /**
+   * Get the files under a source that pass its filters
+   * Excluded directories are pruned during the walk, so node_modules and .git are never read.
+   */
+  async getFilteredFiles(sourcePath, filters) {
+    const globOptions = {
+      cwd: sourcePath,
+      dot: true,
+      onlyFiles: true,
+      followSymbolicLinks: false,
+      suppressErrors: true,
+      stats: true
+    };
+
+    const entries = await fg(filters.include, {
+      ...globOptions,
+      ignore: [...filters.exclude, ...filters.ignorePatterns]
+    });
+
+    // "!pattern" lines in .fortiignore bring files back, unless the explicit excludes still apply
+    if (filters.reincludePatterns.length > 0) {
+      const seen = new Set(entries.map((entry) => entry.path));
+      const reincluded = await fg(filters.reincludePatterns, { ...globOptions, ignore: filters.exclude });
+      for (const entry of reincluded) {
+        if (!seen.has(entry.path)) {
+          entries.push(entry);
+        }
+      }
+    }
+
+    return entries.map((entry) => ({
+      path: path.join(sourcePath, entry.path),
+      size: entry.stats.size,
+      modified: entry.stats.mtime.getTime()
+    }));
+  }
+
   /**
    * Detect files that need backup (new or changed)
+   * @param {string} sourcePath - Directory being backed up
+   * @param {Object} previousManifest - Manifest to compare against (null for a full backup)
+   * @param {string} changeDetection - How a known file is judged changed:
+   *   'metadata' - size differs or modified time is newer (fast, default)
+   *   'hash'     - size differs, otherwise content hash differs (ignores mtime entirely)
+   *   'paranoid' - every file is hashed; any size, mtime or hash difference counts
+   * @param {string|Array} source - Source path, or roots from normalizeSourceRoots() carrying their filters
+   * @param {Object} filters - Resolved include/exclude filters for a single source path
    */
-  async detectIncrementalChanges(sourcePath, previousManifest = null) {
-    const currentFiles = await this.getAllFiles(sourcePath);
+  async detectIncrementalChanges(source, previousManifest = null, changeDetection = 'metadata', filters = null) {
+    if (!CHANGE_DETECTION_MODES.includes(changeDetection)) {
+      throw new Error(`Unknown change detection mode: ${changeDetection}`);
+    }
+
+    const roots = Array.isArray(source) ? source : [{ label: path.basename(source), path: source, filters }];
+    const filtered = roots.some((root) => root.filters);
+    const currentFiles = await this.collectSourceFiles(roots);
     const filesToBackup = [];
     const unchangedFiles = [];
 
+    // Index previous entries by relative path for O(1) lookups
+    const previousFiles = new Map();
+    if (previousManifest) {
+      for (const entry of previousManifest.files) {
+        if (!entry.skipped) {
+          previousFiles.set(entry.relativePath, entry);
+        }
+      }
+    }
+
     for (const file of currentFiles) {
-      const relativePath = path.relative(sourcePath, file.path);
-      
+      const { relativePath } = file;
+
       // If no previous manifest, backup everything
       if (!previousManifest) {
-        filesToBackup.push({ ...file, relativePath });
+        filesToBackup.push(file);
         continue;
       }
 
       // Check if file exists in previous manifest
-      const previousFile = previousManifest.files.find(
-        f => f.relativePath === relativePath
-      );
+      const previousFile = previousFiles.get(relativePath);
 
       if (!previousFile) {
         // New file
-        filesToBackup.push({ ...file, relativePath, reason: 'new' });
-      } else if (file.size !== previousFile.size || file.modified > previousFile.modified) {
-        // Changed file (size or modified time different)
-        filesToBackup.push({ ...file, relativePath, reason: 'modified' });
+        filesToBackup.push({ ...file, reason: 'new' });
+        continue;
+      }
+
+      const sizeChanged = file.size !== previousFile.size;
+      let changed;
+      let hash = null;
+
+      if (changeDetection === 'metadata') {
+        changed = sizeChanged || file.modified > previousFile.modified;
+      } else if (changeDetection === 'hash' && sizeChanged) {
+        // Different size means different content - no need to read the file
+        changed = true;
+      } else {
+        try {
+          hash = await this.calculateFileHash(file.path);
+        } catch (error) {
+          console.warn(`Could not hash ${file.path}, treating as modified: ${error.message}`);
+        }
+
+        const hashChanged = !hash || !previousFile.hash || hash !== previousFile.hash;
+        changed = changeDetection === 'paranoid'
+          ? hashChanged || sizeChanged || file.modified !== previousFile.modified
+          : hashChanged;
+      }
+
+      if (changed) {
+        filesToBackup.push({ ...file, reason: 'modified', hash });
       } else {
-        // File appears unchanged (could add hash check for extra safety)
-        unchangedFiles.push({ ...file, relativePath });
+        unchangedFiles.push({ ...file, hash: hash || previousFile.hash });
       }
     }
 
+    // Anything in the previous state that is no longer on disk was deleted or renamed
+    const seenPaths = new Set(currentFiles.map((file) => file.relativePath));
+    const missingFiles = [...previousFiles.values()].filter((entry) => !seenPaths.has(entry.relativePath));
+    const { renamedFiles, deletedFiles, newFiles } = await this.detectRenames(
+      missingFiles,
+      filesToBackup.filter((file) => file.reason === 'new')
+    );
+
+    const renamedTargets = new Set(renamedFiles.map((rename) => rename.to));
+
+    // Files still on disk that are now filtered out were excluded, not deleted
+    const excludedFiles = filtered
+      ? deletedFiles.filter((relativePath) => {
+        const filePath = this.getSourceFilePath(roots, relativePath);
+        return filePath && fs.existsSync(filePath);
+      })
+      : [];
+    const excludedSet = new Set(excludedFiles);
+
     return {
-      filesToBackup,
+      filesToBackup: filesToBackup.filter((file) => !renamedTargets.has(file.relativePath)),
       unchangedFiles,
+      deletedFiles: deletedFiles.filter((relativePath) => !excludedSet.has(relativePath)),
+      excludedFiles,
+      renamedFiles,
+      newFiles,
       totalFiles: currentFiles.length
     };
   }
 
+  /**
+   * Pair files that disappeared with new files of identical content
+   * Only same-size candidates are hashed, so this stays cheap when nothing was renamed.
+   * Empty files are never treated as renames - their content matches everything.
+   */
+  async detectRenames(missingFiles, newFiles) {
+    const missingBySize = new Map();
+    for (const entry of missingFiles) {
+      if (!entry.size || !entry.hash) {
+        continue;
+      }
+      if (!missingBySize.has(entry.size)) {
+        missingBySize.set(entry.size, []);
+      }
+      missingBySize.get(entry.size).push(entry);
+    }
+
+    const renamedFiles = [];
+    const renamedSources = new Set();
+
+    for (const file of newFiles) {
+      const candidates = (missingBySize.get(file.size) || []).filter(
+        (entry) => !renamedSources.has(entry.relativePath)
+      );
+      if (candidates.length === 0) {
+        continue;
+      }
+
+      try {
+        file.hash = file.hash || await this.calculateFileHash(file.path);
+      } catch (error) {
+        console.warn(`Could not hash ${file.path} for rename detection: ${error.message}`);
+        continue;
+      }
+
+      const source = candidates.find((entry) => entry.hash === file.hash);
+      if (source) {
+        renamedSources.add(source.relativePath);
+        renamedFiles.push({
+          from: source.relativePath,
+          to: file.relativePath,
+          originalPath: file.path,
+          size: file.size,
+          modified: file.modified,
+          hash: file.hash
+        });
+      }
+    }
+
+    return {
+      renamedFiles,
+      deletedFiles: missingFiles
+        .filter((entry) => !renamedSources.has(entry.relativePath))
+        .map((entry) => entry.relativePath),
+      newFiles: newFiles.filter((file) => !renamedFiles.some((rename) => rename.to === file.relativePath))
+    };
+  }
+
+  /**
+   * Get the backup an incremental backup was taken against
+   * Manifests record parentBackupId explicitly; older manifests only had referencedFiles,
+   * in which case the parent is the previous backup of the same source.
+   */
+  getParentBackup(backup, manifest) {
+    if (manifest.parentBackupId !== undefined) {
+      return manifest.parentBackupId ? this.db.getBackupById(manifest.parentBackupId) : null;
+    }
+
+    if (!manifest.referencedFiles) {
+      return null;
+    }
+
+    const older = this.db.getBackups(
+      { source_path: backup.source_path, before_id: backup.id },
+      1,
+      backup.user_id || null
+    );
+    return older.length > 0 ? older[0] : null;
+  }
+
+  /**
+   * Resolve the backup chain ending at a backup, oldest first
+   * @returns {Object} { chain: [{ backup, manifest }], broken }
+   */
+  getBackupChain(backupId) {
+    const chain = [];
+    const seen = new Set();
+    let broken = false;
+    let current = this.db.getBackupById(backupId);
+
+    if (!current) {
+      throw new Error('Backup not found');
+    }
+
+    while (current && !seen.has(current.id)) {
+      seen.add(current.id);
+      const manifest = JSON.parse(current.manifest || '{"files":[]}');
+      chain.unshift({ backup: current, manifest });
+
+      const expectsParent = manifest.parentBackupId || (manifest.parentBackupId === undefined && manifest.referencedFiles);
+      const parent = this.getParentBackup(current, manifest);
+      if (expectsParent && !parent) {
+        broken = true;
+      }
+      current = parent;
+    }
+
+    return { chain, broken };
+  }
+
+  /**
+   * Rebuild the exact set of files a backup represents
+   * Walks the chain from its full base, applying renames, deletions and changed files in order.
+   * Each entry remembers which backup holds its data and how that backup stored it.
+   * @returns {Object} { manifest, chain, broken, files }
+   */
+  resolveBackupState(backupId) {
+    const { chain, broken } = this.getBackupChain(backupId);
+
+    return {
+      manifest: chain[chain.length - 1].manifest,
+      chain: chain.map(({ backup }) => backup.id),
+      broken,
+      files: this.mergeBackupChain(chain)
+    };
+  }
+
+  /**
+   * Merge the manifests of a backup chain (oldest first) into the files of its last backup
+   * @param {Array} chain - [{ backup: { id }, manifest }]
+   */
+  mergeBackupChain(chain) {
+    const state = new Map();
+
+    for (const { backup, manifest } of chain) {
+      const storage = {
+        encrypted: manifest.encrypted,
+        compressed: manifest.compressed,
+        chunkScope: manifest.chunkScope || null
+      };
+
+      for (const rename of manifest.renamed || []) {
+        const entry = state.get(rename.from);
+        if (entry) {
+          state.delete(rename.from);
+          state.set(rename.to, {
+            ...entry,
+            relativePath: rename.to,
+            originalPath: rename.originalPath,
+            modified: rename.modified,
+            renamedFrom: rename.from
+          });
+        }
+      }
+
+      for (const relativePath of [...(manifest.deleted || []), ...(manifest.excluded || [])]) {
+        state.delete(relativePath);
+      }
+
+      for (const file of manifest.files || []) {
+        if (!file.skipped) {
+          state.set(file.relativePath, { ...file, sourceBackupId: backup.id, storage });
+        }
+      }
+    }
+
+    return [...state.values()];
+  }
+
   /**
    * Encrypt and compress file
+   * Encrypted output uses the versioned container format (see backupContainer.js).
+   * @param {Object} options - { compress, encrypt, key } - key is the backup owner's data key
    */
   async encryptFile(sourcePath, targetPath, options = {}) {
-    const { compress = true, encrypt = true } = options;
+    const { compress = true, encrypt = true, key = null } = options;
 
     return new Promise(async (resolve, reject) => {
       try {
@@ -282,13 +1181,11 @@ class BackupService {
         }
 
         // Add encryption
-        if (encrypt && this.encryptionKey) {
-          const iv = crypto.randomBytes(16);
-          const cipher = crypto.createCipheriv(this.algorithm, this.encryptionKey, iv);
-          
-          // Write IV at the start of the file
-          outputStream.write(iv);
-          streams.push(cipher);
+        if (encrypt && key) {
+          streams.push(backupContainer.createEncryptStream(key, {
+            compression: compress ? 'gzip' : 'none',
+            frameSize: this.chunkSize
+          }));
         }
 
         streams.push(outputStream);
@@ -304,60 +1201,90 @@ class BackupService {
   }
 
   /**
-   * Decrypt and decompress file
+   * Open a stored backup file as a plaintext stream chain (input plus decrypt/decompress stages)
+   * Reads both the container format and legacy files (raw IV + AES-256-CBC, no header).
+   * @param {Object} options - { compress, encrypt, key } - key is the backup owner's data key
+   * @returns {Promise<Array>} Streams to pass to pipeline, ending in plaintext
    */
-  async decryptFile(sourcePath, targetPath, options = {}) {
-    const { compress = true, encrypt = true } = options;
+  async openBackupFileStreams(sourcePath, options = {}) {
+    const { encrypt = true, key = null } = options;
+    let { compress = true } = options;
 
-    return new Promise(async (resolve, reject) => {
-      try {
-        // Ensure target directory exists
-        const targetDir = path.dirname(targetPath);
-        if (!fs.existsSync(targetDir)) {
-          await mkdir(targetDir, { recursive: true });
-        }
+    const container = encrypt && key ? await backupContainer.readContainerHeader(sourcePath) : null;
+    const inputStream = fs.createReadStream(sourcePath, container ? { start: container.headerBytes.length } : {});
+    const streams = [inputStream];
 
-        const inputStream = fs.createReadStream(sourcePath);
-        const outputStream = fs.createWriteStream(targetPath);
+    if (container) {
+      // The header says how the file was written, whatever the caller assumed
+      streams.push(backupContainer.createDecryptStream(key, container));
+      compress = container.header.compression === 'gzip';
+    } else if (encrypt && key) {
+      // Legacy format: read IV and setup decryption
+      const iv = await new Promise((resolve, reject) => {
+        inputStream.once('readable', () => {
+          const iv = inputStream.read(16);
+          if (iv) {
+            resolve(iv);
+          } else {
+            reject(new Error('Failed to read IV from encrypted file'));
+          }
+        });
+        inputStream.once('error', reject);
+      });
 
-        const streams = [inputStream];
+      const decipher = crypto.createDecipheriv(this.algorithm, key, iv);
+      streams.push(decipher);
+    }
 
-        // Read IV and setup decryption
-        if (encrypt && this.encryptionKey) {
-          const iv = await new Promise((resolve, reject) => {
-            inputStream.once('readable', () => {
-              const iv = inputStream.read(16);
-              if (iv) {
-                resolve(iv);
-              } else {
-                reject(new Error('Failed to read IV from encrypted file'));
-              }
-            });
-          });
+    // Add decompression
+    if (compress) {
+      streams.push(zlib.createGunzip());
+    }
 
-          const decipher = crypto.createDecipheriv(this.algorithm, this.encryptionKey, iv);
-          streams.push(decipher);
-        }
+    return streams;
+  }
 
-        // Add decompression
-        if (compress) {
-          streams.push(zlib.createGunzip());
-        }
+  /**
+   * Decrypt and decompress file
+   * @param {Object} options - { compress, encrypt, key } - see openBackupFileStreams
+   */
+  async decryptFile(sourcePath, targetPath, options = {}) {
+    // Ensure target directory exists
+    const targetDir = path.dirname(targetPath);
+    if (!fs.existsSync(targetDir)) {
+      await mkdir(targetDir, { recursive: true });
+    }
 
-        streams.push(outputStream);
+    const streams = await this.openBackupFileStreams(sourcePath, options);
+    await pipeline(...streams, fs.createWriteStream(targetPath));
 
-        // Pipeline all streams
-        await pipeline(...streams);
+    return { success: true };
+  }
 
-        resolve({ success: true });
-      } catch (error) {
-        reject(error);
+  /**
+   * Hash the plaintext of a stored backup file without writing it anywhere
+   * @param {Object} options - { compress, encrypt, key } - see openBackupFileStreams
+   */
+  async hashBackupFile(sourcePath, options = {}) {
+    const hash = crypto.createHash('sha256');
+    const streams = await this.openBackupFileStreams(sourcePath, options);
+
+    await pipeline(...streams, new stream.Writable({
+      write(data, _encoding, callback) {
+        hash.update(data);
+        callback();
       }
-    });
+    }));
+
+    return hash.digest('hex');
   }
 
   /**
    * Create backup with manifest
+   * Files go through the throttled pipeline (see backupPipeline.js) and progress is checkpointed
+   * to the backup folder, so a paused, failed or interrupted run can be resumed later.
+   * @param {string|Array} sourcePath - One path, or an array of paths / { label, path } roots
+   * @param {Object} options - Backup options; runId / resume continue the run checkpointed under runId
    */
   async createBackup(sourcePath, options = {}, progressCallback = null) {
     const {
@@ -365,87 +1292,218 @@ class BackupService {
       encrypt = true,
       compress = true,
       incremental = true,
-      userId = null
+      deduplicate = true,
+      changeDetection = 'metadata',
+      include = [],
+      exclude = [],
+      useIgnoreFile = true,
+      destinationIds = [],
+      jobId = null,
+      userId = null,
+      runId = null,
+      resume = false
     } = options;
 
+    const backupId = runId || `backup_${Date.now()}`;
+    const backupPath = path.join(this.backupStorePath, backupId);
+    if (this.runs.has(backupId)) {
+      throw new Error('This backup is already running');
+    }
+
+    const run = new BackupRun(backupId, { name, userId, sourcePath });
+    this.runs.set(backupId, run);
+    let folderCreated = false;
+
+    this.activeBackups++;
     try {
-      // USER ISOLATION: Initialize encryption key for current user
-      if (encrypt) {
-        await this.initializeEncryptionKey(userId);
+      const checkpoint = resume ? this.readCheckpoint(backupPath) : null;
+
+      const roots = this.normalizeSourceRoots(sourcePath);
+      if (roots.length === 0) {
+        throw new Error('No source path given');
       }
-      
-      // Preflight checks
-      const preflightResult = await this.preflightChecks(sourcePath);
-      if (preflightResult.errors.length > 0) {
-        throw new Error(`Preflight checks failed: ${preflightResult.errors.join(', ')}`);
+      const multiRoot = roots.length > 1;
+      const sourceKey = roots.map((root) => root.path).join(';');
+
+      // Preflight checks - filters are resolved per root so each root's .fortiignore applies to it alone
+      const preflightErrors = [];
+      for (const root of roots) {
+        const preflightResult = await this.preflightChecks(root.path, 0, { include, exclude, useIgnoreFile });
+        preflightErrors.push(...preflightResult.errors.map((error) => (multiRoot ? `${root.label}: ${error}` : error)));
+        root.filters = preflightResult.filters;
+      }
+      if (preflightErrors.length > 0) {
+        throw new Error(`Preflight checks failed: ${preflightErrors.join(', ')}`);
       }
 
       // Get previous backup manifest if incremental
       // USER ISOLATION: Only get backups for current user
+      // The previous state is the merged chain, not just the last backup's changed files
       let previousManifest = null;
-      if (incremental) {
-        const previousBackups = this.db.getBackups({ source_path: sourcePath }, 10, userId);
+      let parentBackupId = null;
+      let parentBackupDir = null;
+      if (checkpoint) {
+        // A resumed run keeps the parent it started from
+        if (checkpoint.parentBackupId) {
+          if (!this.db.getBackupById(checkpoint.parentBackupId)) {
+            throw new Error('The backup this run builds on was deleted - cancel it and start a new backup');
+          }
+          previousManifest = this.resolveBackupState(checkpoint.parentBackupId);
+          parentBackupId = checkpoint.parentBackupId;
+          parentBackupDir = previousManifest.manifest.backupId;
+        }
+      } else if (incremental) {
+        const previousBackups = this.db.getBackups({ source_path: sourceKey }, 1, userId);
         if (previousBackups && previousBackups.length > 0) {
-          const lastBackup = previousBackups[previousBackups.length - 1];
+          const lastBackup = previousBackups[0];
           if (lastBackup.manifest) {
-            previousManifest = JSON.parse(lastBackup.manifest);
+            previousManifest = this.resolveBackupState(lastBackup.id);
+            parentBackupId = lastBackup.id;
+            parentBackupDir = previousManifest.manifest.backupId;
           }
         }
       }
 
       // Detect changes
-      const changes = await this.detectIncrementalChanges(sourcePath, previousManifest);
+      const changes = await this.detectIncrementalChanges(roots, previousManifest, changeDetection);
       
       if (progressCallback) {
         progressCallback({
           phase: 'detection',
           filesFound: changes.totalFiles,
           filesToBackup: changes.filesToBackup.length,
-          filesUnchanged: changes.unchangedFiles.length
+          filesUnchanged: changes.unchangedFiles.length,
+          filesDeleted: changes.deletedFiles.length,
+          filesRenamed: changes.renamedFiles.length,
+          filesExcluded: changes.excludedFiles.length
         });
       }
 
       // Create backup directory
-      const backupId = `backup_${Date.now()}`;
-      const backupPath = path.join(this.backupStorePath, backupId);
       await mkdir(backupPath, { recursive: true });
+      folderCreated = true;
 
       // Backup files
       const manifest = {
         backupId,
         name,
-        sourcePath,
+        sourcePath: sourceKey,
+        roots: roots.map(({ label, path: rootPath, type = 'directory', filters }) => ({
+          label,
+          path: rootPath,
+          type,
+          filters
+        })),
         backupPath,
-        timestamp: Date.now(),
+        timestamp: checkpoint ? checkpoint.timestamp : Date.now(),
         encrypted: encrypt,
         compressed: compress,
         incremental,
-        files: []
+        parentBackupId,
+        parentBackupDir, // Folder name of the parent, so the chain resolves without the database
+        jobId,
+        changeDetection,
+        storage: deduplicate ? 'chunked' : 'files',
+        filters: multiRoot ? null : roots[0].filters,
+        files: [],
+        deleted: changes.deletedFiles,
+        excluded: changes.excludedFiles,
+        renamed: changes.renamedFiles
       };
 
+      const chunkScope = deduplicate ? this.chunkStore.getScope(userId, { encrypt, compress }) : null;
+      // USER ISOLATION: Files are encrypted with the owner's own key
+      const fileKey = encrypt ? await this.getEncryptionKey(userId) : null;
+      const chunkKey = fileKey;
+      const dedupStats = checkpoint && checkpoint.dedup
+        ? checkpoint.dedup
+        : { chunksNew: 0, chunksDeduplicated: 0, bytesStored: 0 };
+
+      if (deduplicate) {
+        manifest.chunkScope = chunkScope;
+      }
+
+      // Files finished before the run was interrupted are kept if their source is unchanged
+      const finishedFiles = checkpoint ? this.getReusableCheckpointFiles(checkpoint, chunkScope) : new Map();
+      const results = new Array(changes.filesToBackup.length);
       let processedFiles = 0;
       let totalSize = 0;
+      let lastCheckpointAt = Date.now();
+
+      const saveCheckpoint = () => {
+        this.writeCheckpoint(backupPath, {
+          runId: backupId,
+          name,
+          sourcePath,
+          userId,
+          options: { name, encrypt, compress, incremental, deduplicate, changeDetection, include, exclude, useIgnoreFile, destinationIds, jobId },
+          parentBackupId,
+          timestamp: manifest.timestamp,
+          files: results.filter((entry) => entry && !entry.skipped),
+          dedup: dedupStats,
+          updatedAt: Date.now()
+        });
+        lastCheckpointAt = Date.now();
+      };
+
+      run.total = changes.filesToBackup.length;
+      run.onStateChange = (state) => {
+        if (state === 'paused') {
+          saveCheckpoint();
+        }
+        if (progressCallback && state !== 'cancelled') {
+          progressCallback({ phase: state, current: processedFiles, total: run.total });
+        }
+      };
+      saveCheckpoint();
 
-      for (const file of changes.filesToBackup) {
+      await runPipeline(run, changes.filesToBackup, async (file, index) => {
         try {
-          const hash = await this.calculateFileHash(file.path);
-          const targetPath = path.join(backupPath, file.relativePath + '.bak');
+          const finished = finishedFiles.get(file.relativePath);
+          if (finished && finished.size === file.size && finished.modified === file.modified) {
+            results[index] = finished;
+          } else if (deduplicate) {
+            // Split into chunks and store only the ones the store doesn't already hold
+            const stored = await this.chunkStore.storeFile(file.path, chunkScope, chunkKey);
+            dedupStats.chunksNew += stored.newChunks;
+            dedupStats.chunksDeduplicated += stored.dedupedChunks;
+            dedupStats.bytesStored += stored.storedSize;
 
-          // Encrypt and compress file
-          await this.encryptFile(file.path, targetPath, { encrypt, compress });
+            results[index] = {
+              relativePath: file.relativePath,
+              originalPath: file.path,
+              chunks: stored.chunks,
+              size: file.size,
+              modified: file.modified,
+              hash: stored.hash,
+              reason: file.reason || 'full'
+            };
+          } else {
+            const hash = file.hash || await this.calculateFileHash(file.path);
+            const targetPath = path.join(backupPath, file.relativePath + '.bak');
 
-          manifest.files.push({
-            relativePath: file.relativePath,
-            originalPath: file.path,
-            backupPath: targetPath,
-            size: file.size,
-            modified: file.modified,
-            hash,
-            reason: file.reason || 'full'
-          });
+            // Encrypt and compress file
+            await this.encryptFile(file.path, targetPath, { encrypt, compress, key: fileKey });
+
+            results[index] = {
+              relativePath: file.relativePath,
+              originalPath: file.path,
+              backupPath: targetPath,
+              size: file.size,
+              modified: file.modified,
+              hash,
+              reason: file.reason || 'full'
+            };
+          }
 
           totalSize += file.size;
           processedFiles++;
+          run.processed = processedFiles;
+          run.bytesProcessed = totalSize;
+
+          if (Date.now() - lastCheckpointAt >= CHECKPOINT_INTERVAL_MS) {
+            saveCheckpoint();
+          }
 
           if (progressCallback) {
             progressCallback({
@@ -458,34 +1516,61 @@ class BackupService {
           }
         } catch (error) {
           console.error(`Failed to backup file ${file.path}:`, error);
-          manifest.files.push({
+          results[index] = {
             relativePath: file.relativePath,
             error: error.message,
             skipped: true
-          });
+          };
         }
-      }
+      }, {
+        getProfile: () => getThrottleProfile(this.getPowerState ? this.getPowerState() : null),
+        getSize: (file) => file.size
+      });
+
+      manifest.files = results.filter(Boolean);
+      const referencedChunks = manifest.files.flatMap((file) => file.chunks || []);
 
       // Add unchanged files to manifest (reference only)
       if (incremental && previousManifest) {
         manifest.referencedFiles = changes.unchangedFiles.map(f => f.relativePath);
       }
 
+      if (deduplicate) {
+        manifest.dedup = dedupStats;
+      }
+
       // Save manifest to file
       const manifestPath = path.join(backupPath, 'manifest.json');
       await writeFile(manifestPath, JSON.stringify(manifest, null, 2));
 
+      // Wrapped key copies, so a recovery key or passphrase can open this folder on its own
+      const keyEnvelope = encrypt ? await this.getKeyEnvelope(userId) : null;
+      if (keyEnvelope) {
+        await this.writeKeyEnvelope(backupPath, keyEnvelope);
+      }
+      fs.rmSync(path.join(backupPath, CHECKPOINT_FILE), { force: true });
+
       // Save backup record to database
-      this.db.createBackup({
+      const record = this.db.createBackup({
         name,
-        source_path: sourcePath,
+        source_path: sourceKey,
         backup_path: backupPath,
         size: totalSize,
-        file_count: manifest.files.length,
+        file_count: manifest.files.filter((file) => !file.skipped).length,
         encrypted: encrypt ? 1 : 0,
-        manifest: JSON.stringify(manifest)
+        manifest: JSON.stringify(manifest),
+        job_id: jobId
       }, userId);
 
+      // Register chunk references so garbage collection keeps them alive
+      if (deduplicate && record.success) {
+        this.chunkStore.addReferences(record.id, chunkScope, referencedChunks);
+      }
+
+      if (record.success) {
+        this.indexBackupVersions(this.db.getBackupById(record.id));
+      }
+
       // Log backup creation
       this.db.addLog(
         'backup',
@@ -494,31 +1579,66 @@ class BackupService {
           backupId,
           filesBackedUp: manifest.files.length,
           totalSize,
-          incremental
+          incremental,
+          parentBackupId,
+          filesDeleted: manifest.deleted.length,
+          filesRenamed: manifest.renamed.length,
+          dedup: manifest.dedup || null
         }),
         'info',
         userId
       );
 
-      if (progressCallback) {
-        progressCallback({
-          phase: 'complete',
-          success: true,
-          backupId,
-          filesBackedUp: manifest.files.length,
-          totalSize
-        });
-      }
+      // Copy to destinations; a failed upload keeps the local backup and is retried later
+      const destinations = record.success && destinationIds.length > 0
+        ? await this.replicateBackup(record.id, destinationIds, progressCallback)
+        : [];
 
-      return {
-        success: true,
+      // Files that could not be read or stored make the backup partial, not successful
+      const failedFiles = manifest.files
+        .filter((file) => file.skipped)
+        .map(({ relativePath, error }) => ({ relativePath, error }));
+      const result = {
+        success: failedFiles.length === 0,
+        partial: failedFiles.length > 0,
         backupId,
-        manifest,
-        filesBackedUp: manifest.files.length,
-        totalSize
+        recordId: record.success ? record.id : null,
+        filesBackedUp: manifest.files.length - failedFiles.length,
+        failedFiles,
+        totalSize,
+        destinations
       };
 
+      if (failedFiles.length > 0) {
+        this.db.addLog(
+          'backup',
+          `Backup incomplete: ${name} (${failedFiles.length} of ${manifest.files.length} file(s) failed)`,
+          JSON.stringify({ backupId, failedFiles }),
+          'warning',
+          userId
+        );
+      }
+
+      if (progressCallback) {
+        progressCallback({ phase: 'complete', ...result });
+      }
+
+      return { ...result, manifest };
+
     } catch (error) {
+      if (error.cancelled) {
+        // Chunks written so far have no references and go with the next garbage collection
+        if (folderCreated) {
+          fs.rmSync(backupPath, { recursive: true, force: true });
+        }
+        this.db.addLog('backup', `Backup cancelled: ${name}`, JSON.stringify({ backupId, sourcePath }), 'info', userId);
+
+        if (progressCallback) {
+          progressCallback({ phase: 'cancelled', success: false, cancelled: true });
+        }
+        throw error;
+      }
+
       console.error('Backup failed:', error);
       
       // Log failure
@@ -530,90 +1650,334 @@ class BackupService {
         userId
       );
 
+      // A checkpointed run stays in the store and can be resumed once the cause is fixed
+      const resumable = folderCreated && fs.existsSync(path.join(backupPath, CHECKPOINT_FILE));
+
       if (progressCallback) {
         progressCallback({
           phase: 'error',
           success: false,
-          error: error.message
+          error: error.message,
+          resumable
         });
       }
 
       throw error;
+    } finally {
+      this.runs.delete(backupId);
+      this.activeBackups--;
     }
   }
 
   /**
-   * Restore backup with verification
+   * Start a backup without waiting for it
+   * Progress, completion and errors are reported through progressCallback, tagged with the runId.
+   * @returns {Object} { runId, done } - done settles with the createBackup result
    */
-  async restoreBackup(backupId, targetPath, options = {}, progressCallback = null) {
-    const {
-      verify = true,
-      conflictStrategy = 'rename' // 'overwrite', 'rename', 'skip'
-    } = options;
+  startBackup(sourcePath, options = {}, progressCallback = null) {
+    const runId = options.runId || `backup_${Date.now()}`;
+    if (this.runs.has(runId)) {
+      throw new Error('This backup is already running');
+    }
 
-    try {
-      // Get backup record
-      const backup = this.db.getBackupById(backupId);
-      if (!backup) {
-        throw new Error('Backup not found');
+    const done = this.createBackup(
+      sourcePath,
+      { ...options, runId },
+      progressCallback ? (progress) => progressCallback({ runId, ...progress }) : null
+    );
+    return { runId, done };
+  }
+
+  /**
+   * Write a run's checkpoint (replaced atomically so a crash never leaves half a file)
+   */
+  writeCheckpoint(backupPath, checkpoint) {
+    const checkpointPath = path.join(backupPath, CHECKPOINT_FILE);
+    const tempPath = `${checkpointPath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(checkpoint));
+    fs.renameSync(tempPath, checkpointPath);
+  }
+
+  readCheckpoint(backupPath) {
+    const checkpointPath = path.join(backupPath, CHECKPOINT_FILE);
+    if (!fs.existsSync(checkpointPath)) {
+      throw new Error('No interrupted backup to resume');
+    }
+    return JSON.parse(fs.readFileSync(checkpointPath, 'utf8'));
+  }
+
+  /**
+   * Finished files of a checkpoint whose stored data is still there
+   * Chunks of an unfinished backup have no references yet, so garbage collection may have
+   * removed them while the app was closed - those files are backed up again.
+   * @returns {Map} relativePath -> manifest entry
+   */
+  getReusableCheckpointFiles(checkpoint, chunkScope) {
+    const reusable = new Map();
+    for (const file of checkpoint.files || []) {
+      const intact = file.chunks
+        ? chunkScope && this.chunkStore.findMissingChunks(file.chunks, chunkScope).length === 0
+        : fs.existsSync(file.backupPath);
+      if (intact) {
+        reusable.set(file.relativePath, file);
       }
+    }
+    return reusable;
+  }
 
-      const manifest = JSON.parse(backup.manifest);
-      
-      if (progressCallback) {
-        progressCallback({
-          phase: 'init',
-          filesTotal: manifest.files.length
-        });
+  /**
+   * List the user's backups in progress and interrupted runs that can be resumed
+   */
+  listBackupRuns(userId = null) {
+    const runs = [...this.runs.values()]
+      .filter((run) => (run.userId || null) === (userId || null))
+      .map((run) => run.getStatus());
+
+    for (const entry of fs.readdirSync(this.backupStorePath, { withFileTypes: true })) {
+      const backupPath = path.join(this.backupStorePath, entry.name);
+      if (!entry.isDirectory() || this.runs.has(entry.name) || !fs.existsSync(path.join(backupPath, CHECKPOINT_FILE))) {
+        continue;
       }
 
-      // Ensure target directory exists
-      if (!fs.existsSync(targetPath)) {
-        await mkdir(targetPath, { recursive: true });
+      try {
+        const checkpoint = this.readCheckpoint(backupPath);
+        if ((checkpoint.userId || null) === (userId || null)) {
+          runs.push({
+            runId: checkpoint.runId,
+            name: checkpoint.name,
+            sourcePath: checkpoint.sourcePath,
+            state: 'interrupted',
+            startedAt: checkpoint.timestamp,
+            processed: checkpoint.files.length,
+            total: null,
+            updatedAt: checkpoint.updatedAt
+          });
+        }
+      } catch (error) {
+        console.warn(`Could not read backup checkpoint in ${entry.name}: ${error.message}`);
       }
+    }
 
-      let restoredFiles = 0;
-      const verificationResults = [];
+    return runs;
+  }
 
-      for (const file of manifest.files) {
-        if (file.skipped) {
-          continue;
-        }
+  /**
+   * Get a backup owned by the user
+   */
+  getOwnedBackup(backupId, userId = null) {
+    const backup = this.db.getBackupById(backupId);
+    if (!backup || (backup.user_id || null) !== (userId || null)) {
+      throw new Error('Backup not found');
+    }
+    return backup;
+  }
 
-        try {
-          let targetFilePath = path.join(targetPath, file.relativePath);
-          
-          // Ensure target directory exists
-          const targetDir = path.dirname(targetFilePath);
-          if (!fs.existsSync(targetDir)) {
-            await mkdir(targetDir, { recursive: true });
-          }
-          
-          // Check for conflicts
-          if (fs.existsSync(targetFilePath)) {
-            if (conflictStrategy === 'skip') {
-              verificationResults.push({
+  /**
+   * Get a running backup owned by the user
+   */
+  getOwnedRun(runId, userId = null) {
+    const run = this.runs.get(runId);
+    if (!run || (run.userId || null) !== (userId || null)) {
+      return null;
+    }
+    return run;
+  }
+
+  /**
+   * Get the checkpoint of an interrupted run owned by the user
+   */
+  getOwnedCheckpoint(runId, userId = null) {
+    if (!/^backup_\d+$/.test(runId || '')) {
+      throw new Error('Backup run not found');
+    }
+
+    const backupPath = path.join(this.backupStorePath, runId);
+    if (!fs.existsSync(path.join(backupPath, CHECKPOINT_FILE))) {
+      throw new Error('Backup run not found');
+    }
+
+    const checkpoint = this.readCheckpoint(backupPath);
+    if ((checkpoint.userId || null) !== (userId || null)) {
+      throw new Error('Backup run not found');
+    }
+    return checkpoint;
+  }
+
+  /**
+   * Pause a running backup (files already in progress finish first)
+   */
+  pauseBackup(runId, userId = null) {
+    const run = this.getOwnedRun(runId, userId);
+    if (!run) {
+      throw new Error('Backup run not found');
+    }
+    if (!run.pause()) {
+      throw new Error(`Backup is ${run.state}, not running`);
+    }
+    return { success: true, runId, state: run.state };
+  }
+
+  /**
+   * Resume a paused backup, or restart an interrupted one from its checkpoint
+   * @returns {Object} { success, runId, state, done } - done is set when an interrupted run was restarted
+   */
+  resumeBackup(runId, userId = null, progressCallback = null) {
+    const run = this.getOwnedRun(runId, userId);
+    if (run) {
+      if (!run.resume()) {
+        throw new Error(`Backup is ${run.state}, not paused`);
+      }
+      return { success: true, runId, state: run.state };
+    }
+
+    const checkpoint = this.getOwnedCheckpoint(runId, userId);
+    const { done } = this.startBackup(
+      checkpoint.sourcePath,
+      { ...checkpoint.options, userId: checkpoint.userId || null, runId, resume: true },
+      progressCallback
+    );
+    return { success: true, runId, state: 'running', done };
+  }
+
+  /**
+   * Cancel a running backup, or discard an interrupted one
+   */
+  cancelBackup(runId, userId = null) {
+    const run = this.getOwnedRun(runId, userId);
+    if (run) {
+      run.cancel();
+      return { success: true, runId, state: run.state };
+    }
+
+    const checkpoint = this.getOwnedCheckpoint(runId, userId);
+    fs.rmSync(path.join(this.backupStorePath, runId), { recursive: true, force: true });
+    this.db.addLog('backup', `Interrupted backup discarded: ${checkpoint.name}`, JSON.stringify({ backupId: runId }), 'info', userId);
+    return { success: true, runId, state: 'cancelled' };
+  }
+
+  /**
+   * Restore a single manifest entry to a target path
+   * Handles both chunked and legacy whole-file (.bak) storage.
+   * @param {Object} storage - How the holding backup stored data (encrypted, compressed, chunkScope)
+   * @param {Object} source - { key, chunkStore } - key is the backup owner's data key; chunkStore
+   *   is only given when reading a backup folder outside this store
+   */
+  async restoreManifestFile(storage, file, targetFilePath, source = {}) {
+    const { key = null, chunkStore = this.chunkStore } = source;
+    if (storage.encrypted && !key) {
+      throw new Error('No key given for an encrypted backup');
+    }
+
+    if (file.chunks) {
+      return chunkStore.restoreFile(file.chunks, storage.chunkScope, storage.encrypted ? key : null, targetFilePath);
+    }
+
+    return this.decryptFile(
+      file.backupPath,
+      targetFilePath,
+      { encrypt: storage.encrypted, compress: storage.compressed, key }
+    );
+  }
+
+  /**
+   * Restore backup with verification
+   */
+  async restoreBackup(backupId, targetPath, options = {}, progressCallback = null) {
+    const {
+      verify = true,
+      conflictStrategy = 'rename',
+      conflictMode = conflictStrategy, // 'overwrite', 'rename', 'skip' - same modes as quarantine restores
+      pointInTime = true, // Rebuild the full state through the backup chain
+      rootTargets = {}, // { [rootLabel]: targetPath } - restore roots of a multi-root backup to their own folders
+      paths = null // Relative paths, folders or globs to restore; null restores everything
+    } = options;
+
+    try {
+      if (!CONFLICT_MODES.includes(conflictMode)) {
+        throw new Error(`Unknown conflict mode: ${conflictMode}`);
+      }
+      const matchesSelection = paths ? this.createPathMatcher(paths) : null;
+
+      // Get backup record
+      const backup = this.db.getBackupById(backupId);
+      if (!backup) {
+        throw new Error('Backup not found');
+      }
+
+      const manifest = JSON.parse(backup.manifest);
+      const roots = manifest.roots && manifest.roots.length > 1 ? manifest.roots : null;
+
+      if (!targetPath && !(roots && roots.every((root) => rootTargets[root.label]))) {
+        throw new Error('A target path is required unless every root has its own target');
+      }
+
+      // Point-in-time restores pull unchanged files from parent backups and leave out
+      // anything deleted before this backup was taken
+      const state = pointInTime ? this.resolveBackupState(backupId) : null;
+      let files = state ? state.files : manifest.files;
+
+      if (matchesSelection) {
+        files = files.filter((file) => !file.skipped && matchesSelection(file.relativePath));
+        if (files.length === 0) {
+          throw new Error(`No files in the backup match: ${paths.join(', ')}`);
+        }
+      }
+
+      if (state && state.broken) {
+        console.warn(`Backup chain for ${backupId} is incomplete; restoring available files only`);
+      }
+
+      // USER ISOLATION: Decrypt with the key of the user who owns the backup
+      const key = files.some((file) => (file.storage || manifest).encrypted)
+        ? await this.getEncryptionKey(backup.user_id || null)
+        : null;
+      
+      if (progressCallback) {
+        progressCallback({
+          phase: 'init',
+          filesTotal: files.length
+        });
+      }
+
+      // Ensure target directory exists
+      if (targetPath && !fs.existsSync(targetPath)) {
+        await mkdir(targetPath, { recursive: true });
+      }
+
+      let restoredFiles = 0;
+      const verificationResults = [];
+
+      for (const file of files) {
+        if (file.skipped) {
+          continue;
+        }
+
+        try {
+          let targetFilePath = this.getRestoreTargetPath(roots, file.relativePath, targetPath, rootTargets);
+
+          // Ensure target directory exists
+          const targetDir = path.dirname(targetFilePath);
+          if (!fs.existsSync(targetDir)) {
+            await mkdir(targetDir, { recursive: true });
+          }
+          
+          // Check for conflicts
+          if (fs.existsSync(targetFilePath)) {
+            if (conflictMode === 'skip') {
+              verificationResults.push({
                 file: file.relativePath,
                 skipped: true,
-                reason: 'File exists and conflict strategy is skip'
+                reason: 'File exists and conflict mode is skip'
               });
               continue;
-            } else if (conflictStrategy === 'rename') {
-              const ext = path.extname(targetFilePath);
-              const base = path.basename(targetFilePath, ext);
-              const dir = path.dirname(targetFilePath);
-              const newName = `${base}_restored_${Date.now()}${ext}`;
-              targetFilePath = path.join(dir, newName);
+            } else if (conflictMode === 'rename') {
+              targetFilePath = generateUniqueFilename(targetFilePath);
             }
             // If 'overwrite', proceed normally
           }
 
           // Decrypt and restore file
-          await this.decryptFile(
-            file.backupPath,
-            targetFilePath,
-            { encrypt: manifest.encrypted, compress: manifest.compressed }
-          );
+          await this.restoreManifestFile(file.storage || manifest, file, targetFilePath, { key });
 
           // Verify hash if requested
           if (verify) {
@@ -638,9 +2002,9 @@ class BackupService {
             progressCallback({
               phase: 'restore',
               current: restoredFiles,
-              total: manifest.files.length,
+              total: files.length,
               currentFile: file.relativePath,
-              progress: (restoredFiles / manifest.files.length) * 100
+              progress: (restoredFiles / files.length) * 100
             });
           }
 
@@ -662,7 +2026,10 @@ class BackupService {
         JSON.stringify({
           backupId,
           filesRestored: restoredFiles,
-          targetPath
+          targetPath,
+          rootTargets,
+          paths,
+          chain: state ? state.chain : [backupId]
         }),
         'info',
         userId
@@ -680,6 +2047,9 @@ class BackupService {
       return {
         success: true,
         filesRestored: restoredFiles,
+        filesSelected: files.length,
+        chain: state ? state.chain : [backupId],
+        chainIncomplete: state ? state.broken : false,
         verificationResults: verify ? verificationResults : null
       };
 
@@ -709,185 +2079,2071 @@ class BackupService {
   }
 
   /**
-   * Verify backup integrity
+   * Read a backup folder's manifest
+   * Whole-file (.bak) paths are rebased onto the folder, since the manifest records where the
+   * folder was when the backup was made.
    */
-  async verifyBackup(backupId, progressCallback = null) {
-    try {
-      const backup = this.db.getBackupById(backupId);
-      if (!backup) {
-        throw new Error('Backup not found');
-      }
-
-      const manifest = JSON.parse(backup.manifest);
-      const verificationResults = {
-        backupId,
-        timestamp: Date.now(),
-        filesChecked: 0,
-        filesValid: 0,
-        filesInvalid: 0,
-        filesMissing: 0,
-        virusScan: {
-          scanned: 0,
-          clean: 0,
-          threats: 0,
-          errors: 0,
-          skipped: 0
-        },
-        details: []
-      };
-
-      const validFiles = []; // Collect valid files for virus scanning
-
-      for (const file of manifest.files) {
-        if (file.skipped) {
-          continue;
-        }
+  readBackupFolder(backupFolder) {
+    const manifestPath = path.join(backupFolder, 'manifest.json');
+    if (!fs.existsSync(manifestPath)) {
+      throw new Error(`Not a backup folder (manifest.json not found): ${backupFolder}`);
+    }
 
-        try {
-          // Check if backup file exists
-          if (!fs.existsSync(file.backupPath)) {
-            verificationResults.filesMissing++;
-            verificationResults.details.push({
-              file: file.relativePath,
-              status: 'missing'
-            });
-            continue;
-          }
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    manifest.files = (manifest.files || []).map((file) => (
+      file.backupPath
+        ? { ...file, backupPath: path.join(backupFolder, path.relative(manifest.backupPath, file.backupPath)) }
+        : file
+    ));
+    return manifest;
+  }
 
-          // For encrypted files, we can't easily verify hash without decrypting
-          // In a production system, you might store encrypted file hashes in manifest
-          verificationResults.filesValid++;
-          validFiles.push(file.backupPath);
-          verificationResults.details.push({
-            file: file.relativePath,
-            status: 'valid'
-          });
+  /**
+   * Resolve the backup chain ending at a backup folder using only the files next to it
+   * Parents are found by folder name; manifests from before parentBackupDir was recorded fall
+   * back to the newest earlier backup of the same source in the same store.
+   * @returns {Object} { chain: [{ backup: { id, folder }, manifest }], broken }
+   */
+  getFolderBackupChain(backupFolder) {
+    const storeRoot = path.dirname(backupFolder);
+    const chain = [];
+    const seen = new Set();
+    let broken = false;
+    let siblings = null;
 
-          verificationResults.filesChecked++;
+    const findLegacyParent = (manifest) => {
+      if (!siblings) {
+        siblings = fs.readdirSync(storeRoot, { withFileTypes: true })
+          .filter((entry) => entry.isDirectory() && fs.existsSync(path.join(storeRoot, entry.name, 'manifest.json')))
+          .map((entry) => ({ folder: path.join(storeRoot, entry.name), manifest: this.readBackupFolder(path.join(storeRoot, entry.name)) }));
+      }
+      return siblings
+        .filter((sibling) => sibling.manifest.sourcePath === manifest.sourcePath && sibling.manifest.timestamp < manifest.timestamp)
+        .sort((a, b) => b.manifest.timestamp - a.manifest.timestamp)[0] || null;
+    };
 
-          if (progressCallback) {
-            progressCallback({
-              phase: 'verify',
-              current: verificationResults.filesChecked,
-              total: manifest.files.length,
-              currentFile: file.relativePath
-            });
-          }
+    let current = { folder: backupFolder, manifest: this.readBackupFolder(backupFolder) };
+    while (current && !seen.has(current.folder)) {
+      seen.add(current.folder);
+      const { folder, manifest } = current;
+      chain.unshift({ backup: { id: manifest.backupId || path.basename(folder), folder }, manifest });
 
-        } catch (error) {
-          verificationResults.filesInvalid++;
-          verificationResults.details.push({
-            file: file.relativePath,
-            status: 'invalid',
-            error: error.message
-          });
-        }
+      const expectsParent = manifest.parentBackupId || (manifest.parentBackupId === undefined && manifest.referencedFiles);
+      if (!expectsParent) {
+        break;
       }
 
-      // Perform virus scan on valid files
-      console.log(`Scanning ${validFiles.length} valid backup files for viruses...`);
-      
-      for (let i = 0; i < validFiles.length; i++) {
-        const filePath = validFiles[i];
-        
-        if (progressCallback) {
-          progressCallback({
-            phase: 'virus-scan',
-            current: i + 1,
-            total: validFiles.length,
-            currentFile: path.basename(filePath)
-          });
+      current = null;
+      if (manifest.parentBackupDir) {
+        if (!isSafeFolderName(manifest.parentBackupDir)) {
+          throw new Error(`Invalid parent backup folder in manifest: ${manifest.parentBackupDir}`);
         }
-
-        try {
-          const scanResult = await antivirusService.scanFile(filePath);
-          verificationResults.virusScan.scanned++;
-
-          if (scanResult.skipped) {
-            verificationResults.virusScan.skipped++;
-          } else if (scanResult.isClean) {
-            verificationResults.virusScan.clean++;
-          } else {
-            verificationResults.virusScan.threats++;
-            
-            // Add threat details to the file's verification result
-            const fileDetail = verificationResults.details.find(
-              d => d.file === path.relative(this.backupStorePath, filePath)
-            );
-            if (fileDetail) {
-              fileDetail.threat = scanResult.threat;
-              fileDetail.threatMessage = scanResult.message;
-            }
-          }
-
-          if (scanResult.error) {
-            verificationResults.virusScan.errors++;
-          }
-        } catch (scanError) {
-          console.error(`Virus scan error for ${filePath}:`, scanError);
-          verificationResults.virusScan.errors++;
+        const parentFolder = path.join(storeRoot, manifest.parentBackupDir);
+        if (fs.existsSync(path.join(parentFolder, 'manifest.json'))) {
+          current = { folder: parentFolder, manifest: this.readBackupFolder(parentFolder) };
         }
+      } else {
+        current = findLegacyParent(manifest);
       }
 
-      // Log verification
-      const userId = backup.user_id || null;
-      this.db.addLog(
-        'backup',
-        `Backup verified: ${manifest.name}`,
-        JSON.stringify(verificationResults),
-        'info',
-        userId
-      );
+      if (!current) {
+        broken = true;
+      }
+    }
 
-      return verificationResults;
+    return { chain, broken };
+  }
 
-    } catch (error) {
-      console.error('Verification failed:', error);
-      throw error;
+  /**
+   * Find the key envelope for a folder chain (any folder's copy will do - they wrap the same key)
+   */
+  findFolderKeyEnvelope(chain) {
+    for (const { backup } of [...chain].reverse()) {
+      const envelopePath = path.join(backup.folder, KEY_ENVELOPE_FILE);
+      if (fs.existsSync(envelopePath)) {
+        return JSON.parse(fs.readFileSync(envelopePath, 'utf8'));
+      }
     }
+    return null;
   }
 
   /**
-   * List all backups
+   * Describe a backup folder before restoring it, including which secrets can unlock it
    */
-  listBackups(userId = null) {
-    return this.db.getBackups({}, 50, userId);
+  inspectBackupFolder(backupFolder) {
+    const folder = path.resolve(backupFolder);
+    const { chain, broken } = this.getFolderBackupChain(folder);
+    const manifest = chain[chain.length - 1].manifest;
+    const envelope = this.findFolderKeyEnvelope(chain);
+
+    return {
+      backupId: manifest.backupId,
+      name: manifest.name,
+      sourcePath: manifest.sourcePath,
+      timestamp: manifest.timestamp,
+      encrypted: chain.some((entry) => entry.manifest.encrypted),
+      fileCount: this.mergeBackupChain(chain).length,
+      chainLength: chain.length,
+      broken,
+      canUseRecoveryKey: !!(envelope && envelope.recovery),
+      canUsePassphrase: !!(envelope && envelope.passphrase)
+    };
   }
 
   /**
-   * Delete backup
+   * Restore a backup straight from its folder, without the database
+   * Works on a copy of the backup store (another disk, a destination, a new machine): the
+   * folder's siblings hold parent backups and "chunks" holds chunk data. Encrypted backups
+   * are opened with the recovery key or passphrase via the folder's key envelope.
+   * @param {Object} options - { recoveryKey, passphrase, conflictMode, verify, paths }
    */
-  async deleteBackup(backupId) {
-    try {
-      const backup = this.db.getBackupById(backupId);
-      if (!backup) {
-        throw new Error('Backup not found');
+  async restoreFromBackupFolder(backupFolder, targetPath, options = {}, userId = null) {
+    const {
+      recoveryKey = null,
+      passphrase = null,
+      conflictMode = 'rename',
+      verify = true,
+      paths = null
+    } = options;
+
+    if (!CONFLICT_MODES.includes(conflictMode)) {
+      throw new Error(`Unknown conflict mode: ${conflictMode}`);
+    }
+    if (!targetPath) {
+      throw new Error('A target path is required');
+    }
+
+    const folder = path.resolve(backupFolder);
+    const { chain, broken } = this.getFolderBackupChain(folder);
+    const manifest = chain[chain.length - 1].manifest;
+    let files = this.mergeBackupChain(chain);
+
+    if (paths) {
+      const matchesSelection = this.createPathMatcher(paths);
+      files = files.filter((file) => matchesSelection(file.relativePath));
+      if (files.length === 0) {
+        throw new Error(`No files in the backup match: ${paths.join(', ')}`);
       }
+    }
 
-      // Delete backup files
-      if (fs.existsSync(backup.backup_path)) {
-        fs.rmSync(backup.backup_path, { recursive: true, force: true });
+    let key = null;
+    if (files.some((file) => file.storage.encrypted)) {
+      const envelope = this.findFolderKeyEnvelope(chain);
+      if (!envelope) {
+        throw new Error('This backup has no key file - set a passphrase or recovery key on the original device first');
       }
+      key = await this.unlockKeyEnvelope(envelope, { recoveryKey, passphrase });
+    }
 
-      // Delete from database
-      this.db.deleteBackup(backupId);
+    const source = {
+      key,
+      chunkStore: new BackupChunkStore(null, path.join(path.dirname(folder), 'chunks'))
+    };
+    const roots = manifest.roots && manifest.roots.length > 1 ? manifest.roots : null;
+    let restoredFiles = 0;
+    const verificationResults = [];
 
-      // Log deletion
-      const userId = backup.user_id || null;
-      this.db.addLog(
+    for (const file of files) {
+      try {
+        let targetFilePath = this.getRestoreTargetPath(roots, file.relativePath, targetPath, {});
+
+        if (fs.existsSync(targetFilePath)) {
+          if (conflictMode === 'skip') {
+            verificationResults.push({ file: file.relativePath, skipped: true, reason: 'File exists and conflict mode is skip' });
+            continue;
+          } else if (conflictMode === 'rename') {
+            targetFilePath = generateUniqueFilename(targetFilePath);
+          }
+        }
+
+        await this.restoreManifestFile(file.storage, file, targetFilePath, source);
+
+        if (verify) {
+          const restoredHash = await this.calculateFileHash(targetFilePath);
+          verificationResults.push({
+            file: file.relativePath,
+            hashMatch: restoredHash === file.hash,
+            originalHash: file.hash,
+            restoredHash
+          });
+        }
+        restoredFiles++;
+      } catch (error) {
+        console.error(`Failed to restore file ${file.relativePath}:`, error);
+        verificationResults.push({ file: file.relativePath, error: error.message, failed: true });
+      }
+    }
+
+    this.db.addLog(
+      'backup',
+      `Backup restored from folder: ${manifest.name}`,
+      JSON.stringify({
+        backupFolder: folder,
+        filesRestored: restoredFiles,
+        targetPath,
+        unlockedWith: key ? (recoveryKey ? 'recoveryKey' : 'passphrase') : null,
+        chain: chain.map(({ backup }) => backup.id)
+      }),
+      'info',
+      userId
+    );
+
+    return {
+      success: true,
+      filesRestored: restoredFiles,
+      filesSelected: files.length,
+      chain: chain.map(({ backup }) => backup.id),
+      chainIncomplete: broken,
+      verificationResults: verify ? verificationResults : null
+    };
+  }
+
+  /**
+   * Export a backup and the backups it depends on as one archive
+   * The archive mirrors the store layout (<backupId>/..., chunks/...) plus an index file, so once
+   * extracted it is itself a backup store that import or a folder restore can read.
+   */
+  async exportBackup(backupId, targetPath, progressCallback = null) {
+    const backup = this.db.getBackupById(backupId);
+    if (!backup) {
+      throw new Error('Backup not found');
+    }
+    if (!targetPath) {
+      throw new Error('A target path is required');
+    }
+
+    const { chain, broken } = this.getBackupChain(backupId);
+    if (broken) {
+      throw new Error('Backup chain is incomplete - a parent backup is missing, so the export could not be restored');
+    }
+
+    const userId = backup.user_id || null;
+    const encrypted = chain.some(({ manifest }) => manifest.encrypted);
+    const keyEnvelope = encrypted ? await this.getKeyEnvelope(userId) : null;
+    const leaf = chain[chain.length - 1].manifest;
+
+    const entries = [];
+    const seen = new Set();
+    for (const { backup: member, manifest } of chain) {
+      for (const file of await this.getBackupFiles(member, manifest)) {
+        // The key envelope is written fresh below
+        if (!seen.has(file.remotePath) && path.basename(file.localPath) !== KEY_ENVELOPE_FILE) {
+          seen.add(file.remotePath);
+          entries.push({ localPath: file.localPath, name: file.remotePath });
+        }
+      }
+      entries.push({ buffer: Buffer.from(JSON.stringify(manifest, null, 2)), name: `${manifest.backupId}/manifest.json` });
+      if (keyEnvelope && manifest.encrypted) {
+        entries.push({ buffer: Buffer.from(JSON.stringify(keyEnvelope, null, 2)), name: `${manifest.backupId}/${KEY_ENVELOPE_FILE}` });
+      }
+    }
+
+    const index = {
+      format: EXPORT_FORMAT,
+      version: 1,
+      exportedAt: Date.now(),
+      backupId: leaf.backupId,
+      name: leaf.name,
+      sourcePath: leaf.sourcePath,
+      timestamp: leaf.timestamp,
+      chain: chain.map(({ manifest }) => manifest.backupId),
+      encrypted,
+      canUseRecoveryKey: !!(keyEnvelope && keyEnvelope.recovery),
+      canUsePassphrase: !!(keyEnvelope && keyEnvelope.passphrase)
+    };
+
+    await mkdir(path.dirname(targetPath), { recursive: true });
+    await new Promise((resolve, reject) => {
+      const output = fs.createWriteStream(targetPath);
+      // Backup data is already compressed (and usually encrypted) - store it as is
+      const archive = archiver('zip', { store: true });
+      let added = 0;
+
+      output.on('close', resolve);
+      archive.on('error', reject);
+      archive.on('entry', () => {
+        added++;
+        if (progressCallback) {
+          progressCallback({ phase: 'export', current: added, total: entries.length + 1, progress: (added / (entries.length + 1)) * 100 });
+        }
+      });
+
+      archive.pipe(output);
+      archive.append(JSON.stringify(index, null, 2), { name: EXPORT_INDEX_FILE });
+      for (const entry of entries) {
+        if (entry.buffer) {
+          archive.append(entry.buffer, { name: entry.name });
+        } else {
+          archive.file(entry.localPath, { name: entry.name });
+        }
+      }
+      archive.finalize();
+    });
+
+    const warning = encrypted && !keyEnvelope
+      ? 'No passphrase or recovery key is set, so this export can only be imported on this device'
+      : null;
+
+    this.db.addLog(
+      'backup',
+      `Backup exported: ${leaf.name}`,
+      JSON.stringify({ backupId, archivePath: targetPath, chain: index.chain, files: entries.length, warning }),
+      warning ? 'warning' : 'info',
+      userId
+    );
+
+    return {
+      success: true,
+      archivePath: targetPath,
+      backups: chain.length,
+      files: entries.length,
+      size: fs.statSync(targetPath).size,
+      warning
+    };
+  }
+
+  /**
+   * Register a backup folder or export archive as backups of the current user
+   * The whole chain is copied into the local store and verified while it is copied: every chunk
+   * must match its hash and every file the hash in its manifest. Data is re-encrypted with the
+   * current user's key, so a recovery key or passphrase is only needed when the backup was made
+   * with a different key. Backups already in the database are skipped.
+   * @param {Object} options - { recoveryKey, passphrase }
+   */
+  async importBackup(sourcePath, options = {}, userId = null, progressCallback = null) {
+    const { recoveryKey = null, passphrase = null } = options;
+
+    if (!sourcePath || !fs.existsSync(sourcePath)) {
+      throw new Error('Import source not found');
+    }
+
+    const importDir = path.join(this.backupStorePath, '.import');
+    let stagingPath = null;
+    this.activeBackups++;
+
+    try {
+      let backupFolder = path.resolve(sourcePath);
+
+      if (fs.statSync(backupFolder).isFile()) {
+        stagingPath = path.join(importDir, `import_${Date.now()}`);
+        try {
+          await fs.createReadStream(backupFolder).pipe(unzipper.Extract({ path: stagingPath })).promise();
+        } catch (error) {
+          throw new Error(`Not a FortiMorph backup export: ${error.message}`);
+        }
+
+        const indexPath = path.join(stagingPath, EXPORT_INDEX_FILE);
+        const index = fs.existsSync(indexPath) ? JSON.parse(fs.readFileSync(indexPath, 'utf8')) : null;
+        if (!index || index.format !== EXPORT_FORMAT) {
+          throw new Error('Not a FortiMorph backup export');
+        }
+        if (!isSafeFolderName(index.backupId)) {
+          throw new Error(`Invalid backup id in export: ${index.backupId}`);
+        }
+        backupFolder = path.join(stagingPath, index.backupId);
+      }
+
+      const { chain, broken } = this.getFolderBackupChain(backupFolder);
+      if (broken) {
+        throw new Error('Backup chain is incomplete - import the folder together with the backups it depends on');
+      }
+      this.validateImportChain(chain);
+
+      const userKey = await this.getEncryptionKey(userId);
+      let sourceKey = null;
+      if (chain.some(({ manifest }) => manifest.encrypted)) {
+        const envelope = this.findFolderKeyEnvelope(chain);
+        // Without an envelope the folder can only be from this device; verification catches a wrong key
+        sourceKey = !envelope || envelope.keyId === this.getKeyId(userKey)
+          ? userKey
+          : await this.unlockKeyEnvelope(envelope, { recoveryKey, passphrase });
+      }
+
+      const known = new Map();
+      for (const row of this.db.getBackups({}, 100000, userId)) {
+        const manifest = JSON.parse(row.manifest || '{}');
+        const local = { id: row.id, backupId: manifest.backupId };
+        known.set(manifest.backupId, local);
+        if (manifest.imported) {
+          known.set(manifest.imported.backupId, local);
+        }
+      }
+
+      const context = {
+        sourceKey,
+        userKey,
+        sourceChunks: new BackupChunkStore(null, path.join(path.dirname(backupFolder), 'chunks')),
+        importDir,
+        sourcePath,
+        userId,
+        progressCallback
+      };
+      const imported = [];
+      const skipped = [];
+      let parent = null;
+
+      for (const { backup: source, manifest } of chain) {
+        if (known.has(manifest.backupId)) {
+          parent = known.get(manifest.backupId);
+          skipped.push({ backupId: manifest.backupId, name: manifest.name, id: parent.id });
+          continue;
+        }
+
+        parent = await this.importFolderBackup(source.folder, manifest, parent, context);
+        imported.push(parent);
+      }
+
+      return { success: true, imported, skipped, chain: chain.map(({ manifest }) => manifest.backupId) };
+    } finally {
+      this.activeBackups--;
+      if (stagingPath) {
+        fs.rmSync(stagingPath, { recursive: true, force: true });
+      }
+    }
+  }
+
+  /**
+   * Check every path an imported chain names stays inside its folder
+   * Imported manifests come from outside, so a crafted one could otherwise write files anywhere
+   * when it is imported or restored. Runs before anything is copied or registered.
+   */
+  validateImportChain(chain) {
+    for (const { backup, manifest } of chain) {
+      if (!isSafeFolderName(manifest.backupId)) {
+        throw new Error(`Invalid backup id in manifest: ${manifest.backupId}`);
+      }
+      if (manifest.parentBackupDir && !isSafeFolderName(manifest.parentBackupDir)) {
+        throw new Error(`Invalid parent backup folder in manifest: ${manifest.parentBackupDir}`);
+      }
+
+      for (const file of manifest.files) {
+        if (!isSafeRelativePath(file.relativePath)) {
+          throw new Error(`Invalid file path in ${manifest.backupId}: ${file.relativePath}`);
+        }
+        if (file.skipped) {
+          continue;
+        }
+        if (file.chunks) {
+          if (!file.chunks.every((chunkHash) => /^[0-9a-f]{64}$/.test(chunkHash))) {
+            throw new Error(`Invalid chunk reference in ${manifest.backupId}: ${file.relativePath}`);
+          }
+        } else if (!file.backupPath || !isPathInside(backup.folder, file.backupPath)) {
+          throw new Error(`Backup file outside the backup folder in ${manifest.backupId}: ${file.relativePath}`);
+        }
+      }
+    }
+  }
+
+  /**
+   * Copy and verify one backup of an imported chain into the local store
+   * @param {Object} parent - { id, backupId } of the already imported parent, or null
+   * @returns {Promise<Object>} { id, backupId, name, files }
+   */
+  async importFolderBackup(folder, manifest, parent, context) {
+    const { sourceKey, userKey, sourceChunks, importDir, sourcePath, userId, progressCallback } = context;
+
+    // Keep the folder name so parentBackupDir links stay valid, unless it is taken locally
+    let localName = manifest.backupId;
+    if (fs.existsSync(path.join(this.backupStorePath, localName))) {
+      localName = `${manifest.backupId}_imported_${Date.now()}`;
+    }
+    const backupPath = path.join(this.backupStorePath, localName);
+    await mkdir(backupPath, { recursive: true });
+    await mkdir(importDir, { recursive: true });
+
+    const encrypt = !!manifest.encrypted;
+    const compress = !!manifest.compressed;
+    const chunkScope = manifest.chunkScope
+      ? this.chunkStore.getScope(userId, this.chunkStore.parseScope(manifest.chunkScope))
+      : null;
+    const referencedChunks = new Set();
+    const files = [];
+    const failures = [];
+    let totalSize = 0;
+
+    for (const file of manifest.files) {
+      if (file.skipped) {
+        files.push(file);
+        continue;
+      }
+
+      try {
+        if (file.chunks) {
+          const hash = crypto.createHash('sha256');
+          for (const chunkHash of file.chunks) {
+            // getChunk checks each chunk against its own hash
+            const data = await sourceChunks.getChunk(chunkHash, manifest.chunkScope, encrypt ? sourceKey : null);
+            hash.update(data);
+            await this.chunkStore.putChunk(data, chunkScope, encrypt ? userKey : null);
+            referencedChunks.add(chunkHash);
+          }
+          if (hash.digest('hex') !== file.hash) {
+            throw new Error('Content hash does not match manifest');
+          }
+          files.push({ ...file });
+        } else {
+          const targetFilePath = path.join(backupPath, path.relative(folder, file.backupPath));
+          const tempPath = path.join(importDir, `${crypto.randomBytes(8).toString('hex')}.tmp`);
+          try {
+            await this.decryptFile(file.backupPath, tempPath, { encrypt, compress, key: sourceKey });
+            if (await this.calculateFileHash(tempPath) !== file.hash) {
+              throw new Error('Content hash does not match manifest');
+            }
+            await this.encryptFile(tempPath, targetFilePath, { encrypt, compress, key: userKey });
+          } finally {
+            fs.rmSync(tempPath, { force: true });
+          }
+          files.push({ ...file, backupPath: targetFilePath });
+        }
+        totalSize += file.size || 0;
+      } catch (error) {
+        failures.push({ file: file.relativePath, error: error.message });
+      }
+
+      if (progressCallback) {
+        progressCallback({
+          phase: 'import',
+          backup: manifest.name,
+          current: files.length + failures.length,
+          total: manifest.files.length,
+          currentFile: file.relativePath
+        });
+      }
+    }
+
+    if (failures.length > 0) {
+      // Chunks already copied are unreferenced and go with the next garbage collection
+      fs.rmSync(backupPath, { recursive: true, force: true });
+      const error = new Error(
+        `Verification failed for ${failures.length} file(s) in ${manifest.name}: ${failures[0].file} - ${failures[0].error}`
+      );
+      error.failures = failures;
+      throw error;
+    }
+
+    const localManifest = {
+      ...manifest,
+      backupId: localName,
+      backupPath,
+      parentBackupId: parent ? parent.id : null,
+      parentBackupDir: parent ? parent.backupId : null,
+      chunkScope,
+      files,
+      imported: { backupId: manifest.backupId, from: sourcePath, importedAt: Date.now() }
+    };
+    delete localManifest.destination;
+
+    await writeFile(path.join(backupPath, 'manifest.json'), JSON.stringify(localManifest, null, 2));
+    const keyEnvelope = encrypt ? await this.getKeyEnvelope(userId) : null;
+    if (keyEnvelope) {
+      await this.writeKeyEnvelope(backupPath, keyEnvelope);
+    }
+
+    const record = this.db.createBackup({
+      name: manifest.name,
+      source_path: manifest.sourcePath,
+      backup_path: backupPath,
+      size: totalSize,
+      file_count: files.filter((file) => !file.skipped).length,
+      encrypted: encrypt ? 1 : 0,
+      manifest: JSON.stringify(localManifest),
+      created_at: manifest.timestamp ? Math.floor(manifest.timestamp / 1000) : null
+    }, userId);
+    if (!record.success) {
+      fs.rmSync(backupPath, { recursive: true, force: true });
+      throw new Error(`Failed to register imported backup: ${record.error}`);
+    }
+
+    if (chunkScope) {
+      this.chunkStore.addReferences(record.id, chunkScope, [...referencedChunks]);
+    }
+    this.indexBackupVersions(this.db.getBackupById(record.id));
+
+    this.db.addLog(
+      'backup',
+      `Backup imported: ${manifest.name}`,
+      JSON.stringify({ backupId: record.id, importedFrom: sourcePath, originalBackupId: manifest.backupId, filesVerified: files.length }),
+      'info',
+      userId
+    );
+
+    return { id: record.id, backupId: localName, name: manifest.name, files: files.length };
+  }
+
+  /**
+   * Build a matcher for restore selections
+   * A selection matches a file exactly, everything below a folder, or files matching a glob.
+   */
+  createPathMatcher(patterns) {
+    const errors = this.validateGlobPatterns(patterns, 'Restore');
+    if (errors.length > 0) {
+      throw new Error(errors.join(', '));
+    }
+
+    const normalized = patterns.map((pattern) => pattern.replace(/\\/g, '/').replace(/^\.\//, '').replace(/\/+$/, ''));
+    return (relativePath) => {
+      const filePath = relativePath.replace(/\\/g, '/');
+      return normalized.some((pattern) => (
+        filePath === pattern ||
+        filePath.startsWith(`${pattern}/`) ||
+        micromatch.isMatch(filePath, pattern, { dot: true })
+      ));
+    };
+  }
+
+  /**
+   * Describe a backup as a folder tree for browsing
+   * Every file lists the versions stored along the chain up to this backup, newest first,
+   * so a single file can be restored as it was in any earlier backup.
+   * @param {Object} options - { includeDeleted } - also list files deleted earlier in the chain
+   * @returns {Object} { backupId, name, createdAt, chain, broken, roots, tree }
+   */
+  browseBackup(backupId, options = {}) {
+    const { includeDeleted = false } = options;
+    const { chain, broken } = this.getBackupChain(backupId);
+    const history = new Map(); // relativePath -> versions, oldest first
+    const present = new Set();
+
+    for (const { backup, manifest } of chain) {
+      for (const rename of manifest.renamed || []) {
+        if (history.has(rename.from)) {
+          history.set(rename.to, [...history.get(rename.from)]);
+          if (!includeDeleted) {
+            history.delete(rename.from);
+          }
+        }
+        present.delete(rename.from);
+        present.add(rename.to);
+      }
+
+      for (const relativePath of [...(manifest.deleted || []), ...(manifest.excluded || [])]) {
+        present.delete(relativePath);
+      }
+
+      for (const file of manifest.files || []) {
+        if (file.skipped) {
+          continue;
+        }
+        if (!history.has(file.relativePath)) {
+          history.set(file.relativePath, []);
+        }
+        history.get(file.relativePath).push({
+          backupId: backup.id,
+          backupName: backup.name,
+          createdAt: backup.created_at,
+          size: file.size,
+          modified: file.modified,
+          hash: file.hash,
+          reason: file.reason || 'full'
+        });
+        present.add(file.relativePath);
+      }
+    }
+
+    const root = { name: '', path: '', type: 'directory', children: [], fileCount: 0, size: 0 };
+    const directories = new Map([['', root]]);
+
+    const getDirectory = (dirPath) => {
+      if (directories.has(dirPath)) {
+        return directories.get(dirPath);
+      }
+      const parent = getDirectory(dirPath.includes('/') ? dirPath.slice(0, dirPath.lastIndexOf('/')) : '');
+      const node = { name: dirPath.split('/').pop(), path: dirPath, type: 'directory', children: [], fileCount: 0, size: 0 };
+      parent.children.push(node);
+      directories.set(dirPath, node);
+      return node;
+    };
+
+    for (const [relativePath, versions] of history) {
+      const deleted = !present.has(relativePath);
+      if (deleted && !includeDeleted) {
+        continue;
+      }
+
+      const filePath = relativePath.replace(/\\/g, '/');
+      const dirPath = filePath.includes('/') ? filePath.slice(0, filePath.lastIndexOf('/')) : '';
+      const latest = versions[versions.length - 1];
+
+      getDirectory(dirPath).children.push({
+        name: filePath.split('/').pop(),
+        path: relativePath,
+        type: 'file',
+        deleted,
+        size: latest.size,
+        modified: latest.modified,
+        hash: latest.hash,
+        sourceBackupId: latest.backupId,
+        versions: [...versions].reverse()
+      });
+
+      // Folder totals only count files that are part of this backup
+      if (!deleted) {
+        for (let dir = dirPath; ; dir = dir.includes('/') ? dir.slice(0, dir.lastIndexOf('/')) : '') {
+          const node = directories.get(dir);
+          node.fileCount++;
+          node.size += latest.size || 0;
+          if (dir === '') {
+            break;
+          }
+        }
+      }
+    }
+
+    // Folders first, then files, alphabetically
+    const sortTree = (node) => {
+      node.children.sort((a, b) => (a.type === b.type ? a.name.localeCompare(b.name) : a.type === 'directory' ? -1 : 1));
+      node.children.filter((child) => child.type === 'directory').forEach(sortTree);
+    };
+    sortTree(root);
+
+    const { backup, manifest } = chain[chain.length - 1];
+    return {
+      backupId: backup.id,
+      name: backup.name,
+      createdAt: backup.created_at,
+      chain: chain.map((link) => link.backup.id),
+      broken,
+      roots: manifest.roots || null,
+      tree: root
+    };
+  }
+
+  /**
+   * Work out where a file from a backup is restored to
+   * Roots with an entry in rootTargets go to that folder; everything else lands under
+   * targetPath, with multi-root backups keeping one subfolder per root label. Throws when a
+   * manifest path would land outside the folder it is restored to.
+   */
+  getRestoreTargetPath(roots, manifestPath, targetPath, rootTargets) {
+    let folder = targetPath;
+    let targetFilePath = path.join(targetPath, manifestPath);
+    if (roots) {
+      const { root, relativePath } = this.splitRootPath(roots, manifestPath);
+      if (root && rootTargets[root.label]) {
+        folder = rootTargets[root.label];
+        targetFilePath = path.join(folder, relativePath);
+      }
+    }
+
+    if (!isPathInside(folder, targetFilePath)) {
+      throw new Error(`Refusing to restore outside the target folder: ${manifestPath}`);
+    }
+    return targetFilePath;
+  }
+
+  /**
+   * Verify backup integrity
+   * Every stored file is decrypted and hashed against its manifest entry. The outcome is
+   * recorded on the backup (verified_at, verify_status, verify_result) and damaged files are
+   * flagged repairable when another backup holds an independent copy with the same hash.
+   * @param {Object} options - { scanViruses } - the background scrubber skips the virus scan
+   */
+  async verifyBackup(backupId, progressCallback = null, options = {}) {
+    const { scanViruses = true } = options;
+    let backup = null;
+
+    try {
+      backup = this.db.getBackupById(backupId);
+      if (!backup) {
+        throw new Error('Backup not found');
+      }
+
+      const manifest = JSON.parse(backup.manifest);
+      // USER ISOLATION: Held for the whole check - scrubs and foreground runs for other users interleave
+      const key = manifest.encrypted ? await this.getEncryptionKey(backup.user_id || null) : null;
+
+      const verificationResults = {
+        backupId,
+        timestamp: Date.now(),
+        filesChecked: 0,
+        filesValid: 0,
+        filesInvalid: 0,
+        filesMissing: 0,
+        filesSkipped: 0,
+        roots: manifest.roots || null,
+        filters: manifest.filters || null,
+        virusScan: {
+          scanned: 0,
+          clean: 0,
+          threats: 0,
+          errors: 0,
+          skipped: 0
+        },
+        details: []
+      };
+
+      const validFiles = []; // Collect valid files for virus scanning
+
+      const skipped = []; // Files the backup never stored - nothing to check, but the backup is incomplete
+
+      for (const file of manifest.files) {
+        if (file.skipped) {
+          verificationResults.filesSkipped++;
+          skipped.push({ file: file.relativePath, status: 'skipped', error: file.error || null });
+          continue;
+        }
+
+        try {
+          // Chunked files: every chunk must exist and the rebuilt content must match the hash
+          if (file.chunks) {
+            const missing = this.chunkStore.findMissingChunks(file.chunks, manifest.chunkScope);
+            if (missing.length > 0) {
+              verificationResults.filesMissing++;
+              verificationResults.details.push({
+                file: file.relativePath,
+                status: 'missing',
+                missingChunks: missing.length
+              });
+              continue;
+            }
+
+            const rebuiltHash = await this.chunkStore.hashChunks(file.chunks, manifest.chunkScope, key);
+            verificationResults.filesChecked++;
+
+            if (rebuiltHash === file.hash) {
+              verificationResults.filesValid++;
+              verificationResults.details.push({
+                file: file.relativePath,
+                status: 'valid'
+              });
+            } else {
+              verificationResults.filesInvalid++;
+              verificationResults.details.push({
+                file: file.relativePath,
+                status: 'invalid',
+                error: 'Rebuilt content hash does not match manifest'
+              });
+            }
+
+            if (progressCallback) {
+              progressCallback({
+                phase: 'verify',
+                current: verificationResults.filesChecked,
+                total: manifest.files.length,
+                currentFile: file.relativePath
+              });
+            }
+            continue;
+          }
+
+          // Check if backup file exists
+          if (!fs.existsSync(file.backupPath)) {
+            verificationResults.filesMissing++;
+            verificationResults.details.push({
+              file: file.relativePath,
+              status: 'missing'
+            });
+            continue;
+          }
+
+          // Decrypting authenticates container frames; the plaintext hash catches everything else
+          const storedHash = await this.hashBackupFile(file.backupPath, {
+            encrypt: manifest.encrypted,
+            compress: manifest.compressed,
+            key
+          });
+          verificationResults.filesChecked++;
+
+          if (!file.hash || storedHash === file.hash) {
+            verificationResults.filesValid++;
+            validFiles.push(file.backupPath);
+            verificationResults.details.push({
+              file: file.relativePath,
+              status: 'valid'
+            });
+          } else {
+            verificationResults.filesInvalid++;
+            verificationResults.details.push({
+              file: file.relativePath,
+              status: 'invalid',
+              error: 'Decrypted content hash does not match manifest'
+            });
+          }
+
+          if (progressCallback) {
+            progressCallback({
+              phase: 'verify',
+              current: verificationResults.filesChecked,
+              total: manifest.files.length,
+              currentFile: file.relativePath
+            });
+          }
+
+        } catch (error) {
+          verificationResults.filesInvalid++;
+          verificationResults.details.push({
+            file: file.relativePath,
+            status: 'invalid',
+            error: error.message
+          });
+        }
+      }
+
+      // Offer repair where another backup holds the same content
+      for (const detail of verificationResults.details) {
+        if (detail.status === 'valid') continue;
+
+        const file = manifest.files.find((entry) => entry.relativePath === detail.file);
+        const source = file ? this.findRepairSources(backup, manifest, file)[0] : null;
+        detail.repairable = Boolean(source);
+        if (source) {
+          detail.repairFrom = { backupId: source.backup_id, backupName: source.backup_name };
+        }
+      }
+
+      const damaged = verificationResults.details.filter((detail) => detail.status !== 'valid');
+      verificationResults.details.push(...skipped);
+      verificationResults.status = damaged.length > 0 ? 'corrupt' : skipped.length > 0 ? 'incomplete' : 'ok';
+      verificationResults.repairable = damaged.filter((detail) => detail.repairable).length;
+
+      this.db.updateBackupVerification(backupId, {
+        verified_at: verificationResults.timestamp,
+        verify_status: verificationResults.status,
+        verify_result: JSON.stringify({
+          filesChecked: verificationResults.filesChecked,
+          filesInvalid: verificationResults.filesInvalid,
+          filesMissing: verificationResults.filesMissing,
+          filesSkipped: verificationResults.filesSkipped,
+          repairable: verificationResults.repairable,
+          damaged,
+          skipped
+        })
+      });
+
+      // Perform virus scan on valid files
+      if (!scanViruses) {
+        validFiles.length = 0;
+      }
+      console.log(`Scanning ${validFiles.length} valid backup files for viruses...`);
+      
+      for (let i = 0; i < validFiles.length; i++) {
+        const filePath = validFiles[i];
+        
+        if (progressCallback) {
+          progressCallback({
+            phase: 'virus-scan',
+            current: i + 1,
+            total: validFiles.length,
+            currentFile: path.basename(filePath)
+          });
+        }
+
+        try {
+          const scanResult = await antivirusService.scanFile(filePath);
+          verificationResults.virusScan.scanned++;
+
+          if (scanResult.skipped) {
+            verificationResults.virusScan.skipped++;
+          } else if (scanResult.isClean) {
+            verificationResults.virusScan.clean++;
+          } else {
+            verificationResults.virusScan.threats++;
+            
+            // Add threat details to the file's verification result
+            const fileDetail = verificationResults.details.find(
+              d => d.file === path.relative(this.backupStorePath, filePath)
+            );
+            if (fileDetail) {
+              fileDetail.threat = scanResult.threat;
+              fileDetail.threatMessage = scanResult.message;
+            }
+          }
+
+          if (scanResult.error) {
+            verificationResults.virusScan.errors++;
+          }
+        } catch (scanError) {
+          console.error(`Virus scan error for ${filePath}:`, scanError);
+          verificationResults.virusScan.errors++;
+        }
+      }
+
+      // Log verification
+      const userId = backup.user_id || null;
+      this.db.addLog(
+        'backup',
+        damaged.length > 0
+          ? `Backup corrupted: ${manifest.name} (${damaged.length} damaged file(s), ${verificationResults.repairable} repairable)`
+          : skipped.length > 0
+            ? `Backup incomplete: ${manifest.name} (${skipped.length} file(s) were never backed up)`
+            : `Backup verified: ${manifest.name}`,
+        JSON.stringify(verificationResults),
+        damaged.length > 0 ? 'error' : skipped.length > 0 ? 'warning' : 'info',
+        userId
+      );
+
+      return verificationResults;
+
+    } catch (error) {
+      console.error('Verification failed:', error);
+      if (backup) {
+        this.db.updateBackupVerification(backupId, {
+          verified_at: Date.now(),
+          verify_status: 'error',
+          verify_result: JSON.stringify({ error: error.message })
+        });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Find other backups holding an independent copy of a file's content, newest first
+   * Copies that share the damaged storage (the same chunks, or the same .bak through a
+   * rename) are left out - they are just as damaged.
+   * @returns {Array} Version index rows (backup_id, relative_path, backup_name, ...)
+   */
+  findRepairSources(backup, manifest, file) {
+    if (!file.hash) {
+      return [];
+    }
+
+    const versions = this.db.getBackupFileVersionsByHash(file.hash, backup.user_id || null, backup.id);
+    return versions.filter((version) => {
+      try {
+        const entry = this.resolveBackupState(version.backup_id).files
+          .find((candidate) => candidate.relativePath === version.relative_path);
+        if (!entry || entry.hash !== file.hash) {
+          return false;
+        }
+        if (entry.chunks) {
+          return !(file.chunks && entry.storage.chunkScope === manifest.chunkScope);
+        }
+        return entry.backupPath !== file.backupPath;
+      } catch (error) {
+        return false;
+      }
+    });
+  }
+
+  /**
+   * Repair the damaged files of a backup from copies held by other backups
+   * Each copy is rebuilt and hash-checked before it replaces the damaged data, then the
+   * backup is verified again.
+   * @returns {Promise<Object>} { success, repaired, failed, verification }
+   */
+  async repairBackup(backupId, progressCallback = null) {
+    const backup = this.db.getBackupById(backupId);
+    if (!backup) {
+      throw new Error('Backup not found');
+    }
+
+    const manifest = JSON.parse(backup.manifest);
+    const userId = backup.user_id || null;
+    const before = await this.verifyBackup(backupId, null, { scanViruses: false });
+    const damaged = before.details.filter((detail) => detail.status !== 'valid' && detail.status !== 'skipped');
+
+    if (damaged.length === 0) {
+      return { success: true, repaired: [], failed: [], verification: before };
+    }
+
+    const tempDir = path.join(this.backupStorePath, '.repair');
+    await mkdir(tempDir, { recursive: true });
+    const repaired = [];
+    const failed = [];
+
+    this.activeBackups++;
+    try {
+      for (let i = 0; i < damaged.length; i++) {
+        const detail = damaged[i];
+        const file = manifest.files.find((entry) => entry.relativePath === detail.file);
+        const sources = file ? this.findRepairSources(backup, manifest, file) : [];
+        let lastError = 'No other backup holds a copy of this file';
+
+        if (progressCallback) {
+          progressCallback({
+            phase: 'repair',
+            current: i + 1,
+            total: damaged.length,
+            currentFile: detail.file
+          });
+        }
+
+        for (const source of sources) {
+          const tempPath = path.join(tempDir, `${backupId}-${i}-${Date.now()}.tmp`);
+          try {
+            await this.extractFileVersion(source, tempPath);
+            if (await this.calculateFileHash(tempPath) !== file.hash) {
+              throw new Error(`Copy in backup ${source.backup_id} does not match the expected hash`);
+            }
+
+            // The copy belongs to the same user, so it is stored back under their key
+            const key = manifest.encrypted ? await this.getEncryptionKey(userId) : null;
+
+            if (file.chunks) {
+              const stored = await this.chunkStore.storeFile(tempPath, manifest.chunkScope, key, { replaceDamaged: true });
+              if (stored.chunks.join() !== file.chunks.join()) {
+                throw new Error('Rebuilt chunks do not match the manifest');
+              }
+            } else {
+              const repairPath = `${file.backupPath}.repair`;
+              await this.encryptFile(tempPath, repairPath, {
+                encrypt: manifest.encrypted,
+                compress: manifest.compressed,
+                key
+              });
+              fs.renameSync(repairPath, file.backupPath);
+            }
+
+            repaired.push({ file: detail.file, fromBackupId: source.backup_id, fromBackupName: source.backup_name });
+            lastError = null;
+            break;
+          } catch (error) {
+            lastError = error.message;
+          } finally {
+            fs.rmSync(tempPath, { force: true });
+          }
+        }
+
+        if (lastError) {
+          failed.push({ file: detail.file, error: lastError });
+        }
+      }
+    } finally {
+      this.activeBackups--;
+    }
+
+    const verification = await this.verifyBackup(backupId, null, { scanViruses: false });
+
+    this.db.addLog(
+      'backup',
+      `Backup repaired: ${manifest.name} (${repaired.length} repaired, ${failed.length} failed)`,
+      JSON.stringify({ backupId, repaired, failed }),
+      failed.length > 0 ? 'warning' : 'info',
+      userId
+    );
+
+    return { success: verification.status !== 'corrupt', repaired, failed, verification };
+  }
+
+  /**
+   * List all backups
+   */
+  listBackups(userId = null) {
+    return this.db.getBackups({}, 50, userId);
+  }
+
+  /**
+   * Delete backup
+   */
+  async deleteBackup(backupId, options = {}) {
+    const { force = false } = options;
+
+    try {
+      const backup = this.db.getBackupById(backupId);
+      if (!backup) {
+        throw new Error('Backup not found');
+      }
+
+      // Incremental backups built on this one would lose their unchanged files
+      const dependents = this.getDependentBackups(backup);
+      if (dependents.length > 0 && !force) {
+        const error = new Error(
+          `Backup has ${dependents.length} dependent incremental backup(s). ` +
+          'Synthesize a full backup from the newest one before deleting this link.'
+        );
+        error.dependents = dependents.map((dependent) => dependent.id);
+        error.chainTip = this.getChainTip(backup).id;
+        throw error;
+      }
+
+      // Delete backup files
+      if (fs.existsSync(backup.backup_path)) {
+        fs.rmSync(backup.backup_path, { recursive: true, force: true });
+      }
+
+      // Delete from database
+      this.db.deleteBackup(backupId);
+      this.db.deleteBackupFileVersions(backupId);
+
+      // Release chunk references; sweeping waits until no backup is writing new chunks
+      let garbage = { chunksDeleted: 0, bytesFreed: 0, deletedChunks: null };
+      if (this.activeBackups === 0) {
+        garbage = await this.chunkStore.collectGarbage(backupId);
+      } else {
+        this.db.deleteBackupChunkRefs(backupId);
+      }
+
+      // Remove the copies on every destination too; unreachable ones keep a stale copy
+      const manifest = JSON.parse(backup.manifest || '{}');
+      const { deletedChunks, ...garbageStats } = garbage;
+      await this.removeDestinationCopies(backupId, manifest, deletedChunks);
+
+      // Log deletion
+      const userId = backup.user_id || null;
+      this.db.addLog(
+        'backup',
+        `Backup deleted: ${backup.name}`,
+        JSON.stringify({ backupId, ...garbageStats }),
+        'info',
+        userId
+      );
+
+      return { success: true, ...garbageStats };
+
+    } catch (error) {
+      console.error('Failed to delete backup:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get backups whose parent is the given backup
+   */
+  getDependentBackups(backup) {
+    const candidates = this.db.getBackups(
+      { source_path: backup.source_path },
+      1000,
+      backup.user_id || null
+    );
+
+    return candidates.filter((candidate) => {
+      if (candidate.id === backup.id || !candidate.manifest) {
+        return false;
+      }
+      const parent = this.getParentBackup(candidate, JSON.parse(candidate.manifest));
+      return parent && parent.id === backup.id;
+    });
+  }
+
+  /**
+   * Follow dependents to the newest backup built on top of this one
+   */
+  getChainTip(backup) {
+    let tip = backup;
+    const seen = new Set([backup.id]);
+
+    for (;;) {
+      const next = this.getDependentBackups(tip)
+        .filter((dependent) => !seen.has(dependent.id))
+        .sort((a, b) => b.id - a.id)[0];
+      if (!next) {
+        return tip;
+      }
+      seen.add(next.id);
+      tip = next;
+    }
+  }
+
+  /**
+   * Merge a backup chain into a new standalone full backup
+   * Chunks already stored with matching options are referenced, not copied.
+   * Everything else is rebuilt and re-chunked, so the result never depends on the old chain.
+   * @param {number} backupId - Newest backup of the chain to synthesize
+   * @param {Object} options - { name, prune } - prune deletes the old chain afterwards
+   */
+  async synthesizeBackup(backupId, options = {}, progressCallback = null) {
+    const state = this.resolveBackupState(backupId);
+    if (state.broken) {
+      throw new Error('Backup chain is incomplete; cannot synthesize a full backup');
+    }
+
+    const leaf = this.db.getBackupById(backupId);
+    const userId = leaf.user_id || null;
+    const {
+      name = `${state.manifest.name || leaf.name} (synthetic)`,
+      encrypt = !!state.manifest.encrypted,
+      compress = state.manifest.compressed !== false,
+      prune = false
+    } = options;
+
+    const userKey = encrypt || state.files.some((file) => file.storage.encrypted)
+      ? await this.getEncryptionKey(userId)
+      : null;
+
+    let result;
+    this.activeBackups++;
+    try {
+      const backupDirId = `backup_${Date.now()}`;
+      const backupPath = path.join(this.backupStorePath, backupDirId);
+      await mkdir(backupPath, { recursive: true });
+
+      const chunkScope = this.chunkStore.getScope(userId, { encrypt, compress });
+      const chunkKey = encrypt ? userKey : null;
+      const referencedChunks = [];
+      const manifest = {
+        backupId: backupDirId,
+        name,
+        sourcePath: leaf.source_path,
+        backupPath,
+        timestamp: Date.now(),
+        encrypted: encrypt,
+        compressed: compress,
+        incremental: false,
+        parentBackupId: null,
+        parentBackupDir: null,
+        storage: 'chunked',
+        chunkScope,
+        synthetic: true,
+        synthesizedFrom: state.chain,
+        roots: state.manifest.roots,
+        filters: state.manifest.filters || null,
+        files: [],
+        deleted: [],
+        renamed: []
+      };
+
+      let totalSize = 0;
+      let processed = 0;
+
+      for (const file of state.files) {
+        try {
+          let chunks = file.chunks;
+
+          if (!chunks || file.storage.chunkScope !== chunkScope) {
+            // Stored differently (legacy .bak or other options) - rebuild, then re-chunk
+            const tempPath = path.join(backupPath, `.synth-${processed}.tmp`);
+            let stored;
+            try {
+              await this.restoreManifestFile(file.storage, file, tempPath, { key: userKey });
+              stored = await this.chunkStore.storeFile(tempPath, chunkScope, chunkKey);
+            } finally {
+              fs.rmSync(tempPath, { force: true });
+            }
+
+            if (stored.hash !== file.hash) {
+              throw new Error('Rebuilt content hash does not match manifest');
+            }
+            chunks = stored.chunks;
+          }
+
+          referencedChunks.push(...chunks);
+          manifest.files.push({
+            relativePath: file.relativePath,
+            originalPath: file.originalPath,
+            chunks,
+            size: file.size,
+            modified: file.modified,
+            hash: file.hash,
+            reason: 'synthetic'
+          });
+          totalSize += file.size;
+        } catch (error) {
+          console.error(`Failed to synthesize file ${file.relativePath}:`, error);
+          manifest.files.push({
+            relativePath: file.relativePath,
+            error: error.message,
+            skipped: true
+          });
+        }
+
+        processed++;
+        if (progressCallback) {
+          progressCallback({
+            phase: 'synthesize',
+            current: processed,
+            total: state.files.length,
+            currentFile: file.relativePath,
+            progress: (processed / state.files.length) * 100
+          });
+        }
+      }
+
+      const failedFiles = manifest.files.filter((file) => file.skipped).length;
+
+      await writeFile(path.join(backupPath, 'manifest.json'), JSON.stringify(manifest, null, 2));
+
+      const keyEnvelope = encrypt ? await this.getKeyEnvelope(userId) : null;
+      if (keyEnvelope) {
+        await this.writeKeyEnvelope(backupPath, keyEnvelope);
+      }
+
+      const record = this.db.createBackup({
+        name,
+        source_path: leaf.source_path,
+        backup_path: backupPath,
+        size: totalSize,
+        file_count: manifest.files.length - failedFiles,
+        encrypted: encrypt ? 1 : 0,
+        manifest: JSON.stringify(manifest)
+      }, userId);
+
+      if (!record.success) {
+        throw new Error(`Failed to save synthetic backup: ${record.error}`);
+      }
+      this.chunkStore.addReferences(record.id, chunkScope, referencedChunks);
+      this.indexBackupVersions(this.db.getBackupById(record.id));
+
+      this.db.addLog(
+        'backup',
+        `Synthetic full backup created: ${name}`,
+        JSON.stringify({
+          backupId: record.id,
+          synthesizedFrom: state.chain,
+          filesSynthesized: manifest.files.length - failedFiles,
+          failedFiles
+        }),
+        'info',
+        userId
+      );
+
+      result = {
+        success: true,
+        backupId: record.id,
+        manifest,
+        filesSynthesized: manifest.files.length - failedFiles,
+        failedFiles,
+        totalSize,
+        synthesizedFrom: state.chain
+      };
+    } finally {
+      this.activeBackups--;
+    }
+
+    // Only prune when every file made it into the new backup; newest links go first
+    // so each one is dependency-free by the time it is deleted
+    const pruned = [];
+    if (prune && result.failedFiles === 0) {
+      for (const chainId of [...state.chain].reverse()) {
+        const chainBackup = this.db.getBackupById(chainId);
+        if (chainBackup && this.getDependentBackups(chainBackup).length === 0) {
+          await this.deleteBackup(chainId);
+          pruned.push(chainId);
+        }
+      }
+    }
+
+    return { ...result, pruned };
+  }
+
+  /**
+   * Add a backup's files to the version index
+   * Files stored in the backup are new versions; renamed files are indexed under their new path.
+   */
+  indexBackupVersions(backup) {
+    const manifest = JSON.parse(backup.manifest || '{}');
+    const versions = [];
+
+    for (const file of manifest.files || []) {
+      if (!file.skipped && file.originalPath) {
+        versions.push({
+          original_path: file.originalPath,
+          relative_path: file.relativePath,
+          size: file.size,
+          modified: file.modified,
+          hash: file.hash,
+          reason: file.reason || 'full'
+        });
+      }
+    }
+
+    for (const rename of manifest.renamed || []) {
+      versions.push({
+        original_path: rename.originalPath,
+        relative_path: rename.to,
+        size: rename.size,
+        modified: rename.modified,
+        hash: rename.hash,
+        reason: 'renamed'
+      });
+    }
+
+    if (versions.length > 0) {
+      this.db.addBackupFileVersions(backup.id, backup.user_id || null, backup.created_at, versions);
+    }
+    return versions.length;
+  }
+
+  /**
+   * Index backups created before the version index existed
+   */
+  backfillVersionIndex() {
+    let indexed = 0;
+    for (const backup of this.db.getUnindexedBackups()) {
+      try {
+        indexed += this.indexBackupVersions(backup);
+      } catch (error) {
+        console.warn(`Could not index versions of backup ${backup.id}: ${error.message}`);
+      }
+    }
+    if (indexed > 0) {
+      console.log(`Indexed ${indexed} file versions from existing backups`);
+    }
+  }
+
+  formatFileVersion(row) {
+    return {
+      versionId: row.id,
+      backupId: row.backup_id,
+      backupName: row.backup_name,
+      originalPath: row.original_path,
+      relativePath: row.relative_path,
+      size: row.size,
+      modified: row.modified,
+      hash: row.hash,
+      reason: row.reason,
+      createdAt: row.created_at
+    };
+  }
+
+  /**
+   * List every backed-up version of a file, newest first
+   */
+  getFileVersions(originalPath, userId = null) {
+    return this.db.getBackupFileVersions(originalPath, userId).map((row) => this.formatFileVersion(row));
+  }
+
+  /**
+   * Find backed-up files by part of their path
+   */
+  searchFileHistory(search, userId = null) {
+    return this.db.searchBackupFilePaths(search, userId).map((row) => ({
+      originalPath: row.original_path,
+      versionCount: row.version_count,
+      lastBackupAt: row.last_backup_at
+    }));
+  }
+
+  /**
+   * Get an indexed version owned by the user
+   */
+  getOwnedFileVersion(versionId, userId = null) {
+    const version = this.db.getBackupFileVersionById(versionId);
+    if (!version || (version.user_id || null) !== (userId || null)) {
+      throw new Error('File version not found');
+    }
+    return version;
+  }
+
+  /**
+   * Rebuild one file version into targetPath
+   * The backup's point-in-time state is used, so versions held by parent backups are found.
+   */
+  async extractFileVersion(version, targetPath) {
+    const backup = this.db.getBackupById(version.backup_id);
+    if (!backup) {
+      throw new Error('Backup holding this version no longer exists');
+    }
+
+    const state = this.resolveBackupState(version.backup_id);
+    const file = state.files.find((entry) => entry.relativePath === version.relative_path);
+    if (!file) {
+      throw new Error(`Version of ${version.relative_path} is missing from its backup chain`);
+    }
+
+    const key = file.storage.encrypted ? await this.getEncryptionKey(backup.user_id || null) : null;
+    await this.restoreManifestFile(file.storage, file, targetPath, { key });
+    return file;
+  }
+
+  /**
+   * Read a file version into memory (for diffs)
+   */
+  async readFileVersion(version) {
+    const tempDir = path.join(this.backupStorePath, '.versions');
+    await mkdir(tempDir, { recursive: true });
+    const tempPath = path.join(tempDir, `${version.id}-${Date.now()}.tmp`);
+
+    try {
+      await this.extractFileVersion(version, tempPath);
+      return await readFile(tempPath);
+    } finally {
+      fs.rmSync(tempPath, { force: true });
+    }
+  }
+
+  /**
+   * Diff two text versions of a file line by line
+   * @returns {Promise<Object>} { identical, added, removed, hunks } - hunks follow unified diff layout
+   */
+  async diffFileVersions(versionIdA, versionIdB, userId = null) {
+    const versions = [versionIdA, versionIdB].map((versionId) => this.getOwnedFileVersion(versionId, userId));
+
+    for (const version of versions) {
+      if (version.size > MAX_DIFF_FILE_SIZE) {
+        throw new Error(`${path.basename(version.original_path)} is too large to diff`);
+      }
+    }
+
+    const [oldVersion, newVersion] = versions;
+    if (oldVersion.hash && oldVersion.hash === newVersion.hash) {
+      return { identical: true, added: 0, removed: 0, hunks: [] };
+    }
+
+    const contents = [];
+    for (const version of versions) {
+      const buffer = await this.readFileVersion(version);
+      if (buffer.subarray(0, 8000).includes(0)) {
+        throw new Error('Only text files can be diffed');
+      }
+      // A trailing newline ends the last line rather than starting an empty one
+      contents.push(buffer.toString('utf8').replace(/\r?\n$/, '').split(/\r?\n/));
+    }
+
+    const ops = diffLines(contents[0], contents[1]);
+    return {
+      identical: false,
+      added: ops.filter((op) => op.type === 'add').length,
+      removed: ops.filter((op) => op.type === 'remove').length,
+      hunks: buildDiffHunks(ops)
+    };
+  }
+
+  /**
+   * Restore one version of a file
+   * @param {Object} options - { targetPath, conflictMode } - targetPath defaults to the file's original location
+   */
+  async restoreFileVersion(versionId, options = {}, userId = null) {
+    const version = this.getOwnedFileVersion(versionId, userId);
+    const { targetPath = version.original_path, conflictMode = 'rename' } = options;
+
+    if (!CONFLICT_MODES.includes(conflictMode)) {
+      throw new Error(`Unknown conflict mode: ${conflictMode}`);
+    }
+
+    let finalPath = targetPath;
+    if (fs.existsSync(targetPath)) {
+      if (conflictMode === 'skip') {
+        return { success: false, skipped: true, message: 'File already exists, restore skipped' };
+      } else if (conflictMode === 'rename') {
+        finalPath = generateUniqueFilename(targetPath);
+      }
+    }
+
+    // Restored next to the target and checked first, so a bad copy never replaces the user's file
+    const tempPath = path.join(path.dirname(finalPath), `.${path.basename(finalPath)}.${crypto.randomBytes(6).toString('hex')}.restore`);
+    let restoredHash;
+    try {
+      const file = await this.extractFileVersion(version, tempPath);
+      restoredHash = await this.calculateFileHash(tempPath);
+      if (file.hash && restoredHash !== file.hash) {
+        throw new Error('File hash verification failed after restore');
+      }
+      fs.renameSync(tempPath, finalPath);
+    } finally {
+      fs.rmSync(tempPath, { force: true });
+    }
+
+    this.db.addLog(
+      'backup',
+      `File version restored: ${path.basename(version.original_path)}`,
+      JSON.stringify({ versionId, backupId: version.backup_id, restoredPath: finalPath }),
+      'info',
+      userId
+    );
+
+    return { success: true, versionId, backupId: version.backup_id, restoredPath: finalPath, hash: restoredHash };
+  }
+
+  /**
+   * Format a destination row for the renderer
+   * Passwords never leave the main process.
+   */
+  formatDestination(row) {
+    const { password, sealedPassword, ...config } = JSON.parse(row.config || '{}');
+    return {
+      id: row.id,
+      name: row.name,
+      type: row.type,
+      config: { ...config, hasPassword: Boolean(password || sealedPassword) },
+      enabled: row.enabled === 1,
+      lastUsedAt: row.last_used_at,
+      lastError: row.last_error,
+      createdAt: row.created_at
+    };
+  }
+
+  /**
+   * Prepare a destination config for storage: the password is encrypted with the owner's data key
+   * (AES-256-GCM), so it is never written to the database in plain text
+   */
+  async sealDestinationConfig(config, userId = null) {
+    const { password, ...sealed } = config;
+    if (password) {
+      const key = await this.getEncryptionKey(userId);
+      const iv = crypto.randomBytes(12);
+      const cipher = crypto.createCipheriv(KEY_WRAP_ALGORITHM, key, iv);
+      cipher.setAAD(Buffer.from(DESTINATION_SECRET_CONTEXT));
+      const data = Buffer.concat([cipher.update(String(password), 'utf-8'), cipher.final()]);
+      sealed.sealedPassword = {
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        data: data.toString('base64')
+      };
+    }
+    return sealed;
+  }
+
+  /**
+   * Read a stored destination config with its password decrypted
+   */
+  async openDestinationConfig(row) {
+    const { sealedPassword, ...config } = JSON.parse(row.config || '{}');
+    if (!sealedPassword) {
+      return config;
+    }
+
+    const key = await this.getEncryptionKey(row.user_id || null);
+    try {
+      const decipher = crypto.createDecipheriv(KEY_WRAP_ALGORITHM, key, Buffer.from(sealedPassword.iv, 'base64'));
+      decipher.setAAD(Buffer.from(DESTINATION_SECRET_CONTEXT));
+      decipher.setAuthTag(Buffer.from(sealedPassword.tag, 'base64'));
+      const password = Buffer.concat([decipher.update(Buffer.from(sealedPassword.data, 'base64')), decipher.final()]);
+      return { ...config, password: password.toString('utf-8') };
+    } catch (error) {
+      throw new Error(`The password of destination "${row.name}" cannot be decrypted - enter it again`);
+    }
+  }
+
+  /**
+   * Connect-ready destination for a stored row
+   */
+  async openDestination(row) {
+    return createDestination(row.type, await this.openDestinationConfig(row));
+  }
+
+  /**
+   * Encrypt passwords stored in plain text by earlier versions
+   */
+  async sealDestinationPasswords() {
+    for (const row of this.db.getAllBackupDestinations()) {
+      const config = JSON.parse(row.config || '{}');
+      if (config.password) {
+        const sealed = await this.sealDestinationConfig(config, row.user_id || null);
+        this.db.updateBackupDestination(row.id, { config: JSON.stringify(sealed) });
+      }
+    }
+  }
+
+  /**
+   * Get a destination owned by the user
+   */
+  getOwnedDestination(destinationId, userId = null) {
+    const row = this.db.getBackupDestinationById(destinationId);
+    if (!row || (row.user_id || null) !== (userId || null)) {
+      throw new Error('Destination not found');
+    }
+    return row;
+  }
+
+  listDestinations(userId = null) {
+    return this.db.getBackupDestinations(userId).map((row) => this.formatDestination(row));
+  }
+
+  /**
+   * Add a destination backups can be copied to
+   * @param {Object} data - { name, type: 'local'|'removable'|'webdav', config }
+   */
+  async addDestination(data, userId = null) {
+    if (!data.name || !String(data.name).trim()) {
+      throw new Error('Destination name is required');
+    }
+
+    // Validates the config and rejects unsupported types
+    createDestination(data.type, data.config || {});
+
+    const result = this.db.addBackupDestination({
+      name: String(data.name).trim(),
+      type: data.type,
+      config: JSON.stringify(await this.sealDestinationConfig(data.config || {}, userId))
+    }, userId);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    return this.formatDestination(this.db.getBackupDestinationById(result.id));
+  }
+
+  /**
+   * Update a destination's name, config or enabled flag
+   * Leaving the password out of a config update keeps the stored one.
+   */
+  async updateDestination(destinationId, updates, userId = null) {
+    const row = this.getOwnedDestination(destinationId, userId);
+    const fields = {};
+
+    if (updates.name !== undefined) {
+      fields.name = String(updates.name).trim();
+    }
+    if (updates.enabled !== undefined) {
+      fields.enabled = updates.enabled ? 1 : 0;
+    }
+    if (updates.config !== undefined) {
+      const config = { ...updates.config };
+      if (config.password === undefined) {
+        const existing = await this.openDestinationConfig(row);
+        if (existing.password) {
+          config.password = existing.password;
+        }
+      }
+      createDestination(row.type, config);
+      fields.config = JSON.stringify(await this.sealDestinationConfig(config, row.user_id || null));
+    }
+
+    this.db.updateBackupDestination(destinationId, fields);
+    return this.formatDestination(this.db.getBackupDestinationById(destinationId));
+  }
+
+  /**
+   * Forget a destination; data already copied there is left in place
+   */
+  async removeDestination(destinationId, userId = null) {
+    this.getOwnedDestination(destinationId, userId);
+    this.db.deleteBackupDestination(destinationId);
+    return { success: true };
+  }
+
+  /**
+   * Check a destination can be reached and written to
+   */
+  async testDestination(destinationId, userId = null) {
+    const row = this.getOwnedDestination(destinationId, userId);
+    const destination = await this.openDestination(row);
+    const { root } = await destination.connect();
+    return { success: true, root };
+  }
+
+  /**
+   * List removable drives that can be added as destinations
+   */
+  async listRemovableDrives() {
+    return RemovableDriveDestination.listDrives();
+  }
+
+  /**
+   * Convert a path inside the local store to the same path on a destination
+   */
+  toDestinationPath(localPath) {
+    return path.relative(this.backupStorePath, localPath).split(path.sep).join('/');
+  }
+
+  /**
+   * List the local files that make up a backup, excluding its manifest
+   * @returns {Promise<Array>} [{ localPath, remotePath, size }]
+   */
+  async getBackupFiles(backup, manifest) {
+    const files = [];
+    const seen = new Set();
+    const addFile = (localPath) => {
+      if (seen.has(localPath) || !fs.existsSync(localPath)) {
+        return;
+      }
+      seen.add(localPath);
+      files.push({ localPath, remotePath: this.toDestinationPath(localPath), size: fs.statSync(localPath).size });
+    };
+
+    for (const file of manifest.files || []) {
+      for (const hash of file.chunks || []) {
+        addFile(this.chunkStore.getChunkPath(hash, manifest.chunkScope));
+      }
+    }
+
+    // Whole-file (.bak) data and anything else kept next to the manifest
+    if (fs.existsSync(backup.backup_path)) {
+      for (const file of await this.getAllFiles(backup.backup_path)) {
+        if (path.basename(file.path) !== 'manifest.json') {
+          addFile(file.path);
+        }
+      }
+    }
+
+    return files;
+  }
+
+  /**
+   * Copy a backup to a destination
+   * Parent backups are copied first so an incremental copy can always be restored.
+   * Files already on the destination at the right size are skipped, which is what lets an
+   * interrupted upload resume. The manifest is written last, so a manifest on a destination
+   * means the copy is complete.
+   */
+  async uploadBackupToDestination(backupId, destinationId, progressCallback = null) {
+    const backup = this.db.getBackupById(backupId);
+    if (!backup) {
+      throw new Error('Backup not found');
+    }
+    const row = this.getOwnedDestination(destinationId, backup.user_id || null);
+
+    const copy = this.db.getBackupDestinationCopy(backupId, destinationId);
+    if (copy && copy.status === 'complete') {
+      return { success: true, backupId, destinationId, alreadyComplete: true };
+    }
+
+    const { chain } = this.getBackupChain(backupId);
+    for (const { backup: ancestor } of chain.slice(0, -1)) {
+      const ancestorCopy = this.db.getBackupDestinationCopy(ancestor.id, destinationId);
+      if (!ancestorCopy || ancestorCopy.status !== 'complete') {
+        const ancestorResult = await this.uploadBackupToDestination(ancestor.id, destinationId, progressCallback);
+        if (!ancestorResult.success) {
+          return { ...ancestorResult, backupId };
+        }
+      }
+    }
+
+    const manifest = JSON.parse(backup.manifest);
+    const files = await this.getBackupFiles(backup, manifest);
+    const state = {
+      backup_id: backupId,
+      destination_id: destinationId,
+      status: 'uploading',
+      files_total: files.length,
+      files_done: 0,
+      bytes_done: 0
+    };
+    this.db.saveBackupDestinationCopy(state);
+
+    try {
+      const destination = await this.openDestination(row);
+      await destination.connect();
+
+      let bytesUploaded = 0;
+      let filesSkipped = 0;
+
+      for (const file of files) {
+        const existing = await destination.stat(file.remotePath);
+        if (existing && existing.size === file.size) {
+          filesSkipped++;
+        } else {
+          const upload = await destination.upload(file.localPath, file.remotePath);
+          bytesUploaded += upload.bytesWritten;
+        }
+
+        state.files_done++;
+        state.bytes_done += file.size;
+        this.db.saveBackupDestinationCopy(state);
+
+        if (progressCallback) {
+          progressCallback({
+            phase: 'upload',
+            destination: row.name,
+            current: state.files_done,
+            total: files.length,
+            progress: (state.files_done / files.length) * 100
+          });
+        }
+      }
+
+      const manifestCopy = {
+        ...manifest,
+        destination: { id: row.id, name: row.name, type: row.type, copiedAt: Date.now() }
+      };
+      await destination.writeBuffer(
+        `${manifest.backupId}/manifest.json`,
+        Buffer.from(JSON.stringify(manifestCopy, null, 2))
+      );
+
+      this.db.saveBackupDestinationCopy({ ...state, status: 'complete' });
+      this.db.updateBackupDestination(destinationId, { last_used_at: Math.floor(Date.now() / 1000), last_error: null });
+
+      this.db.addLog(
         'backup',
-        `Backup deleted: ${backup.name}`,
-        JSON.stringify({ backupId }),
+        `Backup copied to ${row.name}: ${manifest.name}`,
+        JSON.stringify({ backupId, destinationId, filesUploaded: files.length - filesSkipped, filesSkipped, bytesUploaded }),
         'info',
-        userId
+        backup.user_id || null
       );
 
-      return { success: true };
-
+      return {
+        success: true,
+        backupId,
+        destinationId,
+        filesUploaded: files.length - filesSkipped,
+        filesSkipped,
+        bytesUploaded
+      };
     } catch (error) {
-      console.error('Failed to delete backup:', error);
-      throw error;
+      console.error(`Failed to copy backup ${backupId} to ${row.name}:`, error);
+      this.db.saveBackupDestinationCopy({ ...state, status: 'failed', error: error.message });
+      this.db.updateBackupDestination(destinationId, { last_error: error.message });
+      this.db.addLog(
+        'backup',
+        `Backup copy to ${row.name} failed: ${error.message}`,
+        JSON.stringify({ backupId, destinationId, filesDone: state.files_done, filesTotal: files.length }),
+        'warning',
+        backup.user_id || null
+      );
+      return { success: false, backupId, destinationId, error: error.message };
+    }
+  }
+
+  /**
+   * Copy a backup to several destinations; one failing destination does not stop the others
+   */
+  async replicateBackup(backupId, destinationIds, progressCallback = null) {
+    const results = [];
+    for (const destinationId of destinationIds) {
+      try {
+        results.push(await this.uploadBackupToDestination(backupId, destinationId, progressCallback));
+      } catch (error) {
+        results.push({ success: false, backupId, destinationId, error: error.message });
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Retry copies that were interrupted or failed (app closed, drive unplugged, server down)
+   */
+  async resumePendingUploads() {
+    const pending = [
+      ...this.db.getBackupDestinationCopies({ status: 'uploading' }),
+      ...this.db.getBackupDestinationCopies({ status: 'failed' })
+    ];
+
+    const results = [];
+    for (const copy of pending) {
+      const row = this.db.getBackupDestinationById(copy.destination_id);
+      if (!row || row.enabled !== 1 || !this.db.getBackupById(copy.backup_id)) {
+        continue;
+      }
+      results.push(await this.uploadBackupToDestination(copy.backup_id, copy.destination_id));
+    }
+    return results;
+  }
+
+  /**
+   * Delete a backup's copies from its destinations
+   * Chunks garbage collection deleted locally are deleted there as well. When collection was
+   * deferred, the destinations are queued (in settings, so a restart keeps them) and the next
+   * collection deletes the chunks it sweeps from them too.
+   * @param {Array|null} deletedChunks - Chunks deleted locally, or null when collection was deferred
+   */
+  async removeDestinationCopies(backupId, manifest, deletedChunks = []) {
+    const copies = this.db.getBackupDestinationCopies({ backup_id: backupId });
+    const holders = new Set(copies.map((copy) => copy.destination_id));
+    const queued = new Set(this.getPendingChunkCleanup());
+
+    let targets = holders;
+    if (deletedChunks === null) {
+      holders.forEach((destinationId) => queued.add(destinationId));
+    } else if (deletedChunks.length > 0) {
+      targets = new Set([...holders, ...queued]);
+    }
+
+    for (const destinationId of targets) {
+      const row = this.db.getBackupDestinationById(destinationId);
+      if (!row) {
+        continue;
+      }
+
+      try {
+        const destination = await this.openDestination(row);
+        await destination.connect();
+        if (holders.has(destinationId) && manifest.backupId) {
+          await destination.remove(manifest.backupId);
+        }
+        for (const chunk of deletedChunks || []) {
+          await destination.remove(this.toDestinationPath(this.chunkStore.getChunkPath(chunk.hash, chunk.scope)));
+        }
+      } catch (error) {
+        console.warn(`Could not remove backup ${backupId} from ${row.name}: ${error.message}`);
+      }
     }
+
+    this.db.deleteBackupDestinationCopies(backupId);
+    this.setPendingChunkCleanup(deletedChunks === null ? [...queued] : []);
+  }
+
+  /**
+   * Destinations whose chunks wait for the next garbage collection
+   */
+  getPendingChunkCleanup() {
+    const stored = this.db.getSetting(CHUNK_CLEANUP_SETTING);
+    return stored ? JSON.parse(stored) : [];
+  }
+
+  setPendingChunkCleanup(destinationIds) {
+    this.db.setSetting(CHUNK_CLEANUP_SETTING, JSON.stringify(destinationIds));
   }
 
   /**
@@ -0,0 +1,190 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Conversion batch queue
+ * A batch converts a list of files with bounded concurrency. Each input gets its output format
+ * from the batch's format rules and its folder from the output directory template:
+ *
+ *   formatRules        { '.docx': '.pdf', '.png': '.webp', '*': '.zip' } - '*' matches any other input
+ *   outputDirTemplate  'D:\\Converted\\{format}\\{date}' or '{dir}/converted'
+ *
+ *   {dir}     folder of the input file
+ *   {name}    input file name without its extension
+ *   {ext}     input extension without the dot
+ *   {format}  output extension without the dot
+ *   {date}    date the batch started, YYYY-MM-DD
+ *
+ * Items that fail keep their error and can be retried. Cancelling lets the conversions in flight
+ * finish and marks the items that never started as cancelled.
+ */
+
+const DEFAULT_CONCURRENCY = 2;
+const MAX_CONCURRENCY = 4;
+const TEMPLATE_PLACEHOLDERS = ['dir', 'name', 'ext', 'format', 'date'];
+
+function normalizeExtension(ext) {
+  const value = String(ext || '').trim().toLowerCase();
+  return value.startsWith('.') || value === '*' ? value : `.${value}`;
+}
+
+/**
+ * Pick the output format for an input from the batch's rules
+ * @returns {string|null} Output extension, or null when no rule matches
+ */
+function resolveOutputFormat(inputPath, formatRules = {}) {
+  const rules = {};
+  for (const [input, output] of Object.entries(formatRules)) {
+    rules[normalizeExtension(input)] = normalizeExtension(output);
+  }
+
+  const inputExt = path.extname(inputPath).toLowerCase();
+  return rules[inputExt] || rules['*'] || null;
+}
+
+/**
+ * Fill in the output directory template for one input
+ * @throws {Error} On unknown placeholders or a template that does not give an absolute path
+ */
+function renderOutputDir(template, { inputPath, outputExt, date }) {
+  if (!template || typeof template !== 'string') {
+    throw new Error('Output directory template is required');
+  }
+
+  const inputExt = path.extname(inputPath);
+  const values = {
+    dir: path.dirname(inputPath),
+    name: path.basename(inputPath, inputExt),
+    ext: inputExt.replace('.', '').toLowerCase(),
+    format: outputExt.replace('.', ''),
+    date
+  };
+
+  const rendered = template.replace(/\{([^}]*)\}/g, (match, key) => {
+    if (!TEMPLATE_PLACEHOLDERS.includes(key)) {
+      throw new Error(`Unknown placeholder ${match} in output directory template (use ${TEMPLATE_PLACEHOLDERS.map(name => `{${name}}`).join(', ')})`);
+    }
+    return values[key];
+  });
+
+  if (!path.isAbsolute(rendered)) {
+    throw new Error(`Output directory template must give an absolute path: ${rendered}`);
+  }
+  return path.normalize(rendered);
+}
+
+/**
+ * Output path in dir that no existing file or other item of the batch uses
+ * Appends " (2)", " (3)"... to the name until it is free.
+ * @param {Set} taken - Lower-cased paths already assigned in the batch (updated)
+ */
+function uniqueOutputPath(dir, name, outputExt, taken) {
+  let candidate = path.join(dir, `${name}${outputExt}`);
+  for (let copy = 2; taken.has(candidate.toLowerCase()) || fs.existsSync(candidate); copy++) {
+    candidate = path.join(dir, `${name} (${copy})${outputExt}`);
+  }
+  taken.add(candidate.toLowerCase());
+  return candidate;
+}
+
+/**
+ * Deepest folder holding all paths - a single path is returned as is
+ * @returns {string} Folder, or '' when the paths share no folder (different drives)
+ */
+function commonDirectory(paths) {
+  if (paths.length <= 1) {
+    return paths[0] || '';
+  }
+
+  const split = paths.map(filePath => path.dirname(filePath).split(path.sep));
+  const common = [];
+  for (let i = 0; split.every(parts => i < parts.length && parts[i] === split[0][i]); i++) {
+    common.push(split[0][i]);
+  }
+
+  if (common.length === 0) {
+    return '';
+  }
+  // ['', ...] on POSIX and ['C:', ...] on Windows - a lone first part is the root
+  return common.length === 1 ? path.parse(paths[0]).root : common.join(path.sep);
+}
+
+/**
+ * ConversionBatch - State of one batch and its items
+ * Finished batches are kept so failed items can be retried.
+ */
+class ConversionBatch {
+  constructor(batchId, { userId = null, items, concurrency = DEFAULT_CONCURRENCY, options = {} }) {
+    this.batchId = batchId;
+    this.userId = userId;
+    this.items = items; // { index, inputPath, outputFormat, outputPath, status, error, result, attempts }
+    this.concurrency = Math.min(MAX_CONCURRENCY, Math.max(1, Math.floor(concurrency) || DEFAULT_CONCURRENCY));
+    this.options = options; // encrypt, compress, compressionLevel, encryptionKey, packagePassword - applied to every item
+    this.state = 'running';
+    this.startedAt = Date.now();
+    this.finishedAt = null;
+    this.duration = 0; // total running time over the first run and any retries
+    this.recordId = null; // conversions row written when the batch first finishes
+  }
+
+  cancel() {
+    if (this.state !== 'running') {
+      return false;
+    }
+    this.state = 'cancelled';
+    return true;
+  }
+
+  get isCancelled() {
+    return this.state === 'cancelled';
+  }
+
+  getCounts() {
+    const counts = { pending: 0, running: 0, completed: 0, failed: 0, cancelled: 0 };
+    this.items.forEach((item) => {
+      counts[item.status]++;
+    });
+    return counts;
+  }
+
+  getStatus() {
+    return {
+      batchId: this.batchId,
+      state: this.state,
+      startedAt: this.startedAt,
+      finishedAt: this.finishedAt,
+      concurrency: this.concurrency,
+      total: this.items.length,
+      counts: this.getCounts(),
+      items: this.items.map(item => ({ ...item }))
+    };
+  }
+}
+
+/**
+ * Run a worker over items, at most batch.concurrency at a time
+ * The worker handles its own per-item errors. Once the batch is cancelled no new item starts;
+ * the promise settles when the items in flight are done.
+ */
+async function runQueue(batch, items, worker) {
+  let next = 0;
+  const runWorker = async () => {
+    while (next < items.length && !batch.isCancelled) {
+      const item = items[next++];
+      await worker(item);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(batch.concurrency, items.length) }, runWorker));
+}
+
+module.exports = {
+  ConversionBatch,
+  DEFAULT_CONCURRENCY,
+  MAX_CONCURRENCY,
+  commonDirectory,
+  renderOutputDir,
+  resolveOutputFormat,
+  runQueue,
+  uniqueOutputPath
+};
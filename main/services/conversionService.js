@@ -5,6 +5,17 @@ const crypto = require('crypto');
 const { pipeline } = require('stream/promises');
 const zlib = require('zlib');
 const antivirusService = require('./antivirusService');
+const { extractTar, isGzipFile } = require('./tarArchive');
+const fortiPkg = require('./fortiPkg');
+const { ANY_INPUT, ConverterRegistry, FIDELITY } = require('./converterRegistry');
+const {
+  ConversionBatch,
+  commonDirectory,
+  renderOutputDir,
+  resolveOutputFormat,
+  runQueue,
+  uniqueOutputPath
+} = require('./conversionQueue');
 
 // Conversion Libraries
 const sharp = require('sharp');
@@ -20,6 +31,72 @@ const unzipper = require('unzipper');
 const AdmZip = require('adm-zip');
 const JSZip = require('jszip');
 
+const PDF_NO_TEXT_NOTE = '[No extractable text on this page - it may be a scanned image]';
+
+// Archive formats FortiMorph can neither read nor write (no bundled 7-Zip/RAR implementation)
+const UNSUPPORTED_ARCHIVE_FORMATS = {
+  '.7z': '7-Zip archives',
+  '.rar': 'RAR archives'
+};
+
+// Finished batches kept in memory so their failed items can be retried
+const MAX_FINISHED_BATCHES = 20;
+
+// Archive formats FortiMorph can extract and repack
+const ARCHIVE_FORMATS = ['.zip', '.tar', '.gz', '.tgz', '.fortipkg'];
+
+// Text formats and the outputs offered for each (convertText)
+const TEXT_CONVERSIONS = {
+  '.log': ['.pdf', '.txt', '.json', '.csv', '.html', '.md'],
+  '.csv': ['.pdf', '.txt', '.json', '.html'],
+  '.json': ['.pdf', '.txt', '.csv', '.html', '.xml'],
+  '.txt': ['.pdf', '.md', '.html', '.json', '.csv'],
+  '.rtf': ['.txt', '.pdf', '.html', '.md'],
+  '.xml': ['.json', '.txt', '.pdf', '.html', '.csv'],
+  '.yaml': ['.json', '.txt', '.pdf', '.html'],
+  '.yml': ['.json', '.txt', '.pdf', '.html'],
+  '.ini': ['.txt', '.json', '.pdf'],
+  '.conf': ['.txt', '.json', '.pdf'],
+  '.config': ['.txt', '.json', '.pdf'],
+  '.properties': ['.txt', '.json', '.pdf'],
+  '.sql': ['.txt', '.json', '.pdf', '.html'],
+  '.manifest': ['.pdf', '.json', '.txt', '.html'],
+  '.backup': ['.pdf', '.json', '.txt'],
+  '.gitignore': ['.txt', '.pdf'],
+  '.env': ['.txt', '.pdf', '.json']
+};
+
+// Text conversions that parse the input instead of embedding it (csvToJSON, logToJSON, jsonToCSV)
+const PARSED_TEXT_CONVERSIONS = {
+  '.csv': ['.json'],
+  '.log': ['.json'],
+  '.json': ['.csv']
+};
+
+// Source files converted by convertCodeFile
+const CODE_FORMATS = [
+  '.js', '.jsx', '.ts', '.tsx', '.py', '.java', '.c', '.cpp', '.cs',
+  '.php', '.rb', '.go', '.rs', '.swift', '.kt', '.scala', '.r', '.m',
+  '.pl', '.sh', '.bash', '.ps1', '.bat', '.cmd', '.html', '.htm', '.css',
+  '.scss', '.sass', '.less', '.vue', '.svelte'
+];
+
+// Formats sharp can read and write (it has no BMP, ICO or HEVC support)
+const IMAGE_INPUT_FORMATS = ['.jpg', '.jpeg', '.png', '.webp', '.gif', '.tiff', '.tif', '.svg'];
+const IMAGE_OUTPUT_FORMATS = ['.png', '.jpg', '.jpeg', '.webp', '.gif', '.tiff'];
+
+// Known binary formats - only packaging is offered, never the read-as-text fallback
+const BINARY_FORMATS = [
+  '.bmp', '.ico', '.heic',
+  '.doc', '.odt', '.epub', '.mobi', '.azw3', '.pptx', '.ppt', '.odp', '.xlsx', '.xls', '.ods',
+  '.exe', '.dll', '.so', '.dylib', '.app', '.apk', '.ipa', '.deb', '.rpm', '.msi',
+  '.sqlite', '.db',
+  '.mp3', '.wav', '.ogg', '.flac', '.aac', '.m4a', '.wma',
+  '.mp4', '.avi', '.mkv', '.mov', '.flv', '.wmv', '.webm',
+  '.ttf', '.otf', '.woff', '.woff2', '.eot',
+  '.stl', '.fbx', '.blend', '.3ds'
+];
+
 /**
  * Universal File Conversion & Packaging Service
  * Handles offline conversion between multiple formats with encryption and compression
@@ -28,9 +105,11 @@ class ConversionService {
   constructor(database, logsService) {
     this.db = database;
     this.logs = logsService;
-    this.supportedConversions = this.buildConversionMatrix();
+    this.converters = this.buildConverterRegistry();
+    this.batches = new Map(); // batchId -> ConversionBatch
     this.markedInitialized = false;
     this.getUserId = null; // Function to get current user ID
+    this.packageSigner = null; // Signs and checks .fortipkg manifests (VerificationService)
     this.initializeMarked();
   }
 
@@ -41,6 +120,14 @@ class ConversionService {
     this.getUserId = getUserIdFn;
   }
 
+  /**
+   * Set the service that signs .fortipkg manifests with the install's key and checks signatures
+   * @param {Object} signer - Has signDetached(data) and checkDetachedSignature(data, signature)
+   */
+  setPackageSigner(signer) {
+    this.packageSigner = signer;
+  }
+
   /**
    * Initialize marked ES Module
    */
@@ -58,221 +145,138 @@ class ConversionService {
   }
 
   /**
-   * Build conversion capability matrix - EXPANDED UNIVERSAL SUPPORT
+   * Register every conversion FortiMorph can actually perform
+   * Only pairs listed here are offered to users (see converterRegistry.js).
    */
-  buildConversionMatrix() {
-    return {
-      // ===== TEXT-BASED FILES =====
-      '.log': ['.pdf', '.txt', '.json', '.csv', '.html', '.md', '.zip'],
-      '.csv': ['.pdf', '.txt', '.json', '.html', '.xlsx', '.zip'],
-      '.json': ['.pdf', '.txt', '.csv', '.html', '.xml', '.yaml', '.yml', '.zip'],
-      '.txt': ['.pdf', '.docx', '.md', '.html', '.json', '.csv', '.rtf', '.zip'],
-      '.md': ['.pdf', '.html', '.txt', '.docx', '.json', '.zip'],
-      '.markdown': ['.pdf', '.html', '.txt', '.docx', '.json', '.zip'],
-      '.rtf': ['.txt', '.pdf', '.html', '.md', '.zip'],
-      '.xml': ['.json', '.txt', '.pdf', '.html', '.csv', '.zip'],
-      '.yaml': ['.json', '.txt', '.pdf', '.html', '.zip'],
-      '.yml': ['.json', '.txt', '.pdf', '.html', '.zip'],
-      '.ini': ['.txt', '.json', '.pdf', '.zip'],
-      '.conf': ['.txt', '.json', '.pdf', '.zip'],
-      '.config': ['.txt', '.json', '.pdf', '.zip'],
-      
-      // ===== PROGRAMMING/SCRIPT FILES =====
-      '.js': ['.txt', '.pdf', '.html', '.json', '.zip'],
-      '.jsx': ['.txt', '.pdf', '.html', '.json', '.zip'],
-      '.ts': ['.txt', '.pdf', '.html', '.json', '.zip'],
-      '.tsx': ['.txt', '.pdf', '.html', '.json', '.zip'],
-      '.py': ['.txt', '.pdf', '.html', '.json', '.zip'],
-      '.java': ['.txt', '.pdf', '.html', '.json', '.zip'],
-      '.c': ['.txt', '.pdf', '.html', '.json', '.zip'],
-      '.cpp': ['.txt', '.pdf', '.html', '.json', '.zip'],
-      '.cs': ['.txt', '.pdf', '.html', '.json', '.zip'],
-      '.php': ['.txt', '.pdf', '.html', '.json', '.zip'],
-      '.rb': ['.txt', '.pdf', '.html', '.json', '.zip'],
-      '.go': ['.txt', '.pdf', '.html', '.json', '.zip'],
-      '.rs': ['.txt', '.pdf', '.html', '.json', '.zip'],
-      '.swift': ['.txt', '.pdf', '.html', '.json', '.zip'],
-      '.kt': ['.txt', '.pdf', '.html', '.json', '.zip'],
-      '.scala': ['.txt', '.pdf', '.html', '.json', '.zip'],
-      '.r': ['.txt', '.pdf', '.html', '.json', '.zip'],
-      '.m': ['.txt', '.pdf', '.html', '.json', '.zip'],
-      '.pl': ['.txt', '.pdf', '.html', '.json', '.zip'],
-      '.sh': ['.txt', '.pdf', '.html', '.json', '.zip'],
-      '.bash': ['.txt', '.pdf', '.html', '.json', '.zip'],
-      '.ps1': ['.txt', '.pdf', '.html', '.json', '.zip', '.fortipkg'],
-      '.bat': ['.txt', '.pdf', '.html', '.json', '.zip', '.fortipkg'],
-      '.cmd': ['.txt', '.pdf', '.html', '.json', '.zip'],
-      
-      // ===== WEB FILES =====
-      '.html': ['.pdf', '.txt', '.md', '.json', '.zip'],
-      '.htm': ['.pdf', '.txt', '.md', '.json', '.zip'],
-      '.css': ['.txt', '.pdf', '.html', '.json', '.zip'],
-      '.scss': ['.css', '.txt', '.pdf', '.json', '.zip'],
-      '.sass': ['.css', '.txt', '.pdf', '.json', '.zip'],
-      '.less': ['.css', '.txt', '.pdf', '.json', '.zip'],
-      '.vue': ['.txt', '.pdf', '.html', '.json', '.zip'],
-      '.svelte': ['.txt', '.pdf', '.html', '.json', '.zip'],
-      
-      // ===== IMAGE FILES =====
-      '.jpg': ['.png', '.webp', '.bmp', '.jpeg', '.gif', '.tiff', '.ico', '.pdf', '.zip'],
-      '.jpeg': ['.png', '.webp', '.bmp', '.jpg', '.gif', '.tiff', '.ico', '.pdf', '.zip'],
-      '.png': ['.jpg', '.webp', '.bmp', '.jpeg', '.gif', '.tiff', '.ico', '.pdf', '.zip'],
-      '.bmp': ['.png', '.jpg', '.webp', '.jpeg', '.gif', '.tiff', '.ico', '.pdf', '.zip'],
-      '.webp': ['.png', '.jpg', '.bmp', '.jpeg', '.gif', '.tiff', '.ico', '.pdf', '.zip'],
-      '.gif': ['.png', '.jpg', '.webp', '.bmp', '.tiff', '.ico', '.pdf', '.zip'],
-      '.svg': ['.png', '.jpg', '.pdf', '.txt', '.html', '.zip'],
-      '.ico': ['.png', '.jpg', '.bmp', '.zip'],
-      '.tiff': ['.png', '.jpg', '.bmp', '.jpeg', '.webp', '.pdf', '.zip'],
-      '.tif': ['.png', '.jpg', '.bmp', '.jpeg', '.webp', '.pdf', '.zip'],
-      '.heic': ['.png', '.jpg', '.jpeg', '.webp', '.bmp', '.pdf', '.zip'],
-      
-      // ===== ARCHIVE/COMPRESSION FILES =====
-      '.zip': ['.7z', '.tar', '.fortipkg', '.gz'],
-      '.7z': ['.zip', '.tar', '.fortipkg'],
-      '.tar': ['.zip', '.7z', '.fortipkg', '.gz'],
-      '.gz': ['.zip', '.7z', '.tar'],
-      '.rar': ['.zip', '.7z', '.tar', '.fortipkg'],
-      '.fortipkg': ['.zip', '.7z', '.tar'],
-      
-      // ===== DOCUMENT FILES =====
-      '.docx': ['.pdf', '.txt', '.html', '.md', '.rtf', '.odt', '.zip'],
-      '.doc': ['.pdf', '.txt', '.html', '.docx', '.zip'],
-      '.odt': ['.pdf', '.txt', '.html', '.docx', '.zip'],
-      '.pdf': [
-        // Document formats
-        '.docx', '.doc', '.txt', '.rtf', '.odt',
-        // Spreadsheet formats
-        '.xlsx', '.xls', '.csv',
-        // Presentation formats
-        '.pptx', '.ppt',
-        // Web and markup
-        '.html', '.htm', '.md', '.xml',
-        // Image formats (each page as image)
-        '.png', '.jpg', '.jpeg', '.bmp', '.tiff', '.tif', '.svg',
-        // E-book format
-        '.epub',
-        // Archive
-        '.zip', '.fortipkg'
-      ],
-      '.epub': ['.pdf', '.mobi', '.txt', '.html', '.md', '.zip'],
-      '.mobi': ['.pdf', '.epub', '.txt', '.html', '.zip'],
-      '.azw3': ['.pdf', '.epub', '.mobi', '.txt', '.zip'],
-      '.fb2': ['.pdf', '.epub', '.txt', '.html', '.zip'],
-      
-      // ===== PRESENTATION FILES =====
-      '.pptx': ['.pdf', '.html', '.ppt', '.odp', '.zip'],
-      '.ppt': ['.pdf', '.pptx', '.html', '.zip'],
-      '.odp': ['.pdf', '.pptx', '.html', '.zip'],
-      
-      // ===== SPREADSHEET FILES =====
-      '.xlsx': ['.csv', '.json', '.pdf', '.html', '.zip'],
-      '.xls': ['.csv', '.json', '.pdf', '.html', '.zip'],
-      '.ods': ['.csv', '.xlsx', '.json', '.pdf', '.zip'],
-      
-      // ===== EXECUTABLE/BINARY FILES =====
-      '.exe': ['.fortipkg', '.zip', '.7z'],
-      '.dll': ['.fortipkg', '.zip', '.7z'],
-      '.so': ['.fortipkg', '.zip', '.7z'],
-      '.dylib': ['.fortipkg', '.zip', '.7z'],
-      '.app': ['.fortipkg', '.zip', '.7z'],
-      '.apk': ['.zip', '.fortipkg'],
-      '.ipa': ['.zip', '.fortipkg'],
-      '.deb': ['.zip', '.fortipkg'],
-      '.rpm': ['.zip', '.fortipkg'],
-      '.msi': ['.zip', '.fortipkg'],
-      
-      // ===== DATA/DATABASE FILES =====
-      '.sqlite': ['.json', '.csv', '.txt', '.zip', '.fortipkg'],
-      '.db': ['.json', '.csv', '.txt', '.zip', '.fortipkg'],
-      '.sql': ['.txt', '.json', '.pdf', '.html', '.zip'],
-      
-      // ===== SPECIAL/OTHER FILES =====
-      '.manifest': ['.pdf', '.json', '.txt', '.html', '.zip'],
-      '.backup': ['.pdf', '.json', '.txt', '.zip', '.fortipkg'],
-      '.bak': ['.zip', '.fortipkg'],
-      '.tmp': ['.txt', '.zip'],
-      '.cache': ['.json', '.txt', '.zip'],
-      '.gitignore': ['.txt', '.pdf', '.zip'],
-      '.env': ['.txt', '.pdf', '.json', '.zip'],
-      '.properties': ['.txt', '.json', '.pdf', '.zip'],
-      
-      // ===== AUDIO/VIDEO FILES =====
-      '.mp3': ['.wav', '.ogg', '.aac', '.flac', '.zip', '.fortipkg'],
-      '.wav': ['.mp3', '.ogg', '.aac', '.flac', '.zip', '.fortipkg'],
-      '.ogg': ['.mp3', '.wav', '.aac', '.flac', '.zip', '.fortipkg'],
-      '.flac': ['.mp3', '.wav', '.ogg', '.aac', '.zip', '.fortipkg'],
-      '.aac': ['.mp3', '.wav', '.ogg', '.flac', '.zip', '.fortipkg'],
-      '.m4a': ['.mp3', '.wav', '.ogg', '.flac', '.zip', '.fortipkg'],
-      '.wma': ['.mp3', '.wav', '.ogg', '.zip', '.fortipkg'],
-      '.mp4': ['.mkv', '.webm', '.gif', '.mov', '.zip', '.fortipkg'],
-      '.avi': ['.mp4', '.mkv', '.webm', '.zip', '.fortipkg'],
-      '.mkv': ['.mp4', '.webm', '.mov', '.zip', '.fortipkg'],
-      '.mov': ['.mp4', '.mkv', '.webm', '.zip', '.fortipkg'],
-      '.flv': ['.mp4', '.mkv', '.webm', '.zip', '.fortipkg'],
-      '.wmv': ['.mp4', '.mkv', '.webm', '.zip', '.fortipkg'],
-      '.webm': ['.mp4', '.mkv', '.mov', '.zip', '.fortipkg'],
-      
-      // ===== FONT FILES =====
-      '.ttf': ['.zip', '.fortipkg'],
-      '.otf': ['.zip', '.fortipkg'],
-      '.woff': ['.zip', '.fortipkg'],
-      '.woff2': ['.zip', '.fortipkg'],
-      '.eot': ['.zip', '.fortipkg'],
-      
-      // ===== 3D/CAD FILES =====
-      '.obj': ['.txt', '.zip', '.fortipkg'],
-      '.stl': ['.txt', '.zip', '.fortipkg'],
-      '.fbx': ['.zip', '.fortipkg'],
-      '.blend': ['.zip', '.fortipkg'],
-      '.3ds': ['.zip', '.fortipkg'],
-      
-      // ===== GENERIC FALLBACK - Any unrecognized extension =====
-      // This will be handled by a special method
-    };
+  buildConverterRegistry() {
+    const registry = new ConverterRegistry();
+    const convertText = (inputPath, outputPath, { inputExt, outputExt }) => this.convertText(inputPath, outputPath, inputExt, outputExt);
+    const convertCode = (inputPath, outputPath, { inputExt, outputExt }) => this.convertCodeFile(inputPath, outputPath, inputExt, outputExt);
+    const convertGeneric = (inputPath, outputPath, { inputExt, outputExt }) => this.convertGenericFile(inputPath, outputPath, inputExt, outputExt);
+    const convertArchive = (inputPath, outputPath, { inputExt, outputExt, packagePassword, allowUnverified }) => this.convertArchive(inputPath, outputPath, inputExt, outputExt, packagePassword, allowUnverified);
+
+    // ===== TEXT-BASED FILES =====
+    for (const [inputExt, outputs] of Object.entries(TEXT_CONVERSIONS)) {
+      for (const outputExt of outputs) {
+        let fidelity = FIDELITY.EMBEDDED;
+        if ((PARSED_TEXT_CONVERSIONS[inputExt] || []).includes(outputExt)) {
+          fidelity = FIDELITY.HIGH;
+        } else if (outputExt === '.txt' && inputExt !== '.rtf') {
+          fidelity = FIDELITY.EXACT;
+        }
+
+        registry.register({
+          inputs: [inputExt],
+          outputs: [outputExt],
+          convert: convertText,
+          dependencies: outputExt === '.pdf' ? ['pdfkit'] : [],
+          fidelity
+        });
+      }
+    }
+
+    registry
+      .register({ inputs: ['.md', '.markdown'], outputs: ['.html'], convert: (inputPath, outputPath) => this.markdownConvert(inputPath, outputPath, '.html'), dependencies: ['marked'], fidelity: FIDELITY.HIGH })
+      .register({ inputs: ['.md', '.markdown'], outputs: ['.txt'], convert: (inputPath, outputPath) => this.markdownConvert(inputPath, outputPath, '.txt'), fidelity: FIDELITY.EXACT })
+      .register({ inputs: ['.md', '.markdown'], outputs: ['.pdf'], convert: (inputPath, outputPath) => this.markdownConvert(inputPath, outputPath, '.pdf'), dependencies: ['pdfkit'], fidelity: FIDELITY.EMBEDDED });
+
+    // ===== PROGRAMMING/SCRIPT/WEB FILES =====
+    registry
+      .register({ inputs: CODE_FORMATS, outputs: ['.txt'], convert: convertCode, fidelity: FIDELITY.EXACT })
+      .register({ inputs: CODE_FORMATS, outputs: ['.pdf'], convert: convertCode, dependencies: ['pdfkit'], fidelity: FIDELITY.EMBEDDED })
+      .register({ inputs: CODE_FORMATS, outputs: ['.html', '.json'], convert: convertCode, fidelity: FIDELITY.EMBEDDED });
+
+    // ===== IMAGE FILES =====
+    // Lossless outputs keep every pixel of raster inputs; SVG is rasterized and GIF keeps its first frame only
+    const rasterInputs = IMAGE_INPUT_FORMATS.filter(ext => !['.svg', '.gif'].includes(ext));
+    const convertImage = (inputPath, outputPath, { outputExt }) => this.convertImage(inputPath, outputPath, outputExt);
+    registry
+      .register({ inputs: rasterInputs, outputs: ['.png', '.tiff'], convert: convertImage, dependencies: ['sharp'], fidelity: FIDELITY.EXACT })
+      .register({ inputs: rasterInputs, outputs: IMAGE_OUTPUT_FORMATS.filter(ext => !['.png', '.tiff'].includes(ext)), convert: convertImage, dependencies: ['sharp'], fidelity: FIDELITY.HIGH })
+      .register({ inputs: ['.svg', '.gif'], outputs: IMAGE_OUTPUT_FORMATS, convert: convertImage, dependencies: ['sharp'], fidelity: FIDELITY.HIGH });
+
+    // ===== DOCUMENT FILES =====
+    registry
+      .register({ inputs: ['.docx'], outputs: ['.html'], convert: (inputPath, outputPath) => this.docxConvert(inputPath, outputPath, '.html'), dependencies: ['mammoth'], fidelity: FIDELITY.HIGH })
+      .register({ inputs: ['.docx'], outputs: ['.txt'], convert: (inputPath, outputPath) => this.docxConvert(inputPath, outputPath, '.txt'), dependencies: ['mammoth'], fidelity: FIDELITY.TEXT_ONLY })
+      .register({ inputs: ['.docx'], outputs: ['.pdf'], convert: (inputPath, outputPath) => this.docxConvert(inputPath, outputPath, '.pdf'), dependencies: ['mammoth', 'pdfkit'], fidelity: FIDELITY.TEXT_ONLY });
+
+    // PDF outputs are rebuilt from the extracted text (headings and paragraphs, no images)
+    const convertPdf = (inputPath, outputPath, { outputExt }) => this.pdfConvert(inputPath, outputPath, outputExt);
+    registry
+      .register({ inputs: ['.pdf'], outputs: ['.docx'], convert: convertPdf, dependencies: ['pdf-lib', 'pdf2json', 'docx'], fidelity: FIDELITY.TEXT_ONLY })
+      .register({ inputs: ['.pdf'], outputs: ['.txt', '.html', '.htm', '.md', '.rtf', '.xml', '.csv', '.svg'], convert: convertPdf, dependencies: ['pdf-lib', 'pdf2json'], fidelity: FIDELITY.TEXT_ONLY });
+
+    // ===== ARCHIVE/COMPRESSION FILES =====
+    // .gz output is a gzip-compressed tar; .7z and .rar are in UNSUPPORTED_ARCHIVE_FORMATS
+    registry
+      .register({ inputs: ['.zip', '.tar', '.gz', '.fortipkg'], outputs: ['.zip', '.tar', '.gz', '.fortipkg'], convert: convertArchive, dependencies: ['archiver', 'unzipper'], fidelity: FIDELITY.EXACT })
+      .register({ inputs: ['.tgz'], outputs: ['.zip', '.tar', '.fortipkg'], convert: convertArchive, dependencies: ['archiver', 'unzipper'], fidelity: FIDELITY.EXACT });
+
+    // ===== ANY FILE =====
+    // Every file can be packaged; archives are repacked above instead of nested
+    registry.register({
+      inputs: ANY_INPUT,
+      outputs: ['.zip', '.fortipkg', '.tar', '.gz'],
+      convert: (inputPath, outputPath, { outputExt, packagePassword }) => this.packageFileToArchive(inputPath, outputPath, outputExt, packagePassword),
+      dependencies: ['archiver'],
+      fidelity: FIDELITY.PACKAGED,
+      exclude: ARCHIVE_FORMATS
+    });
+
+    // Unrecognized extensions are read as text (convertGenericFile refuses binary content)
+    registry
+      .register({ inputs: ANY_INPUT, outputs: ['.txt'], convert: convertGeneric, fidelity: FIDELITY.EXACT, fallback: true, exclude: BINARY_FORMATS })
+      .register({ inputs: ANY_INPUT, outputs: ['.pdf'], convert: convertGeneric, dependencies: ['pdfkit'], fidelity: FIDELITY.EMBEDDED, fallback: true, exclude: BINARY_FORMATS })
+      .register({ inputs: ANY_INPUT, outputs: ['.html', '.json'], convert: convertGeneric, fidelity: FIDELITY.EMBEDDED, fallback: true, exclude: BINARY_FORMATS });
+
+    return registry;
   }
 
   /**
    * Get supported output formats for input file
-   * ENHANCED: Provides fallback options for ANY file type
+   * Derived from the converter registry, so every format listed has a working converter.
    */
   getSupportedOutputFormats(inputPath) {
     const ext = path.extname(inputPath).toLowerCase();
-    
-    // Check if we have specific conversions for this type
-    if (this.supportedConversions[ext]) {
-      return this.supportedConversions[ext];
+
+    // Archives we cannot open get no options rather than conversions of an empty extraction
+    if (UNSUPPORTED_ARCHIVE_FORMATS[ext]) {
+      console.log(`[Conversion] ${ext} input is not supported: ${this.getUnsupportedReason(inputPath, null)}`);
+      return [];
     }
-    
-    // UNIVERSAL FALLBACK: For ANY unrecognized file type, offer these options
-    console.log(`[Conversion] No specific conversions for ${ext}, providing universal fallback options`);
-    
-    // Determine if file is likely text-based by trying to detect
-    const textLikeExtensions = [
-      // Already covered above but this is for unknown extensions
-    ];
-    
-    // For unknown file types, offer versatile conversion options
-    return [
-      '.txt',      // Convert to text (always possible)
-      '.pdf',      // Convert to PDF (universal)
-      '.html',     // Convert to HTML
-      '.json',     // Convert to JSON data
-      '.zip',      // Package into archive
-      '.fortipkg', // Package as FortiMorph package
-      '.7z'        // Package as 7z archive
-    ];
+
+    return this.converters.getOutputFormats(ext);
   }
 
   /**
-   * Check if conversion is supported
-   * ENHANCED: Now supports ALL file types with fallback conversions
+   * Why a conversion cannot be done, for archive formats FortiMorph cannot handle
+   * @param {string} inputPath - Input file
+   * @param {string|null} outputFormat - Output extension (null to check the input only)
+   * @returns {string|null} Reason, or null when neither side is an unsupported archive format
+   */
+  getUnsupportedReason(inputPath, outputFormat) {
+    const inputExt = path.extname(inputPath).toLowerCase();
+    if (UNSUPPORTED_ARCHIVE_FORMATS[inputExt]) {
+      return `${UNSUPPORTED_ARCHIVE_FORMATS[inputExt]} (${inputExt}) cannot be opened by FortiMorph - extract it with another tool first`;
+    }
+
+    const outputExt = outputFormat ? outputFormat.toLowerCase() : null;
+    if (outputExt && UNSUPPORTED_ARCHIVE_FORMATS[outputExt]) {
+      return `FortiMorph cannot create ${UNSUPPORTED_ARCHIVE_FORMATS[outputExt]} (${outputExt}) - use .zip, .tar or .gz instead`;
+    }
+    return null;
+  }
+
+  /**
+   * Check if conversion is supported (a registered converter with its dependencies installed)
    */
   isConversionSupported(inputPath, outputFormat) {
     const supported = this.getSupportedOutputFormats(inputPath);
     const isSupported = supported.includes(outputFormat.toLowerCase());
     
     if (!isSupported) {
-      console.log(`[Conversion] ${path.extname(inputPath)} → ${outputFormat} not in supported list, but may still be possible via generic converter`);
+      console.log(`[Conversion] ${path.extname(inputPath)} → ${outputFormat} is not supported`);
     }
     
     return isSupported;
@@ -294,6 +298,10 @@ class ConversionService {
 
   /**
    * Main conversion executor
+   * Batch items pass logRecord: false - the batch writes one combined conversions record instead.
+   * packagePassword encrypts .fortipkg outputs and opens encrypted .fortipkg inputs.
+   * allowUnverified lets version 1 .fortipkg inputs, which cannot be verified, be extracted -
+   * set only after the user has confirmed.
    */
   async convert(options) {
     const {
@@ -303,7 +311,10 @@ class ConversionService {
       encrypt = false,
       compress = false,
       compressionLevel = 6,
-      encryptionKey = null
+      encryptionKey = null,
+      packagePassword = null,
+      allowUnverified = false,
+      logRecord = true
     } = options;
 
     const startTime = Date.now();
@@ -312,8 +323,12 @@ class ConversionService {
 
     try {
       // Validate conversion support
+      const converter = this.converters.find(inputExt, outputExt);
       if (!this.isConversionSupported(inputPath, outputExt)) {
-        throw new Error(`Conversion from ${inputExt} to ${outputExt} is not supported`);
+        throw new Error(this.getUnsupportedReason(inputPath, outputExt) ||
+          (converter && converter.missing.length > 0
+            ? `Converting ${inputExt} to ${outputExt} needs ${converter.missing.join(', ')}, which is not installed`
+            : `Conversion from ${inputExt} to ${outputExt} is not supported`));
       }
 
       // Check input file exists
@@ -327,30 +342,12 @@ class ConversionService {
       // Perform conversion based on type
       let tempOutputPath = outputPath;
       
-      if (this.isImageConversion(inputExt, outputExt)) {
-        await this.convertImage(inputPath, tempOutputPath, outputExt);
-      } else if (this.isTextConversion(inputExt, outputExt)) {
-        await this.convertText(inputPath, tempOutputPath, inputExt, outputExt);
-      } else if (this.isDocumentConversion(inputExt, outputExt)) {
-        await this.convertDocument(inputPath, tempOutputPath, inputExt, outputExt);
-      } else if (this.isArchiveConversion(inputExt, outputExt)) {
-        await this.convertArchive(inputPath, tempOutputPath, inputExt, outputExt);
-      } else if (this.isCodeFileConversion(inputExt, outputExt)) {
-        await this.convertCodeFile(inputPath, tempOutputPath, inputExt, outputExt);
-      } else if (this.isGenericToArchive(outputExt)) {
-        // Generic file to archive conversion (works for ANY file type)
-        await this.packageFileToArchive(inputPath, tempOutputPath, outputExt);
-      } else if (this.isGenericToText(outputExt)) {
-        // Generic file to text/pdf/html conversion
-        await this.convertGenericFile(inputPath, tempOutputPath, inputExt, outputExt);
-      } else {
-        // Last resort: try generic conversion
-        console.warn(`[Conversion] No specific converter for ${inputExt} → ${outputExt}, attempting generic conversion`);
-        await this.convertGenericFile(inputPath, tempOutputPath, inputExt, outputExt);
-      }
+      // Converters may return { warning } for a conversion that worked with a caveat
+      const converted = await converter.convert(inputPath, tempOutputPath, { inputExt, outputExt, packagePassword, allowUnverified });
+      const warning = (converted && converted.warning) || null;
 
-      // Apply compression if requested
-      if (compress && !outputExt.includes('zip') && !outputExt.includes('7z')) {
+      // Apply compression if requested (archive outputs are compressed already)
+      if (compress && !['.zip', '.fortipkg', '.gz'].includes(outputExt)) {
         await this.compressFile(tempOutputPath, compressionLevel);
       }
 
@@ -379,10 +376,13 @@ class ConversionService {
         compressed: compress,
         duration,
         status: 'completed',
+        warning,
         timestamp: new Date().toISOString()
       };
 
-      await this.db.logConversion(conversionRecord, userId);
+      if (logRecord) {
+        await this.db.logConversion(conversionRecord, userId);
+      }
       await this.logs.info('Conversion completed', 'ConversionService', conversionRecord, userId);
 
       return {
@@ -393,22 +393,25 @@ class ConversionService {
         inputSize,
         outputSize: outputStats.size,
         duration,
-        compressionRatio: inputSize > 0 ? (outputStats.size / inputSize * 100).toFixed(2) : 0
+        compressionRatio: inputSize > 0 ? (outputStats.size / inputSize * 100).toFixed(2) : 0,
+        warning
       };
 
     } catch (error) {
       const userId = this.getUserId ? this.getUserId() : null;
       await this.logs.error(`Conversion failed: ${error.message}`, 'ConversionService', { inputPath, outputPath }, userId);
       
-      await this.db.logConversion({
-        input_path: inputPath,
-        output_path: outputPath,
-        input_format: inputExt,
-        output_format: outputExt,
-        status: 'failed',
-        error: error.message,
-        timestamp: new Date().toISOString()
-      }, userId);
+      if (logRecord) {
+        await this.db.logConversion({
+          input_path: inputPath,
+          output_path: outputPath,
+          input_format: inputExt,
+          output_format: outputExt,
+          status: 'failed',
+          error: error.message,
+          timestamp: new Date().toISOString()
+        }, userId);
+      }
 
       throw error;
     }
@@ -419,9 +422,10 @@ class ConversionService {
    */
   async convertImage(inputPath, outputPath, outputFormat) {
     const format = outputFormat.replace('.', '');
-    
+
+    // TIFF takes a codec name for compression; LZW keeps it lossless
     await sharp(inputPath)
-      .toFormat(format, {
+      .toFormat(format, format === 'tiff' ? { compression: 'lzw' } : {
         quality: 90,
         compression: 'lossless'
       })
@@ -483,54 +487,33 @@ ${lines.map((line, i) => `    <line number="${i + 1}">${this.escapeHtml(line)}</
     await fs.writeFile(outputPath, xmlContent, 'utf-8');
   }
 
-  /**
-   * Document Conversion (markdown, rtf, docx, PDF) - EXPANDED
-   */
-  async convertDocument(inputPath, outputPath, inputExt, outputExt) {
-    switch (inputExt) {
-      case '.md':
-      case '.markdown':
-        await this.markdownConvert(inputPath, outputPath, outputExt);
-        break;
-      case '.docx':
-        await this.docxConvert(inputPath, outputPath, outputExt);
-        break;
-      case '.pdf':
-        await this.pdfConvert(inputPath, outputPath, outputExt);
-        break;
-      case '.rtf':
-        // RTF to other formats - treat as text for now
-        const rtfContent = await fs.readFile(inputPath, 'utf-8');
-        await this.convertText(inputPath, outputPath, inputExt, outputExt);
-        break;
-      default:
-        throw new Error(`Unsupported document input format: ${inputExt}`);
-    }
-  }
-
   /**
    * Archive Conversion
+   * @returns {Promise<Object|null>} { warning } when the input was a version 1 package that could not be verified
    */
-  async convertArchive(inputPath, outputPath, inputExt, outputExt) {
-    // Extract to temp, then repackage
-    const tempDir = path.join(path.dirname(outputPath), `temp_${Date.now()}`);
+  async convertArchive(inputPath, outputPath, inputExt, outputExt, packagePassword = null, allowUnverified = false) {
+    // Extract to temp, then repackage. Batch items convert concurrently, so each call gets its own folder
+    const tempDir = await fs.mkdtemp(path.join(path.dirname(outputPath), 'temp_'));
     
     try {
-      await fs.mkdir(tempDir, { recursive: true });
-      
       // Extract
-      if (inputExt === '.zip') {
-        await this.extractZip(inputPath, tempDir);
-      }
+      const extracted = await this.extractArchive(inputPath, tempDir, inputExt, packagePassword, allowUnverified);
       
       // Repackage
-      if (outputExt === '.zip' || outputExt === '.fortipkg') {
-        await this.createZipArchive(tempDir, outputPath, outputExt === '.fortipkg');
-      } else if (outputExt === '.7z') {
-        // Use archiver for 7z
-        await this.create7zArchive(tempDir, outputPath);
+      if (outputExt === '.fortipkg') {
+        const files = await this.listDirectoryFiles(tempDir);
+        await this.createFortiPkg(files.map(relativePath => ({ sourcePath: path.join(tempDir, relativePath), path: relativePath })), outputPath, packagePassword);
+      } else if (outputExt === '.zip') {
+        await this.createZipArchive(tempDir, outputPath);
+      } else if (outputExt === '.tar' || outputExt === '.gz' || outputExt === '.tgz') {
+        await this.createTarArchive(tempDir, outputPath, outputExt !== '.tar');
+      } else {
+        throw new Error(this.getUnsupportedReason(inputPath, outputExt) || `Cannot create ${outputExt} archives`);
       }
-      
+
+      return extracted && extracted.verified === false
+        ? { warning: 'Version 1 package - it has no signature or file hashes, so its contents were not verified' }
+        : null;
     } finally {
       // Cleanup temp
       await fs.rm(tempDir, { recursive: true, force: true });
@@ -692,13 +675,17 @@ ${lines.map((line, i) => `    <line number="${i + 1}">${this.escapeHtml(line)}</
    * Multi-file packaging
    */
   async packageFiles(filePaths, outputPath, options = {}) {
-    const { encrypt = false, compress = true, format = '.zip' } = options;
+    const { encrypt = false, compress = true, format = '.zip', packagePassword = null } = options;
 
     try {
-      if (format === '.zip' || format === '.fortipkg') {
-        await this.createZipFromFiles(filePaths, outputPath, format === '.fortipkg');
-      } else if (format === '.7z') {
-        await this.create7zFromFiles(filePaths, outputPath);
+      if (format === '.fortipkg') {
+        await this.createFortiPkg(filePaths.map(filePath => ({ sourcePath: filePath, path: path.basename(filePath) })), outputPath, packagePassword);
+      } else if (format === '.zip') {
+        await this.createZipFromFiles(filePaths, outputPath);
+      } else if (format === '.tar' || format === '.gz' || format === '.tgz') {
+        await this.createTarFromFiles(filePaths, outputPath, format !== '.tar');
+      } else {
+        throw new Error(this.getUnsupportedReason('', format) || `Cannot create ${format} packages`);
       }
 
       if (encrypt) {
@@ -721,10 +708,290 @@ ${lines.map((line, i) => `    <line number="${i + 1}">${this.escapeHtml(line)}</
     }
   }
 
+  /**
+   * Start a batch conversion without waiting for it
+   * Progress is reported through progressCallback, tagged with the batchId:
+   *   { phase: 'start' | 'complete' | 'cancelled', ...batch status }
+   *   { phase: 'item', item, counts } as each item starts and finishes
+   * @param {Object} options
+   * @param {string[]} options.inputs - Files to convert
+   * @param {Object} options.formatRules - Input extension -> output extension, '*' for any other input
+   * @param {string} options.outputDirTemplate - Output folder with placeholders (see conversionQueue.js)
+   * @param {number} options.concurrency - Files converted at once (1-4)
+   * @returns {Object} { batchId, done } - done settles with the batch status once the batch stops
+   */
+  startBatch(options, progressCallback = null) {
+    const {
+      inputs = [],
+      formatRules = {},
+      outputDirTemplate,
+      concurrency,
+      encrypt = false,
+      compress = false,
+      compressionLevel = 6,
+      encryptionKey = null,
+      packagePassword = null,
+      allowUnverified = false,
+      userId = null
+    } = options;
+
+    if (!Array.isArray(inputs) || inputs.length === 0) {
+      throw new Error('Select at least one file to convert');
+    }
+
+    const now = new Date();
+    const date = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+    const taken = new Set();
+    const items = inputs.map((inputPath, index) => {
+      const outputFormat = resolveOutputFormat(inputPath, formatRules);
+      let outputPath = null;
+      if (outputFormat) {
+        const outputDir = renderOutputDir(outputDirTemplate, { inputPath, outputExt: outputFormat, date });
+        outputPath = uniqueOutputPath(outputDir, path.basename(inputPath, path.extname(inputPath)), outputFormat, taken);
+      }
+      return { index, inputPath, outputFormat, outputPath, status: 'pending', error: null, result: null, attempts: 0 };
+    });
+
+    const batchId = `batch_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+    const batch = new ConversionBatch(batchId, {
+      userId,
+      items,
+      concurrency,
+      options: { encrypt, compress, compressionLevel, encryptionKey, packagePassword, allowUnverified }
+    });
+    this.pruneBatches();
+    this.batches.set(batchId, batch);
+
+    const done = this.runBatch(batch, items, progressCallback ? (progress) => progressCallback({ batchId, ...progress }) : null);
+    return { batchId, done };
+  }
+
+  /**
+   * Convert a batch's items with its concurrency, then write the combined record
+   */
+  async runBatch(batch, items, progressCallback) {
+    const report = (progress) => {
+      if (progressCallback) {
+        progressCallback(progress);
+      }
+    };
+    const runStartedAt = Date.now();
+    report({ phase: 'start', ...batch.getStatus() });
+
+    await runQueue(batch, items, async (item) => {
+      item.status = 'running';
+      item.attempts++;
+      report({ phase: 'item', item: { ...item }, counts: batch.getCounts() });
+
+      let tempPath = null;
+      try {
+        if (!item.outputFormat) {
+          throw new Error(`No output format rule matches ${path.extname(item.inputPath) || 'files without an extension'}`);
+        }
+
+        // Convert under a temporary name next to the target and move it into place once it worked,
+        // so a failed item never leaves a partial output or touches a file created there since
+        const outputDir = path.dirname(item.outputPath);
+        const outputExt = path.extname(item.outputPath);
+        tempPath = path.join(outputDir, `.${path.basename(item.outputPath, outputExt)}.${crypto.randomBytes(6).toString('hex')}.partial${outputExt}`);
+        await fs.mkdir(outputDir, { recursive: true });
+        const result = await this.convert({
+          ...batch.options,
+          inputPath: item.inputPath,
+          outputPath: tempPath,
+          outputFormat: item.outputFormat,
+          logRecord: false
+        });
+
+        if (fsSync.existsSync(item.outputPath)) {
+          item.outputPath = uniqueOutputPath(outputDir, path.basename(item.outputPath, outputExt), outputExt, new Set());
+        }
+        await fs.rename(tempPath, item.outputPath);
+        tempPath = null;
+
+        item.status = 'completed';
+        item.error = null;
+        item.result = {
+          inputSize: result.inputSize,
+          outputSize: result.outputSize,
+          inputHash: result.inputHash,
+          outputHash: result.outputHash,
+          duration: result.duration,
+          warning: result.warning
+        };
+      } catch (error) {
+        item.status = 'failed';
+        item.error = error.message;
+        item.result = null;
+        if (tempPath) {
+          await fs.rm(tempPath, { force: true }).catch(() => {});
+        }
+      }
+
+      report({ phase: 'item', item: { ...item }, counts: batch.getCounts() });
+    });
+
+    items.filter(item => item.status === 'pending').forEach((item) => {
+      item.status = 'cancelled';
+    });
+    const cancelled = batch.isCancelled;
+    batch.state = cancelled ? 'cancelled' : 'completed';
+    batch.finishedAt = Date.now();
+    batch.duration += batch.finishedAt - runStartedAt;
+
+    await this.recordBatch(batch);
+
+    const status = batch.getStatus();
+    report({ phase: cancelled ? 'cancelled' : 'complete', ...status });
+    return status;
+  }
+
+  /**
+   * Write the batch's combined conversions record (updated in place after a retry)
+   */
+  async recordBatch(batch) {
+    const counts = batch.getCounts();
+    const completed = batch.items.filter(item => item.status === 'completed');
+    const distinct = values => [...new Set(values.filter(Boolean))].join(', ');
+    const total = key => completed.reduce((sum, item) => sum + item.result[key], 0);
+
+    let status = 'partial';
+    if (completed.length === batch.items.length) {
+      status = 'completed';
+    } else if (completed.length === 0) {
+      status = batch.isCancelled ? 'cancelled' : 'failed';
+    }
+
+    const problems = [];
+    if (counts.failed > 0) problems.push(`${counts.failed} of ${batch.items.length} files failed`);
+    if (counts.cancelled > 0) problems.push(`${counts.cancelled} cancelled`);
+
+    const record = {
+      input_path: commonDirectory(batch.items.map(item => item.inputPath)),
+      output_path: commonDirectory(batch.items.filter(item => item.outputPath).map(item => item.outputPath)),
+      input_format: distinct(batch.items.map(item => path.extname(item.inputPath).toLowerCase())),
+      output_format: distinct(batch.items.map(item => item.outputFormat)),
+      input_size: total('inputSize'),
+      output_size: total('outputSize'),
+      encrypted: batch.options.encrypt,
+      compressed: batch.options.compress,
+      duration: batch.duration,
+      status,
+      error: problems.join(', ') || null,
+      timestamp: new Date(batch.startedAt).toISOString(),
+      batch_id: batch.batchId,
+      items: JSON.stringify(batch.items.map(item => ({
+        inputPath: item.inputPath,
+        outputPath: item.outputPath,
+        outputFormat: item.outputFormat,
+        status: item.status,
+        error: item.error,
+        attempts: item.attempts,
+        ...item.result
+      })))
+    };
+
+    try {
+      if (batch.recordId) {
+        await this.db.updateConversionBatch(batch.recordId, record);
+      } else {
+        const { id } = await this.db.logConversion(record, batch.userId);
+        batch.recordId = id;
+      }
+      await this.logs.info('Batch conversion finished', 'ConversionService', { batchId: batch.batchId, status, counts }, batch.userId);
+    } catch (error) {
+      await this.logs.error(`Failed to record conversion batch: ${error.message}`, 'ConversionService', { batchId: batch.batchId }, batch.userId);
+    }
+  }
+
+  /**
+   * Get a batch owned by the user
+   */
+  getOwnedBatch(batchId, userId = null) {
+    const batch = this.batches.get(batchId);
+    if (!batch || (batch.userId || null) !== (userId || null)) {
+      return null;
+    }
+    return batch;
+  }
+
+  /**
+   * Status of a batch, with its items
+   */
+  getBatch(batchId, userId = null) {
+    const batch = this.getOwnedBatch(batchId, userId);
+    if (!batch) {
+      throw new Error('Conversion batch not found');
+    }
+    return batch.getStatus();
+  }
+
+  /**
+   * List the user's running batches and the finished ones kept for retry
+   */
+  listBatches(userId = null) {
+    return [...this.batches.values()]
+      .filter(batch => (batch.userId || null) === (userId || null))
+      .map(batch => batch.getStatus());
+  }
+
+  /**
+   * Cancel a running batch (conversions in progress finish first)
+   */
+  cancelBatch(batchId, userId = null) {
+    const batch = this.getOwnedBatch(batchId, userId);
+    if (!batch) {
+      throw new Error('Conversion batch not found');
+    }
+    if (!batch.cancel()) {
+      throw new Error(`Batch is ${batch.state}, not running`);
+    }
+    return { success: true, batchId, state: batch.state };
+  }
+
+  /**
+   * Run a finished batch's failed and cancelled items again
+   * @returns {Object} { success, batchId, retrying, done } - done settles with the batch status
+   */
+  retryBatch(batchId, userId = null, progressCallback = null) {
+    const batch = this.getOwnedBatch(batchId, userId);
+    if (!batch) {
+      throw new Error('Conversion batch not found');
+    }
+    if (batch.state === 'running') {
+      throw new Error('Batch is still running');
+    }
+
+    const items = batch.items.filter(item => item.status === 'failed' || item.status === 'cancelled');
+    if (items.length === 0) {
+      throw new Error('No failed items to retry');
+    }
+
+    items.forEach((item) => {
+      item.status = 'pending';
+      item.error = null;
+    });
+    batch.state = 'running';
+    batch.finishedAt = null;
+
+    const done = this.runBatch(batch, items, progressCallback ? (progress) => progressCallback({ batchId, ...progress }) : null);
+    return { success: true, batchId, retrying: items.length, done };
+  }
+
+  /**
+   * Drop the oldest finished batches beyond MAX_FINISHED_BATCHES
+   */
+  pruneBatches() {
+    const finished = [...this.batches.values()].filter(batch => batch.state !== 'running');
+    finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_BATCHES + 1)).forEach((batch) => {
+      this.batches.delete(batch.batchId);
+    });
+  }
+
   /**
    * Create ZIP archive from files
    */
-  async createZipFromFiles(filePaths, outputPath, isFortiPkg = false) {
+  async createZipFromFiles(filePaths, outputPath) {
     return new Promise((resolve, reject) => {
       const output = fsSync.createWriteStream(outputPath);
       const archive = archiver('zip', {
@@ -736,17 +1003,6 @@ ${lines.map((line, i) => `    <line number="${i + 1}">${this.escapeHtml(line)}</
 
       archive.pipe(output);
 
-      // Add metadata for .fortipkg
-      if (isFortiPkg) {
-        const metadata = {
-          creator: 'FortiMorph',
-          created: new Date().toISOString(),
-          fileCount: filePaths.length,
-          version: '1.0'
-        };
-        archive.append(JSON.stringify(metadata, null, 2), { name: '.fortipkg-metadata.json' });
-      }
-
       // Add files
       filePaths.forEach(filePath => {
         archive.file(filePath, { name: path.basename(filePath) });
@@ -759,7 +1015,7 @@ ${lines.map((line, i) => `    <line number="${i + 1}">${this.escapeHtml(line)}</
   /**
    * Create ZIP from directory
    */
-  async createZipArchive(sourceDir, outputPath, isFortiPkg = false) {
+  async createZipArchive(sourceDir, outputPath) {
     return new Promise((resolve, reject) => {
       const output = fsSync.createWriteStream(outputPath);
       const archive = archiver('zip', { zlib: { level: 9 } });
@@ -768,21 +1024,135 @@ ${lines.map((line, i) => `    <line number="${i + 1}">${this.escapeHtml(line)}</
       archive.on('error', reject);
 
       archive.pipe(output);
+      archive.directory(sourceDir, false);
+      archive.finalize();
+    });
+  }
 
-      if (isFortiPkg) {
-        const metadata = {
-          creator: 'FortiMorph',
-          created: new Date().toISOString(),
-          version: '1.0'
-        };
-        archive.append(JSON.stringify(metadata, null, 2), { name: '.fortipkg-metadata.json' });
+  /**
+   * Create a signed FortiPkg package (see fortiPkg.js), encrypted when a password is given
+   * @param {Array<Object>} files - { sourcePath, path } - path is the name inside the package
+   */
+  async createFortiPkg(files, outputPath, password = null) {
+    if (!this.packageSigner) {
+      throw new Error('FortiPkg packages cannot be created - the signing key is not available');
+    }
+    return fortiPkg.createPackage(files, outputPath, { signer: this.packageSigner, password });
+  }
+
+  /**
+   * Read a FortiPkg package's metadata and check its signature without extracting it
+   */
+  async inspectPackage(packagePath) {
+    if (!this.packageSigner) {
+      throw new Error('FortiPkg signatures cannot be checked - the signing key is not available');
+    }
+    return fortiPkg.inspectPackage(packagePath, { checker: this.packageSigner });
+  }
+
+  /**
+   * Check a FortiPkg package's signature and the hash of every file without extracting it
+   * @param {string} password - Also decrypt encrypted entries and check their original content
+   */
+  async verifyPackage(packagePath, password = null) {
+    if (!this.packageSigner) {
+      throw new Error('FortiPkg signatures cannot be checked - the signing key is not available');
+    }
+
+    const result = await fortiPkg.verifyPackage(packagePath, { checker: this.packageSigner, password });
+    const userId = this.getUserId ? this.getUserId() : null;
+    await this.logs.info('Package verified', 'ConversionService', {
+      packagePath,
+      isValid: result.valid,
+      issuerId: result.signature.issuerId,
+      trusted: result.signature.trusted,
+      error: result.error
+    }, userId);
+    return result;
+  }
+
+  /**
+   * Relative paths ('/' separated) of every file under a directory
+   */
+  async listDirectoryFiles(dir, prefix = '') {
+    const files = [];
+    for (const entry of await fs.readdir(path.join(dir, prefix), { withFileTypes: true })) {
+      const relativePath = prefix ? `${prefix}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        files.push(...await this.listDirectoryFiles(dir, relativePath));
+      } else if (entry.isFile()) {
+        files.push(relativePath);
       }
+    }
+    return files;
+  }
+
+  /**
+   * Create a tar (or gzip-compressed tar) archive from a directory
+   */
+  async createTarArchive(sourceDir, outputPath, gzip = false) {
+    return new Promise((resolve, reject) => {
+      const output = fsSync.createWriteStream(outputPath);
+      const archive = archiver('tar', gzip ? { gzip: true, gzipOptions: { level: 9 } } : {});
+
+      output.on('close', resolve);
+      archive.on('error', reject);
 
+      archive.pipe(output);
       archive.directory(sourceDir, false);
       archive.finalize();
     });
   }
 
+  /**
+   * Create a tar (or gzip-compressed tar) archive from files
+   */
+  async createTarFromFiles(filePaths, outputPath, gzip = false) {
+    return new Promise((resolve, reject) => {
+      const output = fsSync.createWriteStream(outputPath);
+      const archive = archiver('tar', gzip ? { gzip: true, gzipOptions: { level: 9 } } : {});
+
+      output.on('close', resolve);
+      archive.on('error', reject);
+
+      archive.pipe(output);
+      filePaths.forEach(filePath => {
+        archive.file(filePath, { name: path.basename(filePath) });
+      });
+      archive.finalize();
+    });
+  }
+
+  /**
+   * Extract any readable archive into destPath
+   * .gz files are treated as a compressed tar when named .tar.gz, otherwise as one gzipped file.
+   * .fortipkg packages are checked against their signed hashes as they are extracted.
+   * @returns {Promise<Object|undefined>} The package check ({ verified, signature, ... }) for .fortipkg inputs
+   */
+  async extractArchive(inputPath, destPath, inputExt, packagePassword = null, allowUnverified = false) {
+    const baseName = path.basename(inputPath).toLowerCase();
+
+    if (inputExt === '.fortipkg') {
+      return fortiPkg.extractPackage(inputPath, destPath, { checker: this.packageSigner, password: packagePassword, allowUnverified });
+    } else if (inputExt === '.zip') {
+      await this.extractZip(inputPath, destPath);
+    } else if (inputExt === '.tar') {
+      // Some tools write compressed tars with a plain .tar name
+      await extractTar(inputPath, destPath, { gzip: await isGzipFile(inputPath) });
+    } else if (inputExt === '.tgz' || baseName.endsWith('.tar.gz')) {
+      await extractTar(inputPath, destPath, { gzip: true });
+    } else if (inputExt === '.gz') {
+      const fileName = path.basename(inputPath).slice(0, -inputExt.length) || 'file';
+      await pipeline(
+        fsSync.createReadStream(inputPath),
+        zlib.createGunzip(),
+        fsSync.createWriteStream(path.join(destPath, fileName))
+      );
+    } else {
+      throw new Error(this.getUnsupportedReason(inputPath, null) || `Cannot extract ${inputExt} archives`);
+    }
+  }
+
   /**
    * Extract ZIP archive
    */
@@ -831,75 +1201,6 @@ ${lines.map((line, i) => `    <line number="${i + 1}">${this.escapeHtml(line)}</
     return { key: encryptionKey.toString('hex'), iv: iv.toString('hex') };
   }
 
-  /**
-   * Helper: Check if image conversion
-   */
-  isImageConversion(inputExt, outputExt) {
-    const imageExts = ['.jpg', '.jpeg', '.png', '.bmp', '.webp', '.gif'];
-    return imageExts.includes(inputExt) && imageExts.includes(outputExt);
-  }
-
-  /**
-   * Helper: Check if text conversion (EXPANDED)
-   */
-  isTextConversion(inputExt, outputExt) {
-    const textInputs = [
-      '.log', '.csv', '.json', '.txt', '.xml', '.yaml', '.yml',
-      '.ini', '.conf', '.config', '.sql', '.gitignore', '.env',
-      '.properties', '.manifest', '.backup'
-    ];
-    const textOutputs = ['.pdf', '.txt', '.json', '.csv', '.html', '.md'];
-    return textInputs.includes(inputExt) && textOutputs.includes(outputExt);
-  }
-
-  /**
-   * Helper: Check if document conversion (EXPANDED)
-   */
-  isDocumentConversion(inputExt, outputExt) {
-    const docExts = [
-      '.md', '.markdown', '.docx', '.doc', '.rtf', '.odt',
-      '.pdf', '.epub', '.html', '.htm'
-    ];
-    return docExts.includes(inputExt) || docExts.includes(outputExt);
-  }
-
-  /**
-   * Helper: Check if archive conversion (EXPANDED)
-   */
-  isArchiveConversion(inputExt, outputExt) {
-    const archiveExts = ['.zip', '.7z', '.tar', '.fortipkg', '.rar', '.gz'];
-    return archiveExts.includes(inputExt) && archiveExts.includes(outputExt);
-  }
-
-  /**
-   * Helper: Check if code file conversion
-   */
-  isCodeFileConversion(inputExt, outputExt) {
-    const codeExts = [
-      '.js', '.jsx', '.ts', '.tsx', '.py', '.java', '.c', '.cpp', '.cs',
-      '.php', '.rb', '.go', '.rs', '.swift', '.kt', '.scala', '.r', '.m',
-      '.pl', '.sh', '.bash', '.ps1', '.bat', '.cmd', '.html', '.css',
-      '.scss', '.sass', '.less', '.vue', '.svelte', '.sql'
-    ];
-    return codeExts.includes(inputExt);
-  }
-
-  /**
-   * Helper: Check if converting to archive
-   */
-  isGenericToArchive(outputExt) {
-    const archiveExts = ['.zip', '.7z', '.tar', '.fortipkg'];
-    return archiveExts.includes(outputExt);
-  }
-
-  /**
-   * Helper: Check if converting to text-based format
-   */
-  isGenericToText(outputExt) {
-    const textExts = ['.txt', '.pdf', '.html', '.json'];
-    return textExts.includes(outputExt);
-  }
-
   /**
    * Convert code file (JS, Python, etc.) to text/pdf/html
    */
@@ -919,10 +1220,6 @@ ${lines.map((line, i) => `    <line number="${i + 1}">${this.escapeHtml(line)}</
       case '.json':
         await this.codeToJSON(content, outputPath, inputExt);
         break;
-      case '.zip':
-      case '.fortipkg':
-        await this.packageFileToArchive(inputPath, outputPath, outputExt);
-        break;
       default:
         throw new Error(`Unsupported code file output: ${outputExt}`);
     }
@@ -1027,7 +1324,17 @@ ${lines.map((line, i) => `    <line number="${i + 1}">${this.escapeHtml(line)}</
   /**
    * Package single file to archive (works for ANY file type)
    */
-  async packageFileToArchive(inputPath, outputPath, archiveFormat) {
+  async packageFileToArchive(inputPath, outputPath, archiveFormat, packagePassword = null) {
+    if (archiveFormat === '.tar' || archiveFormat === '.gz') {
+      return this.createTarFromFiles([inputPath], outputPath, archiveFormat === '.gz');
+    }
+    if (archiveFormat === '.fortipkg') {
+      return this.createFortiPkg([{ sourcePath: inputPath, path: path.basename(inputPath) }], outputPath, packagePassword);
+    }
+    if (archiveFormat !== '.zip') {
+      throw new Error(this.getUnsupportedReason(inputPath, archiveFormat) || `Cannot create ${archiveFormat} archives`);
+    }
+
     return new Promise((resolve, reject) => {
       const output = fsSync.createWriteStream(outputPath);
       const archive = archiver('zip', { zlib: { level: 9 } });
@@ -1037,17 +1344,6 @@ ${lines.map((line, i) => `    <line number="${i + 1}">${this.escapeHtml(line)}</
 
       archive.pipe(output);
 
-      // Add metadata for .fortipkg
-      if (archiveFormat === '.fortipkg') {
-        const metadata = {
-          creator: 'FortiMorph',
-          created: new Date().toISOString(),
-          originalFile: path.basename(inputPath),
-          version: '1.0'
-        };
-        archive.append(JSON.stringify(metadata, null, 2), { name: '.fortipkg-metadata.json' });
-      }
-
       // Add the file
       archive.file(inputPath, { name: path.basename(inputPath) });
       archive.finalize();
@@ -1055,43 +1351,31 @@ ${lines.map((line, i) => `    <line number="${i + 1}">${this.escapeHtml(line)}</
   }
 
   /**
-   * Generic file converter for unsupported types
-   * Attempts to read as text, or packages as archive
+   * Generic file converter for unrecognized types
+   * Reads the file as text; binary content is refused instead of being decoded into garbage.
    */
   async convertGenericFile(inputPath, outputPath, inputExt, outputExt) {
-    try {
-      // Try to read as text
-      const content = await fs.readFile(inputPath, 'utf-8');
-      
-      // If successful, treat as text file
-      switch (outputExt) {
-        case '.txt':
-          await fs.writeFile(outputPath, content, 'utf-8');
-          break;
-        case '.pdf':
-          await this.textToPDF(content, outputPath, inputExt);
-          break;
-        case '.html':
-          await this.textToHTML(content, outputPath, inputExt);
-          break;
-        case '.json':
-          await this.textToJSON(content, outputPath, inputExt);
-          break;
-        case '.zip':
-        case '.fortipkg':
-        case '.7z':
-          await this.packageFileToArchive(inputPath, outputPath, outputExt);
-          break;
-        default:
-          throw new Error(`Cannot convert ${inputExt} to ${outputExt}`);
-      }
-    } catch (error) {
-      // If not a text file, package as archive
-      if (this.isGenericToArchive(outputExt)) {
-        await this.packageFileToArchive(inputPath, outputPath, outputExt);
-      } else {
-        throw new Error(`Cannot convert binary file ${inputExt} to ${outputExt}. Try converting to .zip or .fortipkg instead.`);
-      }
+    const buffer = await fs.readFile(inputPath);
+    if (buffer.subarray(0, 8192).includes(0)) {
+      throw new Error(`Cannot convert binary file ${inputExt || '(no extension)'} to ${outputExt}. Try converting to .zip or .fortipkg instead.`);
+    }
+    const content = buffer.toString('utf-8');
+
+    switch (outputExt) {
+      case '.txt':
+        await fs.writeFile(outputPath, content, 'utf-8');
+        break;
+      case '.pdf':
+        await this.textToPDF(content, outputPath, inputExt);
+        break;
+      case '.html':
+        await this.textToHTML(content, outputPath, inputExt);
+        break;
+      case '.json':
+        await this.textToJSON(content, outputPath, inputExt);
+        break;
+      default:
+        throw new Error(`Cannot convert ${inputExt} to ${outputExt}`);
     }
   }
 
@@ -1128,34 +1412,15 @@ ${lines.map((line, i) => `    <line number="${i + 1}">${this.escapeHtml(line)}</
           break;
           
         case '.docx':
-        case '.doc':
           // Convert PDF to Word (via text extraction + formatting)
           await this.pdfToWord(pdfBytes, outputPath, outputExt);
           break;
           
-        case '.xlsx':
-        case '.xls':
         case '.csv':
-          // Convert PDF to Excel/CSV (extract tables)
+          // Convert PDF to CSV (extract tables)
           await this.pdfToSpreadsheet(pdfBytes, outputPath, outputExt);
           break;
           
-        case '.pptx':
-        case '.ppt':
-          // Convert PDF to PowerPoint
-          await this.pdfToPresentation(pdfBytes, outputPath);
-          break;
-          
-        case '.png':
-        case '.jpg':
-        case '.jpeg':
-        case '.bmp':
-        case '.tiff':
-        case '.tif':
-          // Convert each PDF page to images
-          await this.pdfToImages(inputPath, outputPath, outputExt);
-          break;
-          
         case '.svg':
           // Convert PDF to SVG
           await this.pdfToSVG(pdfBytes, outputPath);
@@ -1166,29 +1431,13 @@ ${lines.map((line, i) => `    <line number="${i + 1}">${this.escapeHtml(line)}</
           await this.pdfToRTF(pdfBytes, outputPath);
           break;
           
-        case '.odt':
-          // Convert PDF to ODT (OpenDocument)
-          await this.pdfToODT(pdfBytes, outputPath);
-          break;
-          
-        case '.epub':
-          // Convert PDF to ePub
-          await this.pdfToEpub(pdfBytes, outputPath);
-          break;
-          
         case '.xml':
           // Convert PDF to XML
           await this.pdfToXML(pdfBytes, outputPath);
           break;
           
-        case '.zip':
-        case '.fortipkg':
-          // Package PDF into archive
-          await this.packageFileToArchive(inputPath, outputPath, outputExt);
-          break;
-          
         default:
-          throw new Error(`PDF to ${outputExt} conversion not yet implemented`);
+          throw new Error(`Unsupported PDF output: ${outputExt}`);
       }
       
       console.log(`[PDF Convert] ✅ Successfully converted PDF to ${outputExt}`);
@@ -1199,28 +1448,218 @@ ${lines.map((line, i) => `    <line number="${i + 1}">${this.escapeHtml(line)}</
     }
   }
 
+  /**
+   * Parse a PDF with pdf2json
+   * @returns {Promise<Object>} pdf2json document ({ Meta, Pages })
+   */
+  parsePdf(pdfBytes) {
+    return new Promise((resolve, reject) => {
+      const pdfParser = new PDFParser();
+
+      pdfParser.on('pdfParser_dataError', (errData) => {
+        const parserError = errData && errData.parserError;
+        reject(new Error(parserError && parserError.message ? parserError.message : String(parserError)));
+      });
+      pdfParser.on('pdfParser_dataReady', resolve);
+
+      // pdf2json re-reads the buffer's underlying ArrayBuffer from offset 0, which breaks for
+      // small Buffers that share Node's pool - hand it a copy with an ArrayBuffer of its own
+      const buffer = Buffer.alloc(pdfBytes.length);
+      Buffer.from(pdfBytes.buffer, pdfBytes.byteOffset, pdfBytes.length).copy(buffer);
+      pdfParser.parseBuffer(buffer);
+    });
+  }
+
+  /**
+   * Extract the text of a PDF in reading order
+   * Text runs are grouped into lines (top to bottom, left to right), lines into paragraphs by
+   * their spacing, and lines set noticeably larger than the body text (or bold on their own)
+   * become headings.
+   * @returns {Promise<Object>} { info, pages: [{ number, width, height, blocks, lines }] }
+   */
+  async extractPdfText(pdfBytes) {
+    const pdfData = await this.parsePdf(pdfBytes);
+    const meta = pdfData.Meta || {};
+
+    // pdf2json positions are in page units of 16 points; run widths are in points
+    const pages = (pdfData.Pages || []).map((page, index) => {
+      const runs = (page.Texts || [])
+        .map((text) => {
+          const style = (text.R && text.R[0] && text.R[0].TS) || [];
+          const content = (text.R || []).map(run => run.T || '').join('');
+          const size = style[1] || 12;
+          return {
+            x: text.x,
+            y: text.y,
+            width: text.w ? text.w / 16 : (content.length * size * 0.5) / 16,
+            text: content,
+            size,
+            bold: style[2] === 1
+          };
+        })
+        .filter(run => run.text.length > 0)
+        .sort((a, b) => a.y - b.y || a.x - b.x);
+
+      const lines = [];
+      for (const run of runs) {
+        const line = lines[lines.length - 1];
+        if (line && Math.abs(run.y - line.y) < 0.3) {
+          line.runs.push(run);
+        } else {
+          lines.push({ y: run.y, runs: [run] });
+        }
+      }
+
+      return {
+        number: index + 1,
+        width: page.Width,
+        height: page.Height,
+        lines: lines.map(line => this.buildPdfLine(line.runs))
+      };
+    });
+
+    // Body text size is the size most characters are set in
+    const charsPerSize = new Map();
+    for (const page of pages) {
+      for (const line of page.lines) {
+        charsPerSize.set(line.size, (charsPerSize.get(line.size) || 0) + line.text.length);
+      }
+    }
+    const bodySize = [...charsPerSize.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] || 12;
+    const headingSizes = [...charsPerSize.keys()]
+      .filter(size => size >= bodySize * 1.15)
+      .sort((a, b) => b - a);
+
+    for (const page of pages) {
+      page.blocks = this.buildPdfBlocks(page.lines, bodySize, headingSizes);
+    }
+
+    return {
+      info: {
+        title: meta.Title || null,
+        author: meta.Author || null,
+        subject: meta.Subject || null,
+        pageCount: pages.length
+      },
+      pages
+    };
+  }
+
+  /**
+   * Join the text runs of one line, keeping runs separated by a wide gap as separate segments
+   */
+  buildPdfLine(runs) {
+    runs.sort((a, b) => a.x - b.x);
+
+    const segments = [];
+    let segment = null;
+    let previous = null;
+    for (const run of runs) {
+      const gap = previous ? run.x - (previous.x + previous.width) : 0;
+      if (!segment || gap > 2) {
+        segment = { x: run.x, text: run.text };
+        segments.push(segment);
+      } else {
+        const needsSpace = gap > 0.15 && !/\s$/.test(segment.text) && !/^\s/.test(run.text);
+        segment.text += (needsSpace ? ' ' : '') + run.text;
+      }
+      previous = run;
+    }
+
+    // A line takes the size and weight most of its characters are set in
+    const charsPerSize = new Map();
+    let boldChars = 0;
+    let totalChars = 0;
+    for (const run of runs) {
+      const length = run.text.trim().length;
+      charsPerSize.set(run.size, (charsPerSize.get(run.size) || 0) + length);
+      if (run.bold) boldChars += length;
+      totalChars += length;
+    }
+
+    const cleanSegments = segments
+      .map(item => ({ x: item.x, text: item.text.replace(/\s+/g, ' ').trim() }))
+      .filter(item => item.text.length > 0);
+
+    return {
+      y: runs[0].y,
+      x: runs[0].x,
+      size: [...charsPerSize.entries()].sort((a, b) => b[1] - a[1])[0][0],
+      bold: totalChars > 0 && boldChars === totalChars,
+      segments: cleanSegments,
+      text: cleanSegments.map(item => item.text).join(' ')
+    };
+  }
+
+  /**
+   * Group the lines of a page into headings and paragraphs
+   */
+  buildPdfBlocks(lines, bodySize, headingSizes) {
+    const blocks = [];
+    let previousLine = null;
+
+    for (const line of lines) {
+      if (!line.text) continue;
+
+      let level = 0;
+      if (line.text.length <= 120) {
+        const rank = headingSizes.findIndex(size => line.size === size);
+        if (rank !== -1) {
+          level = Math.min(rank + 1, 3);
+        } else if (line.bold && !/[.,;:]$/.test(line.text)) {
+          level = Math.min(headingSizes.length + 1, 3);
+        }
+      }
+
+      // Lines further apart than ~1.4 lines of their size start a new block
+      const lineHeight = (line.size / 16) * 1.4;
+      const block = blocks[blocks.length - 1];
+      const continues = block && previousLine &&
+        line.y - previousLine.y <= lineHeight &&
+        (block.type === 'heading' ? block.level === level : level === 0);
+
+      if (continues) {
+        block.text = block.text.endsWith('-') && /^[a-z]/.test(line.text)
+          ? block.text.slice(0, -1) + line.text
+          : `${block.text} ${line.text}`;
+        block.lines.push(line);
+      } else if (level > 0) {
+        blocks.push({ type: 'heading', level, text: line.text, lines: [line] });
+      } else {
+        blocks.push({ type: 'paragraph', text: line.text, lines: [line] });
+      }
+      previousLine = line;
+    }
+
+    return blocks;
+  }
+
+  /**
+   * Extracted PDF text as plain text with a marker line at each page break
+   */
+  pdfTextToPlain(extracted) {
+    return extracted.pages.map((page) => {
+      const body = page.blocks.length > 0
+        ? page.blocks.map(block => block.text).join('\n\n')
+        : PDF_NO_TEXT_NOTE;
+      return `--- Page ${page.number} ---\n\n${body}\n`;
+    }).join('\n');
+  }
+
   /**
    * PDF to Text extraction
    */
   async pdfToText(pdfBytes, outputPath) {
     try {
-      const pdfDoc = await PDFLib.load(pdfBytes);
-      const pages = pdfDoc.getPages();
-      
+      const extracted = await this.extractPdfText(pdfBytes);
+
       let textContent = `FortiMorph PDF to Text Conversion\n`;
+      if (extracted.info.title) textContent += `Title: ${extracted.info.title}\n`;
       textContent += `Generated: ${new Date().toLocaleString()}\n`;
-      textContent += `Total Pages: ${pages.length}\n`;
+      textContent += `Total Pages: ${extracted.info.pageCount}\n`;
       textContent += `${'='.repeat(60)}\n\n`;
-      
-      // Note: pdf-lib doesn't have built-in text extraction
-      // For production, you'd want to use pdf-parse or similar
-      // For now, provide a structured output
-      pages.forEach((page, i) => {
-        textContent += `--- Page ${i + 1} ---\n`;
-        textContent += `Width: ${page.getWidth()}, Height: ${page.getHeight()}\n`;
-        textContent += `[Text extraction requires additional library - pdf-parse]\n\n`;
-      });
-      
+      textContent += this.pdfTextToPlain(extracted);
+
       await fs.writeFile(outputPath, textContent, 'utf-8');
     } catch (error) {
       throw new Error(`PDF to Text failed: ${error.message}`);
@@ -1231,33 +1670,43 @@ ${lines.map((line, i) => `    <line number="${i + 1}">${this.escapeHtml(line)}</
    * PDF to HTML conversion
    */
   async pdfToHTML(pdfBytes, outputPath) {
-    const pdfDoc = await PDFLib.load(pdfBytes);
-    const pageCount = pdfDoc.getPageCount();
+    const extracted = await this.extractPdfText(pdfBytes);
+    const pageCount = extracted.info.pageCount;
+    const title = this.escapeHtml(extracted.info.title || 'FortiMorph PDF Conversion');
     
     let html = `<!DOCTYPE html>
 <html>
 <head>
   <meta charset="UTF-8">
-  <title>FortiMorph PDF Conversion</title>
+  <title>${title}</title>
   <style>
     body { font-family: Arial, sans-serif; max-width: 800px; margin: 0 auto; padding: 20px; }
     .page { border: 1px solid #ccc; margin: 20px 0; padding: 20px; background: white; }
     .page-header { font-weight: bold; color: #007acc; margin-bottom: 15px; }
     .metadata { background: #f5f5f5; padding: 15px; border-radius: 8px; margin-bottom: 20px; }
+    .empty { color: #888; font-style: italic; }
   </style>
 </head>
 <body>
   <div class="metadata">
-    <h1>📄 PDF Document</h1>
+    <h1>📄 ${title}</h1>
     <p><strong>Converted:</strong> ${new Date().toLocaleString()}</p>
     <p><strong>Total Pages:</strong> ${pageCount}</p>
     <p><strong>Tool:</strong> FortiMorph Conversion Center</p>
   </div>`;
     
-    for (let i = 0; i < pageCount; i++) {
+    for (const page of extracted.pages) {
+      const content = page.blocks.length > 0
+        ? page.blocks.map((block) => {
+          // h1 is the document title above, so PDF headings start at h2
+          const tag = block.type === 'heading' ? `h${block.level + 1}` : 'p';
+          return `    <${tag}>${this.escapeHtml(block.text)}</${tag}>`;
+        }).join('\n')
+        : `    <p class="empty">${this.escapeHtml(PDF_NO_TEXT_NOTE)}</p>`;
+
       html += `\n  <div class="page">
-    <div class="page-header">Page ${i + 1} of ${pageCount}</div>
-    <p>[PDF content would appear here - full text extraction requires pdf-parse library]</p>
+    <div class="page-header">Page ${page.number} of ${pageCount}</div>
+${content}
   </div>`;
     }
     
@@ -1270,17 +1719,24 @@ ${lines.map((line, i) => `    <line number="${i + 1}">${this.escapeHtml(line)}</
    * PDF to Markdown conversion
    */
   async pdfToMarkdown(pdfBytes, outputPath) {
-    const pdfDoc = await PDFLib.load(pdfBytes);
-    const pageCount = pdfDoc.getPageCount();
+    const extracted = await this.extractPdfText(pdfBytes);
     
-    let markdown = `# PDF Document\n\n`;
+    let markdown = `# ${extracted.info.title || 'PDF Document'}\n\n`;
     markdown += `**Converted:** ${new Date().toLocaleString()}\n`;
-    markdown += `**Total Pages:** ${pageCount}\n\n`;
-    markdown += `---\n\n`;
+    markdown += `**Total Pages:** ${extracted.info.pageCount}\n\n`;
     
-    for (let i = 0; i < pageCount; i++) {
-      markdown += `## Page ${i + 1}\n\n`;
-      markdown += `[Content from page ${i + 1} - full text extraction requires pdf-parse library]\n\n`;
+    for (const page of extracted.pages) {
+      markdown += `---\n\n<!-- Page ${page.number} -->\n\n`;
+      if (page.blocks.length === 0) {
+        markdown += `*${PDF_NO_TEXT_NOTE}*\n\n`;
+      }
+      for (const block of page.blocks) {
+        // Escape characters that would otherwise start Markdown syntax at the beginning of a line
+        const text = block.text.replace(/^([#>*+-])(\s)/, '\\$1$2').replace(/^(\d+)\.(\s)/, '$1\\.$2');
+        markdown += block.type === 'heading'
+          ? `${'#'.repeat(block.level + 1)} ${block.text}\n\n`
+          : `${text}\n\n`;
+      }
     }
     
     await fs.writeFile(outputPath, markdown, 'utf-8');
@@ -1290,158 +1746,87 @@ ${lines.map((line, i) => `    <line number="${i + 1}">${this.escapeHtml(line)}</
    * PDF to Word (DOCX) conversion - Electron-compatible version
    */
   async pdfToWord(pdfBytes, outputPath, outputExt) {
-    return new Promise((resolve, reject) => {
-      try {
-        const pdfParser = new PDFParser(null, 1);
-        const tempPath = outputPath + '.temp.pdf';
-        
-        // Write PDF bytes to temp file for parsing
-        fsSync.writeFileSync(tempPath, Buffer.from(pdfBytes));
-        
-        let extractedText = '';
-        let pageCount = 0;
-        let pdfInfo = {};
-        
-        pdfParser.on('pdfParser_dataError', async (errData) => {
-          console.warn('[PDF to Word] PDF parsing warning:', errData.parserError);
-          // Continue with fallback even on error
-          await this.createFallbackDocx(pdfBytes, outputPath, 'Text extraction encountered an issue');
-          try { await fs.unlink(tempPath); } catch (e) { }
-          resolve();
-        });
-        
-        pdfParser.on('pdfParser_dataReady', async (pdfData) => {
-          try {
-            // Extract metadata
-            pdfInfo = pdfData.Meta || {};
-            pageCount = pdfData.Pages ? pdfData.Pages.length : 0;
-            
-            // Extract text from all pages
-            const allText = [];
-            if (pdfData.Pages) {
-              for (const page of pdfData.Pages) {
-                if (page.Texts) {
-                  for (const text of page.Texts) {
-                    if (text.R && text.R[0] && text.R[0].T) {
-                      // Decode URI-encoded text
-                      const decodedText = decodeURIComponent(text.R[0].T);
-                      allText.push(decodedText);
-                    }
-                  }
-                }
-              }
-            }
-            
-            extractedText = allText.join(' ');
-            
-            // Split text into paragraphs
-            const paragraphs = extractedText
-              .split(/[.!?]\s+/)
-              .filter(p => p.trim().length > 20)
-              .map(p => p.trim() + '.');
-            
-            // Create DOCX document sections
-            const docSections = [];
-            
-            // Add title section if PDF has title metadata
-            if (pdfInfo.Title) {
-              docSections.push(
-                new Paragraph({
-                  text: pdfInfo.Title,
-                  heading: HeadingLevel.HEADING_1,
-                  alignment: AlignmentType.CENTER,
-                  spacing: { after: 400 }
-                })
-              );
-            }
-            
-            // Add metadata section
-            const metadataItems = [];
-            if (pdfInfo.Author) metadataItems.push(`Author: ${pdfInfo.Author}`);
-            if (pdfInfo.Subject) metadataItems.push(`Subject: ${pdfInfo.Subject}`);
-            if (pageCount) metadataItems.push(`Pages: ${pageCount}`);
-            metadataItems.push(`Converted: ${new Date().toLocaleDateString()}`);
-            
-            docSections.push(
-              new Paragraph({
-                text: metadataItems.join(' | '),
-                italics: true,
-                spacing: { after: 400 }
-              })
-            );
-            
-            // Add all paragraphs as document content
-            if (paragraphs.length > 0) {
-              paragraphs.forEach(para => {
-                // Check if paragraph looks like a heading
-                const isHeading = para.length < 100 && (
-                  para === para.toUpperCase() || 
-                  /^(Chapter|Section|\d+\.)/.test(para)
-                );
-                
-                docSections.push(
-                  new Paragraph({
-                    text: para,
-                    heading: isHeading ? HeadingLevel.HEADING_2 : undefined,
-                    spacing: { after: 200 }
-                  })
-                );
-              });
-            } else {
-              // If no text extracted, add a note
-              docSections.push(
-                new Paragraph({
-                  text: 'Note: This PDF may contain images, complex formatting, or scanned content.',
-                  italics: true,
-                  spacing: { after: 200 }
-                })
-              );
-              docSections.push(
-                new Paragraph({
-                  text: `Total pages in original PDF: ${pageCount}`,
-                  spacing: { after: 200 }
-                })
-              );
-            }
-            
-            // Create the Word document
-            const doc = new Document({
-              sections: [{
-                properties: {},
-                children: docSections
-              }]
-            });
-            
-            // Generate and save the document
-            const buffer = await Packer.toBuffer(doc);
-            await fs.writeFile(outputPath, buffer);
-            
-            // Clean up temp file
-            try { await fs.unlink(tempPath); } catch (e) { }
-            
-            console.log(`[PDF to Word] Successfully converted PDF to DOCX: ${outputPath}`);
-            console.log(`[PDF to Word] Extracted ${paragraphs.length} paragraphs from ${pageCount} pages`);
-            
-            resolve();
-            
-          } catch (error) {
-            console.error('[PDF to Word] Error processing PDF data:', error);
-            await this.createFallbackDocx(pdfBytes, outputPath, error.message);
-            try { await fs.unlink(tempPath); } catch (e) { }
-            resolve();
-          }
-        });
-        
-        // Load PDF file
-        pdfParser.loadPDF(tempPath);
-        
-      } catch (error) {
-        console.error('[PDF to Word] Conversion error:', error);
-        this.createFallbackDocx(pdfBytes, outputPath, error.message)
-          .then(resolve)
-          .catch(reject);
+    let extracted;
+    try {
+      extracted = await this.extractPdfText(pdfBytes);
+    } catch (error) {
+      console.warn('[PDF to Word] PDF parsing warning:', error.message);
+      // Continue with fallback even on error
+      await this.createFallbackDocx(pdfBytes, outputPath, 'Text extraction encountered an issue');
+      return;
+    }
+
+    try {
+      const { info } = extracted;
+      const headingLevels = [HeadingLevel.HEADING_1, HeadingLevel.HEADING_2, HeadingLevel.HEADING_3];
+
+      // Create DOCX document sections
+      const docSections = [];
+
+      // Add title section if PDF has title metadata
+      if (info.title) {
+        docSections.push(
+          new Paragraph({
+            text: info.title,
+            heading: HeadingLevel.TITLE,
+            alignment: AlignmentType.CENTER,
+            spacing: { after: 400 }
+          })
+        );
       }
-    });
+
+      // Add metadata section
+      const metadataItems = [];
+      if (info.author) metadataItems.push(`Author: ${info.author}`);
+      if (info.subject) metadataItems.push(`Subject: ${info.subject}`);
+      if (info.pageCount) metadataItems.push(`Pages: ${info.pageCount}`);
+      metadataItems.push(`Converted: ${new Date().toLocaleDateString()}`);
+
+      docSections.push(
+        new Paragraph({
+          children: [new TextRun({ text: metadataItems.join(' | '), italics: true })],
+          spacing: { after: 400 }
+        })
+      );
+
+      // Each PDF page starts on a new page in the document
+      let blockCount = 0;
+      extracted.pages.forEach((page, pageIndex) => {
+        const blocks = page.blocks.length > 0
+          ? page.blocks
+          : [{ type: 'note', text: PDF_NO_TEXT_NOTE }];
+
+        blocks.forEach((block, blockIndex) => {
+          docSections.push(
+            new Paragraph({
+              children: [new TextRun({ text: block.text, italics: block.type === 'note' })],
+              heading: block.type === 'heading' ? headingLevels[block.level - 1] : undefined,
+              pageBreakBefore: pageIndex > 0 && blockIndex === 0,
+              spacing: { after: 200 }
+            })
+          );
+        });
+        blockCount += page.blocks.length;
+      });
+
+      // Create the Word document
+      const doc = new Document({
+        sections: [{
+          properties: {},
+          children: docSections
+        }]
+      });
+
+      // Generate and save the document
+      const buffer = await Packer.toBuffer(doc);
+      await fs.writeFile(outputPath, buffer);
+
+      console.log(`[PDF to Word] Successfully converted PDF to DOCX: ${outputPath}`);
+      console.log(`[PDF to Word] Extracted ${blockCount} headings and paragraphs from ${info.pageCount} pages`);
+    } catch (error) {
+      console.error('[PDF to Word] Error processing PDF data:', error);
+      await this.createFallbackDocx(pdfBytes, outputPath, error.message);
+    }
   }
 
   /**
@@ -1515,63 +1900,61 @@ ${lines.map((line, i) => `    <line number="${i + 1}">${this.escapeHtml(line)}</
 
   /**
    * PDF to Spreadsheet (CSV/Excel) conversion
+   * One row per text line; runs separated by a wide gap (table columns) go in separate cells.
    */
   async pdfToSpreadsheet(pdfBytes, outputPath, outputExt) {
-    const pdfDoc = await PDFLib.load(pdfBytes);
-    const pageCount = pdfDoc.getPageCount();
-    
-    // Create CSV format (table extraction would require pdf-parse)
-    let csvContent = `"Page","Content","Note"\n`;
-    for (let i = 0; i < pageCount; i++) {
-      csvContent += `"${i + 1}","PDF content page ${i + 1}","Full table extraction requires pdf-parse library"\n`;
+    const extracted = await this.extractPdfText(pdfBytes);
+    const cell = value => `"${String(value).replace(/"/g, '""')}"`;
+
+    const rows = [];
+    for (const page of extracted.pages) {
+      page.lines.forEach((line, index) => {
+        if (line.segments.length > 0) {
+          rows.push([page.number, index + 1, ...line.segments.map(segment => segment.text)]);
+        }
+      });
     }
-    
-    await fs.writeFile(outputPath, csvContent, 'utf-8');
-  }
 
-  /**
-   * PDF to PowerPoint conversion
-   */
-  async pdfToPresentation(pdfBytes, outputPath) {
-    const pdfDoc = await PDFLib.load(pdfBytes);
-    const pageCount = pdfDoc.getPageCount();
-    
-    // Create a text representation (full PPTX requires pptxgenjs)
-    const textContent = `FortiMorph PDF to PowerPoint\n\nSlides: ${pageCount}\n\nEach PDF page becomes a slide.\n[Full conversion requires pptxgenjs library]`;
-    
-    await fs.writeFile(outputPath.replace('.pptx', '.txt'), textContent, 'utf-8');
-    await fs.rename(outputPath.replace('.pptx', '.txt'), outputPath);
-  }
+    const columnCount = Math.max(1, ...rows.map(row => row.length - 2));
+    const header = ['Page', 'Line', ...Array.from({ length: columnCount }, (_, i) => (columnCount === 1 ? 'Text' : `Column ${i + 1}`))];
 
-  /**
-   * PDF to Images (each page as separate image)
-   */
-  async pdfToImages(inputPath, outputPath, imageFormat) {
-    // This would require pdf-poppler or pdf2pic
-    // For now, create a placeholder
-    const pdfBytes = await fs.readFile(inputPath);
-    const pdfDoc = await PDFLib.load(pdfBytes);
-    const pageCount = pdfDoc.getPageCount();
-    
-    // Create a info file explaining what would happen
-    const infoText = `PDF to Image Conversion\n\nThis PDF has ${pageCount} pages.\nEach page would be converted to a separate ${imageFormat} file.\n\nFull conversion requires pdf-poppler or pdf2pic library.`;
-    
-    await fs.writeFile(outputPath.replace(new RegExp(imageFormat + '$'), '.txt'), infoText, 'utf-8');
-    await fs.rename(outputPath.replace(new RegExp(imageFormat + '$'), '.txt'), outputPath);
+    const csvContent = [header, ...rows].map(row => row.map(cell).join(',')).join('\n') + '\n';
+    await fs.writeFile(outputPath, csvContent, 'utf-8');
   }
 
   /**
    * PDF to SVG conversion
+   * Pages are stacked vertically with each text line at its position on the page.
    */
   async pdfToSVG(pdfBytes, outputPath) {
-    const pdfDoc = await PDFLib.load(pdfBytes);
-    const pageCount = pdfDoc.getPageCount();
-    
+    const extracted = await this.extractPdfText(pdfBytes);
+    const unit = 16; // pdf2json page unit in points
+    const pageGap = 20;
+
+    let offset = 0;
+    let width = 0;
+    const elements = [];
+    for (const page of extracted.pages) {
+      const pageWidth = Math.round(page.width * unit);
+      const pageHeight = Math.round(page.height * unit);
+      width = Math.max(width, pageWidth);
+
+      elements.push(`  <rect x="0" y="${offset}" width="${pageWidth}" height="${pageHeight}" fill="white" stroke="#cccccc"/>`);
+      for (const line of page.lines) {
+        // pdf2json font sizes are in pixels; the line position is the top of the text
+        const fontSize = Math.round(line.size * 0.75 * 10) / 10;
+        const y = Math.round((offset + line.y * unit + fontSize) * 10) / 10;
+        for (const segment of line.segments) {
+          elements.push(`  <text x="${Math.round(segment.x * unit * 10) / 10}" y="${y}" font-family="Arial" font-size="${fontSize}"${line.bold ? ' font-weight="bold"' : ''}>${this.escapeHtml(segment.text)}</text>`);
+        }
+      }
+      offset += pageHeight + pageGap;
+    }
+
+    const height = Math.max(offset - pageGap, 0);
     const svgContent = `<?xml version="1.0" encoding="UTF-8"?>
-<svg xmlns="http://www.w3.org/2000/svg" width="800" height="1000">
-  <text x="50" y="50" font-family="Arial" font-size="20">FortiMorph PDF to SVG</text>
-  <text x="50" y="80" font-family="Arial" font-size="14">Pages: ${pageCount}</text>
-  <text x="50" y="110" font-family="Arial" font-size="12">Full conversion requires pdf2svg or similar</text>
+<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+${elements.join('\n')}
 </svg>`;
     
     await fs.writeFile(outputPath, svgContent, 'utf-8');
@@ -1581,68 +1964,58 @@ ${lines.map((line, i) => `    <line number="${i + 1}">${this.escapeHtml(line)}</
    * PDF to RTF conversion
    */
   async pdfToRTF(pdfBytes, outputPath) {
-    const pdfDoc = await PDFLib.load(pdfBytes);
-    const pageCount = pdfDoc.getPageCount();
+    const extracted = await this.extractPdfText(pdfBytes);
+
+    // RTF is 7-bit: escape control characters and write everything else as \uN
+    const rtfText = text => text
+      .replace(/[\\{}]/g, match => `\\${match}`)
+      .replace(/[^\x20-\x7e]/g, char => `\\u${char.charCodeAt(0) > 32767 ? char.charCodeAt(0) - 65536 : char.charCodeAt(0)}?`);
+    const headingSizes = { 1: 36, 2: 30, 3: 26 };
+
+    const pages = extracted.pages.map((page) => {
+      if (page.blocks.length === 0) {
+        return `{\\i ${rtfText(PDF_NO_TEXT_NOTE)}}\\par`;
+      }
+      return page.blocks.map(block => (block.type === 'heading'
+        ? `{\\b\\fs${headingSizes[block.level]} ${rtfText(block.text)}}\\par\n\\par`
+        : `${rtfText(block.text)}\\par\n\\par`)).join('\n');
+    });
     
     const rtfContent = `{\\rtf1\\ansi\\deff0
 {\\fonttbl{\\f0 Times New Roman;}}
+{\\info{\\title ${rtfText(extracted.info.title || 'FortiMorph PDF to RTF Conversion')}}}
 \\f0\\fs24
-FortiMorph PDF to RTF Conversion\\par
-\\par
-Total Pages: ${pageCount}\\par
-\\par
-[Full text extraction requires pdf-parse library]\\par
+${pages.join('\n\\page\n')}
 }`;
     
     await fs.writeFile(outputPath, rtfContent, 'utf-8');
   }
 
-  /**
-   * PDF to ODT (OpenDocument Text) conversion
-   */
-  async pdfToODT(pdfBytes, outputPath) {
-    // ODT is a zipped XML format
-    // For now, create a simple text file
-    const pdfDoc = await PDFLib.load(pdfBytes);
-    const pageCount = pdfDoc.getPageCount();
-    
-    const textContent = `FortiMorph PDF to ODT\n\nPages: ${pageCount}\n\n[Full ODT creation requires odt-generator library]`;
-    
-    await fs.writeFile(outputPath.replace('.odt', '.txt'), textContent, 'utf-8');
-    await fs.rename(outputPath.replace('.odt', '.txt'), outputPath);
-  }
-
-  /**
-   * PDF to ePub conversion
-   */
-  async pdfToEpub(pdfBytes, outputPath) {
-    const pdfDoc = await PDFLib.load(pdfBytes);
-    const pageCount = pdfDoc.getPageCount();
-    
-    // ePub is a zipped format with HTML chapters
-    // For now, create placeholder
-    const textContent = `FortiMorph PDF to ePub\n\nPages: ${pageCount}\n\nEach page would become a chapter.\n[Full ePub creation requires epub-gen library]`;
-    
-    await fs.writeFile(outputPath.replace('.epub', '.txt'), textContent, 'utf-8');
-    await fs.rename(outputPath.replace('.epub', '.txt'), outputPath);
-  }
-
   /**
    * PDF to XML conversion
    */
   async pdfToXML(pdfBytes, outputPath) {
-    const pdfDoc = await PDFLib.load(pdfBytes);
-    const pageCount = pdfDoc.getPageCount();
+    const extracted = await this.extractPdfText(pdfBytes);
+    const { info } = extracted;
+
+    const pages = extracted.pages.map((page) => {
+      const blocks = page.blocks.map(block => (block.type === 'heading'
+        ? `      <heading level="${block.level}">${this.escapeHtml(block.text)}</heading>`
+        : `      <paragraph>${this.escapeHtml(block.text)}</paragraph>`));
+      return blocks.length > 0
+        ? `    <page number="${page.number}">\n${blocks.join('\n')}\n    </page>`
+        : `    <page number="${page.number}"/>`;
+    });
     
     const xmlContent = `<?xml version="1.0" encoding="UTF-8"?>
 <pdf-document>
   <metadata>
     <converter>FortiMorph</converter>
     <date>${new Date().toISOString()}</date>
-    <pages>${pageCount}</pages>
+    <pages>${info.pageCount}</pages>${info.title ? `\n    <title>${this.escapeHtml(info.title)}</title>` : ''}${info.author ? `\n    <author>${this.escapeHtml(info.author)}</author>` : ''}
   </metadata>
   <content>
-    <!-- Full text extraction requires pdf-parse library -->
+${pages.join('\n')}
   </content>
 </pdf-document>`;
     
@@ -1727,6 +2100,9 @@ Total Pages: ${pageCount}\\par
   async verifyConversion(conversionId) {
     const record = await this.db.getConversionById(conversionId);
     if (!record) throw new Error('Conversion record not found');
+    if (record.items) {
+      return this.verifyBatchConversion(record);
+    }
 
     try {
       // Verify hash integrity
@@ -1791,6 +2167,72 @@ Total Pages: ${pageCount}\\par
     }
   }
 
+  /**
+   * Verify every completed output of a batch record against the hashes taken at conversion
+   */
+  async verifyBatchConversion(record) {
+    const outputs = JSON.parse(record.items).filter(item => item.status === 'completed');
+    const mismatched = [];
+
+    try {
+      for (const item of outputs) {
+        const currentHash = await this.calculateHash(item.outputPath).catch(() => null);
+        if (currentHash !== item.outputHash) {
+          mismatched.push(item.outputPath);
+        }
+      }
+
+      let virusScan = null;
+      try {
+        const results = await Promise.race([
+          antivirusService.scanFiles(outputs.map(item => item.outputPath)),
+          new Promise((_, reject) =>
+            setTimeout(() => reject(new Error('Virus scan timeout')), 10000)
+          )
+        ]);
+        virusScan = {
+          isClean: results.threatsFound === 0,
+          threat: results.details.filter(detail => !detail.skipped && !detail.isClean).map(detail => detail.threat).filter(Boolean).join(', ') || null,
+          message: `${results.cleanFiles} clean, ${results.threatsFound} threats, ${results.skipped} skipped`,
+          skipped: results.skipped === results.totalScanned,
+          scanned: results.totalScanned > results.skipped
+        };
+      } catch (scanError) {
+        virusScan = {
+          isClean: true,
+          threat: null,
+          message: scanError.message.includes('timeout')
+            ? 'Virus scan timeout - files too large or system busy'
+            : 'Virus scan unavailable',
+          skipped: true,
+          scanned: false,
+          error: scanError.message
+        };
+      }
+
+      const isValid = mismatched.length === 0;
+      await this.logs.info('Conversion batch verified', 'ConversionService', {
+        conversionId: record.id,
+        batchId: record.batch_id,
+        isValid,
+        checked: outputs.length,
+        mismatched
+      });
+
+      return {
+        isValid,
+        checked: outputs.length,
+        mismatched,
+        virusScan,
+        error: isValid ? null : `${mismatched.length} of ${outputs.length} files were modified or removed since conversion`
+      };
+    } catch (error) {
+      const userId = this.getUserId ? this.getUserId() : null;
+      await this.logs.error(`Verification failed: ${error.message}`, 'ConversionService', null, userId);
+      return { isValid: false, checked: outputs.length, mismatched, error: error.message, virusScan: null };
+    }
+  }
+
   /**
    * Get the most recent conversion output directory
    * @returns {Promise<string>} Most recent output directory or Downloads folder
@@ -0,0 +1,156 @@
+/**
+ * Converter registry
+ * Every conversion FortiMorph offers is a registered (input, output) pair:
+ *
+ *   inputs        extensions the converter reads, or ANY_INPUT
+ *   outputs       extensions it writes
+ *   convert       (inputPath, outputPath, { inputExt, outputExt }) => Promise
+ *   dependencies  npm packages the implementation needs
+ *   fidelity      how much of the input survives (FIDELITY below)
+ *   fallback      ANY_INPUT converters that only apply to inputs with no specific converter
+ *   exclude       inputs an ANY_INPUT converter does not apply to
+ *
+ * A specific pair wins over an ANY_INPUT one. Pairs whose dependencies are not installed stay
+ * registered (so they can be reported) but are never offered. The formats shown to users come
+ * from here, so a pair must only be registered once it has a working implementation -
+ * test-conversions.js runs every registered pair against generated fixture files.
+ */
+
+const ANY_INPUT = '*';
+
+const FIDELITY = {
+  EXACT: 'exact', // same content, nothing lost (lossless image formats, archive repacking, text copies)
+  HIGH: 'high', // content and structure kept, formatting may change (Markdown/DOCX to HTML, CSV to JSON)
+  TEXT_ONLY: 'text-only', // text is extracted, layout, images and styling are lost
+  EMBEDDED: 'embedded', // the source text is embedded verbatim (code in a PDF, RTF markup as text)
+  PACKAGED: 'packaged' // the file is stored unchanged inside an archive
+};
+
+const installed = new Map();
+
+/**
+ * Whether an npm package can be loaded
+ */
+function isInstalled(name) {
+  if (!installed.has(name)) {
+    try {
+      require.resolve(name);
+      installed.set(name, true);
+    } catch (error) {
+      installed.set(name, false);
+    }
+  }
+  return installed.get(name);
+}
+
+class ConverterRegistry {
+  constructor() {
+    this.converters = [];
+  }
+
+  /**
+   * Register a converter for every (input, output) combination of its extensions
+   * @returns {ConverterRegistry} this, for chaining
+   */
+  register({ inputs, outputs, convert, dependencies = [], fidelity, fallback = false, exclude = [] }) {
+    if (typeof convert !== 'function') {
+      throw new Error('Converter must have a convert function');
+    }
+    if (!Object.values(FIDELITY).includes(fidelity)) {
+      throw new Error(`Unknown converter fidelity: ${fidelity}`);
+    }
+    if (fallback && inputs !== ANY_INPUT) {
+      throw new Error('Only ANY_INPUT converters can be fallbacks');
+    }
+
+    this.converters.push({
+      inputs: inputs === ANY_INPUT ? ANY_INPUT : inputs.map(ext => ext.toLowerCase()),
+      outputs: outputs.map(ext => ext.toLowerCase()),
+      convert,
+      dependencies,
+      fidelity,
+      fallback,
+      exclude: exclude.map(ext => ext.toLowerCase())
+    });
+    return this;
+  }
+
+  /**
+   * Converters that apply to an input, most specific first
+   */
+  matching(inputExt) {
+    const ext = inputExt.toLowerCase();
+    const specific = this.converters.filter(converter => converter.inputs !== ANY_INPUT && converter.inputs.includes(ext));
+    const generic = this.converters.filter(converter => converter.inputs === ANY_INPUT &&
+      !converter.exclude.includes(ext) && (!converter.fallback || specific.length === 0));
+
+    return [...specific, ...generic];
+  }
+
+  /**
+   * Find the converter for a pair
+   * @returns {Object|null} { convert, dependencies, fidelity, missing } - missing lists uninstalled dependencies
+   */
+  find(inputExt, outputExt) {
+    const converter = this.matching(inputExt).find(candidate => candidate.outputs.includes(outputExt.toLowerCase()));
+    if (!converter) {
+      return null;
+    }
+
+    return {
+      convert: converter.convert,
+      dependencies: converter.dependencies,
+      fidelity: converter.fidelity,
+      missing: converter.dependencies.filter(name => !isInstalled(name))
+    };
+  }
+
+  /**
+   * Output extensions available for an input, in registration order
+   */
+  getOutputFormats(inputExt) {
+    const ext = inputExt.toLowerCase();
+    const formats = [];
+    for (const converter of this.matching(ext)) {
+      if (!converter.dependencies.every(isInstalled)) continue;
+      for (const output of converter.outputs) {
+        if (output !== ext && !formats.includes(output)) {
+          formats.push(output);
+        }
+      }
+    }
+    return formats;
+  }
+
+  /**
+   * Every registered pair, for reporting and the conversion test harness
+   * @returns {Array<Object>} { input, output, fidelity, dependencies, missing, fallback, exclude } - input is ANY_INPUT for generic converters
+   */
+  listPairs() {
+    const pairs = [];
+    for (const converter of this.converters) {
+      const inputs = converter.inputs === ANY_INPUT ? [ANY_INPUT] : converter.inputs;
+      for (const input of inputs) {
+        for (const output of converter.outputs) {
+          if (input === output) continue;
+          pairs.push({
+            input,
+            output,
+            fidelity: converter.fidelity,
+            dependencies: converter.dependencies,
+            missing: converter.dependencies.filter(name => !isInstalled(name)),
+            fallback: converter.fallback,
+            exclude: converter.exclude
+          });
+        }
+      }
+    }
+    return pairs;
+  }
+}
+
+module.exports = {
+  ANY_INPUT,
+  ConverterRegistry,
+  FIDELITY
+};
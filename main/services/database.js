@@ -244,6 +244,137 @@ class DatabaseService {
       console.warn('Migration check for backups table:', error.message);
     }
 
+    // Add job_id column to backups if it doesn't exist (set for scheduled backups)
+    try {
+      const checkStmt = this.db.prepare("PRAGMA table_info(backups)");
+      let hasJobId = false;
+      while (checkStmt.step()) {
+        const row = checkStmt.getAsObject();
+        if (row.name === 'job_id') {
+          hasJobId = true;
+          break;
+        }
+      }
+      checkStmt.free();
+      
+      if (!hasJobId) {
+        console.log('Migrating backups table: adding job_id column');
+        this.db.exec(`ALTER TABLE backups ADD COLUMN job_id INTEGER`);
+      }
+    } catch (error) {
+      console.warn('Migration check for backups job_id:', error.message);
+    }
+
+    // Add integrity columns to backups if they don't exist (set by verification and the scrubber)
+    try {
+      const checkStmt = this.db.prepare("PRAGMA table_info(backups)");
+      let hasVerifiedAt = false;
+      while (checkStmt.step()) {
+        const row = checkStmt.getAsObject();
+        if (row.name === 'verified_at') {
+          hasVerifiedAt = true;
+          break;
+        }
+      }
+      checkStmt.free();
+      
+      if (!hasVerifiedAt) {
+        console.log('Migrating backups table: adding verification columns');
+        this.db.exec(`ALTER TABLE backups ADD COLUMN verified_at INTEGER`);
+        this.db.exec(`ALTER TABLE backups ADD COLUMN verify_status TEXT`);
+        this.db.exec(`ALTER TABLE backups ADD COLUMN verify_result TEXT`);
+      }
+    } catch (error) {
+      console.warn('Migration check for backups verification columns:', error.message);
+    }
+
+    // Scheduled backup jobs
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS backup_jobs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id TEXT,
+        name TEXT NOT NULL,
+        source_path TEXT NOT NULL,
+        schedule TEXT NOT NULL,
+        options TEXT,
+        retention TEXT,
+        enabled INTEGER DEFAULT 1,
+        last_run_at INTEGER,
+        last_status TEXT,
+        last_error TEXT,
+        next_run_at INTEGER,
+        created_at INTEGER DEFAULT (strftime('%s', 'now'))
+      )
+    `);
+
+    // Where backups are copied to besides the local store
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS backup_destinations (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id TEXT,
+        name TEXT NOT NULL,
+        type TEXT NOT NULL,
+        config TEXT,
+        enabled INTEGER DEFAULT 1,
+        last_used_at INTEGER,
+        last_error TEXT,
+        created_at INTEGER DEFAULT (strftime('%s', 'now'))
+      )
+    `);
+
+    // Upload state of each backup on each destination (used to resume interrupted uploads)
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS backup_destination_copies (
+        backup_id INTEGER NOT NULL,
+        destination_id INTEGER NOT NULL,
+        status TEXT NOT NULL,
+        files_total INTEGER DEFAULT 0,
+        files_done INTEGER DEFAULT 0,
+        bytes_done INTEGER DEFAULT 0,
+        error TEXT,
+        updated_at INTEGER DEFAULT (strftime('%s', 'now')),
+        PRIMARY KEY (backup_id, destination_id)
+      )
+    `);
+
+    // Every stored version of every backed-up file, so file history doesn't parse manifests
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS backup_file_versions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        backup_id INTEGER NOT NULL,
+        user_id TEXT,
+        original_path TEXT NOT NULL,
+        relative_path TEXT NOT NULL,
+        size INTEGER,
+        modified INTEGER,
+        hash TEXT,
+        reason TEXT,
+        created_at INTEGER
+      )
+    `);
+
+    // Backup chunk index (content-addressed chunk store)
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS backup_chunks (
+        hash TEXT NOT NULL,
+        scope TEXT NOT NULL,
+        size INTEGER NOT NULL,
+        stored_size INTEGER NOT NULL,
+        created_at INTEGER DEFAULT (strftime('%s', 'now')),
+        PRIMARY KEY (hash, scope)
+      )
+    `);
+
+    // Which backups reference which chunks (used for garbage collection)
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS backup_chunk_refs (
+        backup_id INTEGER NOT NULL,
+        hash TEXT NOT NULL,
+        scope TEXT NOT NULL,
+        PRIMARY KEY (backup_id, hash, scope)
+      )
+    `);
+
     // Deletion manifest table (quarantine)
     this.db.exec(`
       CREATE TABLE IF NOT EXISTS deletion_manifest (
@@ -362,6 +493,14 @@ class DatabaseService {
     this.db.exec(`CREATE INDEX IF NOT EXISTS idx_logs_user_id ON logs(user_id)`);
     this.db.exec(`CREATE INDEX IF NOT EXISTS idx_backups_created ON backups(created_at)`);
     this.db.exec(`CREATE INDEX IF NOT EXISTS idx_backups_user_id ON backups(user_id)`);
+    this.db.exec(`CREATE INDEX IF NOT EXISTS idx_backup_chunk_refs_chunk ON backup_chunk_refs(hash, scope)`);
+    this.db.exec(`CREATE INDEX IF NOT EXISTS idx_backups_job_id ON backups(job_id)`);
+    this.db.exec(`CREATE INDEX IF NOT EXISTS idx_backup_jobs_user_id ON backup_jobs(user_id)`);
+    this.db.exec(`CREATE INDEX IF NOT EXISTS idx_backup_destinations_user_id ON backup_destinations(user_id)`);
+    this.db.exec(`CREATE INDEX IF NOT EXISTS idx_backup_file_versions_path ON backup_file_versions(user_id, original_path)`);
+    this.db.exec(`CREATE INDEX IF NOT EXISTS idx_backup_file_versions_backup ON backup_file_versions(backup_id)`);
+    this.db.exec(`CREATE INDEX IF NOT EXISTS idx_backup_file_versions_hash ON backup_file_versions(user_id, hash)`);
+    this.db.exec(`CREATE INDEX IF NOT EXISTS idx_backup_destination_copies_status ON backup_destination_copies(status)`);
     this.db.exec(`CREATE INDEX IF NOT EXISTS idx_deleted_files_date ON deleted_files(deleted_at)`);
     this.db.exec(`CREATE INDEX IF NOT EXISTS idx_deleted_files_type ON deleted_files(file_type)`);
     this.db.exec(`CREATE INDEX IF NOT EXISTS idx_deleted_files_user_id ON deleted_files(user_id)`);
@@ -549,6 +688,28 @@ class DatabaseService {
     } catch (error) {
       console.warn('Migration check for conversions table:', error.message);
     }
+
+    // Add batch columns to conversions if they don't exist (one row per batch, items as JSON)
+    try {
+      const checkStmt = this.db.prepare("PRAGMA table_info(conversions)");
+      let hasBatchId = false;
+      while (checkStmt.step()) {
+        const row = checkStmt.getAsObject();
+        if (row.name === 'batch_id') {
+          hasBatchId = true;
+          break;
+        }
+      }
+      checkStmt.free();
+      
+      if (!hasBatchId) {
+        console.log('Migrating conversions table: adding batch columns');
+        this.db.exec(`ALTER TABLE conversions ADD COLUMN batch_id TEXT`);
+        this.db.exec(`ALTER TABLE conversions ADD COLUMN items TEXT`);
+      }
+    } catch (error) {
+      console.warn('Migration check for conversions batch columns:', error.message);
+    }
     
     this.db.exec(`CREATE INDEX IF NOT EXISTS idx_conversions_timestamp ON conversions(timestamp DESC)`);
     this.db.exec(`CREATE INDEX IF NOT EXISTS idx_conversions_status ON conversions(status)`);
@@ -705,11 +866,204 @@ class DatabaseService {
     } catch (error) {
       console.warn('Migration check for verification_tokens user_id:', error.message);
     }
+
+    // Add signing_mode column to verification_tokens ('hmac' tokens verify only here, 'ed25519' anywhere the key is trusted)
+    try {
+      const checkStmt = this.db.prepare("PRAGMA table_info(verification_tokens)");
+      let hasSigningMode = false;
+      while (checkStmt.step()) {
+        const row = checkStmt.getAsObject();
+        if (row.name === 'signing_mode') {
+          hasSigningMode = true;
+          break;
+        }
+      }
+      checkStmt.free();
+
+      if (!hasSigningMode) {
+        console.log('Migrating verification_tokens table: adding signing_mode column');
+        this.db.exec(`ALTER TABLE verification_tokens ADD COLUMN signing_mode TEXT DEFAULT 'hmac'`);
+      }
+    } catch (error) {
+      console.warn('Migration check for verification_tokens signing_mode:', error.message);
+    }
+
+    // Add revocation columns to verification_tokens (a revoked token keeps its row so verify can say why)
+    try {
+      const checkStmt = this.db.prepare("PRAGMA table_info(verification_tokens)");
+      const columns = new Set();
+      while (checkStmt.step()) {
+        columns.add(checkStmt.getAsObject().name);
+      }
+      checkStmt.free();
+
+      if (!columns.has('revoked_at')) {
+        console.log('Migrating verification_tokens table: adding revoked_at column');
+        this.db.exec('ALTER TABLE verification_tokens ADD COLUMN revoked_at INTEGER');
+      }
+      if (!columns.has('revoke_reason')) {
+        console.log('Migrating verification_tokens table: adding revoke_reason column');
+        this.db.exec('ALTER TABLE verification_tokens ADD COLUMN revoke_reason TEXT');
+      }
+    } catch (error) {
+      console.warn('Migration check for verification_tokens revocation:', error.message);
+    }
+
+    // Add use limit columns to verification_tokens (one-time tokens become max_uses = 1)
+    try {
+      const checkStmt = this.db.prepare("PRAGMA table_info(verification_tokens)");
+      const columns = new Set();
+      while (checkStmt.step()) {
+        columns.add(checkStmt.getAsObject().name);
+      }
+      checkStmt.free();
+
+      if (!columns.has('max_uses')) {
+        console.log('Migrating verification_tokens table: adding max_uses column');
+        this.db.exec('ALTER TABLE verification_tokens ADD COLUMN max_uses INTEGER');
+        this.db.exec('UPDATE verification_tokens SET max_uses = 1 WHERE one_time_use = 1');
+      }
+      if (!columns.has('use_count')) {
+        console.log('Migrating verification_tokens table: adding use_count column');
+        this.db.exec('ALTER TABLE verification_tokens ADD COLUMN use_count INTEGER DEFAULT 0');
+        this.db.exec('UPDATE verification_tokens SET use_count = 1 WHERE used = 1');
+      }
+    } catch (error) {
+      console.warn('Migration check for verification_tokens use limits:', error.message);
+    }
     
     this.db.exec(`CREATE INDEX IF NOT EXISTS idx_verification_tokens_resource ON verification_tokens(resource_id)`);
     this.db.exec(`CREATE INDEX IF NOT EXISTS idx_verification_tokens_type ON verification_tokens(type)`);
     this.db.exec(`CREATE INDEX IF NOT EXISTS idx_verification_tokens_expires ON verification_tokens(expires_at)`);
     this.db.exec(`CREATE INDEX IF NOT EXISTS idx_verification_tokens_user_id ON verification_tokens(user_id)`);
+
+    // Public keys of other FortiMorph installs whose Ed25519 tokens this install accepts
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS trusted_issuers (
+        issuer_id TEXT NOT NULL,
+        name TEXT,
+        public_key TEXT NOT NULL,
+        added_at INTEGER NOT NULL,
+        user_id TEXT,
+        PRIMARY KEY (issuer_id, user_id)
+      )
+    `);
+
+    // Revocations of other installs' tokens, imported from their signed revocation lists
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS revoked_tokens (
+        token_id TEXT NOT NULL,
+        issuer_id TEXT NOT NULL,
+        revoked_at INTEGER NOT NULL,
+        reason TEXT,
+        expires_at INTEGER,
+        imported_at INTEGER NOT NULL,
+        PRIMARY KEY (issuer_id, token_id)
+      )
+    `);
+
+    // Use-limited tokens from other installs that were used here (they have no local verification_tokens row)
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS redeemed_tokens (
+        token_id TEXT NOT NULL,
+        issuer_id TEXT NOT NULL,
+        redeemed_at INTEGER NOT NULL,
+        expires_at INTEGER,
+        use_count INTEGER DEFAULT 1,
+        PRIMARY KEY (issuer_id, token_id)
+      )
+    `);
+
+    try {
+      const checkStmt = this.db.prepare("PRAGMA table_info(redeemed_tokens)");
+      let hasUseCount = false;
+      while (checkStmt.step()) {
+        if (checkStmt.getAsObject().name === 'use_count') {
+          hasUseCount = true;
+        }
+      }
+      checkStmt.free();
+
+      if (!hasUseCount) {
+        console.log('Migrating redeemed_tokens table: adding use_count column');
+        this.db.exec('ALTER TABLE redeemed_tokens ADD COLUMN use_count INTEGER DEFAULT 1');
+      }
+    } catch (error) {
+      console.warn('Migration check for redeemed_tokens use_count:', error.message);
+    }
+
+    // Token ids are only unique per issuer: key both tables by (issuer_id, token_id) so one
+    // issuer's list can never shadow another issuer's token
+    const issuerKeyedTables = {
+      revoked_tokens: {
+        columns: 'token_id, issuer_id, revoked_at, reason, expires_at, imported_at',
+        schema: `token_id TEXT NOT NULL,
+          issuer_id TEXT NOT NULL,
+          revoked_at INTEGER NOT NULL,
+          reason TEXT,
+          expires_at INTEGER,
+          imported_at INTEGER NOT NULL`
+      },
+      redeemed_tokens: {
+        columns: 'token_id, issuer_id, redeemed_at, expires_at, use_count',
+        schema: `token_id TEXT NOT NULL,
+          issuer_id TEXT NOT NULL,
+          redeemed_at INTEGER NOT NULL,
+          expires_at INTEGER,
+          use_count INTEGER DEFAULT 1`
+      }
+    };
+    for (const [table, { columns, schema }] of Object.entries(issuerKeyedTables)) {
+      try {
+        const checkStmt = this.db.prepare(`PRAGMA table_info(${table})`);
+        let issuerInKey = false;
+        while (checkStmt.step()) {
+          const column = checkStmt.getAsObject();
+          if (column.name === 'issuer_id' && column.pk > 0) {
+            issuerInKey = true;
+          }
+        }
+        checkStmt.free();
+
+        if (!issuerInKey) {
+          console.log(`Migrating ${table} table: keying rows by issuer and token id`);
+          this.db.exec(`
+            DROP TABLE IF EXISTS ${table}_new;
+
+            CREATE TABLE ${table}_new (
+              ${schema},
+              PRIMARY KEY (issuer_id, token_id)
+            );
+
+            INSERT INTO ${table}_new (${columns})
+            SELECT ${columns} FROM ${table};
+
+            DROP TABLE ${table};
+
+            ALTER TABLE ${table}_new RENAME TO ${table};
+          `);
+        }
+      } catch (error) {
+        console.warn(`Migration check for ${table} key:`, error.message);
+      }
+    }
+
+    // Audit trail of every verification attempt on this install
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS verification_token_uses (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        token_id TEXT NOT NULL,
+        used_at INTEGER NOT NULL,
+        system_id TEXT NOT NULL,
+        issuer_id TEXT,
+        result TEXT NOT NULL,
+        counted INTEGER DEFAULT 0,
+        file_hash TEXT,
+        hash_match INTEGER,
+        user_id TEXT
+      )
+    `);
+    this.db.exec(`CREATE INDEX IF NOT EXISTS idx_verification_token_uses_token ON verification_token_uses(token_id, used_at)`);
     
     this.saveDatabase();
   }
@@ -1289,6 +1643,22 @@ class DatabaseService {
       console.log('  ✓ Deleted user app usage sessions');
       deletedCount++;
       
+      // 14. Delete user's verification audit records
+      stmt = this.db.prepare('DELETE FROM verification_token_uses WHERE user_id = ?');
+      stmt.bind([uid]);
+      stmt.step();
+      stmt.free();
+      console.log('  ✓ Deleted user verification audit records');
+      deletedCount++;
+      
+      // 15. Delete user's trusted token issuers
+      stmt = this.db.prepare('DELETE FROM trusted_issuers WHERE user_id = ?');
+      stmt.bind([uid]);
+      stmt.step();
+      stmt.free();
+      console.log('  ✓ Deleted user trusted issuers');
+      deletedCount++;
+      
       this.saveDatabase();
       
       console.log(`🎯 COMPLETE DELETION SUCCESS: Removed ${deletedCount} data categories for user ${uid}`);
@@ -1410,7 +1780,7 @@ class DatabaseService {
   /**
    * Verification Token operations
    */
-  addVerificationToken(tokenId, type, resourceId, resourceName, systemId, issuedAt, expiresAt, ttl, oneTimeUse, metadata, signature, filePath = null, fileHash = null, userId = null) {
+  addVerificationToken(tokenId, type, resourceId, resourceName, systemId, issuedAt, expiresAt, ttl, oneTimeUse, metadata, signature, filePath = null, fileHash = null, userId = null, signingMode = 'hmac', maxUses = null) {
     let stmt = null;
     try {
       console.log('[Database] Adding verification token with RAW inputs:', {
@@ -1466,15 +1836,17 @@ class DatabaseService {
         signature,                            // 12: signature
         filePath || null,                     // 13: file_path (can be NULL)
         fileHash || null,                     // 14: file_hash (can be NULL)
-        userId || null                        // 15: user_id (can be NULL)
+        userId || null,                       // 15: user_id (can be NULL)
+        signingMode || 'hmac',                // 16: signing_mode
+        maxUses === null || maxUses === undefined ? null : Number(maxUses) // 17: max_uses (NULL = unlimited)
       ];
 
       console.log('[Database] Bind parameters TYPES:', bindParams.map((p, i) => `${i + 1}: ${p === null ? 'NULL' : typeof p + ' = ' + p}`));
 
       stmt = this.db.prepare(
         `INSERT INTO verification_tokens 
-         (token_id, type, resource_id, resource_name, system_id, issued_at, expires_at, ttl, one_time_use, used, metadata, signature, file_path, file_hash, user_id)
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+         (token_id, type, resource_id, resource_name, system_id, issued_at, expires_at, ttl, one_time_use, used, metadata, signature, file_path, file_hash, user_id, signing_mode, max_uses)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
       );
 
       // Replace any undefined with null to satisfy SQL.js binding
@@ -1552,11 +1924,18 @@ class DatabaseService {
     }
   }
 
+  /**
+   * Count one use of a token; `used` is set once the token reaches its max_uses
+   */
   markTokenAsUsed(tokenId) {
     try {
       const now = Date.now();
       const stmt = this.db.prepare(
-        'UPDATE verification_tokens SET used = 1, used_at = ? WHERE token_id = ?'
+        `UPDATE verification_tokens
+         SET use_count = COALESCE(use_count, 0) + 1,
+             used = CASE WHEN max_uses IS NOT NULL AND COALESCE(use_count, 0) + 1 >= max_uses THEN 1 ELSE used END,
+             used_at = ?
+         WHERE token_id = ?`
       );
       stmt.bind([now, tokenId]);
       stmt.step();
@@ -1624,12 +2003,35 @@ class DatabaseService {
   deleteExpiredTokens() {
     try {
       const now = Date.now();
+      const usesStmt = this.db.prepare(
+        `DELETE FROM verification_token_uses WHERE token_id IN
+         (SELECT token_id FROM verification_tokens WHERE expires_at IS NOT NULL AND expires_at < ?)`
+      );
+      usesStmt.bind([now]);
+      usesStmt.step();
+      usesStmt.free();
+
       const stmt = this.db.prepare(
         'DELETE FROM verification_tokens WHERE expires_at IS NOT NULL AND expires_at < ?'
       );
       stmt.bind([now]);
       stmt.step();
       stmt.free();
+
+      // An expired token is rejected on its signed expiry, so its redemption record is no longer needed
+      const redeemedStmt = this.db.prepare(
+        'DELETE FROM redeemed_tokens WHERE expires_at IS NOT NULL AND expires_at < ?'
+      );
+      redeemedStmt.bind([now]);
+      redeemedStmt.step();
+      redeemedStmt.free();
+
+      const revokedStmt = this.db.prepare(
+        'DELETE FROM revoked_tokens WHERE expires_at IS NOT NULL AND expires_at < ?'
+      );
+      revokedStmt.bind([now]);
+      revokedStmt.step();
+      revokedStmt.free();
       this.saveDatabase();
       return true;
     } catch (error) {
@@ -1638,77 +2040,311 @@ class DatabaseService {
     }
   }
 
-  /**
-   * Get logs with optional type filtering
-   * USER ISOLATION: Returns ONLY user's logs (no system logs to prevent data leakage)
-   */
-  getLogs(type = null, limit = 100, userId = null) {
-    let query = 'SELECT * FROM logs WHERE 1=1';
-    const params = [];
+  deleteVerificationToken(tokenId) {
+    try {
+      const stmt = this.db.prepare('DELETE FROM verification_tokens WHERE token_id = ?');
+      stmt.bind([tokenId]);
+      stmt.step();
+      stmt.free();
+      const deleted = this.db.getRowsModified() > 0;
 
-    // USER ISOLATION - ONLY show user's logs
-    if (userId) {
-      query += ' AND user_id = ?';
-      params.push(userId);
-    } else {
-      // If no userId, return empty (security)
-      query += ' AND 0 = 1';
+      const usesStmt = this.db.prepare('DELETE FROM verification_token_uses WHERE token_id = ?');
+      usesStmt.bind([tokenId]);
+      usesStmt.step();
+      usesStmt.free();
+      this.saveDatabase();
+      return deleted;
+    } catch (error) {
+      console.error('Failed to delete verification token:', error);
+      return false;
     }
+  }
 
-    if (type) {
-      query += ' AND type = ?';
-      params.push(type);
+  revokeVerificationToken(tokenId, reason = null) {
+    try {
+      const stmt = this.db.prepare(
+        'UPDATE verification_tokens SET revoked_at = ?, revoke_reason = ? WHERE token_id = ? AND revoked_at IS NULL'
+      );
+      stmt.bind([Date.now(), reason || null, tokenId]);
+      stmt.step();
+      stmt.free();
+      const revoked = this.db.getRowsModified() > 0;
+      this.saveDatabaseImmediate();
+      return revoked;
+    } catch (error) {
+      console.error('Failed to revoke verification token:', error);
+      return false;
     }
+  }
 
-    query += ' ORDER BY timestamp DESC LIMIT ?';
-    params.push(limit);
+  /**
+   * Revoked Ed25519 tokens of a user - the content of the revocation list other installs import
+   */
+  getRevokedVerificationTokens(userId = null) {
+    if (!userId) {
+      return [];
+    }
 
-    const stmt = this.db.prepare(query);
-    stmt.bind(params);
-    const results = [];
+    const stmt = this.db.prepare(
+      `SELECT token_id, revoked_at, revoke_reason, expires_at FROM verification_tokens
+       WHERE user_id = ? AND signing_mode = 'ed25519' AND revoked_at IS NOT NULL
+       ORDER BY revoked_at ASC`
+    );
+    stmt.bind([userId]);
+    const tokens = [];
     while (stmt.step()) {
-      results.push(stmt.getAsObject());
+      tokens.push(stmt.getAsObject());
     }
     stmt.free();
-    return results;
+    return tokens;
   }
 
   /**
-   * Get logs for a specific user
-   * Returns user's logs + system logs (logs without user_id)
-   * @param {String} userId - User ID to filter logs
-   * @param {String} type - Optional log type filter
-   * @param {Number} limit - Maximum number of logs to return
+   * Imported revocation operations (tokens issued by other installs)
    */
-  getLogsByUser(userId, type = null, limit = 100) {
-    let query = 'SELECT * FROM logs WHERE (user_id = ? OR user_id IS NULL)';
-    const params = [userId];
-
-    if (type) {
-      query += ' AND type = ?';
-      params.push(type);
-    }
-
-    query += ' ORDER BY timestamp DESC LIMIT ?';
-    params.push(limit);
-
-    const stmt = this.db.prepare(query);
-    stmt.bind(params);
-    const results = [];
-    while (stmt.step()) {
-      results.push(stmt.getAsObject());
-    }
+  getRevokedToken(issuerId, tokenId) {
+    const stmt = this.db.prepare('SELECT * FROM revoked_tokens WHERE issuer_id = ? AND token_id = ?');
+    stmt.bind([issuerId, tokenId]);
+    const row = stmt.step() ? stmt.getAsObject() : null;
     stmt.free();
-    return results;
+    return row;
   }
 
   /**
-   * Enhanced logs filtering with pagination
-   * @param {Object} filters - { level, type, searchText, startDate, endDate }
-   * @param {Number} page - Page number (1-indexed)
-   * @param {Number} pageSize - Items per page
+   * Record revocations from one issuer's list
+   * @returns {number} Revocations not known before
    */
-  getLogsFiltered(filters = {}, page = 1, pageSize = 50) {
+  addRevokedTokens(issuerId, revocations) {
+    let added = 0;
+    const now = Date.now();
+    const stmt = this.db.prepare(
+      'INSERT OR IGNORE INTO revoked_tokens (token_id, issuer_id, revoked_at, reason, expires_at, imported_at) VALUES (?, ?, ?, ?, ?, ?)'
+    );
+    for (const revocation of revocations) {
+      const expiresAt = revocation.expiresAt === undefined ? null : revocation.expiresAt;
+      stmt.bind([revocation.tokenId, issuerId, revocation.revokedAt, revocation.reason || null, expiresAt, now]);
+      stmt.step();
+      stmt.reset();
+      added += this.db.getRowsModified();
+    }
+    stmt.free();
+    this.saveDatabase();
+    return added;
+  }
+
+  /**
+   * Trusted issuer operations (Ed25519 public keys of other installs)
+   */
+  addTrustedIssuer(issuerId, name, publicKey, userId = null) {
+    try {
+      const stmt = this.db.prepare(
+        'DELETE FROM trusted_issuers WHERE issuer_id = ? AND ' + (userId ? 'user_id = ?' : 'user_id IS NULL')
+      );
+      stmt.bind(userId ? [issuerId, userId] : [issuerId]);
+      stmt.step();
+      stmt.free();
+
+      const insertStmt = this.db.prepare(
+        'INSERT INTO trusted_issuers (issuer_id, name, public_key, added_at, user_id) VALUES (?, ?, ?, ?, ?)'
+      );
+      insertStmt.bind([issuerId, name || null, publicKey, Date.now(), userId]);
+      insertStmt.step();
+      insertStmt.free();
+      this.saveDatabase();
+      return true;
+    } catch (error) {
+      console.error('Failed to add trusted issuer:', error);
+      return false;
+    }
+  }
+
+  getTrustedIssuer(issuerId, userId = null) {
+    let query = 'SELECT * FROM trusted_issuers WHERE issuer_id = ?';
+    const params = [issuerId];
+
+    // USER ISOLATION: user's issuers plus install-wide ones
+    if (userId) {
+      query += ' AND (user_id = ? OR user_id IS NULL)';
+      params.push(userId);
+    } else {
+      query += ' AND user_id IS NULL';
+    }
+
+    const stmt = this.db.prepare(query + ' LIMIT 1');
+    stmt.bind(params);
+    const issuer = stmt.step() ? stmt.getAsObject() : null;
+    stmt.free();
+    return issuer;
+  }
+
+  getTrustedIssuers(userId = null) {
+    let query = 'SELECT * FROM trusted_issuers WHERE ';
+    const params = [];
+
+    if (userId) {
+      query += '(user_id = ? OR user_id IS NULL)';
+      params.push(userId);
+    } else {
+      query += 'user_id IS NULL';
+    }
+
+    const stmt = this.db.prepare(query + ' ORDER BY added_at DESC');
+    stmt.bind(params);
+    const issuers = [];
+    while (stmt.step()) {
+      issuers.push(stmt.getAsObject());
+    }
+    stmt.free();
+    return issuers;
+  }
+
+  removeTrustedIssuer(issuerId, userId = null) {
+    const stmt = this.db.prepare(
+      'DELETE FROM trusted_issuers WHERE issuer_id = ? AND ' + (userId ? 'user_id = ?' : 'user_id IS NULL')
+    );
+    stmt.bind(userId ? [issuerId, userId] : [issuerId]);
+    stmt.step();
+    stmt.free();
+    const removed = this.db.getRowsModified() > 0;
+    this.saveDatabase();
+    return removed;
+  }
+
+  /**
+   * Redeemed token operations (one-time use of tokens issued elsewhere)
+   */
+  getRedeemedToken(issuerId, tokenId) {
+    const stmt = this.db.prepare('SELECT * FROM redeemed_tokens WHERE issuer_id = ? AND token_id = ?');
+    stmt.bind([issuerId, tokenId]);
+    const row = stmt.step() ? stmt.getAsObject() : null;
+    stmt.free();
+    return row;
+  }
+
+  /**
+   * Count one use of a token issued elsewhere
+   */
+  addRedeemedToken(tokenId, issuerId, expiresAt = null) {
+    const stmt = this.db.prepare(
+      `INSERT INTO redeemed_tokens (token_id, issuer_id, redeemed_at, expires_at, use_count) VALUES (?, ?, ?, ?, 1)
+       ON CONFLICT(issuer_id, token_id) DO UPDATE SET use_count = use_count + 1, redeemed_at = excluded.redeemed_at`
+    );
+    stmt.bind([tokenId, issuerId, Date.now(), expiresAt]);
+    stmt.step();
+    stmt.free();
+    this.saveDatabase();
+    return true;
+  }
+
+  /**
+   * Verification audit operations
+   */
+  addTokenUse({ tokenId, systemId, issuerId = null, result, counted = false, fileHash = null, hashMatch = null, userId = null }) {
+    const stmt = this.db.prepare(
+      `INSERT INTO verification_token_uses (token_id, used_at, system_id, issuer_id, result, counted, file_hash, hash_match, user_id)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`
+    );
+    stmt.bind([
+      tokenId,
+      Date.now(),
+      systemId,
+      issuerId,
+      result,
+      counted ? 1 : 0,
+      fileHash,
+      hashMatch === null || hashMatch === undefined ? null : (hashMatch ? 1 : 0),
+      userId
+    ]);
+    stmt.step();
+    stmt.free();
+    this.saveDatabase();
+    return true;
+  }
+
+  getTokenUses(tokenId, limit = 100) {
+    const stmt = this.db.prepare(
+      'SELECT * FROM verification_token_uses WHERE token_id = ? ORDER BY used_at DESC, id DESC LIMIT ?'
+    );
+    stmt.bind([tokenId, limit]);
+    const uses = [];
+    while (stmt.step()) {
+      uses.push(stmt.getAsObject());
+    }
+    stmt.free();
+    return uses;
+  }
+
+  /**
+   * Get logs with optional type filtering
+   * USER ISOLATION: Returns ONLY user's logs (no system logs to prevent data leakage)
+   */
+  getLogs(type = null, limit = 100, userId = null) {
+    let query = 'SELECT * FROM logs WHERE 1=1';
+    const params = [];
+
+    // USER ISOLATION - ONLY show user's logs
+    if (userId) {
+      query += ' AND user_id = ?';
+      params.push(userId);
+    } else {
+      // If no userId, return empty (security)
+      query += ' AND 0 = 1';
+    }
+
+    if (type) {
+      query += ' AND type = ?';
+      params.push(type);
+    }
+
+    query += ' ORDER BY timestamp DESC LIMIT ?';
+    params.push(limit);
+
+    const stmt = this.db.prepare(query);
+    stmt.bind(params);
+    const results = [];
+    while (stmt.step()) {
+      results.push(stmt.getAsObject());
+    }
+    stmt.free();
+    return results;
+  }
+
+  /**
+   * Get logs for a specific user
+   * Returns user's logs + system logs (logs without user_id)
+   * @param {String} userId - User ID to filter logs
+   * @param {String} type - Optional log type filter
+   * @param {Number} limit - Maximum number of logs to return
+   */
+  getLogsByUser(userId, type = null, limit = 100) {
+    let query = 'SELECT * FROM logs WHERE (user_id = ? OR user_id IS NULL)';
+    const params = [userId];
+
+    if (type) {
+      query += ' AND type = ?';
+      params.push(type);
+    }
+
+    query += ' ORDER BY timestamp DESC LIMIT ?';
+    params.push(limit);
+
+    const stmt = this.db.prepare(query);
+    stmt.bind(params);
+    const results = [];
+    while (stmt.step()) {
+      results.push(stmt.getAsObject());
+    }
+    stmt.free();
+    return results;
+  }
+
+  /**
+   * Enhanced logs filtering with pagination
+   * @param {Object} filters - { level, type, searchText, startDate, endDate }
+   * @param {Number} page - Page number (1-indexed)
+   * @param {Number} pageSize - Items per page
+   */
+  getLogsFiltered(filters = {}, page = 1, pageSize = 50) {
     let query = 'SELECT * FROM logs WHERE 1=1';
     const params = [];
 
@@ -1891,8 +2527,8 @@ class DatabaseService {
   addBackup(data, userId = null) {
     try {
       const stmt = this.db.prepare(`
-        INSERT INTO backups (user_id, name, source_path, backup_path, size, file_count, encrypted, manifest)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        INSERT INTO backups (user_id, name, source_path, backup_path, size, file_count, encrypted, manifest, job_id, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, COALESCE(?, strftime('%s', 'now')))
       `);
       
       stmt.bind([
@@ -1903,7 +2539,9 @@ class DatabaseService {
         data.size || 0,
         data.file_count || 0,
         data.encrypted || 0,
-        data.manifest || null
+        data.manifest || null,
+        data.job_id || null,
+        data.created_at || null // Imported backups keep the time they were taken
       ]);
       
       stmt.step();
@@ -1951,12 +2589,30 @@ class DatabaseService {
         params.push(filters.encrypted ? 1 : 0);
       }
       
+      // Add source path filter if provided (exact match)
+      if (filters.source_path) {
+        conditions.push('source_path = ?');
+        params.push(filters.source_path);
+      }
+      
+      // Add job filter if provided (backups created by a scheduled job)
+      if (filters.job_id) {
+        conditions.push('job_id = ?');
+        params.push(filters.job_id);
+      }
+      
+      // Only backups created before a given backup (ids are assigned in creation order)
+      if (filters.before_id) {
+        conditions.push('id < ?');
+        params.push(filters.before_id);
+      }
+      
       // Add WHERE clause if there are conditions
       if (conditions.length > 0) {
         query += ' WHERE ' + conditions.join(' AND ');
       }
       
-      query += ' ORDER BY created_at DESC LIMIT ?';
+      query += ' ORDER BY created_at DESC, id DESC LIMIT ?';
       params.push(limit);
       
       const stmt = this.db.prepare(query);
@@ -1994,6 +2650,39 @@ class DatabaseService {
     return null;
   }
 
+  /**
+   * Record the outcome of a backup verification
+   */
+  updateBackupVerification(id, { verified_at, verify_status, verify_result }) {
+    const stmt = this.db.prepare('UPDATE backups SET verified_at = ?, verify_status = ?, verify_result = ? WHERE id = ?');
+    stmt.bind([verified_at, verify_status, verify_result || null, id]);
+    stmt.step();
+    stmt.free();
+    this.saveDatabase();
+    return { success: true };
+  }
+
+  /**
+   * Get backups never verified or last verified before a time, least recently verified first
+   * Covers all users - the scrubber runs in the background for everyone.
+   */
+  getBackupsDueForVerification(verifiedBefore, limit = 1) {
+    const stmt = this.db.prepare(`
+      SELECT * FROM backups
+      WHERE manifest IS NOT NULL
+        AND (verified_at IS NULL OR verified_at < ?)
+      ORDER BY verified_at IS NOT NULL, verified_at ASC, id ASC
+      LIMIT ?
+    `);
+    stmt.bind([verifiedBefore, limit]);
+    const results = [];
+    while (stmt.step()) {
+      results.push(stmt.getAsObject());
+    }
+    stmt.free();
+    return results;
+  }
+
   deleteBackup(id) {
     const stmt = this.db.prepare('DELETE FROM backups WHERE id = ?');
     stmt.bind([id]);
@@ -2004,44 +2693,58 @@ class DatabaseService {
   }
 
   /**
-   * Deletion manifest operations
+   * Backup chunk store operations
    */
-  addToQuarantine(originalPath, quarantinePath, size, userId = null) {
-    const stmt = this.db.prepare(
-      'INSERT INTO deletion_manifest (user_id, original_path, quarantine_path, size) VALUES (?, ?, ?, ?)'
-    );
-    stmt.bind([userId, originalPath, quarantinePath, size]);
+  getBackupChunk(hash, scope) {
+    const stmt = this.db.prepare('SELECT * FROM backup_chunks WHERE hash = ? AND scope = ?');
+    stmt.bind([hash, scope]);
+    if (stmt.step()) {
+      const row = stmt.getAsObject();
+      stmt.free();
+      return row;
+    }
+    stmt.free();
+    return null;
+  }
+
+  addBackupChunk(data) {
+    const stmt = this.db.prepare(`
+      INSERT OR REPLACE INTO backup_chunks (hash, scope, size, stored_size)
+      VALUES (?, ?, ?, ?)
+    `);
+    stmt.bind([data.hash, data.scope, data.size, data.stored_size]);
     stmt.step();
     stmt.free();
     this.saveDatabase();
     return { success: true };
   }
 
-  getQuarantinedFiles(limit = 100, userId = null) {
-    let query = 'SELECT * FROM deletion_manifest WHERE restored = 0';
-    const params = [];
-    
-    if (userId) {
-      query += ' AND user_id = ?';
-      params.push(userId);
-    }
-    
-    query += ' ORDER BY deleted_at DESC LIMIT ?';
-    params.push(limit);
-    
-    const stmt = this.db.prepare(query);
-    stmt.bind(params);
-    const results = [];
-    while (stmt.step()) {
-      results.push(stmt.getAsObject());
+  deleteBackupChunk(hash, scope) {
+    const stmt = this.db.prepare('DELETE FROM backup_chunks WHERE hash = ? AND scope = ?');
+    stmt.bind([hash, scope]);
+    stmt.step();
+    stmt.free();
+    this.saveDatabase();
+    return { success: true };
+  }
+
+  addBackupChunkRefs(backupId, scope, hashes) {
+    const stmt = this.db.prepare(
+      'INSERT OR IGNORE INTO backup_chunk_refs (backup_id, hash, scope) VALUES (?, ?, ?)'
+    );
+    for (const hash of hashes) {
+      stmt.bind([backupId, hash, scope]);
+      stmt.step();
+      stmt.reset();
     }
     stmt.free();
-    return results;
+    this.saveDatabase();
+    return { success: true };
   }
 
-  markAsRestored(id) {
-    const stmt = this.db.prepare('UPDATE deletion_manifest SET restored = 1 WHERE id = ?');
-    stmt.bind([id]);
+  deleteBackupChunkRefs(backupId) {
+    const stmt = this.db.prepare('DELETE FROM backup_chunk_refs WHERE backup_id = ?');
+    stmt.bind([backupId]);
     stmt.step();
     stmt.free();
     this.saveDatabase();
@@ -2049,33 +2752,565 @@ class DatabaseService {
   }
 
   /**
-   * Conversion operations
+   * Get chunks that no backup references anymore
    */
-  logConversion(data, userId = null) {
+  getUnreferencedBackupChunks() {
     const stmt = this.db.prepare(`
-      INSERT INTO conversions (
-        user_id, input_path, output_path, input_format, output_format, 
-        input_size, output_size, hash_before, hash_after, 
-        encrypted, compressed, duration, status, error, timestamp
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      SELECT c.* FROM backup_chunks c
+      WHERE NOT EXISTS (
+        SELECT 1 FROM backup_chunk_refs r WHERE r.hash = c.hash AND r.scope = c.scope
+      )
     `);
-    
-    stmt.bind([
-      userId,
-      data.input_path,
-      data.output_path,
-      data.input_format,
-      data.output_format,
-      data.input_size || null,
-      data.output_size || null,
-      data.hash_before || null,
-      data.hash_after || null,
-      data.encrypted ? 1 : 0,
-      data.compressed ? 1 : 0,
+    const results = [];
+    while (stmt.step()) {
+      results.push(stmt.getAsObject());
+    }
+    stmt.free();
+    return results;
+  }
+
+  /**
+   * Backup job operations
+   */
+  addBackupJob(data, userId = null) {
+    try {
+      const stmt = this.db.prepare(`
+        INSERT INTO backup_jobs (user_id, name, source_path, schedule, options, retention, enabled, next_run_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `);
+      stmt.bind([
+        userId,
+        data.name,
+        data.source_path,
+        data.schedule,
+        data.options || null,
+        data.retention || null,
+        data.enabled === undefined ? 1 : data.enabled,
+        data.next_run_at || null
+      ]);
+      stmt.step();
+      const lastId = this.db.exec('SELECT last_insert_rowid() as id')[0].values[0][0];
+      stmt.free();
+      this.saveDatabase();
+      
+      return { success: true, id: lastId };
+    } catch (error) {
+      console.error('Failed to add backup job:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Get backup jobs
+   * USER ISOLATION: Returns only the given user's jobs
+   */
+  getBackupJobs(userId = null) {
+    let query = 'SELECT * FROM backup_jobs';
+    const params = [];
+    
+    if (userId) {
+      query += ' WHERE user_id = ?';
+      params.push(userId);
+    } else {
+      query += ' WHERE user_id IS NULL';
+    }
+    
+    query += ' ORDER BY created_at ASC, id ASC';
+    
+    const stmt = this.db.prepare(query);
+    stmt.bind(params);
+    const results = [];
+    while (stmt.step()) {
+      results.push(stmt.getAsObject());
+    }
+    stmt.free();
+    return results;
+  }
+
+  /**
+   * Get every user's backup jobs (used by the scheduler, which runs jobs for all users)
+   */
+  getAllBackupJobs() {
+    const stmt = this.db.prepare('SELECT * FROM backup_jobs ORDER BY id ASC');
+    const results = [];
+    while (stmt.step()) {
+      results.push(stmt.getAsObject());
+    }
+    stmt.free();
+    return results;
+  }
+
+  getBackupJobById(id) {
+    const stmt = this.db.prepare('SELECT * FROM backup_jobs WHERE id = ?');
+    stmt.bind([id]);
+    if (stmt.step()) {
+      const row = stmt.getAsObject();
+      stmt.free();
+      return row;
+    }
+    stmt.free();
+    return null;
+  }
+
+  updateBackupJob(id, updates) {
+    const allowed = [
+      'name', 'source_path', 'schedule', 'options', 'retention', 'enabled',
+      'last_run_at', 'last_status', 'last_error', 'next_run_at'
+    ];
+    const fields = Object.keys(updates).filter((key) => allowed.includes(key));
+    if (fields.length === 0) {
+      return { success: true };
+    }
+    
+    const stmt = this.db.prepare(
+      `UPDATE backup_jobs SET ${fields.map((key) => `${key} = ?`).join(', ')} WHERE id = ?`
+    );
+    stmt.bind([...fields.map((key) => updates[key]), id]);
+    stmt.step();
+    stmt.free();
+    this.saveDatabase();
+    return { success: true };
+  }
+
+  deleteBackupJob(id) {
+    const stmt = this.db.prepare('DELETE FROM backup_jobs WHERE id = ?');
+    stmt.bind([id]);
+    stmt.step();
+    stmt.free();
+    this.saveDatabase();
+    return { success: true };
+  }
+
+  /**
+   * Backup file version index operations
+   */
+  addBackupFileVersions(backupId, userId, createdAt, versions) {
+    const stmt = this.db.prepare(`
+      INSERT INTO backup_file_versions
+        (backup_id, user_id, original_path, relative_path, size, modified, hash, reason, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    for (const version of versions) {
+      stmt.bind([
+        backupId,
+        userId,
+        version.original_path,
+        version.relative_path,
+        version.size === undefined ? null : version.size,
+        version.modified === undefined ? null : version.modified,
+        version.hash || null,
+        version.reason || null,
+        createdAt
+      ]);
+      stmt.step();
+      stmt.reset();
+    }
+    stmt.free();
+    this.saveDatabase();
+    return { success: true };
+  }
+
+  /**
+   * Get every indexed version of a file, newest first
+   * USER ISOLATION: Returns only the given user's versions
+   */
+  getBackupFileVersions(originalPath, userId = null) {
+    let query = `
+      SELECT v.*, b.name AS backup_name
+      FROM backup_file_versions v
+      JOIN backups b ON b.id = v.backup_id
+      WHERE v.original_path = ?
+    `;
+    const params = [originalPath];
+
+    if (userId) {
+      query += ' AND v.user_id = ?';
+      params.push(userId);
+    } else {
+      query += ' AND v.user_id IS NULL';
+    }
+
+    query += ' ORDER BY v.created_at DESC, v.backup_id DESC';
+
+    const stmt = this.db.prepare(query);
+    stmt.bind(params);
+    const results = [];
+    while (stmt.step()) {
+      results.push(stmt.getAsObject());
+    }
+    stmt.free();
+    return results;
+  }
+
+  getBackupFileVersionById(id) {
+    const stmt = this.db.prepare('SELECT * FROM backup_file_versions WHERE id = ?');
+    stmt.bind([id]);
+    if (stmt.step()) {
+      const row = stmt.getAsObject();
+      stmt.free();
+      return row;
+    }
+    stmt.free();
+    return null;
+  }
+
+  /**
+   * Find backed-up file paths containing a search string
+   */
+  searchBackupFilePaths(search, userId = null, limit = 50) {
+    let query = `
+      SELECT original_path, COUNT(*) AS version_count, MAX(created_at) AS last_backup_at
+      FROM backup_file_versions
+      WHERE original_path LIKE ?
+    `;
+    const params = [`%${search}%`];
+
+    if (userId) {
+      query += ' AND user_id = ?';
+      params.push(userId);
+    } else {
+      query += ' AND user_id IS NULL';
+    }
+
+    query += ' GROUP BY original_path ORDER BY last_backup_at DESC LIMIT ?';
+    params.push(limit);
+
+    const stmt = this.db.prepare(query);
+    stmt.bind(params);
+    const results = [];
+    while (stmt.step()) {
+      results.push(stmt.getAsObject());
+    }
+    stmt.free();
+    return results;
+  }
+
+  /**
+   * Find other backups holding a file with the given content hash, newest first
+   * USER ISOLATION: Returns only the given user's versions
+   */
+  getBackupFileVersionsByHash(hash, userId = null, excludeBackupId = null) {
+    let query = `
+      SELECT v.*, b.name AS backup_name
+      FROM backup_file_versions v
+      JOIN backups b ON b.id = v.backup_id
+      WHERE v.hash = ?
+    `;
+    const params = [hash];
+
+    if (userId) {
+      query += ' AND v.user_id = ?';
+      params.push(userId);
+    } else {
+      query += ' AND v.user_id IS NULL';
+    }
+
+    if (excludeBackupId !== null) {
+      query += ' AND v.backup_id != ?';
+      params.push(excludeBackupId);
+    }
+
+    query += ' ORDER BY v.created_at DESC, v.backup_id DESC';
+
+    const stmt = this.db.prepare(query);
+    stmt.bind(params);
+    const results = [];
+    while (stmt.step()) {
+      results.push(stmt.getAsObject());
+    }
+    stmt.free();
+    return results;
+  }
+
+  deleteBackupFileVersions(backupId) {
+    const stmt = this.db.prepare('DELETE FROM backup_file_versions WHERE backup_id = ?');
+    stmt.bind([backupId]);
+    stmt.step();
+    stmt.free();
+    this.saveDatabase();
+    return { success: true };
+  }
+
+  /**
+   * Get backups whose files were never added to the version index
+   */
+  getUnindexedBackups() {
+    const stmt = this.db.prepare(`
+      SELECT * FROM backups
+      WHERE manifest IS NOT NULL
+        AND id NOT IN (SELECT DISTINCT backup_id FROM backup_file_versions)
+      ORDER BY id ASC
+    `);
+    const results = [];
+    while (stmt.step()) {
+      results.push(stmt.getAsObject());
+    }
+    stmt.free();
+    return results;
+  }
+
+  /**
+   * Backup destination operations
+   */
+  addBackupDestination(data, userId = null) {
+    try {
+      const stmt = this.db.prepare(`
+        INSERT INTO backup_destinations (user_id, name, type, config, enabled)
+        VALUES (?, ?, ?, ?, ?)
+      `);
+      stmt.bind([
+        userId,
+        data.name,
+        data.type,
+        data.config || null,
+        data.enabled === undefined ? 1 : data.enabled
+      ]);
+      stmt.step();
+      const lastId = this.db.exec('SELECT last_insert_rowid() as id')[0].values[0][0];
+      stmt.free();
+      this.saveDatabase();
+
+      return { success: true, id: lastId };
+    } catch (error) {
+      console.error('Failed to add backup destination:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Get backup destinations
+   * USER ISOLATION: Returns only the given user's destinations
+   */
+  getBackupDestinations(userId = null) {
+    let query = 'SELECT * FROM backup_destinations';
+    const params = [];
+
+    if (userId) {
+      query += ' WHERE user_id = ?';
+      params.push(userId);
+    } else {
+      query += ' WHERE user_id IS NULL';
+    }
+
+    query += ' ORDER BY created_at ASC, id ASC';
+
+    const stmt = this.db.prepare(query);
+    stmt.bind(params);
+    const results = [];
+    while (stmt.step()) {
+      results.push(stmt.getAsObject());
+    }
+    stmt.free();
+    return results;
+  }
+
+  /**
+   * Get every user's backup destinations (for migrations)
+   */
+  getAllBackupDestinations() {
+    const stmt = this.db.prepare('SELECT * FROM backup_destinations ORDER BY id ASC');
+    const results = [];
+    while (stmt.step()) {
+      results.push(stmt.getAsObject());
+    }
+    stmt.free();
+    return results;
+  }
+
+  getBackupDestinationById(id) {
+    const stmt = this.db.prepare('SELECT * FROM backup_destinations WHERE id = ?');
+    stmt.bind([id]);
+    if (stmt.step()) {
+      const row = stmt.getAsObject();
+      stmt.free();
+      return row;
+    }
+    stmt.free();
+    return null;
+  }
+
+  updateBackupDestination(id, updates) {
+    const allowed = ['name', 'config', 'enabled', 'last_used_at', 'last_error'];
+    const fields = Object.keys(updates).filter((key) => allowed.includes(key));
+    if (fields.length === 0) {
+      return { success: true };
+    }
+
+    const stmt = this.db.prepare(
+      `UPDATE backup_destinations SET ${fields.map((key) => `${key} = ?`).join(', ')} WHERE id = ?`
+    );
+    stmt.bind([...fields.map((key) => updates[key]), id]);
+    stmt.step();
+    stmt.free();
+    this.saveDatabase();
+    return { success: true };
+  }
+
+  deleteBackupDestination(id) {
+    const stmt = this.db.prepare('DELETE FROM backup_destinations WHERE id = ?');
+    stmt.bind([id]);
+    stmt.step();
+    stmt.free();
+
+    const copies = this.db.prepare('DELETE FROM backup_destination_copies WHERE destination_id = ?');
+    copies.bind([id]);
+    copies.step();
+    copies.free();
+
+    this.saveDatabase();
+    return { success: true };
+  }
+
+  getBackupDestinationCopy(backupId, destinationId) {
+    const stmt = this.db.prepare(
+      'SELECT * FROM backup_destination_copies WHERE backup_id = ? AND destination_id = ?'
+    );
+    stmt.bind([backupId, destinationId]);
+    if (stmt.step()) {
+      const row = stmt.getAsObject();
+      stmt.free();
+      return row;
+    }
+    stmt.free();
+    return null;
+  }
+
+  /**
+   * Get destination copies of a backup, or every copy in a given status
+   */
+  getBackupDestinationCopies({ backup_id, destination_id, status } = {}) {
+    let query = 'SELECT * FROM backup_destination_copies WHERE 1=1';
+    const params = [];
+
+    if (backup_id !== undefined) {
+      query += ' AND backup_id = ?';
+      params.push(backup_id);
+    }
+    if (destination_id !== undefined) {
+      query += ' AND destination_id = ?';
+      params.push(destination_id);
+    }
+    if (status) {
+      query += ' AND status = ?';
+      params.push(status);
+    }
+
+    const stmt = this.db.prepare(query);
+    stmt.bind(params);
+    const results = [];
+    while (stmt.step()) {
+      results.push(stmt.getAsObject());
+    }
+    stmt.free();
+    return results;
+  }
+
+  saveBackupDestinationCopy(data) {
+    const stmt = this.db.prepare(`
+      INSERT OR REPLACE INTO backup_destination_copies
+        (backup_id, destination_id, status, files_total, files_done, bytes_done, error, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, strftime('%s', 'now'))
+    `);
+    stmt.bind([
+      data.backup_id,
+      data.destination_id,
+      data.status,
+      data.files_total || 0,
+      data.files_done || 0,
+      data.bytes_done || 0,
+      data.error || null
+    ]);
+    stmt.step();
+    stmt.free();
+    this.saveDatabase();
+    return { success: true };
+  }
+
+  deleteBackupDestinationCopies(backupId) {
+    const stmt = this.db.prepare('DELETE FROM backup_destination_copies WHERE backup_id = ?');
+    stmt.bind([backupId]);
+    stmt.step();
+    stmt.free();
+    this.saveDatabase();
+    return { success: true };
+  }
+
+  /**
+   * Deletion manifest operations
+   */
+  addToQuarantine(originalPath, quarantinePath, size, userId = null) {
+    const stmt = this.db.prepare(
+      'INSERT INTO deletion_manifest (user_id, original_path, quarantine_path, size) VALUES (?, ?, ?, ?)'
+    );
+    stmt.bind([userId, originalPath, quarantinePath, size]);
+    stmt.step();
+    stmt.free();
+    this.saveDatabase();
+    return { success: true };
+  }
+
+  getQuarantinedFiles(limit = 100, userId = null) {
+    let query = 'SELECT * FROM deletion_manifest WHERE restored = 0';
+    const params = [];
+    
+    if (userId) {
+      query += ' AND user_id = ?';
+      params.push(userId);
+    }
+    
+    query += ' ORDER BY deleted_at DESC LIMIT ?';
+    params.push(limit);
+    
+    const stmt = this.db.prepare(query);
+    stmt.bind(params);
+    const results = [];
+    while (stmt.step()) {
+      results.push(stmt.getAsObject());
+    }
+    stmt.free();
+    return results;
+  }
+
+  markAsRestored(id) {
+    const stmt = this.db.prepare('UPDATE deletion_manifest SET restored = 1 WHERE id = ?');
+    stmt.bind([id]);
+    stmt.step();
+    stmt.free();
+    this.saveDatabase();
+    return { success: true };
+  }
+
+  /**
+   * Conversion operations
+   */
+  logConversion(data, userId = null) {
+    const stmt = this.db.prepare(`
+      INSERT INTO conversions (
+        user_id, input_path, output_path, input_format, output_format, 
+        input_size, output_size, hash_before, hash_after, 
+        encrypted, compressed, duration, status, error, timestamp,
+        batch_id, items
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    
+    stmt.bind([
+      userId,
+      data.input_path,
+      data.output_path,
+      data.input_format,
+      data.output_format,
+      data.input_size || null,
+      data.output_size || null,
+      data.hash_before || null,
+      data.hash_after || null,
+      data.encrypted ? 1 : 0,
+      data.compressed ? 1 : 0,
       data.duration || null,
       data.status,
       data.error || null,
-      data.timestamp
+      data.timestamp,
+      data.batch_id || null,
+      data.items || null
     ]);
     
     stmt.step();
@@ -2085,6 +3320,35 @@ class DatabaseService {
     return { success: true, id: lastId };
   }
 
+  /**
+   * Update the combined record of a conversion batch after its failed items were retried
+   */
+  updateConversionBatch(id, data) {
+    const stmt = this.db.prepare(`
+      UPDATE conversions SET
+        input_path = ?, output_path = ?, input_format = ?, output_format = ?,
+        input_size = ?, output_size = ?, duration = ?, status = ?, error = ?, items = ?
+      WHERE id = ?
+    `);
+    stmt.bind([
+      data.input_path,
+      data.output_path,
+      data.input_format,
+      data.output_format,
+      data.input_size || null,
+      data.output_size || null,
+      data.duration || null,
+      data.status,
+      data.error || null,
+      data.items || null,
+      id
+    ]);
+    stmt.step();
+    stmt.free();
+    this.saveDatabase();
+    return { success: true };
+  }
+
   getConversions(limit = 50, userId = null) {
     let query = 'SELECT * FROM conversions';
     const params = [];
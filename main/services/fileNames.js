@@ -0,0 +1,31 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * File name helpers shared by the services that write files back to user folders
+ * (backup restore, quarantine restore).
+ */
+
+/**
+ * Generate unique filename for conflict resolution
+ * "report.pdf" becomes "report (1).pdf", then "report (2).pdf", until the name is free.
+ */
+function generateUniqueFilename(filePath) {
+  const dir = path.dirname(filePath);
+  const ext = path.extname(filePath);
+  const basename = path.basename(filePath, ext);
+
+  let counter = 1;
+  let newPath = path.join(dir, `${basename} (${counter})${ext}`);
+
+  while (fs.existsSync(newPath)) {
+    counter++;
+    newPath = path.join(dir, `${basename} (${counter})${ext}`);
+  }
+
+  return newPath;
+}
+
+module.exports = {
+  generateUniqueFilename
+};
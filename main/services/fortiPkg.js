@@ -0,0 +1,578 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Transform, Writable } = require('stream');
+const { pipeline } = require('stream/promises');
+const archiver = require('archiver');
+const unzipper = require('unzipper');
+
+/**
+ * FortiPkg package format (version 2)
+ * A .fortipkg is a zip archive with a signed manifest next to the packaged files:
+ *
+ *   .fortipkg-metadata.json   manifest JSON { format, version, creator, created, encryption, files }
+ *   .fortipkg-signature       JSON { algorithm: 'ed25519', issuerId, publicKey, signature }
+ *   <path>                    each packaged file under its relative path ('/' separated)
+ *
+ *   files       [{ path, sha256, size, nonce?, storedSha256? }] - sha256 and size of the original content
+ *   encryption  null, or { cipher: 'aes-256-gcm', kdf: 'scrypt', salt, N, r, p, keyCheck }
+ *
+ * The signature is a detached Ed25519 signature over 'fortipkg-manifest:v2\n' followed by the
+ * exact manifest bytes, made with the install's key (VerificationService.signDetached). It carries the signer's public key, so any
+ * install can check it; the signer is trusted when the key is its own or a trusted issuer's.
+ * Anyone can re-sign a modified package with a fresh key, so a package only verifies, and only
+ * extracts, when its signer is trusted.
+ *
+ * With a password every entry is AES-256-GCM ciphertext followed by its 16-byte tag. The key is
+ * derived from the password with scrypt, each entry has its own nonce and its path as AAD, so
+ * entries cannot be swapped. storedSha256 hashes the stored bytes, so encrypted packages can be
+ * verified without their password. Version 1 packages are plain zips whose metadata only holds
+ * { creator, created, version: '1.0' }. Nothing in them can be checked, and a v2 package with its
+ * signature stripped looks the same, so they only extract when the caller passes allowUnverified
+ * (after the user confirms) and are reported as unverified.
+ */
+
+const FORMAT = 'fortipkg';
+const FORMAT_VERSION = 2;
+const METADATA_ENTRY = '.fortipkg-metadata.json';
+const SIGNATURE_ENTRY = '.fortipkg-signature';
+const MAX_METADATA_SIZE = 16 * 1024 * 1024; // 16MB - the manifest and signature are read into memory
+const CIPHER = 'aes-256-gcm';
+const KDF = 'scrypt';
+const KDF_PARAMS = { N: 32768, r: 8, p: 1 };
+const KEY_CHECK_INFO = 'fortipkg-key-check:v2';
+const NONCE_SIZE = 12;
+const TAG_SIZE = 16;
+
+/**
+ * Derive the package key from its password
+ * The scrypt cost comes from the manifest, so it is bounded before any work is done.
+ */
+function deriveKey(password, { salt, N, r, p }) {
+  if (!Number.isInteger(N) || N < 2 || N > 1048576 || (N & (N - 1)) !== 0 ||
+      !Number.isInteger(r) || r < 1 || r > 32 || !Number.isInteger(p) || p < 1 || p > 4) {
+    throw new Error('FortiPkg key derivation parameters are invalid');
+  }
+
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(String(password), Buffer.from(salt, 'base64'), 32, { N, r, p, maxmem: 256 * N * r }, (error, key) => {
+      if (error) {
+        reject(error);
+      } else {
+        resolve(key);
+      }
+    });
+  });
+}
+
+function keyCheck(key) {
+  return crypto.createHmac('sha256', key).update(KEY_CHECK_INFO).digest('base64');
+}
+
+/**
+ * Derive the key of an encrypted package and make sure the password is the right one
+ */
+async function unlockPackage(manifest, password) {
+  const key = await deriveKey(password, manifest.encryption);
+  const expected = Buffer.from(manifest.encryption.keyCheck || '', 'base64');
+  const actual = Buffer.from(keyCheck(key), 'base64');
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw new Error('Wrong package password');
+  }
+  return key;
+}
+
+/**
+ * Transform stream that encrypts an entry and appends its GCM tag
+ */
+function createSealStream(key, nonce, entryPath) {
+  const cipher = crypto.createCipheriv(CIPHER, key, nonce);
+  cipher.setAAD(Buffer.from(entryPath, 'utf8'));
+
+  return new Transform({
+    transform(data, _encoding, callback) {
+      callback(null, cipher.update(data));
+    },
+    flush(callback) {
+      this.push(cipher.final());
+      this.push(cipher.getAuthTag());
+      callback();
+    }
+  });
+}
+
+/**
+ * Transform stream that decrypts an entry written by createSealStream
+ * The last 16 bytes are held back until the end, since they are the tag.
+ */
+function createOpenStream(key, nonce, entryPath) {
+  const decipher = crypto.createDecipheriv(CIPHER, key, nonce);
+  decipher.setAAD(Buffer.from(entryPath, 'utf8'));
+  let held = Buffer.alloc(0);
+
+  return new Transform({
+    transform(data, _encoding, callback) {
+      held = Buffer.concat([held, data]);
+      if (held.length <= TAG_SIZE) {
+        callback();
+        return;
+      }
+      const plaintext = decipher.update(held.subarray(0, held.length - TAG_SIZE));
+      held = Buffer.from(held.subarray(held.length - TAG_SIZE));
+      callback(null, plaintext);
+    },
+    flush(callback) {
+      if (held.length < TAG_SIZE) {
+        callback(new Error(`Package entry ${entryPath} is truncated`));
+        return;
+      }
+      try {
+        decipher.setAuthTag(held);
+        this.push(decipher.final());
+        callback();
+      } catch (error) {
+        callback(new Error(`Package entry ${entryPath} failed authentication (wrong password or tampered data)`));
+      }
+    }
+  });
+}
+
+/**
+ * Pass-through stream that hashes what flows through it
+ * result() gives { sha256, size } once the stream has ended.
+ */
+function createDigestStream() {
+  const hash = crypto.createHash('sha256');
+  let size = 0;
+
+  const stream = new Transform({
+    transform(data, _encoding, callback) {
+      hash.update(data);
+      size += data.length;
+      callback(null, data);
+    }
+  });
+  stream.result = () => ({ sha256: hash.digest('hex'), size });
+  return stream;
+}
+
+/**
+ * SHA-256 and size of what a chain of streams produces
+ */
+async function digest(...streams) {
+  const digestStream = createDigestStream();
+  await pipeline(...streams, digestStream, new Writable({
+    write(_data, _encoding, callback) {
+      callback();
+    }
+  }));
+  return digestStream.result();
+}
+
+/**
+ * Entry path as stored in the package - relative, '/' separated, never the metadata entries
+ */
+function normalizeEntryPath(name) {
+  const entryPath = String(name || '').replace(/\\/g, '/').replace(/^(\.\/)+/, '');
+  const parts = entryPath.split('/');
+  if (!entryPath || entryPath.startsWith('/') || /^[a-zA-Z]:/.test(entryPath) ||
+      parts.some(part => part === '' || part === '.' || part === '..')) {
+    throw new Error(`Invalid package entry path: ${name}`);
+  }
+  if (entryPath === METADATA_ENTRY || entryPath === SIGNATURE_ENTRY) {
+    throw new Error(`${entryPath} is reserved for the package metadata`);
+  }
+  return entryPath;
+}
+
+/**
+ * Write a signed (and optionally encrypted) version 2 package
+ * @param {Array<Object>} files - { sourcePath, path } - path is the name inside the package
+ * @param {string} outputPath - Package to write
+ * @param {Object} options
+ * @param {Object} options.signer - Has signDetached(data) (VerificationService)
+ * @param {string} options.password - Encrypt the entries with this password
+ * @returns {Promise<Object>} { manifest, signed }
+ */
+async function createPackage(files, outputPath, { signer = null, password = null } = {}) {
+  const seen = new Set();
+  const entries = files.map(({ sourcePath, path: entryPath }) => {
+    const name = normalizeEntryPath(entryPath);
+    if (seen.has(name.toLowerCase())) {
+      throw new Error(`Two files would be stored as ${name} in the package`);
+    }
+    seen.add(name.toLowerCase());
+    return { sourcePath, name, nonce: null };
+  });
+
+  let encryption = null;
+  let key = null;
+  if (password) {
+    encryption = { cipher: CIPHER, kdf: KDF, salt: crypto.randomBytes(16).toString('base64'), ...KDF_PARAMS };
+    key = await deriveKey(password, encryption);
+    encryption.keyCheck = keyCheck(key);
+  }
+
+  const manifestFiles = [];
+  for (const entry of entries) {
+    const { sha256, size } = await digest(fs.createReadStream(entry.sourcePath));
+    const file = { path: entry.name, sha256, size };
+
+    if (key) {
+      entry.nonce = crypto.randomBytes(NONCE_SIZE);
+      file.nonce = entry.nonce.toString('base64');
+      // The ciphertext only depends on the key and nonce, so it can be hashed before it is written
+      file.storedSha256 = (await digest(
+        fs.createReadStream(entry.sourcePath),
+        createSealStream(key, entry.nonce, entry.name)
+      )).sha256;
+    }
+    manifestFiles.push(file);
+  }
+
+  const manifest = {
+    format: FORMAT,
+    version: FORMAT_VERSION,
+    creator: 'FortiMorph',
+    created: new Date().toISOString(),
+    encryption,
+    files: manifestFiles
+  };
+  const manifestBytes = Buffer.from(JSON.stringify(manifest, null, 2));
+  const signature = signer ? await signer.signDetached(manifestBytes) : null;
+
+  await new Promise((resolve, reject) => {
+    const output = fs.createWriteStream(outputPath);
+    const archive = archiver('zip', { zlib: { level: 9 } });
+
+    output.on('close', resolve);
+    output.on('error', reject);
+    archive.on('error', reject);
+
+    archive.pipe(output);
+    archive.append(manifestBytes, { name: METADATA_ENTRY });
+    if (signature) {
+      archive.append(JSON.stringify({ algorithm: 'ed25519', ...signature }, null, 2), { name: SIGNATURE_ENTRY });
+    }
+
+    for (const entry of entries) {
+      if (key) {
+        // Ciphertext does not compress
+        const source = fs.createReadStream(entry.sourcePath);
+        const sealed = createSealStream(key, entry.nonce, entry.name);
+        source.on('error', error => sealed.destroy(error));
+        archive.append(source.pipe(sealed), { name: entry.name, store: true });
+      } else {
+        archive.file(entry.sourcePath, { name: entry.name });
+      }
+    }
+    archive.finalize();
+  });
+
+  return { manifest, signed: Boolean(signature) };
+}
+
+/**
+ * Check a version 2 manifest has the shape the reader relies on
+ */
+function validateManifest(manifest) {
+  if (manifest.format !== FORMAT || !Array.isArray(manifest.files)) {
+    throw new Error('FortiPkg metadata is invalid');
+  }
+  if (manifest.encryption && (manifest.encryption.cipher !== CIPHER || manifest.encryption.kdf !== KDF)) {
+    throw new Error(`Unsupported FortiPkg encryption: ${manifest.encryption.cipher} / ${manifest.encryption.kdf}`);
+  }
+
+  const seen = new Set();
+  for (const file of manifest.files) {
+    if (!file || normalizeEntryPath(file.path) !== file.path || seen.has(file.path) ||
+        !/^[0-9a-f]{64}$/.test(file.sha256) || !Number.isInteger(file.size) ||
+        (manifest.encryption && (!file.nonce || !/^[0-9a-f]{64}$/.test(file.storedSha256)))) {
+      throw new Error(`FortiPkg metadata has an invalid file entry: ${file && file.path}`);
+    }
+    seen.add(file.path);
+  }
+}
+
+/**
+ * Open a package and read its metadata without extracting anything
+ * @returns {Promise<Object>} { entries (name -> zip entry), manifest, manifestBytes, signature, version }
+ */
+async function openPackage(packagePath) {
+  let directory;
+  try {
+    directory = await unzipper.Open.file(packagePath);
+  } catch (error) {
+    throw new Error('Not a FortiPkg package - the file is not a zip archive');
+  }
+
+  const entries = new Map(directory.files.filter(entry => entry.type === 'File').map(entry => [entry.path, entry]));
+  const readJson = async (name) => {
+    const entry = entries.get(name);
+    if (!entry) return { json: null, bytes: null };
+    if (entry.uncompressedSize > MAX_METADATA_SIZE) {
+      throw new Error(`${name} is too large`);
+    }
+    const bytes = await entry.buffer();
+    try {
+      return { json: JSON.parse(bytes.toString('utf-8')), bytes };
+    } catch (error) {
+      throw new Error(`${name} is corrupt`);
+    }
+  };
+
+  const { json: manifest, bytes: manifestBytes } = await readJson(METADATA_ENTRY);
+  if (!manifest) {
+    throw new Error('Not a FortiPkg package - it has no metadata');
+  }
+
+  const version = manifest.version === FORMAT_VERSION ? FORMAT_VERSION : parseInt(manifest.version, 10) || 1;
+  if (version > FORMAT_VERSION) {
+    throw new Error(`Unsupported FortiPkg version: ${manifest.version}`);
+  }
+  if (version === FORMAT_VERSION) {
+    validateManifest(manifest);
+  }
+
+  const { json: signature } = await readJson(SIGNATURE_ENTRY);
+  return { entries, manifest, manifestBytes, signature, version };
+}
+
+/**
+ * Error for a signature that checks out but was made by a key this install does not trust
+ */
+function untrustedSignerError(signature) {
+  return `Package is signed by an untrusted install (${signature.issuerId}) - add its key under trusted issuers to trust it`;
+}
+
+/**
+ * Check the package signature
+ * @param {Object} checker - Has checkDetachedSignature(data, signature) (VerificationService)
+ * @returns {Promise<Object>} { signed, valid, trusted, issuerId, signerName, error }
+ */
+async function checkSignature({ manifestBytes, signature }, checker) {
+  if (!signature) {
+    return { signed: false, valid: false, trusted: false, issuerId: null, signerName: null, error: 'Package is not signed' };
+  }
+  if (signature.algorithm !== 'ed25519' || !signature.publicKey || !signature.signature) {
+    return { signed: true, valid: false, trusted: false, issuerId: signature.issuerId || null, signerName: null, error: 'Package signature is malformed' };
+  }
+  if (!checker) {
+    return { signed: true, valid: false, trusted: false, issuerId: signature.issuerId || null, signerName: null, error: 'Package signature cannot be checked - the signing key is not available' };
+  }
+  return { signed: true, ...(await checker.checkDetachedSignature(manifestBytes, signature)) };
+}
+
+/**
+ * Describe a package from its metadata and signature, without reading the packaged files
+ */
+async function inspectPackage(packagePath, { checker }) {
+  const pkg = await openPackage(packagePath);
+  const signature = await checkSignature(pkg, checker);
+
+  const files = pkg.version === FORMAT_VERSION
+    ? pkg.manifest.files.map(file => ({ path: file.path, size: file.size, sha256: file.sha256, present: pkg.entries.has(file.path) }))
+    : [...pkg.entries.values()]
+      .filter(entry => entry.path !== METADATA_ENTRY)
+      .map(entry => ({ path: entry.path, size: entry.uncompressedSize, sha256: null, present: true }));
+
+  return {
+    version: pkg.version,
+    creator: pkg.manifest.creator || null,
+    created: pkg.manifest.created || null,
+    encrypted: Boolean(pkg.manifest.encryption),
+    fileCount: files.length,
+    totalSize: files.reduce((sum, file) => sum + (file.size || 0), 0),
+    files,
+    signature
+  };
+}
+
+/**
+ * List the entries of a version 2 package that its signed manifest does not cover
+ */
+function findExtraEntries(pkg) {
+  const listed = new Set(pkg.manifest.files.map(file => file.path));
+  return [...pkg.entries.keys()]
+    .filter(name => name !== METADATA_ENTRY && name !== SIGNATURE_ENTRY && !listed.has(name));
+}
+
+/**
+ * Check the signature and every entry's hash without extracting the package
+ * Encrypted packages are checked against storedSha256 unless the password is given, in which
+ * case the entries are decrypted in memory and their original content is checked.
+ * valid needs a trusted signer; intact reports whether the package matches its signature at all.
+ * @returns {Promise<Object>} { valid, intact, version, encrypted, contentChecked, signature, files, extraEntries, error }
+ */
+async function verifyPackage(packagePath, { checker, password = null }) {
+  const pkg = await openPackage(packagePath);
+  const signature = await checkSignature(pkg, checker);
+  const encrypted = Boolean(pkg.manifest.encryption);
+
+  if (pkg.version < FORMAT_VERSION) {
+    return {
+      valid: false,
+      intact: false,
+      version: pkg.version,
+      encrypted,
+      contentChecked: false,
+      signature,
+      files: [],
+      extraEntries: [],
+      error: 'Version 1 packages have no file hashes or signature and cannot be verified'
+    };
+  }
+
+  const key = encrypted && password ? await unlockPackage(pkg.manifest, password) : null;
+  const files = [];
+  for (const file of pkg.manifest.files) {
+    const entry = pkg.entries.get(file.path);
+    if (!entry) {
+      files.push({ path: file.path, status: 'missing', error: null });
+      continue;
+    }
+
+    try {
+      let matches;
+      if (key) {
+        const result = await digest(entry.stream(), createOpenStream(key, Buffer.from(file.nonce, 'base64'), file.path));
+        matches = result.sha256 === file.sha256 && result.size === file.size;
+      } else if (encrypted) {
+        matches = (await digest(entry.stream())).sha256 === file.storedSha256;
+      } else {
+        const result = await digest(entry.stream());
+        matches = result.sha256 === file.sha256 && result.size === file.size;
+      }
+      files.push({ path: file.path, status: matches ? 'ok' : 'modified', error: null });
+    } catch (error) {
+      files.push({ path: file.path, status: 'modified', error: error.message });
+    }
+  }
+
+  const extraEntries = findExtraEntries(pkg);
+  const bad = files.filter(file => file.status !== 'ok');
+
+  let error = null;
+  if (!signature.valid) {
+    error = signature.error;
+  } else if (bad.length > 0) {
+    error = `${bad.length} of ${files.length} files are missing or do not match their signed hashes`;
+  } else if (extraEntries.length > 0) {
+    error = `Package has files that are not in its signed metadata: ${extraEntries.join(', ')}`;
+  }
+  const intact = error === null;
+  if (intact && !signature.trusted) {
+    error = untrustedSignerError(signature);
+  }
+
+  return {
+    valid: error === null,
+    intact,
+    version: pkg.version,
+    encrypted,
+    contentChecked: !encrypted || Boolean(key),
+    signature,
+    files,
+    extraEntries,
+    error
+  };
+}
+
+/**
+ * Resolve an entry path inside the destination, refusing anything that escapes it
+ */
+function resolveTarget(destPath, name) {
+  const root = path.resolve(destPath);
+  const target = path.resolve(root, normalizeEntryPath(name));
+  if (!target.startsWith(root + path.sep)) {
+    throw new Error(`Package entry would be extracted outside the destination folder: ${name}`);
+  }
+  return target;
+}
+
+/**
+ * Extract a package after checking its signature, checking each file's hash as it is written
+ * Entries the signed manifest does not list are refused rather than skipped.
+ * Version 1 packages have nothing to check: they are refused unless allowUnverified is set, then
+ * extracted as they are and reported with verified: false.
+ * @returns {Promise<Object>} { version, files, signature, verified }
+ */
+async function extractPackage(packagePath, destPath, { checker, password = null, allowUnverified = false }) {
+  const pkg = await openPackage(packagePath);
+
+  if (pkg.version < FORMAT_VERSION) {
+    if (!allowUnverified) {
+      throw new Error('Cannot extract package: version 1 packages have no signature or file hashes, so it cannot be verified');
+    }
+
+    await fs.promises.mkdir(destPath, { recursive: true });
+    let count = 0;
+    for (const [name, entry] of pkg.entries) {
+      if (name === METADATA_ENTRY) continue;
+      const target = resolveTarget(destPath, name);
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      await pipeline(entry.stream(), fs.createWriteStream(target));
+      count++;
+    }
+    return { version: pkg.version, files: count, signature: null, verified: false };
+  }
+
+  const signature = await checkSignature(pkg, checker);
+  if (!signature.valid) {
+    throw new Error(`Cannot extract package: ${signature.error}`);
+  }
+  if (!signature.trusted) {
+    throw new Error(`Cannot extract package: ${untrustedSignerError(signature)}`);
+  }
+  const extraEntries = findExtraEntries(pkg);
+  if (extraEntries.length > 0) {
+    throw new Error(`Cannot extract package: it has files that are not in its signed metadata: ${extraEntries.join(', ')}`);
+  }
+  await fs.promises.mkdir(destPath, { recursive: true });
+
+  let key = null;
+  if (pkg.manifest.encryption) {
+    if (!password) {
+      throw new Error('Package is encrypted - enter its password to extract it');
+    }
+    key = await unlockPackage(pkg.manifest, password);
+  }
+
+  for (const file of pkg.manifest.files) {
+    const entry = pkg.entries.get(file.path);
+    if (!entry) {
+      throw new Error(`Package is missing ${file.path}`);
+    }
+
+    const target = resolveTarget(destPath, file.path);
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+
+    const digestStream = createDigestStream();
+    const streams = [entry.stream()];
+    if (key) {
+      streams.push(createOpenStream(key, Buffer.from(file.nonce, 'base64'), file.path));
+    }
+    try {
+      await pipeline(...streams, digestStream, fs.createWriteStream(target));
+      const result = digestStream.result();
+      if (result.sha256 !== file.sha256 || result.size !== file.size) {
+        throw new Error(`${file.path} does not match its signed hash`);
+      }
+    } catch (error) {
+      await fs.promises.rm(target, { force: true });
+      throw error;
+    }
+  }
+
+  return { version: pkg.version, files: pkg.manifest.files.length, signature, verified: true };
+}
+
+module.exports = {
+  FORMAT_VERSION,
+  METADATA_ENTRY,
+  SIGNATURE_ENTRY,
+  createPackage,
+  extractPackage,
+  inspectPackage,
+  verifyPackage
+};
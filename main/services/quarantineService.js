@@ -2,6 +2,7 @@ const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 const { app } = require('electron');
+const { generateUniqueFilename } = require('./fileNames');
 
 /**
  * Quarantine Service
@@ -417,7 +418,7 @@ class QuarantineService {
             message: 'File already exists, restore skipped'
           };
         } else if (conflictMode === 'rename') {
-          finalPath = this.generateUniqueFilename(targetPath);
+          finalPath = generateUniqueFilename(targetPath);
         }
         // overwrite mode: continue with targetPath
       }
@@ -474,25 +475,6 @@ class QuarantineService {
     }
   }
 
-  /**
-   * Generate unique filename for conflict resolution
-   */
-  generateUniqueFilename(filePath) {
-    const dir = path.dirname(filePath);
-    const ext = path.extname(filePath);
-    const basename = path.basename(filePath, ext);
-
-    let counter = 1;
-    let newPath = path.join(dir, `${basename} (${counter})${ext}`);
-
-    while (fs.existsSync(newPath)) {
-      counter++;
-      newPath = path.join(dir, `${basename} (${counter})${ext}`);
-    }
-
-    return newPath;
-  }
-
   /**
    * Purge file from quarantine permanently
    * @param {number} quarantineId - Quarantine record ID
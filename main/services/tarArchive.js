@@ -0,0 +1,327 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { Writable } = require('stream');
+const { pipeline } = require('stream/promises');
+
+/**
+ * Streaming tar reader (ustar, with pax and GNU long name extensions)
+ * An archive is a series of 512-byte blocks:
+ *
+ *   header      1 block   name, mode, size (octal or base-256), mtime, checksum, type, ustar prefix
+ *   body        size bytes, padded to a whole block
+ *   ...
+ *   end         2 zero blocks
+ *
+ * Entries are written to disk as they stream past, so archives of any size extract in constant
+ * memory. Only regular files and directories are extracted; links and device entries are
+ * skipped, and entries whose path would land outside the destination abort the extraction.
+ * Archives are written with archiver (see ConversionService.createTarArchive).
+ */
+
+const BLOCK_SIZE = 512;
+const MAX_META_SIZE = 1024 * 1024; // pax / GNU long name bodies are buffered in memory
+
+const TYPE_FILE = '0';
+const TYPE_FILE_OLD = '\0';
+const TYPE_CONTIGUOUS = '7';
+const TYPE_DIRECTORY = '5';
+const TYPE_PAX = 'x';
+const TYPE_PAX_GLOBAL = 'g';
+const TYPE_GNU_LONG_NAME = 'L';
+const TYPE_GNU_LONG_LINK = 'K';
+
+function readString(block, offset, size) {
+  const field = block.subarray(offset, offset + size);
+  const end = field.indexOf(0);
+  return field.subarray(0, end === -1 ? size : end).toString('utf-8');
+}
+
+/**
+ * Decode a numeric header field; NaN when the field is not a number
+ */
+function decodeNumber(block, offset, size) {
+  const field = block.subarray(offset, offset + size);
+
+  // GNU base-256 encoding for values too large for octal (files over 8GB)
+  if (field[0] & 0x80) {
+    let value = field[0] & 0x7f;
+    for (let i = 1; i < size; i++) {
+      value = value * 256 + field[i];
+    }
+    return value;
+  }
+
+  const text = readString(block, offset, size).trim();
+  if (!text) return 0;
+  return /^[0-7]+$/.test(text) ? parseInt(text, 8) : NaN;
+}
+
+/**
+ * Read a numeric header field, refusing anything that is not a non-negative integer
+ * A NaN size would otherwise leave the extractor looping on an entry it can never finish.
+ */
+function readNumber(block, offset, size) {
+  return checkNumber(decodeNumber(block, offset, size));
+}
+
+function checkNumber(value) {
+  if (!Number.isSafeInteger(value) || value < 0) {
+    throw new Error('Corrupt tar header - a size or number field is not a valid number');
+  }
+  return value;
+}
+
+function isZeroBlock(block) {
+  return block.every(byte => byte === 0);
+}
+
+/**
+ * Parse a header block
+ */
+function parseHeader(block) {
+  const storedChecksum = decodeNumber(block, 148, 8);
+  let checksum = 0;
+  for (let i = 0; i < BLOCK_SIZE; i++) {
+    checksum += i >= 148 && i < 156 ? 0x20 : block[i];
+  }
+  if (checksum !== storedChecksum) {
+    throw new Error('Invalid tar header checksum - the file is not a tar archive or is corrupted');
+  }
+
+  let name = readString(block, 0, 100);
+  const magic = readString(block, 257, 6);
+  if (magic.startsWith('ustar')) {
+    const prefix = readString(block, 345, 155);
+    if (prefix) name = `${prefix}/${name}`;
+  }
+
+  return {
+    name,
+    mode: readNumber(block, 100, 8),
+    size: readNumber(block, 124, 12),
+    mtime: readNumber(block, 136, 12),
+    type: String.fromCharCode(block[156])
+  };
+}
+
+/**
+ * Parse pax extended header records ("<length> <key>=<value>\n")
+ */
+function parsePax(buffer) {
+  const attributes = {};
+  let offset = 0;
+  while (offset < buffer.length) {
+    const space = buffer.indexOf(0x20, offset);
+    const length = parseInt(buffer.subarray(offset, space).toString(), 10);
+    if (space === -1 || !length) break;
+
+    const record = buffer.subarray(space + 1, offset + length - 1).toString('utf-8');
+    const equals = record.indexOf('=');
+    if (equals !== -1) {
+      attributes[record.slice(0, equals)] = record.slice(equals + 1);
+    }
+    offset += length;
+  }
+  return attributes;
+}
+
+/**
+ * Resolve an entry name inside the destination, refusing anything that escapes it
+ */
+function resolveEntryPath(destPath, name) {
+  const relative = name.replace(/\\/g, '/').replace(/^(\.\/)+/, '');
+  if (!relative || relative === '.') {
+    return null;
+  }
+
+  const target = path.resolve(destPath, relative);
+  const root = path.resolve(destPath);
+  if (path.isAbsolute(relative) || (target !== root && !target.startsWith(root + path.sep))) {
+    throw new Error(`Archive entry would be extracted outside the destination folder: ${name}`);
+  }
+  return target;
+}
+
+/**
+ * Writable stream that extracts the tar data written to it into destPath
+ * Emits 'entry' ({ name, type, size }) for each entry and exposes counts on `stats`.
+ */
+function createExtractStream(destPath) {
+  let buffered = Buffer.alloc(0);
+  let entry = null; // entry whose body is streaming: { header, remaining, padding, handle | meta | skip }
+  let pax = null;
+  let longName = null;
+  let ended = false;
+  const stats = { files: 0, directories: 0, skipped: 0 };
+
+  async function startEntry(header) {
+    if (header.type === TYPE_PAX || header.type === TYPE_PAX_GLOBAL ||
+        header.type === TYPE_GNU_LONG_NAME || header.type === TYPE_GNU_LONG_LINK) {
+      if (header.size > MAX_META_SIZE) {
+        throw new Error('Tar extended header is too large');
+      }
+      return { header, meta: [] };
+    }
+
+    const name = (pax && pax.path) || longName || header.name;
+    const size = pax && pax.size !== undefined
+      ? checkNumber(/^\d+$/.test(pax.size) ? Number(pax.size) : NaN)
+      : header.size;
+    pax = null;
+    longName = null;
+
+    const info = { ...header, name, size };
+    extractStream.emit('entry', { name, type: info.type, size });
+
+    const target = resolveEntryPath(destPath, name);
+    if (target && info.type === TYPE_DIRECTORY) {
+      await fs.promises.mkdir(target, { recursive: true });
+      stats.directories++;
+      return { header: info, skip: true };
+    }
+
+    if (!target || ![TYPE_FILE, TYPE_FILE_OLD, TYPE_CONTIGUOUS].includes(info.type)) {
+      stats.skipped++;
+      return { header: info, skip: true };
+    }
+
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+    const handle = await fs.promises.open(target, 'w');
+    stats.files++;
+    return { header: info, target, handle };
+  }
+
+  async function finishEntry() {
+    const { header, handle, target, meta } = entry;
+    entry = null;
+
+    if (handle) {
+      await handle.close();
+      if (header.mtime) {
+        await fs.promises.utimes(target, new Date(), new Date(header.mtime * 1000));
+      }
+    } else if (meta) {
+      const body = Buffer.concat(meta);
+      if (header.type === TYPE_PAX) {
+        pax = parsePax(body);
+      } else if (header.type === TYPE_GNU_LONG_NAME) {
+        longName = body.toString('utf-8').replace(/\0+$/, '');
+      }
+    }
+  }
+
+  async function consume() {
+    for (;;) {
+      if (ended) {
+        buffered = Buffer.alloc(0);
+        return;
+      }
+
+      if (entry) {
+        if (entry.remaining > 0) {
+          if (buffered.length === 0) return;
+          const piece = buffered.subarray(0, Math.min(entry.remaining, buffered.length));
+          buffered = buffered.subarray(piece.length);
+          entry.remaining -= piece.length;
+          if (entry.handle) {
+            await entry.handle.write(piece);
+          } else if (entry.meta) {
+            entry.meta.push(Buffer.from(piece));
+          }
+        }
+
+        if (entry.remaining === 0) {
+          if (buffered.length < entry.padding) return;
+          buffered = buffered.subarray(entry.padding);
+          await finishEntry();
+        }
+        continue;
+      }
+
+      if (buffered.length < BLOCK_SIZE) return;
+      const block = buffered.subarray(0, BLOCK_SIZE);
+      buffered = buffered.subarray(BLOCK_SIZE);
+
+      if (isZeroBlock(block)) {
+        ended = true;
+        continue;
+      }
+
+      const header = parseHeader(block);
+      const started = await startEntry(header);
+      const size = started.header.size;
+      entry = {
+        ...started,
+        remaining: size,
+        padding: (BLOCK_SIZE - (size % BLOCK_SIZE)) % BLOCK_SIZE
+      };
+    }
+  }
+
+  const extractStream = new Writable({
+    write(chunk, _encoding, callback) {
+      buffered = buffered.length ? Buffer.concat([buffered, chunk]) : chunk;
+      consume().then(() => callback(), callback);
+    },
+    final(callback) {
+      if (entry || buffered.length > 0) {
+        const handle = entry && entry.handle;
+        entry = null;
+        const error = new Error('Tar archive is truncated');
+        (handle ? handle.close() : Promise.resolve()).then(() => callback(error), () => callback(error));
+        return;
+      }
+      callback();
+    },
+    destroy(error, callback) {
+      if (entry && entry.handle) {
+        entry.handle.close().then(() => callback(error), () => callback(error));
+        return;
+      }
+      callback(error);
+    }
+  });
+
+  extractStream.stats = stats;
+  return extractStream;
+}
+
+/**
+ * Extract a tar or tar.gz archive
+ * @param {string} archivePath - Archive to read
+ * @param {string} destPath - Folder to extract into (created if missing)
+ * @param {Object} options
+ * @param {boolean} options.gzip - The archive is gzip-compressed
+ * @returns {Promise<Object>} { files, directories, skipped }
+ */
+async function extractTar(archivePath, destPath, { gzip = false } = {}) {
+  await fs.promises.mkdir(destPath, { recursive: true });
+
+  const extractStream = createExtractStream(destPath);
+  const streams = [fs.createReadStream(archivePath)];
+  if (gzip) streams.push(zlib.createGunzip());
+  streams.push(extractStream);
+
+  await pipeline(...streams);
+  return extractStream.stats;
+}
+
+/**
+ * Whether a file starts with the gzip magic bytes
+ */
+async function isGzipFile(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const { bytesRead, buffer } = await handle.read(Buffer.alloc(2), 0, 2, 0);
+    return bytesRead === 2 && buffer[0] === 0x1f && buffer[1] === 0x8b;
+  } finally {
+    await handle.close();
+  }
+}
+
+module.exports = {
+  createExtractStream,
+  extractTar,
+  isGzipFile
+};
@@ -0,0 +1,284 @@
+/**
+ * Verification token codec (binary format, version 1)
+ * Packs a token into a fixed binary layout and writes it with base45 (RFC 9285), whose
+ * alphabet is the QR code alphanumeric set - QR codes of these strings are much less dense
+ * than the byte-mode base64 JSON tokens written before.
+ *
+ *   "FM1:" base45(bytes) "."
+ *
+ *   version     1 byte    0x01
+ *   flags       1 byte    FLAG_* below
+ *   sigVersion  1 byte    version of the signed data the tag covers
+ *   id          16 bytes  token ID
+ *   systemId    8 bytes   issuing system
+ *   issuerId    8 bytes   issuing key (Ed25519 tokens only)
+ *   issuedAt    6 bytes   uint48 BE, ms
+ *   expiresAt   6 bytes   uint48 BE, ms (absent for permanent tokens)
+ *   type, resourceId, resourceName    varint length + UTF-8 each
+ *   maxUses     varint (FLAG_MAX_USES)
+ *   metadata    varint length + JSON (FLAG_METADATA)
+ *   digest      kind (1) + SHA-256 (32) (FLAG_DIGEST)
+ *   tag         the rest: Ed25519 signature (64), HMAC (32) or truncated HMAC (16)
+ *
+ * Base45 output can end in a space, which copy/paste trims away, so the string ends in ".".
+ * decodeToken in verificationService falls back to the legacy base64 JSON format for strings
+ * without the prefix.
+ */
+
+const PREFIX = 'FM1:';
+const TERMINATOR = '.';
+const FORMAT_VERSION = 1;
+const BASE45_ALPHABET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ $%*+-./:';
+
+const FLAG_ED25519 = 0x01;
+const FLAG_ONE_TIME = 0x02;
+const FLAG_PERMANENT = 0x04;
+const FLAG_TRUNCATED = 0x08;
+const FLAG_DIGEST = 0x10;
+const FLAG_METADATA = 0x20;
+const FLAG_MAX_USES = 0x40;
+
+const HMAC_TAG_SIZE = 32;
+const TRUNCATED_TAG_SIZE = 16; // 128-bit HMAC tag
+const ED25519_TAG_SIZE = 64;
+const DIGEST_KINDS = { sha256: 1, 'sha256-dir': 2 };
+
+function base45Encode(buffer) {
+  let output = '';
+  for (let i = 0; i < buffer.length; i += 2) {
+    if (i + 1 < buffer.length) {
+      let value = buffer[i] * 256 + buffer[i + 1];
+      for (let j = 0; j < 3; j++) {
+        output += BASE45_ALPHABET[value % 45];
+        value = Math.floor(value / 45);
+      }
+    } else {
+      const value = buffer[i];
+      output += BASE45_ALPHABET[value % 45] + BASE45_ALPHABET[Math.floor(value / 45)];
+    }
+  }
+  return output;
+}
+
+function base45Decode(text) {
+  if (text.length % 3 === 1) {
+    throw new Error('Invalid base45 length');
+  }
+
+  const bytes = [];
+  for (let i = 0; i < text.length; i += 3) {
+    const digits = text.slice(i, i + 3).split('').map((char) => {
+      const digit = BASE45_ALPHABET.indexOf(char);
+      if (digit === -1) {
+        throw new Error('Invalid base45 character');
+      }
+      return digit;
+    });
+    const value = digits.reduce((total, digit, index) => total + digit * 45 ** index, 0);
+
+    if (digits.length === 3) {
+      if (value > 0xffff) throw new Error('Invalid base45 value');
+      bytes.push(value >> 8, value & 0xff);
+    } else {
+      if (value > 0xff) throw new Error('Invalid base45 value');
+      bytes.push(value);
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+function hexBytes(value, size, name) {
+  if (typeof value !== 'string' || !new RegExp(`^[0-9a-f]{${size * 2}}$`).test(value)) {
+    throw new Error(`Token ${name} must be ${size * 2} hex characters for the binary format`);
+  }
+  return Buffer.from(value, 'hex');
+}
+
+function uint48(value) {
+  const buffer = Buffer.alloc(6);
+  buffer.writeUIntBE(value, 0, 6);
+  return buffer;
+}
+
+function varint(length) {
+  const bytes = [];
+  let value = length;
+  do {
+    let byte = value & 0x7f;
+    value >>>= 7;
+    if (value > 0) byte |= 0x80;
+    bytes.push(byte);
+  } while (value > 0);
+  return Buffer.from(bytes);
+}
+
+function lengthPrefixed(text) {
+  const bytes = Buffer.from(text || '', 'utf-8');
+  return Buffer.concat([varint(bytes.length), bytes]);
+}
+
+/**
+ * Sequential reader over the token bytes
+ */
+class Reader {
+  constructor(buffer) {
+    this.buffer = buffer;
+    this.offset = 0;
+  }
+
+  take(size) {
+    if (this.offset + size > this.buffer.length) {
+      throw new Error('Token is truncated');
+    }
+    const bytes = this.buffer.subarray(this.offset, this.offset + size);
+    this.offset += size;
+    return bytes;
+  }
+
+  uint48() {
+    return this.take(6).readUIntBE(0, 6);
+  }
+
+  varint() {
+    let value = 0;
+    let shift = 0;
+    for (;;) {
+      const byte = this.take(1)[0];
+      value += (byte & 0x7f) * 2 ** shift;
+      if (!(byte & 0x80)) return value;
+      shift += 7;
+      if (shift > 28) throw new Error('Invalid length in token');
+    }
+  }
+
+  string() {
+    return this.take(this.varint()).toString('utf-8');
+  }
+
+  rest() {
+    return this.take(this.buffer.length - this.offset);
+  }
+}
+
+/**
+ * Whether a token string is in the binary format
+ */
+function isBinaryToken(tokenString) {
+  return typeof tokenString === 'string' && tokenString.startsWith(PREFIX);
+}
+
+/**
+ * Encode a signed token payload
+ * @param {Object} payload - Payload as built by generateToken (signature: hex HMAC or base64 Ed25519)
+ * @param {Object} options
+ * @param {boolean} options.truncateTag - Keep only the first 128 bits of an HMAC tag
+ * @returns {string} Token string
+ */
+function encodeBinaryToken(payload, { truncateTag = false } = {}) {
+  const ed25519 = payload.signingMode === 'ed25519';
+  if (ed25519 && truncateTag) {
+    throw new Error('Ed25519 signatures cannot be truncated');
+  }
+
+  let tag = ed25519 ? Buffer.from(payload.signature, 'base64') : Buffer.from(payload.signature, 'hex');
+  if (tag.length !== (ed25519 ? ED25519_TAG_SIZE : HMAC_TAG_SIZE)) {
+    throw new Error('Token signature has an unexpected length');
+  }
+  if (truncateTag) {
+    tag = tag.subarray(0, TRUNCATED_TAG_SIZE);
+  }
+
+  const metadata = payload.metadata && Object.keys(payload.metadata).length > 0 ? payload.metadata : null;
+  let flags = 0;
+  if (ed25519) flags |= FLAG_ED25519;
+  if (payload.oneTimeUse) flags |= FLAG_ONE_TIME;
+  if (payload.expiresAt === null) flags |= FLAG_PERMANENT;
+  if (truncateTag) flags |= FLAG_TRUNCATED;
+  if (payload.fileDigest) flags |= FLAG_DIGEST;
+  if (metadata) flags |= FLAG_METADATA;
+  if (payload.maxUses) flags |= FLAG_MAX_USES;
+
+  const parts = [
+    Buffer.from([FORMAT_VERSION, flags, payload.signatureVersion || 1]),
+    hexBytes(payload.id, 16, 'id'),
+    hexBytes(payload.systemId, 8, 'systemId')
+  ];
+  if (ed25519) parts.push(hexBytes(payload.issuerId, 8, 'issuerId'));
+  parts.push(uint48(payload.issuedAt));
+  if (payload.expiresAt !== null) parts.push(uint48(payload.expiresAt));
+  parts.push(lengthPrefixed(payload.type), lengthPrefixed(payload.resourceId), lengthPrefixed(payload.resourceName));
+  if (payload.maxUses) parts.push(varint(payload.maxUses));
+  if (metadata) parts.push(lengthPrefixed(JSON.stringify(metadata)));
+
+  if (payload.fileDigest) {
+    const [kind, hex] = payload.fileDigest.split(':');
+    if (!DIGEST_KINDS[kind]) {
+      throw new Error(`Unsupported file digest: ${kind}`);
+    }
+    parts.push(Buffer.from([DIGEST_KINDS[kind]]), hexBytes(hex, 32, 'file digest'));
+  }
+  parts.push(tag);
+
+  return PREFIX + base45Encode(Buffer.concat(parts)) + TERMINATOR;
+}
+
+/**
+ * Decode a binary token string into the payload shape used by verifyToken
+ */
+function decodeBinaryToken(tokenString) {
+  if (!isBinaryToken(tokenString) || !tokenString.endsWith(TERMINATOR)) {
+    throw new Error('Not a binary token');
+  }
+
+  const reader = new Reader(base45Decode(tokenString.slice(PREFIX.length, -TERMINATOR.length)));
+  const [version, flags, signatureVersion] = reader.take(3);
+  if (version !== FORMAT_VERSION) {
+    throw new Error(`Unsupported token format version: ${version}`);
+  }
+
+  const ed25519 = Boolean(flags & FLAG_ED25519);
+  const payload = {
+    id: reader.take(16).toString('hex'),
+    systemId: reader.take(8).toString('hex'),
+    signingMode: ed25519 ? 'ed25519' : 'hmac',
+    signatureVersion,
+    oneTimeUse: Boolean(flags & FLAG_ONE_TIME),
+    tagTruncated: Boolean(flags & FLAG_TRUNCATED)
+  };
+  if (ed25519) payload.issuerId = reader.take(8).toString('hex');
+  payload.issuedAt = reader.uint48();
+  payload.expiresAt = flags & FLAG_PERMANENT ? null : reader.uint48();
+  payload.type = reader.string();
+  payload.resourceId = reader.string();
+  payload.resourceName = reader.string();
+  payload.maxUses = flags & FLAG_MAX_USES ? reader.varint() : null;
+  payload.metadata = flags & FLAG_METADATA ? JSON.parse(reader.string()) : {};
+  payload.fileDigest = null;
+
+  if (flags & FLAG_DIGEST) {
+    const kindCode = reader.take(1)[0];
+    const kind = Object.keys(DIGEST_KINDS).find((name) => DIGEST_KINDS[name] === kindCode);
+    if (!kind) {
+      throw new Error('Unsupported file digest in token');
+    }
+    payload.fileDigest = `${kind}:${reader.take(32).toString('hex')}`;
+  }
+
+  const tag = reader.rest();
+  const expectedSize = ed25519 ? ED25519_TAG_SIZE : payload.tagTruncated ? TRUNCATED_TAG_SIZE : HMAC_TAG_SIZE;
+  if (tag.length !== expectedSize) {
+    throw new Error('Token signature has an unexpected length');
+  }
+  payload.signature = ed25519 ? tag.toString('base64') : tag.toString('hex');
+
+  return payload;
+}
+
+module.exports = {
+  FORMAT_VERSION,
+  base45Decode,
+  base45Encode,
+  decodeBinaryToken,
+  encodeBinaryToken,
+  isBinaryToken
+};
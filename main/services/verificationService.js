@@ -6,8 +6,12 @@
  * 
  * Features:
  * - HMAC-SHA256 based signing
+ * - Ed25519 signing for tokens that other installs verify with this install's public key
  * - Time-to-live (TTL) enforcement
  * - One-time use token support
+ * - Revocation with signed revocation lists for other installs
+ * - Signed metadata and canonical file/folder digest, re-checked against the file being verified
+ * - Compact binary/base45 token strings for QR alphanumeric mode (legacy base64 JSON still decodes)
  * - QR code generation
  * - Device/app-specific binding
  */
@@ -15,12 +19,36 @@
 const crypto = require('crypto');
 const QRCode = require('qrcode');
 const os = require('os');
+const fs = require('fs');
+const path = require('path');
 // FIX: database.js exports a singleton instance directly, not a getDatabase function
 const db = require('./database');
+const { decodeBinaryToken, encodeBinaryToken, isBinaryToken } = require('./tokenCodec');
+
+const SIGNING_MODES = ['hmac', 'ed25519'];
+const TOKEN_ENCODINGS = ['binary', 'json'];
+// Version 2 signatures also cover metadata and the file digest, version 3 the use limit;
+// tokens signed with older versions still verify
+const SIGNATURE_VERSION = 3;
+const REVOCATION_LIST_FORMAT = 'fortimorph-revocations';
+const REVOCATION_LIST_VERSION = 1;
+// Prefixed to the data of detached signatures, so a FortiPkg manifest signature can never
+// pass as a token or revocation list signature made with the same key, or the other way round
+const DETACHED_SIGNATURE_CONTEXT = 'fortipkg-manifest:v2\n';
+
+/**
+ * Bytes a detached signature covers: the context string, then the data
+ */
+function detachedSignatureInput(data) {
+  return Buffer.concat([Buffer.from(DETACHED_SIGNATURE_CONTEXT), Buffer.from(data)]);
+}
 
 class VerificationService {
   constructor(logsService = null) {
     this.appSecret = null;
+    this.signingKey = null;
+    this.publicKey = null;
+    this.issuerId = null;
     this.systemId = null;
     this.initialized = false;
     this.getUserId = null; // Function to get current user ID
@@ -54,6 +82,19 @@ class VerificationService {
         db.setSetting('verification_secret', this.appSecret);
       }
 
+      // Get or create the install's Ed25519 key pair (its public key is what other installs trust)
+      const signingKeyPem = db.getSetting('verification_signing_key');
+
+      if (signingKeyPem) {
+        this.signingKey = crypto.createPrivateKey(signingKeyPem);
+      } else {
+        const { privateKey } = crypto.generateKeyPairSync('ed25519');
+        this.signingKey = privateKey;
+        db.setSetting('verification_signing_key', privateKey.export({ type: 'pkcs8', format: 'pem' }));
+      }
+      this.publicKey = crypto.createPublicKey(this.signingKey);
+      this.issuerId = this.getIssuerId(this.publicKey);
+
       // Generate system ID (based on hostname + platform + architecture)
       const systemInfo = {
         hostname: os.hostname(),
@@ -84,8 +125,12 @@ class VerificationService {
    * @param {number|null} options.ttl - Time-to-live in seconds (null for permanent)
    * @param {boolean} options.oneTimeUse - Whether token is single-use
    * @param {Object} options.metadata - Additional metadata to include
-   * @param {string} options.filePath - Optional file path for browsed files
-   * @param {string} options.fileHash - Optional file hash for browsed files
+   * @param {string} options.filePath - Optional file or folder path; its canonical digest is signed into the token
+   * @param {string} options.fileHash - Ignored, kept for older callers (the digest is computed from filePath)
+   * @param {string} options.signingMode - 'hmac' (verifiable on this install only) or 'ed25519'
+   *   (verifiable on any install that trusts this install's public key)
+   * @param {string} options.encoding - 'binary' (base45, compact QR codes) or 'json' (legacy base64 JSON)
+   * @param {boolean} options.truncateTag - Shorten an HMAC tag to 128 bits for an even smaller QR code
    * @returns {Promise<Object>} Token data with signature and QR code
    */
   async generateToken(options) {
@@ -97,15 +142,33 @@ class VerificationService {
       resourceName,
       ttl = 3600, // 1 hour default, null for permanent
       oneTimeUse = false,
+      maxUses = null, // null for unlimited
       metadata = {},
       filePath = null,
-      fileHash = null
+      signingMode = 'hmac',
+      encoding = 'binary',
+      truncateTag = false
     } = options;
 
     // Validate inputs
     if (!resourceId) {
       throw new Error('resourceId is required for token generation');
     }
+    if (!SIGNING_MODES.includes(signingMode)) {
+      throw new Error(`Unsupported signing mode: ${signingMode}`);
+    }
+    if (!TOKEN_ENCODINGS.includes(encoding)) {
+      throw new Error(`Unsupported token encoding: ${encoding}`);
+    }
+    if (truncateTag && (encoding !== 'binary' || signingMode !== 'hmac')) {
+      throw new Error('Only HMAC tokens in the binary encoding can have a truncated tag');
+    }
+    if (maxUses !== null && (!Number.isInteger(maxUses) || maxUses < 1)) {
+      throw new Error('maxUses must be a positive whole number');
+    }
+
+    // One-time use is a use limit of 1
+    const useLimit = oneTimeUse ? 1 : maxUses;
 
   // Use integer milliseconds for timestamps and ensure numeric types
   const now = Math.floor(Date.now());
@@ -113,6 +176,9 @@ class VerificationService {
   const expiresAt = ttl === null ? null : Math.floor(now + (ttl * 1000));
     const tokenId = crypto.randomBytes(16).toString('hex');
 
+    // Hash the file here rather than trusting a hash from the caller - this is what the token certifies
+    const fileDigest = filePath ? await this.calculateCanonicalDigest(filePath) : null;
+
     // Create token payload
     const payload = {
       id: tokenId,
@@ -122,26 +188,19 @@ class VerificationService {
       systemId: this.systemId,
       issuedAt: now,
       expiresAt,
-      oneTimeUse,
-      metadata
+      oneTimeUse: useLimit === 1,
+      maxUses: useLimit,
+      metadata,
+      fileDigest,
+      signingMode,
+      signatureVersion: SIGNATURE_VERSION
     };
 
-    // Generate HMAC signature
-    const dataToSign = JSON.stringify({
-      id: payload.id,
-      type: payload.type,
-      resourceId: payload.resourceId,
-      systemId: payload.systemId,
-      issuedAt: payload.issuedAt,
-      expiresAt: payload.expiresAt,
-      oneTimeUse: payload.oneTimeUse
-    });
-
-    const signature = crypto
-      .createHmac('sha256', this.appSecret)
-      .update(dataToSign)
-      .digest('hex');
+    if (signingMode === 'ed25519') {
+      payload.issuerId = this.issuerId;
+    }
 
+    const signature = this.signPayload(payload);
     payload.signature = signature;
 
     // FIX: Store token in database using new method
@@ -155,7 +214,8 @@ class VerificationService {
       issuedAt: now,
       expiresAt,
       ttl,
-      oneTimeUse,
+      maxUses: useLimit,
+      signingMode,
       isPermanent: ttl === null
     });
     
@@ -169,12 +229,14 @@ class VerificationService {
       now,
       expiresAt, // Can be NULL for permanent tokens
       ttl, // Store original TTL value (can be null)
-      oneTimeUse,
+      useLimit === 1,
       metadata,
       signature,
       filePath, // Store file path if browsed
-      fileHash, // Store file hash if browsed
-      userId    // Store user ID for filtering
+      fileDigest, // Store canonical digest if browsed
+      userId,   // Store user ID for filtering
+      signingMode,
+      useLimit
     );
 
     console.log(`[VerificationService] Database insert result: ${success}`);
@@ -185,7 +247,7 @@ class VerificationService {
     }
 
     // Generate compact token string for QR code
-    const tokenString = this.encodeToken(payload);
+    const tokenString = this.encodeToken(payload, { encoding, truncateTag });
 
     // Generate QR code
     const qrCodeDataUrl = await this.generateQRCode(tokenString);
@@ -201,7 +263,8 @@ class VerificationService {
         resourceId,
         resourceName: resourceName || resourceId,
         ttl: ttl === null ? 'permanent' : ttl,
-        oneTimeUse
+        maxUses: useLimit,
+        signingMode
       }, userId);
     }
 
@@ -223,82 +286,43 @@ class VerificationService {
    * Verify a token
    * @param {string} tokenString - Token string to verify
    * @param {boolean} markAsUsed - Whether to mark token as used
+   * @param {Object} options - Verification options
+   * @param {string} options.filePath - File or folder to check against the token's signed digest
+   *   (defaults to the original location when the token was issued here)
    * @returns {Promise<Object>} Verification result
    */
-  async verifyToken(tokenString, markAsUsed = true) {
+  async verifyToken(tokenString, markAsUsed = true, options = {}) {
     await this.initialize();
 
     try {
       // Decode token
       const payload = this.decodeToken(tokenString);
 
-      // FIX: Retrieve token from database using new method
-      const tokenRecord = db.getVerificationToken(payload.id);
-
-      if (!tokenRecord) {
-        return {
-          valid: false,
-          error: 'TOKEN_NOT_FOUND',
-          message: 'Token does not exist'
-        };
-      }
-
-      // Check if token was already used (for one-time use tokens)
-      if (tokenRecord.one_time_use && tokenRecord.used) {
-        return {
-          valid: false,
-          error: 'TOKEN_ALREADY_USED',
-          message: 'This token has already been used'
-        };
-      }
-
-      // Check expiration (skip for permanent tokens where expires_at is NULL)
-      const now = Date.now();
-      if (tokenRecord.expires_at !== null && now > tokenRecord.expires_at) {
-        return {
-          valid: false,
-          error: 'TOKEN_EXPIRED',
-          message: 'Token has expired',
-          expiredAt: new Date(tokenRecord.expires_at).toISOString()
-        };
-      }
+      const check = payload.signingMode === 'ed25519'
+        ? this.checkEd25519Token(payload)
+        : this.checkHmacToken(payload);
 
-      // Verify system ID matches
-      if (payload.systemId !== this.systemId) {
-        return {
-          valid: false,
-          error: 'SYSTEM_MISMATCH',
-          message: 'Token was generated on a different system'
-        };
+      if (!check.valid) {
+        this.recordTokenUse(payload, { result: check.error });
+        return check;
       }
 
-      // Verify signature
-      const dataToSign = JSON.stringify({
-        id: payload.id,
-        type: payload.type,
-        resourceId: payload.resourceId,
-        systemId: payload.systemId,
-        issuedAt: payload.issuedAt,
-        expiresAt: payload.expiresAt,
-        oneTimeUse: payload.oneTimeUse
-      });
-
-      const expectedSignature = crypto
-        .createHmac('sha256', this.appSecret)
-        .update(dataToSign)
-        .digest('hex');
-
-      if (expectedSignature !== payload.signature) {
-        return {
-          valid: false,
-          error: 'INVALID_SIGNATURE',
-          message: 'Token signature is invalid (possible forgery attempt)'
-        };
-      }
+      const { tokenRecord, issuer } = check;
 
-      // FIX: Mark as used if requested using new method
-      if (markAsUsed && tokenRecord.one_time_use) {
-        db.markTokenAsUsed(payload.id);
+      // Use limits are enforced by the install that verifies: tokens issued here count every use
+      // on their own row, limited tokens issued elsewhere are counted in redeemed_tokens
+      const usage = this.getTokenUsage(payload, tokenRecord);
+      const consumed = markAsUsed && (tokenRecord !== null || usage.maxUses !== null);
+      if (consumed) {
+        if (tokenRecord) {
+          db.markTokenAsUsed(payload.id);
+        } else {
+          db.addRedeemedToken(payload.id, payload.issuerId, payload.expiresAt);
+        }
+        usage.useCount += 1;
+        if (usage.maxUses !== null) {
+          usage.remainingUses = Math.max(usage.maxUses - usage.useCount, 0);
+        }
       }
 
       console.log(`[VerificationService] Token verified: ${payload.id}`);
@@ -310,33 +334,48 @@ class VerificationService {
           id: payload.id,
           type: payload.type,
           resourceId: payload.resourceId,
-          resourceName: payload.resourceName,
+          resourceName: payload.resourceName || (tokenRecord && tokenRecord.resource_name),
           issuedAt: new Date(payload.issuedAt).toISOString(),
           expiresAt: payload.expiresAt ? new Date(payload.expiresAt).toISOString() : null,
           isPermanent: payload.expiresAt === null,
-          metadata: JSON.parse(tokenRecord.metadata || '{}')
+          signingMode: payload.signingMode,
+          issuer,
+          metadata: payload.signatureVersion >= 2
+            ? payload.metadata || {}
+            : tokenRecord ? JSON.parse(tokenRecord.metadata || '{}') : {},
+          fileDigest: payload.signatureVersion >= 2 ? payload.fileDigest || null : null
         },
+        usage,
         resourceVerification: {
           exists: true,
           verified: true
         }
       };
 
-      // If token has file path and hash, verify file integrity
-      if (tokenRecord.file_path && tokenRecord.file_hash) {
+      // Re-hash the file the token certifies: the signed digest when the token has one (only
+      // version 2+ signatures cover it), otherwise the hash stored with a token issued here
+      const signedDigest = payload.signatureVersion >= 2 ? payload.fileDigest : null;
+      const expectedDigest = signedDigest || (tokenRecord && tokenRecord.file_hash);
+      const checkPath = options.filePath || (tokenRecord && tokenRecord.file_path);
+
+      if (expectedDigest && checkPath) {
         try {
-          const fs = require('fs');
-          const fileExists = fs.existsSync(tokenRecord.file_path);
-          
-          if (!fileExists) {
+          if (!fs.existsSync(checkPath)) {
             result.resourceVerification.exists = false;
             result.resourceVerification.verified = false;
-            result.resourceVerification.message = 'File no longer exists at original location';
+            result.resourceVerification.message = options.filePath
+              ? 'Selected file does not exist'
+              : 'File no longer exists at original location';
           } else {
-            // Calculate current hash and compare
-            const currentHash = await this.calculateFileHashInternal(tokenRecord.file_path);
-            const hashMatch = currentHash === tokenRecord.file_hash;
-            
+            // Digests without an algorithm prefix come from tokens made before canonical digests
+            const currentDigest = expectedDigest.includes(':')
+              ? await this.calculateCanonicalDigest(checkPath)
+              : await this.calculateFileHashInternal(checkPath);
+            const hashMatch = currentDigest === expectedDigest;
+
+            result.resourceVerification.checkedPath = checkPath;
+            result.resourceVerification.expectedDigest = expectedDigest;
+            result.resourceVerification.actualDigest = currentDigest;
             result.resourceVerification.hashMatch = hashMatch;
             result.resourceVerification.verified = hashMatch;
             if (!hashMatch) {
@@ -344,19 +383,36 @@ class VerificationService {
             }
           }
         } catch (error) {
+          result.resourceVerification.verified = false;
           result.resourceVerification.error = error.message;
         }
+      } else if (expectedDigest) {
+        result.resourceVerification.verified = false;
+        result.resourceVerification.fileRequired = true;
+        result.resourceVerification.expectedDigest = expectedDigest;
+        result.resourceVerification.message = 'Select the file to check it against the digest in this token';
       }
 
+      this.recordTokenUse(payload, {
+        result: 'valid',
+        counted: consumed,
+        fileHash: result.resourceVerification.actualDigest || null,
+        hashMatch: result.resourceVerification.hashMatch
+      });
+
       // Log token verification
       if (this.logsService) {
-        const userId = this.getUserId ? this.getUserId() : tokenRecord.user_id;
+        const userId = this.getUserId ? this.getUserId() : tokenRecord && tokenRecord.user_id;
         await this.logsService.info(`Verification token verified: ${payload.type}`, 'verification', {
           tokenId: payload.id,
           type: payload.type,
           resourceId: payload.resourceId,
+          issuerId: issuer ? issuer.issuerId : null,
           valid: true,
-          used: markAsUsed && tokenRecord.one_time_use
+          used: consumed,
+          useCount: usage.useCount,
+          maxUses: usage.maxUses,
+          hashMatch: result.resourceVerification.hashMatch
         }, userId);
       }
 
@@ -380,12 +436,676 @@ class VerificationService {
     }
   }
 
+  /**
+   * Check an HMAC token - only the install holding the secret and the token row can verify it
+   * @returns {Object} { valid: true, tokenRecord } or the failed verification result
+   */
+  checkHmacToken(payload) {
+    const tokenRecord = db.getVerificationToken(payload.id);
+
+    if (!tokenRecord) {
+      return {
+        valid: false,
+        error: 'TOKEN_NOT_FOUND',
+        message: 'Token does not exist'
+      };
+    }
+
+    if (tokenRecord.revoked_at) {
+      return this.revokedResult(tokenRecord.revoked_at, tokenRecord.revoke_reason);
+    }
+
+    // Check if token has used up its allowed uses
+    const usage = this.getTokenUsage(payload, tokenRecord);
+    if (usage.remainingUses === 0) {
+      return this.usedUpResult(usage);
+    }
+
+    // Check expiration (skip for permanent tokens where expires_at is NULL)
+    const now = Date.now();
+    if (tokenRecord.expires_at !== null && now > tokenRecord.expires_at) {
+      return {
+        valid: false,
+        error: 'TOKEN_EXPIRED',
+        message: 'Token has expired',
+        expiredAt: new Date(tokenRecord.expires_at).toISOString()
+      };
+    }
+
+    // Verify system ID matches
+    if (payload.systemId !== this.systemId) {
+      return {
+        valid: false,
+        error: 'SYSTEM_MISMATCH',
+        message: 'Token was generated on a different system'
+      };
+    }
+
+    // Verify signature (binary tokens may carry only the first 128 bits of the HMAC)
+    const expectedSignature = this.signPayload(payload);
+    const givenSignature = payload.signature || '';
+    const comparedSignature = payload.tagTruncated
+      ? expectedSignature.substring(0, givenSignature.length)
+      : expectedSignature;
+
+    if (givenSignature.length < 32 || comparedSignature.length !== givenSignature.length ||
+        !crypto.timingSafeEqual(Buffer.from(comparedSignature), Buffer.from(givenSignature))) {
+      return {
+        valid: false,
+        error: 'INVALID_SIGNATURE',
+        message: 'Token signature is invalid (possible forgery attempt)'
+      };
+    }
+
+    return { valid: true, tokenRecord, issuer: null };
+  }
+
+  /**
+   * Check an Ed25519 token against this install's key or a trusted issuer
+   * Works without the issuing database: expiry comes from the signed payload and one-time use
+   * is tracked by this install.
+   * @returns {Object} { valid: true, tokenRecord, issuer } or the failed verification result
+   */
+  checkEd25519Token(payload) {
+    const issuer = this.resolveIssuer(payload.issuerId);
+
+    if (!issuer) {
+      return {
+        valid: false,
+        error: 'UNTRUSTED_ISSUER',
+        message: 'Token was issued by a FortiMorph install that is not in your trusted issuers',
+        issuerId: payload.issuerId || null
+      };
+    }
+
+    let signatureValid = false;
+    try {
+      signatureValid = crypto.verify(
+        null,
+        Buffer.from(this.getSignedData(payload)),
+        issuer.publicKey,
+        Buffer.from(payload.signature || '', 'base64')
+      );
+    } catch (error) {
+      signatureValid = false;
+    }
+
+    if (!signatureValid) {
+      return {
+        valid: false,
+        error: 'INVALID_SIGNATURE',
+        message: 'Token signature is invalid (possible forgery attempt)'
+      };
+    }
+
+    // Tokens issued here still need their row - deleting it withdraws the token on this install
+    const tokenRecord = db.getVerificationToken(payload.id);
+    if (tokenRecord && tokenRecord.revoked_at) {
+      return this.revokedResult(tokenRecord.revoked_at, tokenRecord.revoke_reason);
+    }
+
+    const revocation = issuer.self ? null : db.getRevokedToken(issuer.issuerId, payload.id);
+    if (revocation) {
+      return this.revokedResult(revocation.revoked_at, revocation.reason);
+    }
+
+    if (issuer.self && !tokenRecord) {
+      return {
+        valid: false,
+        error: 'TOKEN_NOT_FOUND',
+        message: 'Token does not exist'
+      };
+    }
+
+    const usage = this.getTokenUsage(payload, tokenRecord);
+    if (usage.remainingUses === 0) {
+      return this.usedUpResult(usage);
+    }
+
+    if (payload.expiresAt !== null && Date.now() > payload.expiresAt) {
+      return {
+        valid: false,
+        error: 'TOKEN_EXPIRED',
+        message: 'Token has expired',
+        expiredAt: new Date(payload.expiresAt).toISOString()
+      };
+    }
+
+    return {
+      valid: true,
+      tokenRecord,
+      issuer: { issuerId: issuer.issuerId, name: issuer.name, self: issuer.self }
+    };
+  }
+
+  /**
+   * Uses counted so far against a token's use limit
+   * Tokens issued here count on their own row, tokens issued elsewhere in redeemed_tokens.
+   * @returns {Object} { useCount, maxUses, remainingUses } (maxUses/remainingUses null when unlimited)
+   */
+  getTokenUsage(payload, tokenRecord) {
+    let useCount;
+    let maxUses;
+
+    if (tokenRecord) {
+      useCount = tokenRecord.use_count || 0;
+      maxUses = tokenRecord.max_uses !== null && tokenRecord.max_uses !== undefined
+        ? tokenRecord.max_uses
+        : (tokenRecord.one_time_use ? 1 : null);
+    } else {
+      const redeemed = db.getRedeemedToken(payload.issuerId, payload.id);
+      useCount = redeemed ? (redeemed.use_count || 1) : 0;
+      maxUses = payload.maxUses || (payload.oneTimeUse ? 1 : null);
+    }
+
+    return {
+      useCount,
+      maxUses,
+      remainingUses: maxUses === null ? null : Math.max(maxUses - useCount, 0)
+    };
+  }
+
+  /**
+   * Verification result for a token with no uses left
+   */
+  usedUpResult(usage) {
+    return {
+      valid: false,
+      error: 'TOKEN_ALREADY_USED',
+      message: usage.maxUses === 1
+        ? 'This token has already been used'
+        : `This token has already been used ${usage.useCount} of ${usage.maxUses} times`,
+      usage
+    };
+  }
+
+  /**
+   * Add a verification attempt to the token's audit trail
+   * Only tokens issued here keep a trail, so IDs made up by a forger don't fill the table.
+   */
+  recordTokenUse(payload, { result, counted = false, fileHash = null, hashMatch = null }) {
+    try {
+      if (!payload.id || !db.getVerificationToken(payload.id)) {
+        return;
+      }
+
+      db.addTokenUse({
+        tokenId: payload.id,
+        systemId: this.systemId,
+        issuerId: payload.signingMode === 'ed25519' ? payload.issuerId || null : null,
+        result,
+        counted,
+        fileHash,
+        hashMatch,
+        userId: this.getUserId ? this.getUserId() : null
+      });
+    } catch (error) {
+      console.error('[VerificationService] Failed to record token use:', error);
+    }
+  }
+
+  /**
+   * Verification result for a revoked token
+   */
+  revokedResult(revokedAt, reason) {
+    return {
+      valid: false,
+      error: 'TOKEN_REVOKED',
+      message: reason ? `Token has been revoked: ${reason}` : 'Token has been revoked',
+      revokedAt: new Date(revokedAt).toISOString(),
+      reason: reason || null
+    };
+  }
+
+  /**
+   * Data covered by a token signature
+   * Ed25519 tokens also sign the resource name and issuer, since the verifying install
+   * has no database row to take them from.
+   */
+  getSignedData(payload) {
+    if (payload.signatureVersion >= 2) {
+      return this.canonicalJson({
+        version: payload.signatureVersion,
+        id: payload.id,
+        type: payload.type,
+        resourceId: payload.resourceId,
+        resourceName: payload.resourceName,
+        systemId: payload.systemId,
+        issuerId: payload.signingMode === 'ed25519' ? payload.issuerId : null,
+        issuedAt: payload.issuedAt,
+        expiresAt: payload.expiresAt,
+        oneTimeUse: payload.oneTimeUse,
+        metadata: payload.metadata || {},
+        fileDigest: payload.fileDigest || null,
+        ...(payload.signatureVersion >= 3 && { maxUses: payload.maxUses || null })
+      });
+    }
+
+    if (payload.signingMode === 'ed25519') {
+      return JSON.stringify({
+        id: payload.id,
+        type: payload.type,
+        resourceId: payload.resourceId,
+        resourceName: payload.resourceName,
+        systemId: payload.systemId,
+        issuerId: payload.issuerId,
+        issuedAt: payload.issuedAt,
+        expiresAt: payload.expiresAt,
+        oneTimeUse: payload.oneTimeUse
+      });
+    }
+
+    return JSON.stringify({
+      id: payload.id,
+      type: payload.type,
+      resourceId: payload.resourceId,
+      systemId: payload.systemId,
+      issuedAt: payload.issuedAt,
+      expiresAt: payload.expiresAt,
+      oneTimeUse: payload.oneTimeUse
+    });
+  }
+
+  /**
+   * JSON with object keys sorted at every level, so equal data always signs to the same bytes
+   */
+  canonicalJson(value) {
+    if (Array.isArray(value)) {
+      return `[${value.map(item => this.canonicalJson(item === undefined ? null : item)).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+      const entries = Object.keys(value)
+        .filter(key => value[key] !== undefined)
+        .sort()
+        .map(key => `${JSON.stringify(key)}:${this.canonicalJson(value[key])}`);
+      return `{${entries.join(',')}}`;
+    }
+    return JSON.stringify(value);
+  }
+
+  /**
+   * Sign a token payload with the install's HMAC secret or Ed25519 key
+   * @returns {string} Hex HMAC or base64 Ed25519 signature
+   */
+  signPayload(payload) {
+    const dataToSign = this.getSignedData(payload);
+
+    if (payload.signingMode === 'ed25519') {
+      return crypto.sign(null, Buffer.from(dataToSign), this.signingKey).toString('base64');
+    }
+
+    return crypto
+      .createHmac('sha256', this.appSecret)
+      .update(dataToSign)
+      .digest('hex');
+  }
+
+  /**
+   * Issuer ID of a public key - first 16 hex chars of the SHA-256 of its SPKI encoding
+   * @param {crypto.KeyObject} publicKey - Ed25519 public key
+   */
+  getIssuerId(publicKey) {
+    return crypto
+      .createHash('sha256')
+      .update(publicKey.export({ type: 'spki', format: 'der' }))
+      .digest('hex')
+      .substring(0, 16);
+  }
+
+  /**
+   * Find the public key for an issuer ID - this install or a trusted issuer
+   * @returns {Object|null} { issuerId, name, publicKey, self }
+   */
+  resolveIssuer(issuerId) {
+    if (!issuerId) return null;
+
+    if (issuerId === this.issuerId) {
+      return { issuerId, name: os.hostname(), publicKey: this.publicKey, self: true };
+    }
+
+    const userId = this.getUserId ? this.getUserId() : null;
+    const trusted = db.getTrustedIssuer(issuerId, userId);
+    if (!trusted) return null;
+
+    return {
+      issuerId,
+      name: trusted.name,
+      publicKey: crypto.createPublicKey({
+        key: Buffer.from(trusted.public_key, 'base64'),
+        format: 'der',
+        type: 'spki'
+      }),
+      self: false
+    };
+  }
+
+  /**
+   * Detached Ed25519 signature over arbitrary data with this install's key (FortiPkg manifests)
+   * What is signed is DETACHED_SIGNATURE_CONTEXT followed by data.
+   * @param {Buffer} data - Exact bytes to sign
+   * @returns {Promise<Object>} { issuerId, publicKey (SPKI, base64), signature (base64) }
+   */
+  async signDetached(data) {
+    await this.initialize();
+
+    return {
+      issuerId: this.issuerId,
+      publicKey: this.publicKey.export({ type: 'spki', format: 'der' }).toString('base64'),
+      signature: crypto.sign(null, detachedSignatureInput(data), this.signingKey).toString('base64')
+    };
+  }
+
+  /**
+   * Check a detached signature made by signDetached on this or another install
+   * The signature is checked against the key it carries; the signer is trusted when that key
+   * is this install's or a trusted issuer's.
+   * @returns {Promise<Object>} { valid, trusted, issuerId, signerName, error }
+   */
+  async checkDetachedSignature(data, { issuerId, publicKey, signature }) {
+    await this.initialize();
+
+    let key;
+    try {
+      key = crypto.createPublicKey({ key: Buffer.from(publicKey, 'base64'), format: 'der', type: 'spki' });
+    } catch (error) {
+      return { valid: false, trusted: false, issuerId, signerName: null, error: 'Signer key is invalid' };
+    }
+    if (key.asymmetricKeyType !== 'ed25519' || this.getIssuerId(key) !== issuerId) {
+      return { valid: false, trusted: false, issuerId, signerName: null, error: 'Signer key does not match its issuer ID' };
+    }
+
+    let valid = false;
+    try {
+      valid = crypto.verify(null, detachedSignatureInput(data), key, Buffer.from(signature, 'base64'));
+    } catch (error) {
+      valid = false;
+    }
+
+    const issuer = this.resolveIssuer(issuerId);
+    const trusted = Boolean(issuer) &&
+      issuer.publicKey.export({ type: 'spki', format: 'der' }).toString('base64') === publicKey;
+
+    return {
+      valid,
+      trusted,
+      issuerId,
+      signerName: trusted ? issuer.name : null,
+      error: valid ? null : 'Signature does not match - the data was modified after signing'
+    };
+  }
+
+  /**
+   * Export this install's public key so other installs can trust its Ed25519 tokens
+   * @returns {Promise<Object>} { issuerId, name, issuerKey (shareable string), publicKeyPem }
+   */
+  async exportPublicKey() {
+    await this.initialize();
+
+    const name = os.hostname();
+    const issuerKey = Buffer.from(JSON.stringify({
+      v: 1,
+      i: this.issuerId,
+      n: name,
+      k: this.publicKey.export({ type: 'spki', format: 'der' }).toString('base64')
+    })).toString('base64');
+
+    return {
+      issuerId: this.issuerId,
+      name,
+      issuerKey,
+      publicKeyPem: this.publicKey.export({ type: 'spki', format: 'pem' })
+    };
+  }
+
+  /**
+   * Trust the Ed25519 tokens of another install
+   * @param {string} issuerKey - Shareable key from exportPublicKey, or a PEM public key
+   * @param {string} name - Display name (defaults to the name in the shared key)
+   * @returns {Promise<Object>} { issuerId, name }
+   */
+  async addTrustedIssuer(issuerKey, name = null) {
+    await this.initialize();
+
+    const input = (issuerKey || '').trim();
+    let publicKey;
+    let sharedName = null;
+    let sharedIssuerId = null;
+
+    try {
+      if (input.startsWith('-----BEGIN PUBLIC KEY-----')) {
+        publicKey = crypto.createPublicKey(input);
+      } else {
+        const shared = JSON.parse(Buffer.from(input, 'base64').toString('utf-8'));
+        publicKey = crypto.createPublicKey({ key: Buffer.from(shared.k, 'base64'), format: 'der', type: 'spki' });
+        sharedName = shared.n || null;
+        sharedIssuerId = shared.i || null;
+      }
+    } catch (error) {
+      throw new Error('Invalid issuer key');
+    }
+
+    if (publicKey.asymmetricKeyType !== 'ed25519') {
+      throw new Error('Issuer key must be an Ed25519 public key');
+    }
+
+    const issuerId = this.getIssuerId(publicKey);
+    if (sharedIssuerId && sharedIssuerId !== issuerId) {
+      throw new Error('Issuer key is damaged (issuer ID does not match the key)');
+    }
+    if (issuerId === this.issuerId) {
+      throw new Error('This is the public key of this install');
+    }
+
+    const issuerName = (name && name.trim()) || sharedName || issuerId;
+    const userId = this.getUserId ? this.getUserId() : null;
+    const spki = publicKey.export({ type: 'spki', format: 'der' }).toString('base64');
+
+    if (!db.addTrustedIssuer(issuerId, issuerName, spki, userId)) {
+      throw new Error('Failed to save trusted issuer');
+    }
+
+    if (this.logsService) {
+      await this.logsService.info(`Trusted token issuer added: ${issuerName}`, 'verification', {
+        issuerId
+      }, userId);
+    }
+
+    return { issuerId, name: issuerName };
+  }
+
+  /**
+   * List the installs whose Ed25519 tokens are trusted
+   * @returns {Promise<Array>} Trusted issuers
+   */
+  async listTrustedIssuers() {
+    const userId = this.getUserId ? this.getUserId() : null;
+
+    return db.getTrustedIssuers(userId).map(issuer => ({
+      issuerId: issuer.issuer_id,
+      name: issuer.name,
+      addedAt: new Date(issuer.added_at).toISOString()
+    }));
+  }
+
+  /**
+   * Stop trusting an issuer - its tokens fail with UNTRUSTED_ISSUER from then on
+   * @returns {Promise<boolean>} Whether an issuer was removed
+   */
+  async removeTrustedIssuer(issuerId) {
+    const userId = this.getUserId ? this.getUserId() : null;
+    const removed = db.removeTrustedIssuer(issuerId, userId);
+
+    if (removed && this.logsService) {
+      await this.logsService.info('Trusted token issuer removed', 'verification', { issuerId }, userId);
+    }
+
+    return removed;
+  }
+
+  /**
+   * Revoke a token - verification reports TOKEN_REVOKED from then on
+   * Revoked Ed25519 tokens are also listed in the exported revocation list.
+   * @param {string} tokenId - Token ID to revoke
+   * @param {string} reason - Optional reason shown to whoever verifies the token
+   * @returns {Promise<boolean>} Whether the token was revoked now
+   */
+  async revokeToken(tokenId, reason = null) {
+    const userId = this.getUserId ? this.getUserId() : null;
+    const token = db.getVerificationToken(tokenId);
+
+    if (!token || (token.user_id && token.user_id !== userId)) {
+      throw new Error('Token not found');
+    }
+    if (token.revoked_at) {
+      return false;
+    }
+
+    const trimmedReason = reason ? String(reason).trim() : '';
+    const revoked = db.revokeVerificationToken(tokenId, trimmedReason || null);
+
+    if (revoked && this.logsService) {
+      await this.logsService.warn(`Verification token revoked: ${token.type}`, 'verification', {
+        tokenId,
+        resourceId: token.resource_id,
+        reason: trimmedReason || null
+      }, userId);
+    }
+
+    return revoked;
+  }
+
+  /**
+   * Build the signed list of this install's revoked Ed25519 tokens
+   * Other installs that trust this install's public key import it with importRevocationList.
+   * @returns {Promise<Object>} Revocation list document
+   */
+  async createRevocationList() {
+    await this.initialize();
+
+    const userId = this.getUserId ? this.getUserId() : null;
+    const list = {
+      format: REVOCATION_LIST_FORMAT,
+      version: REVOCATION_LIST_VERSION,
+      issuerId: this.issuerId,
+      issuerName: os.hostname(),
+      issuedAt: Date.now(),
+      revocations: db.getRevokedVerificationTokens(userId).map(token => ({
+        tokenId: token.token_id,
+        revokedAt: token.revoked_at,
+        reason: token.revoke_reason || null,
+        expiresAt: token.expires_at === null ? null : Number(token.expires_at)
+      }))
+    };
+
+    list.signature = crypto
+      .sign(null, Buffer.from(this.getRevocationListData(list)), this.signingKey)
+      .toString('base64');
+
+    return list;
+  }
+
+  /**
+   * Write the signed revocation list to a file
+   * @returns {Promise<Object>} { filePath, count }
+   */
+  async exportRevocationList(filePath) {
+    const list = await this.createRevocationList();
+    await fs.promises.writeFile(filePath, JSON.stringify(list, null, 2));
+
+    return { filePath, count: list.revocations.length };
+  }
+
+  /**
+   * Import another install's revocation list
+   * The list must be signed by a trusted issuer; only revocations of that issuer's tokens are recorded.
+   * @param {string} filePath - Exported revocation list
+   * @returns {Promise<Object>} { issuerId, issuerName, count, added }
+   */
+  async importRevocationList(filePath) {
+    await this.initialize();
+
+    let list;
+    try {
+      list = JSON.parse(await fs.promises.readFile(filePath, 'utf-8'));
+    } catch (error) {
+      throw new Error('Invalid revocation list file');
+    }
+
+    if (!list || list.format !== REVOCATION_LIST_FORMAT || !Array.isArray(list.revocations)) {
+      throw new Error('Invalid revocation list file');
+    }
+    if (list.version !== REVOCATION_LIST_VERSION) {
+      throw new Error(`Unsupported revocation list version: ${list.version}`);
+    }
+    if (list.issuerId === this.issuerId) {
+      throw new Error('This revocation list was exported by this install');
+    }
+
+    const issuer = this.resolveIssuer(list.issuerId);
+    if (!issuer) {
+      throw new Error('Revocation list was issued by a FortiMorph install that is not in your trusted issuers');
+    }
+
+    let signatureValid = false;
+    try {
+      signatureValid = crypto.verify(
+        null,
+        Buffer.from(this.getRevocationListData(list)),
+        issuer.publicKey,
+        Buffer.from(list.signature || '', 'base64')
+      );
+    } catch (error) {
+      signatureValid = false;
+    }
+    if (!signatureValid) {
+      throw new Error('Revocation list signature is invalid');
+    }
+
+    const revocations = list.revocations.filter(revocation => revocation && revocation.tokenId && revocation.revokedAt);
+    const added = db.addRevokedTokens(issuer.issuerId, revocations);
+
+    if (this.logsService) {
+      const userId = this.getUserId ? this.getUserId() : null;
+      await this.logsService.info(`Revocation list imported from ${issuer.name}`, 'verification', {
+        issuerId: issuer.issuerId,
+        count: revocations.length,
+        added
+      }, userId);
+    }
+
+    return { issuerId: issuer.issuerId, issuerName: issuer.name, count: revocations.length, added };
+  }
+
+  /**
+   * Data covered by a revocation list signature (every field except the signature, in a fixed order)
+   */
+  getRevocationListData(list) {
+    return JSON.stringify({
+      format: list.format,
+      version: list.version,
+      issuerId: list.issuerId,
+      issuerName: list.issuerName,
+      issuedAt: list.issuedAt,
+      revocations: list.revocations.map(revocation => ({
+        tokenId: revocation.tokenId,
+        revokedAt: revocation.revokedAt,
+        reason: revocation.reason,
+        expiresAt: revocation.expiresAt
+      }))
+    });
+  }
+
   /**
    * Encode token payload to compact string
    * @param {Object} payload - Token payload
+   * @param {Object} options - { encoding: 'binary' | 'json', truncateTag }
    * @returns {string} Encoded token string
    */
-  encodeToken(payload) {
+  encodeToken(payload, { encoding = 'binary', truncateTag = false } = {}) {
+    if (encoding === 'binary') {
+      return encodeBinaryToken(payload, { truncateTag });
+    }
+
     const compactPayload = {
       i: payload.id,
       t: payload.type,
@@ -397,16 +1117,40 @@ class VerificationService {
       sg: payload.signature
     };
 
+    // Ed25519 tokens carry what another install needs to verify them without the token row
+    if (payload.signingMode === 'ed25519') {
+      compactPayload.a = 'ed25519';
+      compactPayload.is = payload.issuerId;
+      compactPayload.n = payload.resourceName;
+    }
+
+    // Version 2 tokens carry everything their signature covers
+    if (payload.signatureVersion >= 2) {
+      compactPayload.v = payload.signatureVersion;
+      compactPayload.n = payload.resourceName;
+      compactPayload.m = payload.metadata || {};
+      compactPayload.d = payload.fileDigest || null;
+    }
+
+    if (payload.signatureVersion >= 3) {
+      compactPayload.mu = payload.maxUses || null;
+    }
+
     return Buffer.from(JSON.stringify(compactPayload)).toString('base64');
   }
 
   /**
    * Decode token string to payload
+   * Detects the format: "FM1:" binary tokens, otherwise legacy base64 JSON.
    * @param {string} tokenString - Encoded token string
    * @returns {Object} Decoded payload
    */
   decodeToken(tokenString) {
     try {
+      if (isBinaryToken(tokenString)) {
+        return decodeBinaryToken(tokenString);
+      }
+
       const json = Buffer.from(tokenString, 'base64').toString('utf-8');
       const compact = JSON.parse(json);
 
@@ -418,7 +1162,15 @@ class VerificationService {
         issuedAt: compact.ia,
         expiresAt: compact.ea,
         oneTimeUse: compact.o,
-        signature: compact.sg
+        signature: compact.sg,
+        signingMode: compact.a || 'hmac',
+        issuerId: compact.is,
+        resourceName: compact.n,
+        signatureVersion: compact.v || 1,
+        metadata: compact.m,
+        fileDigest: compact.d,
+        maxUses: compact.mu || null,
+        tagTruncated: false
       };
     } catch (error) {
       throw new Error('Invalid token format');
@@ -453,7 +1205,7 @@ class VerificationService {
   }
 
   /**
-   * Get token information by ID
+   * Get token information by ID, with its use history (newest first)
    * @param {string} tokenId - Token ID
    * @returns {Promise<Object|null>} Token information
    */
@@ -463,6 +1215,12 @@ class VerificationService {
 
     if (!token) return null;
 
+    // Use history can show where a token was checked, so keep it to the token's owner
+    const userId = this.getUserId ? this.getUserId() : null;
+    if (token.user_id && token.user_id !== userId) {
+      return null;
+    }
+
     return {
       tokenId: token.token_id,
       type: token.type,
@@ -473,7 +1231,22 @@ class VerificationService {
       oneTimeUse: token.one_time_use === 1,
       used: token.used === 1,
       usedAt: token.used_at ? new Date(token.used_at).toISOString() : null,
-      metadata: JSON.parse(token.metadata || '{}')
+      signingMode: token.signing_mode || 'hmac',
+      revoked: Boolean(token.revoked_at),
+      revokedAt: token.revoked_at ? new Date(token.revoked_at).toISOString() : null,
+      revokeReason: token.revoke_reason || null,
+      maxUses: token.max_uses !== null && token.max_uses !== undefined ? token.max_uses : null,
+      useCount: token.use_count || 0,
+      metadata: JSON.parse(token.metadata || '{}'),
+      uses: db.getTokenUses(token.token_id).map(use => ({
+        usedAt: new Date(use.used_at).toISOString(),
+        systemId: use.system_id,
+        issuerId: use.issuer_id || null,
+        result: use.result,
+        counted: use.counted === 1,
+        fileHash: use.file_hash || null,
+        hashMatch: use.hash_match === null ? null : use.hash_match === 1
+      }))
     };
   }
 
@@ -495,6 +1268,9 @@ class VerificationService {
       const issuedAt = token.issued_at ? Number(token.issued_at) : null;
       const expiresAt = token.expires_at ? Number(token.expires_at) : null;
       const now = Date.now();
+      const maxUses = token.max_uses !== null && token.max_uses !== undefined ? token.max_uses : null;
+      const useCount = token.use_count || 0;
+      const usedUp = Boolean(token.used) || (maxUses !== null && useCount >= maxUses);
 
       return {
         tokenId: token.token_id,
@@ -506,8 +1282,14 @@ class VerificationService {
         oneTimeUse: token.one_time_use === 1,
         used: token.used === 1,
         usedAt: token.used_at ? new Date(token.used_at).toISOString() : null,
+        signingMode: token.signing_mode || 'hmac',
+        revoked: Boolean(token.revoked_at),
+        revokedAt: token.revoked_at ? new Date(token.revoked_at).toISOString() : null,
+        revokeReason: token.revoke_reason || null,
+        maxUses,
+        useCount,
         isExpired: expiresAt ? expiresAt < now : false,
-        isValid: expiresAt ? (expiresAt > now && (!token.one_time_use || !token.used)) : true // permanent tokens are valid unless deleted
+        isValid: !token.revoked_at && !usedUp && (expiresAt ? expiresAt > now : true) // permanent tokens are valid unless revoked, used up or deleted
       };
     });
   }
@@ -543,7 +1325,6 @@ class VerificationService {
    */
   async calculateFileHashInternal(filePath) {
     return new Promise((resolve, reject) => {
-      const fs = require('fs');
       const hash = crypto.createHash('sha256');
       const stream = fs.createReadStream(filePath);
 
@@ -552,6 +1333,45 @@ class VerificationService {
       stream.on('error', (error) => reject(error));
     });
   }
+
+  /**
+   * Canonical digest of a file or folder, independent of where it is stored
+   * Files: "sha256:<hex of content>". Folders: "sha256-dir:<hex>" over the sorted
+   * "relative/posix/path NUL content-hash" lines of every file, so a folder copied to
+   * another machine digests the same.
+   * @param {string} targetPath - File or folder
+   * @returns {Promise<string>} Digest with algorithm prefix
+   */
+  async calculateCanonicalDigest(targetPath) {
+    const stats = await fs.promises.stat(targetPath);
+
+    if (!stats.isDirectory()) {
+      return `sha256:${await this.calculateFileHashInternal(targetPath)}`;
+    }
+
+    const files = [];
+    const walk = async (dirPath, relativeDir) => {
+      const entries = await fs.promises.readdir(dirPath, { withFileTypes: true });
+      for (const entry of entries) {
+        const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+        if (entry.isDirectory()) {
+          await walk(path.join(dirPath, entry.name), relativePath);
+        } else if (entry.isFile()) {
+          files.push(relativePath);
+        }
+      }
+    };
+    await walk(targetPath, '');
+    files.sort();
+
+    const hash = crypto.createHash('sha256');
+    for (const relativePath of files) {
+      const fileHash = await this.calculateFileHashInternal(path.join(targetPath, ...relativePath.split('/')));
+      hash.update(`${relativePath}\0${fileHash}\n`);
+    }
+
+    return `sha256-dir:${hash.digest('hex')}`;
+  }
 }
 
 // Export singleton instance
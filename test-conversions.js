@@ -0,0 +1,451 @@
+/**
+ * Conversion test harness - runs every registered converter pair against generated fixture files
+ * Run with: node test-conversions.js [input extension...]
+ *   e.g. node test-conversions.js .pdf .docx
+ */
+
+const fs = require('fs');
+const os = require('os');
+const crypto = require('crypto');
+const path = require('path');
+const zlib = require('zlib');
+const sharp = require('sharp');
+const PDFDocument = require('pdfkit');
+const AdmZip = require('adm-zip');
+const { Document, Packer, Paragraph, HeadingLevel } = require('docx');
+
+const ConversionService = require('./main/services/conversionService');
+const { ANY_INPUT } = require('./main/services/converterRegistry');
+const { extractTar } = require('./main/services/tarArchive');
+const fortiPkg = require('./main/services/fortiPkg');
+
+const MARKER = 'FortiMorph fixture';
+
+// Output formats that must carry the fixture text through the conversion
+const TEXT_OUTPUTS = ['.txt', '.md', '.csv', '.json', '.html', '.htm', '.xml', '.svg', '.rtf'];
+
+// Signature checks for binary outputs
+const SIGNATURES = {
+  '.pdf': buffer => buffer.subarray(0, 5).toString() === '%PDF-',
+  '.zip': buffer => buffer.readUInt32LE(0) === 0x04034b50,
+  '.fortipkg': buffer => buffer.readUInt32LE(0) === 0x04034b50,
+  '.docx': buffer => buffer.readUInt32LE(0) === 0x04034b50,
+  '.gz': buffer => buffer[0] === 0x1f && buffer[1] === 0x8b,
+  '.tar': buffer => buffer.subarray(257, 262).toString() === 'ustar',
+  '.png': buffer => buffer.readUInt32BE(0) === 0x89504e47,
+  '.jpg': buffer => buffer[0] === 0xff && buffer[1] === 0xd8,
+  '.jpeg': buffer => buffer[0] === 0xff && buffer[1] === 0xd8,
+  '.webp': buffer => buffer.subarray(8, 12).toString() === 'WEBP',
+  '.gif': buffer => buffer.subarray(0, 4).toString() === 'GIF8',
+  '.tiff': buffer => ['II*\0', 'MM\0*'].includes(buffer.subarray(0, 4).toString('latin1'))
+};
+
+const TEXT_FIXTURES = {
+  '.csv': `name,note\nalpha,${MARKER}\nbeta,second row\n`,
+  '.json': JSON.stringify([{ name: 'alpha', note: MARKER }, { name: 'beta', note: 'second row' }], null, 2),
+  '.xml': `<?xml version="1.0"?>\n<items><item>${MARKER}</item></items>\n`,
+  '.yaml': `name: alpha\nnote: ${MARKER}\n`,
+  '.yml': `name: alpha\nnote: ${MARKER}\n`,
+  '.log': `2024-01-01 10:00:00 INFO ${MARKER}\n2024-01-01 10:00:01 WARN second line\n`,
+  '.md': `# Heading\n\n${MARKER} with **bold** text.\n\n- one\n- two\n`,
+  '.markdown': `# Heading\n\n${MARKER} with **bold** text.\n`,
+  '.rtf': `{\\rtf1\\ansi {\\b ${MARKER}}\\par}`,
+  '.html': `<!DOCTYPE html><html><body><p>${MARKER}</p></body></html>\n`,
+  '.htm': `<html><body><p>${MARKER}</p></body></html>\n`,
+  '.svg': `<svg xmlns="http://www.w3.org/2000/svg" width="32" height="32"><rect width="32" height="32" fill="#1e90ff"/></svg>`
+};
+
+function writePdf(filePath) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4' });
+    const stream = fs.createWriteStream(filePath);
+    doc.pipe(stream);
+    doc.fontSize(20).text('Fixture Heading');
+    doc.moveDown();
+    doc.fontSize(11).text(`${MARKER} paragraph text for the conversion harness.`);
+    doc.end();
+    stream.on('finish', resolve);
+    stream.on('error', reject);
+  });
+}
+
+/**
+ * Package signer with a throwaway Ed25519 key (the app uses VerificationService and the install's key)
+ * Like VerificationService, it signs the manifest after the 'fortipkg-manifest:v2' context, checks a
+ * signature against the key it carries and only trusts its own key, so packages from another
+ * createTestSigner() are untrusted.
+ */
+function createTestSigner(name = 'harness') {
+  const signed = data => Buffer.concat([Buffer.from('fortipkg-manifest:v2\n'), data]);
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ed25519');
+  const spki = publicKey.export({ type: 'spki', format: 'der' }).toString('base64');
+  return {
+    signDetached: async data => ({ issuerId: name, publicKey: spki, signature: crypto.sign(null, signed(data), privateKey).toString('base64') }),
+    checkDetachedSignature: async (data, { issuerId, publicKey: key, signature }) => {
+      let valid = false;
+      try {
+        const signerKey = crypto.createPublicKey({ key: Buffer.from(key, 'base64'), format: 'der', type: 'spki' });
+        valid = crypto.verify(null, signed(data), signerKey, Buffer.from(signature, 'base64'));
+      } catch (error) {
+        valid = false;
+      }
+      const trusted = valid && key === spki;
+      return { valid, trusted, issuerId, signerName: trusted ? name : null, error: valid ? null : 'Signature does not match' };
+    }
+  };
+}
+
+/**
+ * Write a fixture for an input extension
+ */
+async function createFixture(service, dir, inputExt) {
+  const name = inputExt === ANY_INPUT ? 'sample.dat' : `sample${inputExt}`;
+  const filePath = path.join(dir, name);
+  const textPath = path.join(dir, 'fixture-source.txt');
+  await fs.promises.writeFile(textPath, `${MARKER}\nsecond line\n`);
+
+  if (['.png', '.jpg', '.jpeg', '.webp', '.gif', '.tiff', '.tif'].includes(inputExt)) {
+    await sharp({ create: { width: 16, height: 16, channels: 3, background: '#336699' } })
+      .toFormat(inputExt === '.tif' ? 'tiff' : inputExt.slice(1))
+      .toFile(filePath);
+  } else if (inputExt === '.pdf') {
+    await writePdf(filePath);
+  } else if (inputExt === '.docx') {
+    const doc = new Document({
+      sections: [{
+        children: [
+          new Paragraph({ text: 'Fixture Heading', heading: HeadingLevel.HEADING_1 }),
+          new Paragraph({ text: `${MARKER} paragraph.` })
+        ]
+      }]
+    });
+    await fs.promises.writeFile(filePath, await Packer.toBuffer(doc));
+  } else if (inputExt === '.fortipkg') {
+    await service.createFortiPkg([{ sourcePath: textPath, path: 'docs/fixture.txt' }], filePath);
+  } else if (inputExt === '.zip') {
+    const zip = new AdmZip();
+    zip.addFile('docs/fixture.txt', Buffer.from(`${MARKER}\n`));
+    zip.writeZip(filePath);
+  } else if (inputExt === '.tar' || inputExt === '.tgz') {
+    await service.createTarFromFiles([textPath], filePath, inputExt === '.tgz');
+  } else if (inputExt === '.gz') {
+    await fs.promises.writeFile(filePath, zlib.gzipSync(`${MARKER}\n`));
+  } else {
+    await fs.promises.writeFile(filePath, TEXT_FIXTURES[inputExt] || `${MARKER}\nconst value = 42;\n`);
+  }
+  return filePath;
+}
+
+/**
+ * Check an output file is a valid file of its format
+ * @returns {string|null} Problem, or null when the output looks right
+ */
+async function checkOutput(outputPath, outputExt) {
+  const buffer = await fs.promises.readFile(outputPath);
+  if (buffer.length === 0) {
+    return 'output is empty';
+  }
+  if (SIGNATURES[outputExt] && !SIGNATURES[outputExt](buffer)) {
+    return `output is not a ${outputExt} file`;
+  }
+  if (outputExt === '.json') {
+    try {
+      JSON.parse(buffer.toString('utf-8'));
+    } catch (error) {
+      return `output is not valid JSON: ${error.message}`;
+    }
+  }
+  if (TEXT_OUTPUTS.includes(outputExt) && !buffer.toString('utf-8').includes(MARKER)) {
+    return 'output is missing the fixture text';
+  }
+  return null;
+}
+
+/**
+ * Convert several archives into the same folder at once (as a batch does) and check
+ * no output picked up another conversion's files
+ * @returns {string|null} Problem, or null when every output holds only its own file
+ */
+async function checkConcurrentArchives(service, workDir) {
+  const dir = path.join(workDir, 'concurrent');
+  await fs.promises.mkdir(dir);
+
+  const jobs = [];
+  for (let i = 0; i < 4; i++) {
+    const inputPath = path.join(dir, `input-${i}.zip`);
+    const zip = new AdmZip();
+    zip.addFile(`file-${i}.txt`, Buffer.from(`${MARKER} ${i}\n`));
+    zip.writeZip(inputPath);
+    jobs.push({ inputPath, outputPath: path.join(dir, `output-${i}.tar`), expected: `file-${i}.txt` });
+  }
+
+  await Promise.all(jobs.map(({ inputPath, outputPath }) => service.convert({ inputPath, outputPath, outputFormat: '.tar' })));
+
+  for (const [i, { outputPath, expected }] of jobs.entries()) {
+    const extractPath = path.join(workDir, `concurrent-extract-${i}`);
+    await extractTar(outputPath, extractPath);
+    const entries = await service.listDirectoryFiles(extractPath);
+    if (entries.length !== 1 || entries[0] !== expected) {
+      return `${path.basename(outputPath)} holds ${entries.join(', ') || 'nothing'} instead of ${expected}`;
+    }
+  }
+  const leftovers = (await fs.promises.readdir(dir)).filter(name => name.startsWith('temp_'));
+  if (leftovers.length > 0) {
+    return `temp folders left behind: ${leftovers.join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * Build a single tar header block, with a valid checksum, around the given size field
+ */
+function tarHeader(name, sizeField, type = '0') {
+  const block = Buffer.alloc(512);
+  block.write(name, 0, 100);
+  block.write('0000644\0', 100);
+  block.write(sizeField, 124, 12);
+  block.write('00000000000\0', 136);
+  block.write(type, 156);
+  block.write('ustar\0' + '00', 257);
+
+  block.fill(0x20, 148, 156);
+  const checksum = block.reduce((sum, byte) => sum + byte, 0);
+  block.write(`${checksum.toString(8).padStart(6, '0')}\0 `, 148);
+  return block;
+}
+
+/**
+ * Extract tar archives whose size fields are not numbers and check each one is rejected
+ * as corrupt instead of looping forever on an entry that never finishes
+ * @returns {string|null} Problem, or null when every archive is refused as corrupt
+ */
+async function checkMalformedTars(workDir) {
+  const body = Buffer.alloc(1024, 'x');
+  const end = Buffer.alloc(1024);
+  const paxRecord = Buffer.from('16 size=zzzzzz\n');
+  const archives = {
+    'octal size': Buffer.concat([tarHeader('file.txt', 'zzzzzzzzzzz\0'), body, end]),
+    'pax size': Buffer.concat([
+      tarHeader('PaxHeader/file.txt', `${paxRecord.length.toString(8).padStart(11, '0')}\0`, 'x'),
+      paxRecord, Buffer.alloc(512 - paxRecord.length),
+      tarHeader('file.txt', '00000002000\0'), body, end
+    ])
+  };
+
+  for (const [label, archive] of Object.entries(archives)) {
+    const archivePath = path.join(workDir, `malformed-${label.replace(' ', '-')}.tar`);
+    await fs.promises.writeFile(archivePath, archive);
+
+    const outcome = await extractTar(archivePath, path.join(workDir, `malformed-extract-${label.replace(' ', '-')}`))
+      .then(() => 'extracted', error => error.message);
+
+    if (!/corrupt tar header/i.test(outcome)) {
+      return `${label}: ${outcome}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Rewrite a package's zip entries (to tamper with it the way an attacker could)
+ * @param {Function} edit - Called with the AdmZip of the package
+ */
+function rewritePackage(sourcePath, targetPath, edit) {
+  const zip = new AdmZip(sourcePath);
+  edit(zip);
+  zip.writeZip(targetPath);
+  return targetPath;
+}
+
+/**
+ * Check that verifyPackage and extractPackage refuse packages that must not be trusted:
+ * an untrusted signer, a modified entry, an extra entry, a wrong password and a v1 downgrade
+ * @returns {string|null} Problem, or null when every package is refused
+ */
+async function checkPackageTampering(service, workDir) {
+  const dir = path.join(workDir, 'tampering');
+  await fs.promises.mkdir(dir);
+  const sourcePath = path.join(dir, 'source.txt');
+  await fs.promises.writeFile(sourcePath, `${MARKER}\n`);
+  const files = [{ sourcePath, path: 'docs/fixture.txt' }];
+  const checker = service.packageSigner;
+
+  const signedPath = path.join(dir, 'signed.fortipkg');
+  await fortiPkg.createPackage(files, signedPath, { signer: checker });
+  const encryptedPath = path.join(dir, 'encrypted.fortipkg');
+  await fortiPkg.createPackage(files, encryptedPath, { signer: checker, password: 'correct password' });
+
+  const verified = await fortiPkg.verifyPackage(signedPath, { checker });
+  if (!verified.valid) {
+    return `untampered package does not verify: ${verified.error}`;
+  }
+
+  const cases = {
+    'untrusted signer': {
+      packagePath: path.join(dir, 'untrusted.fortipkg'),
+      create: target => fortiPkg.createPackage(files, target, { signer: createTestSigner('stranger') })
+    },
+    'modified entry': {
+      packagePath: path.join(dir, 'modified.fortipkg'),
+      create: target => rewritePackage(signedPath, target, (zip) => {
+        zip.updateFile('docs/fixture.txt', Buffer.from('replaced content\n'));
+      })
+    },
+    'extra entry': {
+      packagePath: path.join(dir, 'extra.fortipkg'),
+      create: target => rewritePackage(signedPath, target, (zip) => {
+        zip.addFile('docs/extra.txt', Buffer.from('not in the manifest\n'));
+      })
+    },
+    'wrong password': {
+      packagePath: encryptedPath,
+      password: 'wrong password'
+    },
+    'v1 downgrade': {
+      packagePath: path.join(dir, 'downgraded.fortipkg'),
+      create: target => rewritePackage(signedPath, target, (zip) => {
+        const manifest = JSON.parse(zip.readAsText(fortiPkg.METADATA_ENTRY));
+        zip.deleteFile(fortiPkg.SIGNATURE_ENTRY);
+        zip.updateFile(fortiPkg.METADATA_ENTRY, Buffer.from(JSON.stringify({ ...manifest, version: '1.0' })));
+      })
+    }
+  };
+
+  for (const [label, { packagePath, create, password = null }] of Object.entries(cases)) {
+    if (create) {
+      await create(packagePath);
+    }
+
+    const verifyOutcome = await fortiPkg.verifyPackage(packagePath, { checker, password })
+      .then(result => (result.valid ? 'verified' : null), () => null);
+    if (verifyOutcome) {
+      return `${label}: verifyPackage accepted the package`;
+    }
+
+    const extractPath = path.join(dir, `extract-${label.replace(' ', '-')}`);
+    const extractOutcome = await fortiPkg.extractPackage(packagePath, extractPath, { checker, password })
+      .then(() => 'extracted', () => null);
+    if (extractOutcome) {
+      return `${label}: extractPackage extracted the package`;
+    }
+  }
+  return null;
+}
+
+async function runHarness() {
+  const filter = process.argv.slice(2).map(ext => ext.toLowerCase());
+  const logs = { info: async () => {}, warn: async () => {}, error: async () => {} };
+  const service = new ConversionService({ logConversion: async () => {} }, logs);
+  service.setPackageSigner(createTestSigner());
+  await service.initializeMarked();
+
+  const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'fortimorph-conversions-'));
+  const pairs = service.converters.listPairs()
+    .filter(pair => filter.length === 0 || filter.includes(pair.input));
+
+  console.log('='.repeat(60));
+  console.log(`CONVERSION HARNESS - ${pairs.length} registered pairs`);
+  console.log('='.repeat(60));
+
+  const fixtures = new Map();
+  const failures = [];
+  let passed = 0;
+  let skipped = 0;
+
+  // Quiet the service's own progress logging so the report stays readable
+  const consoleLog = console.log;
+  const consoleError = console.error;
+  const consoleWarn = console.warn;
+
+  try {
+    for (const pair of pairs) {
+      const label = `${pair.input === ANY_INPUT ? '*' : pair.input} → ${pair.output}`.padEnd(22);
+      if (pair.missing.length > 0) {
+        skipped++;
+        consoleLog(`  - ${label} skipped (missing ${pair.missing.join(', ')})`);
+        continue;
+      }
+
+      if (!fixtures.has(pair.input)) {
+        const fixtureDir = path.join(workDir, `fixture-${fixtures.size}`);
+        await fs.promises.mkdir(fixtureDir);
+        fixtures.set(pair.input, await createFixture(service, fixtureDir, pair.input));
+      }
+      const inputPath = fixtures.get(pair.input);
+      const outputPath = path.join(workDir, `out-${fixtures.size}-${pair.output.slice(1)}-${Date.now()}${pair.output}`);
+
+      let problem;
+      try {
+        console.log = () => {};
+        console.error = () => {};
+        console.warn = () => {};
+        await service.convert({ inputPath, outputPath, outputFormat: pair.output });
+        problem = await checkOutput(outputPath, pair.output);
+      } catch (error) {
+        problem = error.message;
+      } finally {
+        console.log = consoleLog;
+        console.error = consoleError;
+        console.warn = consoleWarn;
+      }
+
+      if (problem) {
+        failures.push({ label, problem });
+        consoleLog(`  ❌ ${label} ${problem}`);
+      } else {
+        passed++;
+        consoleLog(`  ✅ ${label} ${pair.fidelity}`);
+      }
+    }
+
+    const extraChecks = [];
+    if (filter.length === 0 || filter.includes('.zip')) {
+      extraChecks.push({ name: 'concurrent archives', run: () => checkConcurrentArchives(service, workDir) });
+    }
+    if (filter.length === 0 || filter.includes('.tar')) {
+      extraChecks.push({ name: 'malformed tar', run: () => checkMalformedTars(workDir) });
+    }
+    if (filter.length === 0 || filter.includes('.fortipkg')) {
+      extraChecks.push({ name: 'tampered packages', run: () => checkPackageTampering(service, workDir) });
+    }
+
+    for (const { name, run } of extraChecks) {
+      const label = name.padEnd(22);
+      let problem;
+      try {
+        console.log = () => {};
+        console.error = () => {};
+        console.warn = () => {};
+        problem = await run();
+      } catch (error) {
+        problem = error.message;
+      } finally {
+        console.log = consoleLog;
+        console.error = consoleError;
+        console.warn = consoleWarn;
+      }
+
+      if (problem) {
+        failures.push({ label, problem });
+        consoleLog(`  ❌ ${label} ${problem}`);
+      } else {
+        passed++;
+        consoleLog(`  ✅ ${label}`);
+      }
+    }
+  } finally {
+    await fs.promises.rm(workDir, { recursive: true, force: true });
+  }
+
+  console.log('\n' + '='.repeat(60));
+  console.log(`Passed: ${passed}  Failed: ${failures.length}  Skipped: ${skipped}`);
+  failures.forEach(({ label, problem }) => console.log(`  ${label} ${problem}`));
+  return failures.length === 0;
+}
+
+runHarness().then((passed) => {
+  process.exit(passed ? 0 : 1);
+}).catch((error) => {
+  console.error('Harness failed:', error);
+  process.exit(1);
+});
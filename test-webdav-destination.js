@@ -0,0 +1,182 @@
+/**
+ * WebDAV destination round trip against a local in-memory WebDAV server
+ * Covers connect, upload, stat, skipping files already copied on resume, read back and remove.
+ * Run with: node test-webdav-destination.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const http = require('http');
+const path = require('path');
+const crypto = require('crypto');
+
+const { WebDavDestination } = require('./main/services/backupDestinations');
+
+const USERNAME = 'backup';
+const PASSWORD = 'secret';
+
+/**
+ * Minimal WebDAV server: MKCOL, PROPFIND (Depth 0), PUT, HEAD, GET and DELETE on an in-memory tree
+ */
+function createWebDavServer() {
+  const files = new Map(); // path -> Buffer
+  const collections = new Set(['', 'dav']); // 'dav' is the share root the destination URL points at
+  const requests = [];
+  const expectedAuth = `Basic ${Buffer.from(`${USERNAME}:${PASSWORD}`).toString('base64')}`;
+
+  const server = http.createServer((req, res) => {
+    const body = [];
+    req.on('data', piece => body.push(piece));
+    req.on('end', () => {
+      const target = decodeURIComponent(new URL(req.url, 'http://localhost').pathname).replace(/^\/+|\/+$/g, '');
+      requests.push(`${req.method} ${target}`);
+
+      if (req.headers.authorization !== expectedAuth) {
+        res.writeHead(401, { 'WWW-Authenticate': 'Basic realm="test"' });
+        res.end();
+        return;
+      }
+
+      const parent = path.posix.dirname(target) === '.' ? '' : path.posix.dirname(target);
+      switch (req.method) {
+        case 'MKCOL':
+          if (collections.has(target) || files.has(target)) {
+            res.writeHead(405);
+          } else if (!collections.has(parent)) {
+            res.writeHead(409);
+          } else {
+            collections.add(target);
+            res.writeHead(201);
+          }
+          break;
+        case 'PROPFIND':
+          res.writeHead(collections.has(target) ? 207 : 404, { 'Content-Type': 'application/xml' });
+          break;
+        case 'PUT':
+          if (!collections.has(parent)) {
+            res.writeHead(409);
+          } else {
+            res.writeHead(files.has(target) ? 204 : 201);
+            files.set(target, Buffer.concat(body));
+          }
+          break;
+        case 'HEAD':
+        case 'GET':
+          if (files.has(target)) {
+            res.writeHead(200, { 'Content-Length': files.get(target).length });
+            if (req.method === 'GET') {
+              res.end(files.get(target));
+              return;
+            }
+          } else {
+            res.writeHead(404);
+          }
+          break;
+        case 'DELETE': {
+          const existed = files.delete(target) || collections.delete(target);
+          for (const key of [...files.keys()].filter(key => key.startsWith(`${target}/`))) files.delete(key);
+          for (const key of [...collections].filter(key => key.startsWith(`${target}/`))) collections.delete(key);
+          res.writeHead(existed ? 204 : 404);
+          break;
+        }
+        default:
+          res.writeHead(405);
+      }
+      res.end();
+    });
+  });
+
+  return { server, files, requests };
+}
+
+async function runTest() {
+  const { server, files, requests } = createWebDavServer();
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}/dav`;
+  const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'fortimorph-webdav-'));
+  const failures = [];
+
+  const check = (label, passed, detail = '') => {
+    console.log(`  ${passed ? '✅' : '❌'} ${label}${passed || !detail ? '' : ` - ${detail}`}`);
+    if (!passed) failures.push(label);
+  };
+
+  console.log('='.repeat(60));
+  console.log('WEBDAV DESTINATION ROUND TRIP');
+  console.log('='.repeat(60));
+
+  try {
+    const chunkPath = path.join(workDir, 'chunk.bin');
+    const content = crypto.randomBytes(256 * 1024);
+    await fs.promises.writeFile(chunkPath, content);
+    const remotePath = 'chunks/abcd/ab/abcdef.chunk';
+
+    const destination = new WebDavDestination({ url, folder: 'FortiMorph Backups', username: USERNAME, password: PASSWORD });
+    const connected = await destination.connect();
+    check('connect creates the destination folder', connected.root.endsWith('/FortiMorph%20Backups'));
+
+    check('stat of a missing file is null', await destination.stat(remotePath) === null);
+
+    const upload = await destination.upload(chunkPath, remotePath);
+    const stored = files.get(`dav/FortiMorph Backups/${remotePath}`);
+    check('upload writes the whole file', upload.bytesWritten === content.length && Boolean(stored) && stored.equals(content));
+
+    const uploaded = await destination.stat(remotePath);
+    check('stat reports the uploaded size', uploaded && uploaded.size === content.length, JSON.stringify(uploaded));
+
+    // Resume: a new run (fresh destination, as after a restart) skips files already there at the right size
+    const resumed = new WebDavDestination({ url, folder: 'FortiMorph Backups', username: USERNAME, password: PASSWORD });
+    await resumed.connect();
+    const putsBefore = requests.filter(request => request.startsWith('PUT')).length;
+    const existing = await resumed.stat(remotePath);
+    if (!(existing && existing.size === content.length)) {
+      await resumed.upload(chunkPath, remotePath);
+    }
+    const putsAfter = requests.filter(request => request.startsWith('PUT')).length;
+    check('resume skips a file already copied', putsAfter === putsBefore);
+
+    // Resume is whole-file: a file cut off mid-upload has the wrong size and is sent again from the start
+    files.set(`dav/FortiMorph Backups/${remotePath}`, content.subarray(0, 1000));
+    const partial = await resumed.stat(remotePath);
+    const reupload = await resumed.upload(chunkPath, remotePath);
+    check('a partial file is uploaded again in full',
+      partial.size === 1000 && reupload.resumedAt === 0 && files.get(`dav/FortiMorph Backups/${remotePath}`).equals(content));
+
+    await resumed.writeBuffer('backup_1/manifest.json', Buffer.from('{"backupId":"backup_1"}'));
+    const manifest = await resumed.readBuffer('backup_1/manifest.json');
+    check('writeBuffer and readBuffer round trip', manifest.toString() === '{"backupId":"backup_1"}');
+
+    await resumed.remove('backup_1');
+    check('remove deletes a backup folder', await resumed.stat('backup_1/manifest.json') === null);
+    await resumed.remove(remotePath);
+    check('remove deletes a chunk', await resumed.stat(remotePath) === null);
+    await resumed.remove(remotePath);
+    check('removing a missing file is not an error', true);
+
+    const refused = new WebDavDestination({ url, username: USERNAME, password: 'wrong' });
+    let refusedError = null;
+    try {
+      await refused.connect();
+    } catch (error) {
+      refusedError = error.message;
+    }
+    check('wrong password is reported', Boolean(refusedError && refusedError.includes('refused (401)')), refusedError);
+  } catch (error) {
+    failures.push(error.message);
+    console.log(`  ❌ ${error.message}`);
+  } finally {
+    server.close();
+    await fs.promises.rm(workDir, { recursive: true, force: true });
+  }
+
+  console.log('\n' + '='.repeat(60));
+  console.log(failures.length === 0 ? 'All checks passed' : `Failed: ${failures.length}`);
+  return failures.length === 0;
+}
+
+runTest().then((passed) => {
+  process.exit(passed ? 0 : 1);
+}).catch((error) => {
+  console.error('Test failed:', error);
+  process.exit(1);
+});